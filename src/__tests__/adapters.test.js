@@ -0,0 +1,159 @@
+/**
+ * Unit tests for protocol deposit adapters
+ * Tests route resolution and the calldata each adapter encodes
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  hasProtocolAdapter,
+  resolveProtocolRoute,
+  toRawAmount,
+  resolveProtocolContract,
+  buildProtocolTransactions,
+  previewProtocolRoute,
+} from '../services/adapters.js';
+import { findTokenByAddress, loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const USDBC = '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA';
+const AUSDC = '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB';
+const ABASUSDBC = '0x0a1d576f3eFeB55CCf1A5452F3cDE8a5B161BCaD';
+const CUSDCV3 = '0xb125E6687d4313864e53df431d5425969c15Eb2F';
+const MUSDBC = '0x703843C3379b52F9FF486c9f5892218d2a065cC8';
+const AAVE_POOL = '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5';
+const MEMBER = '0x1111111111111111111111111111111111111111';
+const MAX_UINT = 'f'.repeat(64);
+
+/**
+ * ABI-encode one static argument as a 32-byte word (lower-case hex, no prefix)
+ */
+function word(value) {
+  const hex = typeof value === 'string' ? value.slice(2).toLowerCase() : BigInt(value).toString(16);
+  return hex.padStart(64, '0');
+}
+
+/**
+ * Expected calldata from a function selector and its arguments
+ */
+function calldata(selector, ...args) {
+  return selector + args.map(arg => (arg === MAX_UINT ? MAX_UINT : word(arg))).join('');
+}
+
+describe('Protocol Adapters', () => {
+  describe('hasProtocolAdapter', () => {
+    it('should cover every rate model with a deposit path', () => {
+      ['aave-v3', 'compound-v3', 'moonwell', 'erc4626'].forEach(rateModel => {
+        expect(hasProtocolAdapter({ rateModel })).toBe(true);
+      });
+      expect(hasProtocolAdapter({ rateModel: null })).toBe(false);
+    });
+  });
+
+  describe('resolveProtocolRoute', () => {
+    it('should deposit when the target is deposit-only and the source is its underlying', () => {
+      const route = resolveProtocolRoute(USDC, CUSDCV3, registry);
+
+      expect(route.action).toBe('deposit');
+      expect(route.token.symbol).toBe('cUSDCv3');
+      expect(route.underlying.symbol).toBe('USDC');
+    });
+
+    it('should withdraw when the source is deposit-only and the target is its underlying', () => {
+      const route = resolveProtocolRoute(MUSDBC, USDBC, registry);
+
+      expect(route.action).toBe('withdraw');
+      expect(route.token.symbol).toBe('mUSDbC');
+    });
+
+    it('should leave DEX-swappable pairs to the swap API', () => {
+      expect(resolveProtocolRoute(USDC, AUSDC, registry)).toBeNull();
+    });
+
+    it('should refuse to enter a deposit-only token from anything but its underlying', () => {
+      expect(() => resolveProtocolRoute(AUSDC, CUSDCV3, registry))
+        .toThrow('cUSDCv3 is deposit-only and can only be entered from USDC (not aBasUSDC)');
+      expect(() => resolveProtocolRoute(CUSDCV3, USDBC, registry))
+        .toThrow('can only be withdrawn to USDC (not USDbC)');
+    });
+  });
+
+  describe('toRawAmount', () => {
+    it('should take a whole position from the exact raw balance', () => {
+      const fromToken = { balance: 1234.567891, balanceRaw: '1234567891' };
+      expect(toRawAmount(fromToken, 1234.567891, 6)).toBe(1234567891n);
+    });
+
+    it('should convert a partial amount to raw units', () => {
+      expect(toRawAmount({ balance: 1000, balanceRaw: '1000000000' }, 250.5, 6)).toBe(250500000n);
+    });
+  });
+
+  describe('resolveProtocolContract', () => {
+    it('should use the registry deposit contract or the token itself', async () => {
+      expect(await resolveProtocolContract(findTokenByAddress(ABASUSDBC, registry))).toBe(AAVE_POOL);
+      expect(await resolveProtocolContract(findTokenByAddress(CUSDCV3, registry))).toBe(CUSDCV3);
+    });
+  });
+
+  describe('buildProtocolTransactions', () => {
+    it('should approve the Aave pool and supply on behalf of the member', () => {
+      const route = resolveProtocolRoute(USDBC, ABASUSDBC, registry);
+      const [approve, supply] = buildProtocolTransactions(route, { contract: AAVE_POOL, amount: 500000000n, account: MEMBER });
+
+      expect(approve).toMatchObject({ contractAddress: USDBC, functionName: 'approve', args: [AAVE_POOL, '500000000'], value: '0' });
+      expect(approve.data).toBe(calldata('0x095ea7b3', AAVE_POOL, 500000000n));
+      expect(supply.contractAddress).toBe(AAVE_POOL);
+      expect(supply.data).toBe(calldata('0x617ba037', USDBC, 500000000n, MEMBER, 0));
+      expect(supply.abi[0]).toMatchObject({ type: 'function', name: 'supply' });
+    });
+
+    it('should withdraw everything from Aave on a full exit', () => {
+      const route = resolveProtocolRoute(ABASUSDBC, USDBC, registry);
+      const transactions = buildProtocolTransactions(route, { contract: AAVE_POOL, amount: 500000000n, account: MEMBER, full: true });
+
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0].data).toBe(calldata('0x69328dec', USDBC, MAX_UINT, MEMBER));
+    });
+
+    it('should supply to and withdraw from the Comet contract', () => {
+      const [approve, supply] = buildProtocolTransactions(resolveProtocolRoute(USDC, CUSDCV3, registry), { contract: CUSDCV3, amount: 1000000n, account: MEMBER });
+      const [withdraw] = buildProtocolTransactions(resolveProtocolRoute(CUSDCV3, USDC, registry), { contract: CUSDCV3, amount: 400000n, account: MEMBER });
+
+      expect(approve.data).toBe(calldata('0x095ea7b3', CUSDCV3, 1000000n));
+      expect(supply.data).toBe(calldata('0xf2b9fdb8', USDC, 1000000n));
+      expect(withdraw.data).toBe(calldata('0xf3fef3a3', USDC, 400000n));
+    });
+
+    it('should mint and redeem Moonwell mTokens', () => {
+      const [approve, mint] = buildProtocolTransactions(resolveProtocolRoute(USDBC, MUSDBC, registry), { contract: MUSDBC, amount: 1000000n, account: MEMBER });
+      const [redeem] = buildProtocolTransactions(resolveProtocolRoute(MUSDBC, USDBC, registry), { contract: MUSDBC, amount: 4900000000n, account: MEMBER });
+
+      expect(approve.data).toBe(calldata('0x095ea7b3', MUSDBC, 1000000n));
+      expect(mint.data).toBe(calldata('0xa0712d68', 1000000n));
+      expect(redeem.data).toBe(calldata('0xdb006a75', 4900000000n));
+    });
+
+    it('should deposit into and redeem from an ERC-4626 vault for the member', () => {
+      const vault = { symbol: 'sUSDC', address: '0x2222222222222222222222222222222222222222', decimals: 18, rateModel: 'erc4626' };
+      const underlying = findTokenByAddress(USDC, registry);
+      const [approve, deposit] = buildProtocolTransactions({ action: 'deposit', token: vault, underlying }, { contract: vault.address, amount: 1000000n, account: MEMBER });
+      const [redeem] = buildProtocolTransactions({ action: 'withdraw', token: vault, underlying }, { contract: vault.address, amount: 10n ** 18n, account: MEMBER });
+
+      expect(approve.data).toBe(calldata('0x095ea7b3', vault.address, 1000000n));
+      expect(deposit.data).toBe(calldata('0x6e553f65', 1000000n, MEMBER));
+      expect(redeem.data).toBe(calldata('0xba087652', 10n ** 18n, MEMBER, MEMBER));
+    });
+  });
+
+  describe('previewProtocolRoute', () => {
+    it('should price deposits and withdrawals from the exchange rate', () => {
+      const deposit = previewProtocolRoute(resolveProtocolRoute(USDBC, MUSDBC, registry), 1000000n, 0.02);
+      expect(deposit).toEqual({ totalSellAmount: '1000000', totalBuyAmount: '5000000000', members: [], errors: [] });
+
+      const withdraw = previewProtocolRoute(resolveProtocolRoute(CUSDCV3, USDC, registry), 1000000n, 1);
+      expect(withdraw.totalBuyAmount).toBe('1000000');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Unit tests for diversified allocation
+ * Tests target weights under caps and the partial swaps planned per member
+ */
+
+import {
+  computeTargetWeights,
+  planMemberRotations,
+  calculateAllocationRotations,
+} from '../services/allocator.js';
+import { createLedger, recordRotations } from '../services/ledger.js';
+
+const AAVE = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0xaave', apy: 6.0, score: 6.0, riskTier: 1 };
+const COMPOUND = { pool: 'compound-base-usdc', symbol: 'USDC', project: 'compound-v3', tokenAddress: '0xcomp', apy: 5.0, score: 5.0, riskTier: 1 };
+const MOONWELL = { pool: 'moonwell-base-usdc', symbol: 'USDC', project: 'moonwell-lending', tokenAddress: '0xmoon', apy: 8.0, score: 8.0, riskTier: 2 };
+const MOONWELL_DAI = { pool: 'moonwell-base-dai', symbol: 'DAI', project: 'moonwell-lending', tokenAddress: '0xmdai', apy: 7.0, score: 7.0, riskTier: 2 };
+
+const caps = { maxProtocolPct: 50, maxPoolPct: 50 };
+
+/**
+ * Build a member holding plain USDC and optional pool positions
+ */
+function buildUser(holdings) {
+  return { address: '0xmember', membershipId: 'membership-1', yieldBearingHoldings: holdings };
+}
+
+const plainUsdc = (balanceUsd) => ({ symbol: 'USDC', address: '0xusdc', balance: balanceUsd, balanceUsd, currentApy: 0, currentScore: 0, matchedProject: null, pool: null });
+
+const shares = targets => Object.fromEntries(targets.map(t => [t.pool.pool, Number(t.share.toFixed(6))]));
+
+describe('Allocator', () => {
+  describe('computeTargetWeights', () => {
+    it('should split equally across the top N pools', () => {
+      const targets = computeTargetWeights([MOONWELL, AAVE, COMPOUND], { ...caps, maxPools: 3, weighting: 'equal' });
+
+      expect(shares(targets)).toEqual({
+        'moonwell-base-usdc': 0.333333,
+        'aave-base-usdc': 0.333333,
+        'compound-base-usdc': 0.333333,
+      });
+    });
+
+    it('should weight by APY and redistribute what a capped pool cannot take', () => {
+      // Raw APY weights are 8/11 and 3/11; the 50% cap moves the rest to aave
+      const targets = computeTargetWeights([MOONWELL, { ...AAVE, score: 3.0 }], { ...caps, maxPools: 2, weighting: 'apy' });
+
+      expect(shares(targets)).toEqual({ 'moonwell-base-usdc': 0.5, 'aave-base-usdc': 0.5 });
+    });
+
+    it('should divide scores by risk tier when risk-adjusted', () => {
+      // moonwell 8/2 = 4 vs aave 6/1 = 6 -> 40% / 60%
+      const targets = computeTargetWeights([MOONWELL, AAVE], { maxProtocolPct: 100, maxPoolPct: 100, maxPools: 2, weighting: 'risk-adjusted' });
+
+      expect(shares(targets)).toEqual({ 'moonwell-base-usdc': 0.4, 'aave-base-usdc': 0.6 });
+    });
+
+    it('should cap a protocol across all of its pools', () => {
+      const targets = computeTargetWeights([MOONWELL, MOONWELL_DAI, AAVE], {
+        maxProtocolPct: 50, maxPoolPct: 100, maxPools: 3, weighting: 'equal',
+      });
+      const moonwellShare = targets
+        .filter(t => t.pool.project === 'moonwell-lending')
+        .reduce((sum, t) => sum + t.share, 0);
+
+      // Equal thirds would put two thirds in moonwell; its pools are held to 25% each
+      expect(moonwellShare).toBeCloseTo(0.5, 9);
+      expect(targets.find(t => t.pool.pool === 'moonwell-base-dai').share).toBeCloseTo(0.25, 9);
+      expect(targets.find(t => t.pool.pool === 'aave-base-usdc').share).toBeCloseTo(0.5, 9);
+    });
+
+    it('should leave the remainder unallocated when the caps cannot be met', () => {
+      const targets = computeTargetWeights([AAVE], { ...caps, maxPools: 3, weighting: 'equal' });
+
+      expect(shares(targets)).toEqual({ 'aave-base-usdc': 0.5 });
+    });
+
+    it('should reject an unknown weighting', () => {
+      expect(() => computeTargetWeights([AAVE], { ...caps, maxPools: 1, weighting: 'random' }))
+        .toThrow('Unknown allocation weighting');
+    });
+  });
+
+  describe('planMemberRotations', () => {
+    const targets = computeTargetWeights([MOONWELL, AAVE], { ...caps, maxPools: 2, weighting: 'equal' });
+
+    it('should split a plain stablecoin balance into partial swaps', () => {
+      const rotations = planMemberRotations(buildUser([plainUsdc(1000)]), targets, { ...caps, minBalanceUsd: 10 });
+
+      expect(rotations.map(r => [r.toToken.symbol, r.toToken.project, r.amountUsd, r.sellShare])).toEqual([
+        ['USDC', 'moonwell-lending', 500, 0.5],
+        ['USDC', 'aave-v3', 500, 0.5],
+      ]);
+      expect(rotations[0].estimatedAnnualGainUsd).toBeCloseTo(40, 9);
+    });
+
+    it('should only top up pools that are below target', () => {
+      const inAave = { symbol: 'aBasUSDC', address: '0xaave', balance: 500, balanceUsd: 500, currentApy: 6.0, currentScore: 6.0, matchedProject: 'aave-v3', pool: AAVE };
+      const rotations = planMemberRotations(buildUser([inAave, plainUsdc(500)]), targets, { ...caps, minBalanceUsd: 10 });
+
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0]).toMatchObject({ fromToken: { symbol: 'USDC' }, toToken: { project: 'moonwell-lending' }, amountUsd: 500, sellShare: 1 });
+    });
+
+    it('should move an over-cap position into a lower-scoring pool', () => {
+      const allInMoonwell = { symbol: 'mUSDC', address: '0xmoon', balance: 1000, balanceUsd: 1000, currentApy: 8.0, currentScore: 8.0, matchedProject: 'moonwell-lending', pool: MOONWELL };
+      const rotations = planMemberRotations(buildUser([allInMoonwell]), targets, { ...caps, minBalanceUsd: 10 });
+
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0]).toMatchObject({
+        toToken: { project: 'aave-v3' },
+        amountUsd: 500,
+        sellShare: 0.5,
+        capEnforced: true,
+      });
+      expect(rotations[0].apyImprovement).toBeCloseTo(-2, 9);
+    });
+
+    it('should not sell a higher-scoring position below its cap for a lower-scoring pool', () => {
+      const uncapped = { maxProtocolPct: 100, maxPoolPct: 100 };
+      const equalTargets = computeTargetWeights([MOONWELL, AAVE], { ...uncapped, maxPools: 2, weighting: 'equal' });
+      const allInMoonwell = { symbol: 'mUSDC', address: '0xmoon', balance: 1000, balanceUsd: 1000, currentApy: 8.0, currentScore: 8.0, matchedProject: 'moonwell-lending', pool: MOONWELL };
+
+      expect(planMemberRotations(buildUser([allInMoonwell]), equalTargets, { ...uncapped, minBalanceUsd: 10 })).toEqual([]);
+    });
+
+    it('should only sell the over-cap amount of a position inside its minimum holding period', () => {
+      const entered = Date.parse('2026-03-01T00:00:00.000Z');
+      const ledger = recordRotations(createLedger(), [{
+        rotation: {
+          membershipId: 'membership-1',
+          fromToken: { symbol: 'USDC', address: '0xusdc' },
+          toToken: { symbol: 'USDC', address: '0xcomp', project: 'compound-v3' },
+        },
+      }], entered);
+      const uncapped = { maxProtocolPct: 100, maxPoolPct: 100 };
+      const inCompound = { symbol: 'cUSDCv3', address: '0xcomp', balance: 1000, balanceUsd: 1000, currentApy: 5.0, currentScore: 5.0, matchedProject: 'compound-v3', pool: COMPOUND };
+      const bestTarget = computeTargetWeights([MOONWELL], { ...uncapped, maxPools: 1, weighting: 'equal' });
+
+      const options = { ...uncapped, minBalanceUsd: 10, ledger };
+      expect(planMemberRotations(buildUser([inCompound]), bestTarget, { ...options, now: entered + 86400000 })).toEqual([]);
+      expect(planMemberRotations(buildUser([inCompound]), bestTarget, { ...options, now: entered + 30 * 86400000 })).toHaveLength(1);
+    });
+
+    it('should prefer same-asset pools and cross only above the higher threshold', () => {
+      const uncapped = { maxProtocolPct: 100, maxPoolPct: 100 };
+      const mixedTargets = computeTargetWeights([MOONWELL_DAI, COMPOUND], { ...uncapped, maxPools: 2, weighting: 'equal' });
+      const plainDai = { symbol: 'DAI', address: '0xdai', balance: 1000, balanceUsd: 1000, currentApy: 4.0, currentScore: 4.0, matchedProject: null, pool: null };
+
+      // +1% into USDC is below the 1.5% cross-asset threshold; +3% into DAI is not
+      const rotations = planMemberRotations(buildUser([plainDai]), mixedTargets, { ...uncapped, minBalanceUsd: 10, crossAssetMinApyImprovement: 1.5 });
+
+      expect(rotations.map(r => [r.toToken.asset, r.crossAsset, r.amountUsd])).toEqual([['DAI', false, 500]]);
+    });
+
+    it('should skip legs smaller than the minimum balance', () => {
+      const rotations = planMemberRotations(buildUser([plainUsdc(15)]), targets, { ...caps, minBalanceUsd: 10 });
+
+      expect(rotations).toEqual([]);
+    });
+  });
+
+  describe('calculateAllocationRotations', () => {
+    it('should plan rotations for every member', () => {
+      const users = [
+        buildUser([plainUsdc(1000)]),
+        { ...buildUser([plainUsdc(200)]), address: '0xother', membershipId: 'membership-2' },
+      ];
+      const rotations = calculateAllocationRotations(users, [MOONWELL, AAVE], { ...caps, maxPools: 2, weighting: 'equal', minBalanceUsd: 10 });
+
+      expect(rotations).toHaveLength(4);
+      expect(rotations.filter(r => r.userAddress === '0xother').map(r => r.amountUsd)).toEqual([100, 100]);
+    });
+
+    it('should return nothing without eligible pools', () => {
+      expect(calculateAllocationRotations([buildUser([plainUsdc(1000)])], [], { ...caps })).toEqual([]);
+    });
+  });
+});
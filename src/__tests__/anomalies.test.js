@@ -0,0 +1,189 @@
+/**
+ * Unit tests for APY/TVL anomaly detection and pool quarantine
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createAnomalyState,
+  loadAnomalyState,
+  saveAnomalyState,
+  recordScreening,
+  detectAnomalies,
+  screenPools,
+  formatQuarantineEntry,
+} from '../services/anomalies.js';
+
+const thresholds = {
+  zScoreThreshold: 3.0,
+  minStdev: 0.1,
+  maxApyChange1d: 2.0,
+  maxApyChange7d: 5.0,
+  maxTvlChangePct: 30,
+  quarantineRuns: 3,
+};
+
+/**
+ * Build a candidate pool with a 30-day history window
+ */
+function buildPool(overrides = {}) {
+  return {
+    pool: 'steady-pool',
+    symbol: 'USDC',
+    project: 'aave-v3',
+    apy: 5.0,
+    score: 5.0,
+    scoreBreakdown: { apyPct7D: 0.1 },
+    apyPct1D: 0.05,
+    tvlUsd: 10000000,
+    history: {
+      available: true,
+      stats: { 30: { windowDays: 30, samples: 30, mean: 5.0, stdev: 0.3 } },
+    },
+    ...overrides,
+  };
+}
+
+describe('Anomaly Detection', () => {
+  describe('detectAnomalies', () => {
+    it('should not flag a pool in line with its history', () => {
+      expect(detectAnomalies(buildPool(), { tvlUsd: 9500000 }, thresholds)).toEqual([]);
+    });
+
+    it('should flag a score far from its historical mean', () => {
+      const reasons = detectAnomalies(buildPool({ score: 9.0 }), undefined, thresholds);
+
+      expect(reasons).toHaveLength(1);
+      expect(reasons[0]).toContain('stdevs from its 30d mean');
+    });
+
+    it('should floor the stdev of a perfectly flat history', () => {
+      const flat = buildPool({
+        score: 5.2,
+        history: { available: true, stats: { 30: { windowDays: 30, samples: 30, mean: 5.0, stdev: 0 } } },
+      });
+      expect(detectAnomalies(flat, undefined, thresholds)).toEqual([]);
+    });
+
+    it('should skip the z-score check without usable history', () => {
+      const noHistory = buildPool({ score: 20.0, history: { available: false, stats: null } });
+      expect(detectAnomalies(noHistory, undefined, thresholds)).toEqual([]);
+    });
+
+    it('should flag 1-day and 7-day APY jumps', () => {
+      const reasons = detectAnomalies(
+        buildPool({ apyPct1D: 3.5, scoreBreakdown: { apyPct7D: 6.0 } }),
+        undefined,
+        thresholds
+      );
+
+      expect(reasons).toEqual([
+        'APY moved 3.50 pts in 1 day',
+        'APY moved 6.00 pts in 7 days',
+      ]);
+    });
+
+    it('should flag a sudden TVL change since the previous run', () => {
+      const reasons = detectAnomalies(buildPool({ tvlUsd: 4000000 }), { tvlUsd: 10000000 }, thresholds);
+      expect(reasons).toEqual(['TVL changed -60.0% since the last run']);
+    });
+  });
+
+  describe('screenPools', () => {
+    const spiking = buildPool({ pool: 'spiking-pool', symbol: 'USDC', project: 'moonwell-lending', apyPct1D: 4.0 });
+
+    it('should quarantine flagged pools and keep the rest in order', () => {
+      const result = screenPools([spiking, buildPool()], createAnomalyState(), { thresholds, now: '2026-01-22T00:00:00.000Z' });
+
+      expect(result.pools.map(p => p.pool)).toEqual(['steady-pool']);
+      expect(result.quarantined).toEqual([expect.objectContaining({
+        pool: 'spiking-pool',
+        newlyFlagged: true,
+        remainingRuns: 3,
+      })]);
+      expect(result.state.run).toBe(1);
+      expect(result.state.pools['steady-pool'].tvlUsd).toBe(10000000);
+    });
+
+    it('should keep a pool quarantined for the configured number of runs', () => {
+      let state = screenPools([spiking], createAnomalyState(), { thresholds }).state;
+      const calm = { ...spiking, apyPct1D: 0 };
+
+      const second = screenPools([calm], state, { thresholds });
+      expect(second.pools).toHaveLength(0);
+      expect(second.quarantined[0]).toEqual(expect.objectContaining({ newlyFlagged: false, remainingRuns: 2 }));
+      state = second.state;
+
+      state = screenPools([calm], state, { thresholds }).state;
+
+      const released = screenPools([calm], state, { thresholds });
+      expect(released.pools.map(p => p.pool)).toEqual(['spiking-pool']);
+      expect(released.quarantined).toHaveLength(0);
+      expect(released.state.quarantine).toEqual({});
+    });
+
+    it('should restart the quarantine when a pool is flagged again', () => {
+      const state = screenPools([spiking], createAnomalyState(), { thresholds }).state;
+      const again = screenPools([spiking], state, { thresholds });
+
+      expect(again.quarantined[0].remainingRuns).toBe(3);
+    });
+
+    it('should not mutate the input state', () => {
+      const state = createAnomalyState();
+      screenPools([spiking], state, { thresholds });
+
+      expect(state).toEqual(createAnomalyState());
+    });
+  });
+
+  describe('state persistence', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'anomaly-state-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should start from an empty state when no file exists', async () => {
+      const state = await loadAnomalyState(path.join(dir, 'missing.json'));
+      expect(state).toEqual(createAnomalyState());
+    });
+
+    it('should round-trip the quarantine between runs', async () => {
+      const file = path.join(dir, 'anomalies.json');
+      const { state } = screenPools([buildPool({ apyPct1D: 4.0 })], createAnomalyState(), { thresholds });
+
+      await saveAnomalyState(state, file);
+      const loaded = await loadAnomalyState(file);
+
+      expect(loaded.quarantine['steady-pool'].untilRun).toBe(4);
+    });
+
+    it('should only record the screening of live runs', async () => {
+      const file = path.join(dir, 'anomalies.json');
+      await saveAnomalyState(createAnomalyState(), file);
+      const { state } = screenPools([buildPool({ apyPct1D: 4.0 })], createAnomalyState(), { thresholds });
+
+      expect(await recordScreening(state, file, { live: false, replay: false })).toBeNull();
+      expect(await recordScreening(state, file, { live: true, replay: true })).toBeNull();
+      expect(await loadAnomalyState(file)).toEqual(createAnomalyState());
+
+      expect(await recordScreening(state, file, { live: true, replay: false })).toBe(file);
+      expect((await loadAnomalyState(file)).quarantine['steady-pool']).toBeDefined();
+    });
+  });
+
+  describe('formatQuarantineEntry', () => {
+    it('should describe the pool, reasons and remaining runs', () => {
+      const text = formatQuarantineEntry({
+        pool: 'p1', symbol: 'USDC', project: 'aave-v3', reasons: ['APY moved 3.00 pts in 1 day'], remainingRuns: 1,
+      });
+      expect(text).toBe('USDC (aave-v3, pool p1) - APY moved 3.00 pts in 1 day [1 run left]');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Unit tests for the backtesting engine
+ * Tests the cost model, point-in-time pools and threshold replays on synthetic history
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  estimateSwapCost,
+  getPoolsAt,
+  getBacktestRange,
+  simulateBacktest,
+  runBacktestGrid,
+  formatBacktestReport,
+  loadBacktestData,
+} from '../services/backtest.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.parse('2026-01-01T00:00:00.000Z');
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+
+const AAVE = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', underlyingTokens: [USDC] };
+const COMPOUND = { pool: 'compound-base-usdc', symbol: 'USDC', project: 'compound-v3', tokenAddress: '0xb125E6687d4313864e53df431d5425969c15Eb2F', underlyingTokens: [USDC] };
+
+/**
+ * Build 31 daily normalized points from an APY function of the day number
+ */
+function buildHistory(apyOnDay) {
+  return Array.from({ length: 31 }, (_, day) => ({ time: START + day * DAY_MS, apy: apyOnDay(day), score: apyOnDay(day), tvlUsd: 10000000 }));
+}
+
+// Aave pays 5% throughout; Compound pays 3% and jumps to 6% on day 10
+const histories = new Map([
+  ['aave-base-usdc', buildHistory(() => 5)],
+  ['compound-base-usdc', buildHistory(day => (day < 10 ? 3 : 6))],
+]);
+
+const base = {
+  pools: [AAVE, COMPOUND],
+  histories,
+  registry,
+  chain: 'Base',
+  start: START,
+  end: START + 30 * DAY_MS,
+  memberBalancesUsd: [10000],
+  startAsset: 'USDC',
+  stepDays: 1,
+  costModel: { swapCostBps: 0, gasCostUsd: 0 },
+};
+
+describe('Backtest', () => {
+  describe('estimateSwapCost', () => {
+    it('should charge basis points of the amount plus gas', () => {
+      expect(estimateSwapCost(10000, { swapCostBps: 10, gasCostUsd: 0.5 })).toBeCloseTo(10.5, 9);
+    });
+  });
+
+  describe('getPoolsAt', () => {
+    it('should use the latest point at or before the time, best score first', () => {
+      const pools = getPoolsAt([AAVE, COMPOUND], histories, START + 12 * DAY_MS + 3600000);
+      expect(pools.map(pool => [pool.pool, pool.apy])).toEqual([['compound-base-usdc', 6], ['aave-base-usdc', 5]]);
+    });
+
+    it('should leave out pools without recent data', () => {
+      expect(getPoolsAt([AAVE], histories, START + 40 * DAY_MS)).toEqual([]);
+      expect(getPoolsAt([AAVE], histories, START - DAY_MS)).toEqual([]);
+    });
+  });
+
+  describe('getBacktestRange', () => {
+    it('should end at the latest point and go back at most the given days', () => {
+      expect(getBacktestRange(histories, 7)).toEqual({ start: START + 23 * DAY_MS, end: START + 30 * DAY_MS });
+      expect(getBacktestRange(histories, 90).start).toBe(START);
+    });
+  });
+
+  describe('simulateBacktest', () => {
+    it('should follow the best pool when the gain clears the threshold', () => {
+      const result = simulateBacktest({ ...base, minApyImprovement: 0.5, minBalanceUsd: 10 });
+
+      // Idle -> aave on day 0, aave -> compound on day 10 (+1.0 clears 0.5 plus the hysteresis band)
+      expect(result.rotations).toBe(2);
+      expect(result.turnoverUsd).toBeGreaterThan(20000);
+      expect(result.realisedApy).toBeGreaterThan(5);
+      expect(result.realisedApy).toBeLessThan(6.2);
+      expect(result.days).toBe(30);
+    });
+
+    it('should hold when the gain is below a higher threshold', () => {
+      const result = simulateBacktest({ ...base, minApyImprovement: 2, minBalanceUsd: 10 });
+
+      expect(result.rotations).toBe(1);
+      expect(result.realisedApy).toBeCloseTo(5.13, 1);
+    });
+
+    it('should charge the cost model on every swap', () => {
+      const result = simulateBacktest({ ...base, minApyImprovement: 2, minBalanceUsd: 10, costModel: { swapCostBps: 10, gasCostUsd: 1 } });
+
+      expect(result.costsUsd).toBeCloseTo(11, 9);
+      expect(result.finalValueUsd).toBeLessThan(simulateBacktest({ ...base, minApyImprovement: 2, minBalanceUsd: 10 }).finalValueUsd);
+    });
+
+    it('should leave members below the minimum balance idle', () => {
+      const result = simulateBacktest({ ...base, memberBalancesUsd: [50], minApyImprovement: 0.5, minBalanceUsd: 100 });
+
+      expect(result.rotations).toBe(0);
+      expect(result.finalValueUsd).toBe(50);
+    });
+
+    it('should fail for a starting asset missing from the registry', () => {
+      expect(() => simulateBacktest({ ...base, startAsset: 'GHO' })).toThrow('GHO on Base is not in the token registry');
+    });
+  });
+
+  describe('runBacktestGrid', () => {
+    it('should run every threshold combination and mark the best in the report', () => {
+      const results = runBacktestGrid({ ...base, minApyImprovements: [0.5, 2], minBalancesUsd: [10, 20000] });
+
+      expect(results.map(result => [result.minApyImprovement, result.minBalanceUsd, result.rotations])).toEqual([
+        [0.5, 10, 2],
+        [0.5, 20000, 0],
+        [2, 10, 1],
+        [2, 20000, 0],
+      ]);
+
+      const report = formatBacktestReport(results).split('\n');
+      expect(report).toHaveLength(6);
+      expect(report[2]).toContain('*');
+    });
+  });
+
+  describe('loadBacktestData', () => {
+    it('should refuse to run without local history files', async () => {
+      await expect(loadBacktestData({ profile: { defillamaChain: 'Base' }, registry, historyDir: null }))
+        .rejects.toThrow('Backtests run offline');
+    });
+  });
+});
@@ -1,8 +1,13 @@
+import { fileURLToPath } from 'url';
 import {
   getCurrentHoldingApy,
   filterYieldBearingHoldings,
   isYieldBearingStable,
 } from '../services/balances.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+// Registry with DeFiLlama pool ids filled in for the mock pools below
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
 
 // Mock pool data for testing
 const mockYieldPools = [
@@ -72,7 +77,7 @@ const mockHoldings = [
 describe('Balance Service', () => {
   describe('getCurrentHoldingApy', () => {
     it('should enrich holdings with APY data', () => {
-      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools, registry);
 
       expect(enriched).toHaveLength(3);
 
@@ -84,7 +89,7 @@ describe('Balance Service', () => {
     });
 
     it('should match DAI holdings to DAI pools', () => {
-      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools, registry);
       const daiHolding = enriched.find(h => h.symbol === 'DAI');
 
       expect(daiHolding.hasYieldData).toBe(true);
@@ -93,7 +98,7 @@ describe('Balance Service', () => {
     });
 
     it('should mark non-matching holdings as no yield data', () => {
-      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools, registry);
       const ethHolding = enriched.find(h => h.symbol === 'ETH');
 
       expect(ethHolding.hasYieldData).toBe(false);
@@ -101,17 +106,17 @@ describe('Balance Service', () => {
     });
 
     it('should return empty array for empty holdings', () => {
-      const result = getCurrentHoldingApy([], mockYieldPools);
+      const result = getCurrentHoldingApy([], mockYieldPools, registry);
       expect(result).toEqual([]);
     });
 
     it('should return empty array for null holdings', () => {
-      const result = getCurrentHoldingApy(null, mockYieldPools);
+      const result = getCurrentHoldingApy(null, mockYieldPools, registry);
       expect(result).toEqual([]);
     });
 
     it('should handle missing pool data gracefully', () => {
-      const result = getCurrentHoldingApy(mockHoldings, []);
+      const result = getCurrentHoldingApy(mockHoldings, [], registry);
       expect(result).toHaveLength(3);
       result.forEach(h => {
         expect(h.hasYieldData).toBe(false);
@@ -120,7 +125,7 @@ describe('Balance Service', () => {
     });
 
     it('should preserve original holding properties', () => {
-      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools, registry);
       const usdcHolding = enriched.find(h => h.symbol === 'USDC');
 
       expect(usdcHolding.balance).toBe(1000);
@@ -131,8 +136,8 @@ describe('Balance Service', () => {
 
   describe('filterYieldBearingHoldings', () => {
     it('should filter out non-yield-bearing holdings', () => {
-      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools);
-      const filtered = filterYieldBearingHoldings(enriched, mockYieldPools);
+      const enriched = getCurrentHoldingApy(mockHoldings, mockYieldPools, registry);
+      const filtered = filterYieldBearingHoldings(enriched, mockYieldPools, registry);
 
       // ETH should be filtered out
       expect(filtered.find(h => h.symbol === 'ETH')).toBeUndefined();
@@ -142,7 +147,7 @@ describe('Balance Service', () => {
     });
 
     it('should return empty array for empty input', () => {
-      const result = filterYieldBearingHoldings([], mockYieldPools);
+      const result = filterYieldBearingHoldings([], mockYieldPools, registry);
       expect(result).toEqual([]);
     });
 
@@ -150,7 +155,7 @@ describe('Balance Service', () => {
       const holdingsWithUnknown = [
         { symbol: 'UNKNOWN', balance: 1000, balanceUsd: 1000 },
       ];
-      const result = filterYieldBearingHoldings(holdingsWithUnknown, mockYieldPools);
+      const result = filterYieldBearingHoldings(holdingsWithUnknown, mockYieldPools, registry);
       expect(result).toEqual([]);
     });
 
@@ -163,7 +168,7 @@ describe('Balance Service', () => {
           balanceUsd: 0, // No USD value calculated
         },
       ];
-      const result = filterYieldBearingHoldings(holdingsWithZeroUsd, mockYieldPools);
+      const result = filterYieldBearingHoldings(holdingsWithZeroUsd, mockYieldPools, registry);
       expect(result).toHaveLength(1);
     });
   });
@@ -221,7 +226,7 @@ describe('Balance Service', () => {
       // Plain USDC without yield-bearing prefix should NOT match to pools
       // This ensures we recommend rotation FROM plain USDC TO yield-bearing tokens
       const holdings = [{ symbol: 'USDC', balance: 100, balanceUsd: 100 }];
-      const enriched = getCurrentHoldingApy(holdings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(holdings, mockYieldPools, registry);
 
       // Plain USDC is not in a yield pool - it earns 0%
       expect(enriched[0].currentApy).toBe(0);
@@ -238,7 +243,7 @@ describe('Balance Service', () => {
         },
       ];
 
-      const enriched = getCurrentHoldingApy(holdingsWithAddress, mockYieldPools);
+      const enriched = getCurrentHoldingApy(holdingsWithAddress, mockYieldPools, registry);
       // Should match to Aave at 5.5% (address match), not moonwell at 6.1% (symbol match)
       expect(enriched[0].hasYieldData).toBe(true);
       expect(enriched[0].currentApy).toBe(5.5);
@@ -251,7 +256,7 @@ describe('Balance Service', () => {
       const holdingsWithMissing = [
         { address: '0x123', balance: 100, balanceUsd: 100 },
       ];
-      const enriched = getCurrentHoldingApy(holdingsWithMissing, mockYieldPools);
+      const enriched = getCurrentHoldingApy(holdingsWithMissing, mockYieldPools, registry);
       expect(enriched[0].hasYieldData).toBe(false);
     });
 
@@ -260,7 +265,7 @@ describe('Balance Service', () => {
         { pool: 'test', chain: 'Base', stablecoin: true },
         { pool: 'test2' }, // minimal
       ];
-      const enriched = getCurrentHoldingApy(mockHoldings, poolsWithMissing);
+      const enriched = getCurrentHoldingApy(mockHoldings, poolsWithMissing, registry);
       // Should not throw, just mark as no yield data
       enriched.forEach(h => expect(h.hasYieldData).toBe(false));
     });
@@ -270,7 +275,7 @@ describe('Balance Service', () => {
         { symbol: 'USDC', balance: 100, balanceUsd: 100 },
         { symbol: 'USDC', balance: 200, balanceUsd: 200 },
       ];
-      const enriched = getCurrentHoldingApy(multipleHoldings, mockYieldPools);
+      const enriched = getCurrentHoldingApy(multipleHoldings, mockYieldPools, registry);
       expect(enriched).toHaveLength(2);
       expect(enriched[0].currentApy).toBe(enriched[1].currentApy);
     });
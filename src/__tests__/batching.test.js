@@ -0,0 +1,116 @@
+/**
+ * Unit tests for swap batching
+ * Tests waves per holding, grouping by token pair and per-member preview results
+ */
+
+import {
+  getHoldingKey,
+  getSellPercentage,
+  planWaves,
+  groupRotations,
+  splitPreviewByMember,
+} from '../services/batching.js';
+
+/**
+ * Build a rotation for one member
+ */
+function buildRotation(id, overrides = {}) {
+  return {
+    userAddress: `0xWallet${id}`,
+    membershipId: `membership-${id}`,
+    fromToken: { symbol: 'USDC', address: '0xUSDC', balance: 1000 },
+    toToken: { symbol: 'aBasUSDC', address: '0xAAVE' },
+    apyImprovement: 1.0,
+    ...overrides,
+  };
+}
+
+const toMoonwell = { toToken: { symbol: 'mUSDC', address: '0xMOON' } };
+
+describe('Swap Batching', () => {
+  describe('getSellPercentage', () => {
+    it('should convert a share of the original holding into a share of what is left', () => {
+      expect(getSellPercentage(0.25, 0.5)).toBeCloseTo(50, 9);
+      expect(getSellPercentage(0.5, 0.5)).toBe(100);
+    });
+  });
+
+  describe('planWaves', () => {
+    it('should put later legs from the same holding in later waves', () => {
+      const first = buildRotation(1, { sellShare: 0.5 });
+      const second = buildRotation(1, { sellShare: 0.5, ...toMoonwell });
+      const other = buildRotation(2);
+
+      expect(planWaves([first, other, second])).toEqual([[first, other], [second]]);
+    });
+
+    it('should key holdings by member and source token regardless of case', () => {
+      expect(getHoldingKey(buildRotation(1))).toBe(getHoldingKey(buildRotation(1, { fromToken: { symbol: 'USDC', address: '0xusdc' } })));
+    });
+  });
+
+  describe('groupRotations', () => {
+    it('should batch members swapping the same pair at the same percentage', () => {
+      const rotations = [buildRotation(1), buildRotation(2, toMoonwell), buildRotation(3)];
+      const groups = groupRotations(rotations, new Map(), 50);
+
+      expect(groups.map(group => [group.sellPercentage, group.rotations.map(r => r.membershipId)])).toEqual([
+        [100, ['membership-1', 'membership-3']],
+        [100, ['membership-2']],
+      ]);
+    });
+
+    it('should separate members selling different percentages', () => {
+      const remaining = new Map([[getHoldingKey(buildRotation(2)), 0.5]]);
+      const groups = groupRotations([buildRotation(1, { sellShare: 0.25 }), buildRotation(2, { sellShare: 0.25 })], remaining, 50);
+
+      expect(groups.map(group => group.sellPercentage)).toEqual([25, 50]);
+    });
+
+    it('should cap the members per swap', () => {
+      const groups = groupRotations([1, 2, 3].map(id => buildRotation(id)), new Map(), 2);
+      expect(groups.map(group => group.rotations.length)).toEqual([2, 1]);
+    });
+
+    it('should never batch rotations without a membership id', () => {
+      const unscoped = [buildRotation(1, { membershipId: undefined }), buildRotation(2, { membershipId: undefined })];
+      expect(groupRotations(unscoped, new Map(), 50)).toHaveLength(2);
+    });
+  });
+
+  describe('splitPreviewByMember', () => {
+    const rotations = [buildRotation(1), buildRotation(2), buildRotation(3)];
+
+    it('should match preview members to rotations by wallet address', () => {
+      const preview = {
+        members: [
+          { agentWalletAddress: '0xwallet1', sellAmount: '1000', buyAmount: '995', feeAmount: '5' },
+          { agentWalletAddress: '0xwallet2', error: 'insufficient balance' },
+        ],
+        errors: [],
+      };
+      const results = splitPreviewByMember(rotations, preview);
+
+      expect(results.get(rotations[0]).member.buyAmount).toBe('995');
+      expect(results.get(rotations[1]).error).toBe('Swap preview failed: insufficient balance');
+      expect(results.get(rotations[2]).error).toBe('Member missing from swap preview');
+    });
+
+    it('should fail only the named member for member-level preview errors', () => {
+      const preview = {
+        members: rotations.map(r => ({ agentWalletAddress: r.userAddress, sellAmount: '1', buyAmount: '1' })),
+        errors: [{ membershipId: 'membership-3', message: 'no route' }],
+      };
+      const results = splitPreviewByMember(rotations, preview);
+
+      expect(results.get(rotations[0]).member).toBeDefined();
+      expect(results.get(rotations[2]).error).toBe('Swap preview failed: no route');
+    });
+
+    it('should fail the whole group for errors that name no member', () => {
+      const results = splitPreviewByMember(rotations, { members: [], errors: [{ message: 'token not supported' }] });
+
+      expect([...results.values()].map(result => result.error)).toEqual(Array(3).fill('Swap preview failed: token not supported'));
+    });
+  });
+});
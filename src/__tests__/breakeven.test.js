@@ -0,0 +1,160 @@
+/**
+ * Unit tests for break-even analysis
+ * Previews and token valuation are injected, so no SDK or RPC calls are made
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  toTokenAmount,
+  createTokenValuer,
+  estimateGasCostUsd,
+  computeBreakEven,
+  analyzeBreakEven,
+} from '../services/breakeven.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const A_BAS_USDC = '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB';
+const WETH = '0x4200000000000000000000000000000000000006';
+
+/**
+ * Build a USDC -> aBasUSDC rotation for a balance in USD
+ */
+function buildRotation(balanceUsd, apyImprovement = 2.0) {
+  return {
+    userAddress: `0xmember${balanceUsd}`,
+    membershipId: `membership-${balanceUsd}`,
+    fromToken: { symbol: 'USDC', address: USDC, balance: balanceUsd, balanceUsd },
+    toToken: { symbol: 'aBasUSDC', address: A_BAS_USDC, project: 'aave-v3' },
+    apyImprovement,
+    estimatedAnnualGainUsd: (balanceUsd * apyImprovement) / 100,
+  };
+}
+
+/**
+ * Preview that loses 0.5% of the position to fees (both tokens have 6 decimals)
+ */
+async function previewWithFee(rotation) {
+  const sell = BigInt(Math.round(rotation.fromToken.balance * 1e6));
+  return {
+    totalSellAmount: sell.toString(),
+    totalBuyAmount: (sell * 995n / 1000n).toString(),
+    members: [],
+  };
+}
+
+// Both test tokens are worth $1 per unit
+const valueAtPar = async (address, rawAmount) => toTokenAmount(rawAmount, 6);
+
+describe('Break-even Analysis', () => {
+  describe('computeBreakEven', () => {
+    it('should compute cost and payback from the value lost and gas', () => {
+      const result = computeBreakEven({ sellValueUsd: 10000, buyValueUsd: 9950, gasCostUsd: 0.5, apyImprovement: 3.65 });
+
+      expect(result.swapCostUsd).toBeCloseTo(50, 6);
+      expect(result.totalCostUsd).toBeCloseTo(50.5, 6);
+      expect(result.dailyGainUsd).toBeCloseTo(9950 * 0.0365 / 365, 6);
+      expect(result.paybackDays).toBeCloseTo(50.5 / (9950 * 0.0365 / 365), 6);
+    });
+
+    it('should not count a favourable fill as negative cost', () => {
+      const result = computeBreakEven({ sellValueUsd: 100, buyValueUsd: 101, gasCostUsd: 0, apyImprovement: 1 });
+
+      expect(result.swapCostUsd).toBe(0);
+      expect(result.paybackDays).toBe(0);
+    });
+
+    it('should never pay back without an APY gain', () => {
+      expect(computeBreakEven({ sellValueUsd: 100, buyValueUsd: 99, gasCostUsd: 0, apyImprovement: 0 }).paybackDays).toBe(Infinity);
+    });
+  });
+
+  describe('analyzeBreakEven', () => {
+    it('should keep rotations that pay back within the horizon', async () => {
+      // $100k at +2%: $5.45/day against a $500 fee -> ~92 days
+      const result = await analyzeBreakEven([buildRotation(100000)], {
+        preview: previewWithFee,
+        valueToken: valueAtPar,
+        gasCostUsd: 0.5,
+        horizonDays: 120,
+      });
+
+      expect(result.skipped).toHaveLength(0);
+      expect(result.rotations[0].breakEven.sellValueUsd).toBeCloseTo(100000, 6);
+      expect(result.rotations[0].breakEven.paybackDays).toBeCloseTo(500.5 / (99500 * 0.02 / 365), 6);
+    });
+
+    it('should skip small balances that would rotate at a net loss', async () => {
+      const result = await analyzeBreakEven([buildRotation(100000, 5.0), buildRotation(20, 5.0)], {
+        preview: previewWithFee,
+        valueToken: valueAtPar,
+        gasCostUsd: 1.0,
+        horizonDays: 60,
+      });
+
+      expect(result.rotations.map(r => r.fromToken.balanceUsd)).toEqual([100000]);
+      expect(result.skipped[0].rotation.fromToken.balanceUsd).toBe(20);
+      expect(result.skipped[0].reason).toContain('exceeds 60 day horizon');
+    });
+
+    it('should charge gas for every leg of a routed preview', async () => {
+      const routed = async rotation => ({ ...(await previewWithFee(rotation)), route: 'USDC -swap-> DAI -swap-> aBasUSDC', legCount: 2 });
+      const result = await analyzeBreakEven([buildRotation(100000)], { preview: routed, valueToken: valueAtPar, gasCostUsd: 0.5, horizonDays: 120 });
+
+      expect(result.rotations[0].breakEven.gasCostUsd).toBe(1);
+      expect(result.rotations[0].breakEven.route).toBe('USDC -swap-> DAI -swap-> aBasUSDC');
+    });
+
+    it('should skip rotations whose preview fails or reports errors', async () => {
+      const failing = async () => { throw new Error('no route'); };
+      const erroring = async () => ({ errors: [{ message: 'insufficient liquidity' }] });
+
+      const thrown = await analyzeBreakEven([buildRotation(1000)], { preview: failing, valueToken: valueAtPar });
+      const reported = await analyzeBreakEven([buildRotation(1000)], { preview: erroring, valueToken: valueAtPar });
+
+      expect(thrown.skipped[0].reason).toBe('preview failed: no route');
+      expect(reported.skipped[0].reason).toBe('preview failed: insufficient liquidity');
+    });
+
+    it('should skip rotations that cannot be valued in USD', async () => {
+      const result = await analyzeBreakEven([buildRotation(1000)], {
+        preview: previewWithFee,
+        valueToken: async () => null,
+      });
+
+      expect(result.rotations).toHaveLength(0);
+      expect(result.skipped[0].reason).toBe('could not value the swap in USD');
+    });
+  });
+
+  describe('createTokenValuer', () => {
+    const valueToken = createTokenValuer({ chain: 'Base', registry, provider: null });
+
+    it('should value stablecoins at par and aTokens 1:1 with the underlying', async () => {
+      expect(await valueToken(USDC, '2500000')).toBeCloseTo(2.5, 10);
+      expect(await valueToken(A_BAS_USDC.toLowerCase(), '1000000')).toBeCloseTo(1, 10);
+    });
+
+    it('should return null for tokens it cannot price', async () => {
+      expect(await valueToken(WETH, '1000000000000000000')).toBeNull();
+      expect(await valueToken('0x0000000000000000000000000000000000000001', '1')).toBeNull();
+    });
+  });
+
+  describe('estimateGasCostUsd', () => {
+    it('should price swap gas with the buffer and ETH price', async () => {
+      const provider = { getFeeData: async () => ({ maxFeePerGas: 10n ** 9n, gasPrice: null }) };
+
+      // 300k gas at 1 gwei = 0.0003 ETH, x1.2 buffer at $3000
+      const cost = await estimateGasCostUsd({ provider, gasUnits: 300000, gasBuffer: 1.2, ethPriceUsd: 3000 });
+      expect(cost).toBeCloseTo(1.08, 10);
+    });
+
+    it('should fail when the RPC reports no gas price', async () => {
+      const provider = { getFeeData: async () => ({ maxFeePerGas: null, gasPrice: null }) };
+      await expect(estimateGasCostUsd({ provider, ethPriceUsd: 3000 })).rejects.toThrow('no gas price');
+    });
+  });
+});
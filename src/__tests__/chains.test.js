@@ -0,0 +1,91 @@
+/**
+ * Unit tests for chain profiles
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  getChainProfile,
+  getActiveChainProfiles,
+  getChainRegistry,
+  getChainTokenAddresses,
+} from '../services/chains.js';
+import { getTokenRegistry } from '../services/registry.js';
+
+const FIXTURE_REGISTRY = fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url));
+
+const chains = {
+  base: { key: 'base', name: 'Base', chainId: 8453, defillamaChain: 'Base', swarmId: 'swarm-base', tokenRegistryPath: null },
+  arbitrum: { key: 'arbitrum', name: 'Arbitrum', chainId: 42161, defillamaChain: 'Arbitrum', swarmId: null, tokenRegistryPath: null },
+  optimism: { key: 'optimism', name: 'Optimism', chainId: 10, defillamaChain: 'Optimism', swarmId: 'swarm-op', tokenRegistryPath: null },
+};
+
+describe('Chain Profiles', () => {
+  describe('getChainProfile', () => {
+    it('should look up profiles case-insensitively', () => {
+      expect(getChainProfile('Arbitrum', chains).chainId).toBe(42161);
+    });
+
+    it('should throw for an unknown chain', () => {
+      expect(() => getChainProfile('solana', chains)).toThrow('Unknown chain "solana"');
+    });
+
+    it('should ship profiles for Base, Arbitrum, Optimism and Ethereum', () => {
+      expect(getChainProfile().defillamaChain).toBe('Base');
+      expect(getChainProfile('arbitrum').chainId).toBe(42161);
+      expect(getChainProfile('optimism').chainId).toBe(10);
+      expect(getChainProfile('ethereum').chainId).toBe(1);
+    });
+  });
+
+  describe('getActiveChainProfiles', () => {
+    it('should honour an explicit selection in order, without duplicates', () => {
+      const profiles = getActiveChainProfiles({ selection: 'arbitrum, base,arbitrum', chains });
+
+      expect(profiles.map(p => p.key)).toEqual(['arbitrum', 'base']);
+    });
+
+    it('should default to every chain with a swarm id', () => {
+      const profiles = getActiveChainProfiles({ selection: null, chains });
+
+      expect(profiles.map(p => p.key)).toEqual(['base', 'optimism']);
+    });
+
+    it('should fall back to the default chain when no swarm id is set', () => {
+      const unconfigured = {
+        base: { ...chains.base, swarmId: null },
+        arbitrum: chains.arbitrum,
+      };
+
+      expect(getActiveChainProfiles({ selection: null, chains: unconfigured }).map(p => p.key)).toEqual(['base']);
+    });
+
+    it('should reject an unknown chain in the selection', () => {
+      expect(() => getActiveChainProfiles({ selection: 'base,polygon', chains })).toThrow('Unknown chain "polygon"');
+    });
+  });
+
+  describe('getChainRegistry', () => {
+    it('should use the shared registry by default', () => {
+      expect(getChainRegistry(chains.base)).toBe(getTokenRegistry());
+    });
+
+    it('should load and cache a per-chain registry file', () => {
+      const profile = { ...chains.base, tokenRegistryPath: FIXTURE_REGISTRY };
+      const registry = getChainRegistry(profile);
+
+      expect(registry).not.toBe(getTokenRegistry());
+      expect(getChainRegistry(profile)).toBe(registry);
+    });
+  });
+
+  describe('getChainTokenAddresses', () => {
+    it('should only return tokens on the profile chain', () => {
+      const base = getChainTokenAddresses(chains.base, { kind: 'stablecoin' });
+      const arbitrum = getChainTokenAddresses(chains.arbitrum, { kind: 'stablecoin' });
+
+      expect(base.USDC).toBe('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913');
+      expect(arbitrum.USDC).toBe('0xaf88d065e77c8cC2239327C5EDb3A432268e5831');
+      expect(arbitrum.USDBC).toBeUndefined();
+    });
+  });
+});
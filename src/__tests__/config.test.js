@@ -0,0 +1,26 @@
+/**
+ * Unit tests for config parsing
+ * Tests numeric settings and their fallbacks
+ */
+
+import { readNumber } from '../config.js';
+
+describe('Config', () => {
+  describe('readNumber', () => {
+    it('should keep an explicit zero', () => {
+      expect(readNumber('0', 0.5)).toBe(0);
+      expect(readNumber('0', 100, { integer: true })).toBe(0);
+    });
+
+    it('should fall back when the value is missing or not a number', () => {
+      expect(readNumber(undefined, 0.5)).toBe(0.5);
+      expect(readNumber('', 1.0)).toBe(1.0);
+      expect(readNumber('abc', null)).toBeNull();
+    });
+
+    it('should parse decimals and integers', () => {
+      expect(readNumber('0.25', 1)).toBe(0.25);
+      expect(readNumber('12.7', 3, { integer: true })).toBe(12);
+    });
+  });
+});
@@ -1,11 +1,27 @@
+import { fileURLToPath } from 'url';
 import {
   filterBaseStablecoins,
   getTopYieldingStable,
   getTopYieldingStables,
   getPoolBySymbol,
   getTokenAddress,
+  getMappedProtocolPools,
+  getTokenForPool,
+  getTokenAddressForPool,
+  findUnmappedNearMatches,
+  scorePool,
+  formatScoreBreakdown,
   tokenAddressMap,
 } from '../services/defillama.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+// Registry with DeFiLlama pool ids filled in for the mock pools below
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+// Protocol TVLs large enough to pass the shipped risk policy
+const riskContext = {
+  protocolTvl: { 'aave-v3': 10e9, 'compound-v3': 2e9, 'moonwell-lending': 300e6, 'seamless-v2': 100e6 },
+};
 
 // Mock pool data for testing
 const mockPools = [
@@ -133,10 +149,10 @@ describe('DeFiLlama Service', () => {
       expect(top).toBeNull();
     });
 
-    it('should include token address when available', () => {
+    it('should include token address when the pool id is mapped', () => {
       const basePools = [
         {
-          pool: 'pool-1',
+          pool: 'aave-base-usdc',
           chain: 'Base',
           symbol: 'USDC',
           project: 'aave-v3',
@@ -145,8 +161,8 @@ describe('DeFiLlama Service', () => {
           stablecoin: true,
         },
       ];
-      const top = getTopYieldingStable(basePools);
-      expect(top.tokenAddress).toBeDefined();
+      const top = getTopYieldingStable(basePools, registry);
+      expect(top.tokenAddress).toBe('0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB');
     });
   });
 
@@ -209,10 +225,87 @@ describe('DeFiLlama Service', () => {
       expect(address).toBeNull();
     });
 
-    it('should match partial symbol names', () => {
-      // e.g., "aBasUSDC" should match "USDC"
-      const address = getTokenAddress('compound-v3', 'cUSDC');
-      expect(address).toBeDefined();
+    it('should not match multi-asset symbols that merely contain the underlying', () => {
+      expect(getTokenAddress('aave-v3', 'USDC-DAI')).toBeNull();
+      expect(getTokenAddress('aave-v3', 'WETH-USDC')).toBeNull();
+    });
+  });
+
+  describe('pool id resolution', () => {
+    const idPools = [
+      { pool: 'aave-base-usdc', chain: 'Base', symbol: 'USDC', project: 'aave-v3', apy: 5.0, tvlUsd: 1000000, stablecoin: true },
+      { pool: 'aave-base-usdc-loop', chain: 'Base', symbol: 'USDC-WETH', project: 'aave-v3', apy: 11.0, tvlUsd: 1000000, stablecoin: true },
+      { pool: 'compound-base-usdc', chain: 'Base', symbol: 'USDC', project: 'compound-v3', apy: 9.0, tvlUsd: 1000000, stablecoin: true },
+      { pool: 'moonwell-base-usdc', chain: 'Base', symbol: 'USDC', project: 'moonwell-lending', apy: 6.0, tvlUsd: 1000000, stablecoin: true },
+    ];
+
+    it('should resolve a token only from its exact pool id', () => {
+      expect(getTokenForPool(idPools[0], registry).symbol).toBe('aBasUSDC');
+      expect(getTokenAddressForPool(idPools[1], registry)).toBeNull();
+      expect(getTokenAddressForPool({ ...idPools[0], pool: undefined }, registry)).toBeNull();
+    });
+
+    it('should not let a looped pool become the target with its own APY', () => {
+      const mapped = getMappedProtocolPools(idPools, registry, riskContext);
+
+      expect(mapped.map(p => p.pool)).toEqual(['moonwell-base-usdc', 'aave-base-usdc']);
+      expect(mapped.find(p => p.pool === 'aave-base-usdc').apy).toBe(5.0);
+    });
+
+    it('should exclude mapped tokens that are not DEX-swappable', () => {
+      // cUSDCv3 has a pool id but is deposit-only
+      const mapped = getMappedProtocolPools(idPools, registry, riskContext);
+      expect(mapped.find(p => p.pool === 'compound-base-usdc')).toBeUndefined();
+    });
+
+    it('should map deposit-only tokens when protocol adapters are enabled', () => {
+      const mapped = getMappedProtocolPools(idPools, registry, { ...riskContext, depositOnly: true });
+      expect(mapped.find(p => p.pool === 'compound-base-usdc').tokenAddress).toBe('0xb125E6687d4313864e53df431d5425969c15Eb2F');
+    });
+
+    it('should drop mapped pools rejected by the risk policy', () => {
+      const risky = idPools.map(pool =>
+        pool.pool === 'moonwell-base-usdc' ? { ...pool, ilRisk: 'yes' } : pool
+      );
+      const mapped = getMappedProtocolPools(risky, registry, riskContext);
+
+      expect(mapped.map(p => p.pool)).toEqual(['aave-base-usdc']);
+      expect(mapped[0].riskTier).toBe(1);
+    });
+
+    it('should reject protocols whose TVL is below the policy minimum', () => {
+      const mapped = getMappedProtocolPools(idPools, registry, { protocolTvl: { 'aave-v3': 10e9 } });
+      expect(mapped.map(p => p.pool)).toEqual(['aave-base-usdc']);
+    });
+
+    it('should list unmapped pools that look like registered tokens', () => {
+      const nearMatches = findUnmappedNearMatches(idPools, registry);
+
+      expect(nearMatches).toEqual([{
+        pool: 'aave-base-usdc-loop',
+        project: 'aave-v3',
+        symbol: 'USDC-WETH',
+        apy: 11.0,
+        candidates: ['aBasUSDC'],
+      }]);
+    });
+
+    it('should never pick a target by symbol for entries without a pool id', () => {
+      // Real DeFiLlama pools have UUIDs the shipped registry doesn't list yet
+      const livePools = idPools.map((pool, index) => ({ ...pool, pool: `0000000${index}-uuid` }));
+
+      expect(getMappedProtocolPools(livePools, undefined, riskContext)).toEqual([]);
+      expect(livePools.map(pool => getTokenForPool(pool))).toEqual([null, null, null, null]);
+      // They are reported so the right ids can be filled in
+      expect(findUnmappedNearMatches(livePools).map(match => match.pool)).toEqual(livePools.map(pool => pool.pool));
+    });
+
+    it('should tell apart two same-symbol pools of one project by their ids', () => {
+      const second = { ...idPools[0], pool: 'aave-base-usdc-other-market', apy: 9.5 };
+      const mapped = getMappedProtocolPools([idPools[0], second], registry, riskContext);
+
+      expect(mapped.map(p => p.pool)).toEqual(['aave-base-usdc']);
+      expect(getTokenForPool(second, registry)).toBeNull();
     });
   });
 
@@ -235,4 +328,130 @@ describe('DeFiLlama Service', () => {
       });
     });
   });
+
+  describe('scorePool', () => {
+    const scoringOptions = { method: 'base-plus-rewards', rewardDiscount: 0.5, maxApyChange7d: 2 };
+
+    const rewardPool = {
+      pool: 'reward-pool',
+      apy: 8.0,
+      apyBase: 4.0,
+      apyReward: 4.0,
+      apyMean30d: 6.0,
+      apyPct7D: 0.5,
+    };
+
+    it('should use base APY only for the base method', () => {
+      const result = scorePool(rewardPool, { ...scoringOptions, method: 'base' });
+      expect(result.score).toBe(4.0);
+    });
+
+    it('should use the 30-day mean for the mean30d method', () => {
+      const result = scorePool(rewardPool, { ...scoringOptions, method: 'mean30d' });
+      expect(result.score).toBe(6.0);
+    });
+
+    it('should discount reward emissions for the base-plus-rewards method', () => {
+      const result = scorePool(rewardPool, scoringOptions);
+      expect(result.score).toBe(6.0); // 4 + 4 * 0.5
+    });
+
+    it('should use headline APY for the apy method', () => {
+      const result = scorePool(rewardPool, { ...scoringOptions, method: 'apy' });
+      expect(result.score).toBe(8.0);
+    });
+
+    it('should include the full breakdown', () => {
+      const result = scorePool(rewardPool, scoringOptions);
+      expect(result).toMatchObject({
+        method: 'base-plus-rewards',
+        apy: 8.0,
+        apyBase: 4.0,
+        apyReward: 4.0,
+        apyMean30d: 6.0,
+        apyPct7D: 0.5,
+        spikeDampened: false,
+      });
+    });
+
+    it('should cap the score at last week\'s APY after a spike', () => {
+      const spiking = { pool: 'spike', apy: 9.0, apyBase: 9.0, apyPct7D: 5.0 };
+      const result = scorePool(spiking, scoringOptions);
+
+      expect(result.score).toBe(4.0); // 9 - 5
+      expect(result.spikeDampened).toBe(true);
+    });
+
+    it('should fall back to headline APY when breakdown fields are missing', () => {
+      const result = scorePool({ pool: 'sparse', apy: 5.5 }, scoringOptions);
+
+      expect(result.score).toBe(5.5);
+      expect(result.apyBase).toBe(5.5);
+      expect(result.apyMean30d).toBe(5.5);
+    });
+
+    it('should derive base APY from apy minus rewards when apyBase is missing', () => {
+      const result = scorePool({ pool: 'partial', apy: 6.0, apyReward: 2.0 }, { ...scoringOptions, method: 'base' });
+      expect(result.score).toBe(4.0);
+    });
+
+    it('should throw for an unknown scoring method', () => {
+      expect(() => scorePool(rewardPool, { ...scoringOptions, method: 'magic' })).toThrow('Unknown yield scoring method');
+    });
+  });
+
+  describe('formatScoreBreakdown', () => {
+    it('should describe every component of the score', () => {
+      const text = formatScoreBreakdown(scorePool({ pool: 'p', apy: 5, apyBase: 4, apyReward: 1, apyMean30d: 4.5, apyPct7D: -0.25 }));
+
+      expect(text).toContain('base 4.00%');
+      expect(text).toContain('rewards 1.00%');
+      expect(text).toContain('30d mean 4.50%');
+      expect(text).toContain('7d change -0.25%');
+    });
+  });
+
+  describe('score-based ranking', () => {
+    const spikyPools = [
+      {
+        pool: 'aave-base-usdc',
+        chain: 'Base',
+        symbol: 'USDC',
+        project: 'aave-v3',
+        apy: 5.0,
+        apyBase: 5.0,
+        apyReward: 0,
+        apyMean30d: 5.0,
+        apyPct7D: 0.1,
+        tvlUsd: 1000000,
+        stablecoin: true,
+      },
+      {
+        pool: 'moonwell-base-usdc',
+        chain: 'Base',
+        symbol: 'USDC',
+        project: 'moonwell-lending',
+        apy: 12.0,
+        apyBase: 3.0,
+        apyReward: 9.0,
+        apyMean30d: 4.0,
+        apyPct7D: 8.0,
+        tvlUsd: 1000000,
+        stablecoin: true,
+      },
+    ];
+
+    it('should rank a steady base yield above a one-off reward spike', () => {
+      const top = getTopYieldingStable(spikyPools, registry);
+      expect(top.pool).toBe('aave-base-usdc');
+      expect(top.scoreBreakdown).toBeDefined();
+    });
+
+    it('should sort mapped protocol pools by score', () => {
+      const mapped = getMappedProtocolPools(spikyPools, registry, riskContext);
+
+      expect(mapped[0].pool).toBe('aave-base-usdc');
+      expect(mapped[0].score).toBeGreaterThan(mapped[1].score);
+    });
+  });
 });
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for swap error classification
+ */
+
+import {
+  ERROR_KINDS,
+  SwapError,
+  TransientError,
+  NoRouteError,
+  InsufficientBalanceError,
+  TransactionRevertedError,
+  RateLimitError,
+  getErrorKind,
+  isTemporaryKind,
+  classifyError,
+} from '../services/errors.js';
+
+describe('Swap Errors', () => {
+  describe('getErrorKind', () => {
+    it('should recognise network failures and server errors as transient', () => {
+      expect(getErrorKind(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' }))).toBe(ERROR_KINDS.TRANSIENT);
+      expect(getErrorKind(new TypeError('fetch failed', { cause: { code: 'UND_ERR_SOCKET' } }))).toBe(ERROR_KINDS.TRANSIENT);
+      expect(getErrorKind(Object.assign(new Error('Request failed'), { response: { status: 503 } }))).toBe(ERROR_KINDS.TRANSIENT);
+      expect(getErrorKind(new Error('Request timed out after 30000ms'))).toBe(ERROR_KINDS.TRANSIENT);
+    });
+
+    it('should recognise rate limits', () => {
+      expect(getErrorKind(Object.assign(new Error('Too Many Requests'), { status: 429 }))).toBe(ERROR_KINDS.RATE_LIMIT);
+    });
+
+    it('should recognise lasting failures from their message', () => {
+      expect(getErrorKind('Insufficient balance for membership m-1')).toBe(ERROR_KINDS.INSUFFICIENT_BALANCE);
+      expect(getErrorKind('No route found for USDC -> cUSDCv3')).toBe(ERROR_KINDS.NO_ROUTE);
+      expect(getErrorKind(new Error('execution reverted: STF'))).toBe(ERROR_KINDS.REVERTED);
+      expect(getErrorKind(new Error('Invalid API key'))).toBe(ERROR_KINDS.UNKNOWN);
+    });
+
+    it('should keep the kind of errors that are already typed', () => {
+      expect(getErrorKind(new NoRouteError('timed out looking for a route'))).toBe(ERROR_KINDS.NO_ROUTE);
+    });
+  });
+
+  describe('isTemporaryKind', () => {
+    it('should only treat transient errors and rate limits as temporary', () => {
+      expect(isTemporaryKind(ERROR_KINDS.TRANSIENT)).toBe(true);
+      expect(isTemporaryKind(ERROR_KINDS.RATE_LIMIT)).toBe(true);
+      expect(isTemporaryKind(ERROR_KINDS.NO_ROUTE)).toBe(false);
+      expect(isTemporaryKind(null)).toBe(false);
+    });
+  });
+
+  describe('classifyError', () => {
+    it('should wrap errors in the class of their kind', () => {
+      const cause = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+      const typed = classifyError(cause);
+
+      expect(typed).toBeInstanceOf(TransientError);
+      expect(typed).toBeInstanceOf(SwapError);
+      expect(typed.cause).toBe(cause);
+      expect(typed.message).toBe('socket hang up');
+      expect(classifyError('insufficient funds for gas')).toBeInstanceOf(InsufficientBalanceError);
+      expect(classifyError(new Error('transaction reverted'))).toBeInstanceOf(TransactionRevertedError);
+      expect(classifyError(Object.assign(new Error('slow down'), { status: 429 }))).toBeInstanceOf(RateLimitError);
+    });
+
+    it('should only mark transient errors as retryable', () => {
+      expect(classifyError(new Error('fetch failed')).retryable).toBe(true);
+      expect(classifyError(Object.assign(new Error('slow down'), { status: 429 })).retryable).toBe(false);
+      expect(classifyError(new Error('no route')).retryable).toBe(false);
+      expect(classifyError(new Error('Invalid API key'))).toMatchObject({ kind: ERROR_KINDS.UNKNOWN, retryable: false });
+    });
+
+    it('should return typed errors unchanged', () => {
+      const error = new NoRouteError('No route from USDC to cUSDCv3');
+      expect(classifyError(error)).toBe(error);
+    });
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Unit tests for the rotation executor
+ * Tests concurrent task scheduling, per-member ordering, retries and the circuit breaker
+ */
+
+import {
+  getRetryAfterMs,
+  createRateLimiter,
+  limitClient,
+  withRetry,
+  retryCalls,
+  createCircuitBreaker,
+  runTasks,
+} from '../services/executor.js';
+import { isRateLimitError } from '../services/errors.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+
+/**
+ * Build a task that logs when it starts and finishes, and waits to be released
+ */
+function buildTask(name, keys, events, gates) {
+  let release;
+  gates[name] = new Promise(resolve => { release = resolve; });
+  gates[name].release = release;
+  return {
+    keys,
+    run: async () => {
+      events.push(`start ${name}`);
+      await gates[name];
+      events.push(`end ${name}`);
+      return name;
+    },
+  };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+async function settle() {
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
+
+/**
+ * Build an error shaped like an HTTP 429 response
+ */
+function rateLimitError(headers = {}) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers };
+  return error;
+}
+
+/**
+ * Clock whose sleep moves time forward
+ */
+function buildClock() {
+  const clock = { time: NOW, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = async ms => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  };
+  return clock;
+}
+
+describe('Executor', () => {
+  describe('runTasks', () => {
+    it('should start tasks in priority order up to the concurrency limit', async () => {
+      const events = [];
+      const gates = {};
+      const tasks = ['a', 'b', 'c'].map(name => buildTask(name, [name], events, gates));
+
+      const done = runTasks(tasks, { concurrency: 2 });
+      await settle();
+      expect(events).toEqual(['start a', 'start b']);
+
+      gates.b.release();
+      await settle();
+      expect(events).toEqual(['start a', 'start b', 'end b', 'start c']);
+
+      gates.a.release();
+      gates.c.release();
+      expect((await done).map(result => result.value)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should run one member at a time without holding back other members', async () => {
+      const events = [];
+      const gates = {};
+      const tasks = [
+        buildTask('m1-first', ['m1'], events, gates),
+        buildTask('m1-second', ['m1'], events, gates),
+        buildTask('m2', ['m2'], events, gates),
+      ];
+
+      const done = runTasks(tasks, { concurrency: 3 });
+      await settle();
+      expect(events).toEqual(['start m1-first', 'start m2']);
+
+      gates['m1-first'].release();
+      await settle();
+      expect(events).toContain('start m1-second');
+
+      gates['m1-second'].release();
+      gates.m2.release();
+      await done;
+    });
+
+    it('should keep a batch away from any of its members and run whole-swarm tasks alone', async () => {
+      const events = [];
+      const gates = {};
+      const tasks = [
+        buildTask('batch', ['m1', 'm2'], events, gates),
+        buildTask('m2', ['m2'], events, gates),
+        buildTask('swarm', null, events, gates),
+        buildTask('m3', ['m3'], events, gates),
+      ];
+
+      const done = runTasks(tasks, { concurrency: 4 });
+      await settle();
+      expect(events).toEqual(['start batch']);
+
+      gates.batch.release();
+      await settle();
+      expect(events.slice(2)).toEqual(['start m2']);
+
+      gates.m2.release();
+      await settle();
+      expect(events.slice(4)).toEqual(['start swarm']);
+
+      gates.swarm.release();
+      await settle();
+      expect(events.slice(6)).toEqual(['start m3']);
+
+      gates.m3.release();
+      await done;
+    });
+
+    it('should report a failing task without stopping the others', async () => {
+      const results = await runTasks([
+        { keys: ['m1'], run: async () => { throw new Error('boom'); } },
+        { keys: ['m1'], run: async () => 'next' },
+      ], { concurrency: 2 });
+
+      expect(results[0]).toMatchObject({ status: 'rejected', reason: { message: 'boom' } });
+      expect(results[1]).toEqual({ status: 'fulfilled', value: 'next' });
+    });
+
+    it('should finish at once without tasks', async () => {
+      expect(await runTasks([], { concurrency: 2 })).toEqual([]);
+    });
+  });
+
+  describe('isRateLimitError and getRetryAfterMs', () => {
+    it('should recognise 429 responses', () => {
+      expect(isRateLimitError(rateLimitError())).toBe(true);
+      expect(isRateLimitError(Object.assign(new Error('Too Many Requests'), { status: 429 }))).toBe(true);
+      expect(isRateLimitError(new Error('Too many requests, slow down'))).toBe(true);
+      expect(isRateLimitError(Object.assign(new Error('Bad gateway'), { status: 502 }))).toBe(false);
+    });
+
+    it('should read Retry-After as seconds or as a date', () => {
+      expect(getRetryAfterMs(rateLimitError({ 'Retry-After': '3' }), NOW)).toBe(3000);
+      expect(getRetryAfterMs(rateLimitError({ 'retry-after': new Date(NOW + 5000).toUTCString() }), NOW)).toBe(5000);
+      expect(getRetryAfterMs({ headers: new Headers({ 'retry-after': '2' }) }, NOW)).toBe(2000);
+      expect(getRetryAfterMs(rateLimitError(), NOW)).toBeNull();
+    });
+  });
+
+  describe('createRateLimiter', () => {
+    it('should wait out Retry-After before calling again', async () => {
+      const clock = buildClock();
+      const limited = createRateLimiter({ maxRetries: 3, baseDelayMs: 1000, sleep: clock.sleep, now: clock.now });
+      let calls = 0;
+
+      const result = await limited(async () => {
+        calls++;
+        if (calls === 1) throw rateLimitError({ 'retry-after': '7' });
+        return 'ok';
+      });
+
+      expect(result).toBe('ok');
+      expect(clock.sleeps).toEqual([7000]);
+    });
+
+    it('should back off exponentially without Retry-After and give up after maxRetries', async () => {
+      const clock = buildClock();
+      const limited = createRateLimiter({ maxRetries: 2, baseDelayMs: 1000, sleep: clock.sleep, now: clock.now });
+
+      await expect(limited(async () => { throw rateLimitError(); })).rejects.toThrow('429');
+      expect(clock.sleeps).toEqual([1000, 2000]);
+    });
+
+    it('should pause every call while one is rate limited', async () => {
+      const clock = buildClock();
+      const limited = createRateLimiter({ maxRetries: 1, baseDelayMs: 1000, sleep: clock.sleep, now: clock.now });
+
+      await limited(async () => {
+        if (clock.sleeps.length === 0) throw rateLimitError({ 'retry-after': '4' });
+      });
+      clock.time -= 1000;
+      await limited(async () => 'other');
+
+      expect(clock.sleeps).toEqual([4000, 1000]);
+    });
+
+    it('should not retry other errors', async () => {
+      const clock = buildClock();
+      const limited = createRateLimiter({ sleep: clock.sleep, now: clock.now });
+
+      await expect(limited(async () => { throw new Error('insufficient balance'); })).rejects.toThrow('insufficient balance');
+      expect(clock.sleeps).toEqual([]);
+    });
+  });
+
+  describe('limitClient', () => {
+    it('should send every method call through the limiter', async () => {
+      const labels = [];
+      const client = limitClient({
+        apiKey: 'key',
+        async executeSwap(swarmId) { return `swap ${swarmId} ${this.apiKey}`; },
+      }, (call, label) => { labels.push(label); return call(); });
+
+      expect(client.apiKey).toBe('key');
+      expect(await client.executeSwap('swarm-1')).toBe('swap swarm-1 key');
+      expect(labels).toEqual(['SwarmVault executeSwap']);
+    });
+  });
+
+  describe('withRetry', () => {
+    it('should retry transient failures with exponential backoff', async () => {
+      const clock = buildClock();
+      let calls = 0;
+
+      const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+        return 'ok';
+      }, { attempts: 3, baseDelayMs: 500, sleep: clock.sleep });
+
+      expect(result).toBe('ok');
+      expect(clock.sleeps).toEqual([500, 1000]);
+    });
+
+    it('should throw lasting failures at once, typed', async () => {
+      const clock = buildClock();
+
+      await expect(withRetry(async () => { throw new Error('insufficient balance'); }, { sleep: clock.sleep }))
+        .rejects.toMatchObject({ name: 'InsufficientBalanceError', kind: 'insufficient-balance' });
+      expect(clock.sleeps).toEqual([]);
+    });
+
+    it('should give up after the last attempt', async () => {
+      const clock = buildClock();
+
+      await expect(withRetry(async () => { throw new Error('fetch failed'); }, { attempts: 2, baseDelayMs: 100, sleep: clock.sleep }))
+        .rejects.toMatchObject({ name: 'TransientError' });
+      expect(clock.sleeps).toEqual([100]);
+    });
+  });
+
+  describe('retryCalls', () => {
+    it('should only retry the listed methods', async () => {
+      const clock = buildClock();
+      const calls = { previewSwap: 0, executeSwap: 0 };
+      const flaky = name => async () => {
+        calls[name]++;
+        if (calls[name] === 1) throw new Error('socket hang up');
+        return name;
+      };
+      const client = retryCalls({ previewSwap: flaky('previewSwap'), executeSwap: flaky('executeSwap') }, ['previewSwap'], { sleep: clock.sleep });
+
+      expect(await client.previewSwap()).toBe('previewSwap');
+      await expect(client.executeSwap()).rejects.toThrow('socket hang up');
+      expect(calls).toEqual({ previewSwap: 2, executeSwap: 1 });
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    it('should open after the threshold of failures in a row', () => {
+      const breaker = createCircuitBreaker({ threshold: 3 });
+
+      breaker.recordFailure('a');
+      breaker.recordFailure('b');
+      breaker.recordSuccess();
+      breaker.recordFailure('c');
+      breaker.recordFailure('d');
+      expect(breaker.isOpen()).toBe(false);
+
+      expect(breaker.recordFailure('e')).toBe(true);
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.reason).toBe('3 swaps failed in a row (last: e)');
+    });
+
+    it('should stay open once opened', () => {
+      const breaker = createCircuitBreaker({ threshold: 2 });
+
+      breaker.recordFailure('first');
+      expect(breaker.recordFailure('boom')).toBe(true);
+      breaker.recordSuccess();
+      expect(breaker.recordFailure('again')).toBe(false);
+      expect(breaker.isOpen()).toBe(true);
+      expect(breaker.reason).toBe('2 swaps failed in a row (last: boom)');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for the value-loss guard
+ * Token valuation is injected, so no RPC calls are made
+ */
+
+import {
+  computeValueLoss,
+  checkValueLoss,
+  createValueGuard,
+} from '../services/guard.js';
+import { toTokenAmount } from '../services/breakeven.js';
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const M_USDC = '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22';
+
+// USDC at $1 and mUSDC (8 decimals) at 0.0215 USDC per token
+const valueToken = async (address, rawAmount) => {
+  if (address === USDC) return toTokenAmount(rawAmount, 6);
+  if (address === M_USDC) return toTokenAmount(rawAmount, 8) * 0.0215;
+  return null;
+};
+
+describe('Value-loss Guard', () => {
+  describe('computeValueLoss', () => {
+    it('should express the value lost in USD and basis points', () => {
+      const { lossUsd, lossBps } = computeValueLoss(1000, 995);
+      expect(lossUsd).toBeCloseTo(5, 6);
+      expect(lossBps).toBeCloseTo(50, 6);
+    });
+
+    it('should report a favourable fill as a negative loss', () => {
+      expect(computeValueLoss(100, 101).lossBps).toBeCloseTo(-100, 6);
+    });
+  });
+
+  describe('checkValueLoss', () => {
+    const limits = { maxLossBps: 100, horizonDays: 30 };
+
+    it('should allow a loss within the limit and the expected gain', () => {
+      // $1000 at +5%: $50/year, $4.11 over 30 days
+      const check = checkValueLoss({ sellValueUsd: 1000, buyValueUsd: 997, expectedAnnualGainUsd: 50, ...limits });
+
+      expect(check.allowed).toBe(true);
+      expect(check.gainBudgetUsd).toBeCloseTo(50 * 30 / 365, 6);
+    });
+
+    it('should abort a loss beyond the basis-point limit', () => {
+      const check = checkValueLoss({ sellValueUsd: 1000, buyValueUsd: 985, expectedAnnualGainUsd: 5000, ...limits });
+
+      expect(check.allowed).toBe(false);
+      expect(check.reason).toBe('previewed loss 150.0 bps ($15.00) exceeds 100 bps');
+    });
+
+    it('should abort a loss larger than the expected gain over the horizon', () => {
+      const check = checkValueLoss({ sellValueUsd: 1000, buyValueUsd: 995, expectedAnnualGainUsd: 50, ...limits });
+
+      expect(check.allowed).toBe(false);
+      expect(check.reason).toBe('previewed loss $5.00 exceeds the $4.11 expected gain over 30 days');
+    });
+
+    it('should hold cap-enforcing swaps and swaps without a gain to the bps limit only', () => {
+      expect(checkValueLoss({ sellValueUsd: 1000, buyValueUsd: 995, expectedAnnualGainUsd: 50, capEnforced: true, ...limits }).allowed).toBe(true);
+      expect(checkValueLoss({ sellValueUsd: 1000, buyValueUsd: 995, ...limits }).allowed).toBe(true);
+    });
+  });
+
+  describe('createValueGuard', () => {
+    it('should value yield-bearing receipt tokens through their exchange rate', async () => {
+      const guard = createValueGuard({ valueToken });
+      // 1000 USDC -> 46,000 mUSDC worth $989
+      const check = await guard({ fromAddress: USDC, toAddress: M_USDC, sellAmount: '1000000000', buyAmount: '4600000000000', expectedAnnualGainUsd: 500 });
+
+      expect(check.sellValueUsd).toBeCloseTo(1000, 6);
+      expect(check.buyValueUsd).toBeCloseTo(989, 6);
+      expect(check.lossBps).toBeCloseTo(110, 6);
+      expect(check.allowed).toBe(false);
+    });
+
+    it('should refuse swaps it cannot value', async () => {
+      const guard = createValueGuard({ valueToken });
+      const check = await guard({ fromAddress: USDC, toAddress: '0xunknown', sellAmount: '1000000', buyAmount: '1000000' });
+
+      expect(check).toEqual({ allowed: false, reason: 'could not value the swap in USD' });
+    });
+
+    it('should refuse swaps whose valuation fails', async () => {
+      const guard = createValueGuard({ valueToken: async () => { throw new Error('rpc down'); } });
+      const check = await guard({ fromAddress: USDC, toAddress: M_USDC, sellAmount: '1', buyAmount: '1' });
+
+      expect(check.reason).toBe('could not value the swap: rpc down');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit tests for the history service
+ * Uses local /chart fixtures instead of the DeFiLlama API
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  fetchPoolHistory,
+  computeHistoryStats,
+  computeWindowStats,
+  volatilityAdjustedApy,
+  rankPoolsByHistory,
+} from '../services/history.js';
+
+const historyDir = fileURLToPath(new URL('./fixtures/history', import.meta.url));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function buildHistory(scores) {
+  return scores.map((score, i) => ({ time: i * DAY_MS, apy: score, score, tvlUsd: 1000000 }));
+}
+
+describe('History Service', () => {
+  describe('fetchPoolHistory', () => {
+    it('should load history from a local fixture file', async () => {
+      const history = await fetchPoolHistory('steady-pool', { historyDir });
+
+      expect(history).toHaveLength(30);
+      expect(history[0].apy).toBe(4.9);
+      expect(history[0].score).toBe(4.9);
+      expect(typeof history[0].time).toBe('number');
+    });
+
+    it('should sort points by time ascending', async () => {
+      const history = await fetchPoolHistory('bouncy-pool', { historyDir });
+
+      for (let i = 1; i < history.length; i++) {
+        expect(history[i].time).toBeGreaterThan(history[i - 1].time);
+      }
+    });
+
+    it('should reject when the fixture does not exist', async () => {
+      await expect(fetchPoolHistory('missing-pool', { historyDir })).rejects.toThrow();
+    });
+  });
+
+  describe('computeHistoryStats', () => {
+    it('should compute mean and standard deviation', () => {
+      const stats = computeHistoryStats(buildHistory([2, 9, 2, 9]), 30);
+
+      expect(stats.samples).toBe(4);
+      expect(stats.mean).toBeCloseTo(5.5, 5);
+      expect(stats.stdev).toBeCloseTo(3.5, 5);
+      expect(stats.min).toBe(2);
+      expect(stats.max).toBe(9);
+      expect(stats.latest).toBe(9);
+    });
+
+    it('should compute the largest peak-to-trough drawdown', () => {
+      const stats = computeHistoryStats(buildHistory([4, 6, 5, 3, 7, 6]), 30);
+      expect(stats.maxDrawdown).toBe(3); // 6 -> 3
+    });
+
+    it('should only include points inside the window', () => {
+      const stats = computeHistoryStats(buildHistory([1, 1, 1, 5, 5, 5]), 3);
+
+      expect(stats.samples).toBe(3);
+      expect(stats.mean).toBe(5);
+    });
+
+    it('should return zeroed stats for empty history', () => {
+      const stats = computeHistoryStats([], 30);
+
+      expect(stats.samples).toBe(0);
+      expect(stats.mean).toBe(0);
+      expect(stats.stdev).toBe(0);
+    });
+  });
+
+  describe('computeWindowStats', () => {
+    it('should return stats keyed by window length', () => {
+      const stats = computeWindowStats(buildHistory([5, 5, 5, 5, 5, 5, 5, 5, 5, 5]), [7, 30]);
+
+      expect(stats[7].samples).toBe(7);
+      expect(stats[30].samples).toBe(10);
+    });
+  });
+
+  describe('volatilityAdjustedApy', () => {
+    it('should subtract k standard deviations from the mean', () => {
+      expect(volatilityAdjustedApy({ mean: 5.5, stdev: 3.5 }, 1)).toBeCloseTo(2.0, 5);
+      expect(volatilityAdjustedApy({ mean: 5.5, stdev: 3.5 }, 0)).toBeCloseTo(5.5, 5);
+    });
+  });
+
+  describe('rankPoolsByHistory', () => {
+    const options = {
+      windowsDays: [7, 30],
+      selectionWindowDays: 30,
+      volatilityPenalty: 1,
+      minSamples: 7,
+      missingHistoryPenalty: 1,
+      historyDir,
+    };
+
+    it('should prefer a steady pool over a volatile one with a higher snapshot', async () => {
+      const pools = [
+        { pool: 'bouncy-pool', symbol: 'USDC', project: 'moonwell-lending', apy: 9.0, score: 9.0 },
+        { pool: 'steady-pool', symbol: 'USDC', project: 'aave-v3', apy: 5.0, score: 5.0 },
+      ];
+
+      const ranked = await rankPoolsByHistory(pools, options);
+
+      expect(ranked[0].pool).toBe('steady-pool');
+      expect(ranked[0].adjustedApy).toBeCloseTo(4.9, 5);
+      expect(ranked[1].adjustedApy).toBeCloseTo(2.0, 5);
+      expect(ranked[0].history.available).toBe(true);
+      expect(ranked[0].history.stats[7].samples).toBe(7);
+    });
+
+    it('should fall back to the penalized snapshot score when history is missing', async () => {
+      const pools = [{ pool: 'missing-pool', symbol: 'USDC', project: 'seamless-v2', apy: 4.0, score: 3.5 }];
+
+      const ranked = await rankPoolsByHistory(pools, options);
+
+      expect(ranked[0].adjustedApy).toBe(2.5);
+      expect(ranked[0].history.available).toBe(false);
+    });
+
+    it('should fall back to the penalized snapshot score when history is too short', async () => {
+      const pools = [{ pool: 'short-pool', symbol: 'USDC', project: 'aave-v3', apy: 6.2, score: 6.2 }];
+
+      const ranked = await rankPoolsByHistory(pools, options);
+
+      expect(ranked[0].adjustedApy).toBeCloseTo(5.2, 5);
+      expect(ranked[0].history.available).toBe(false);
+    });
+
+    it('should not let a pool without history outrank a steady pool on one good snapshot', async () => {
+      const pools = [
+        { pool: 'missing-pool', symbol: 'USDC', project: 'seamless-v2', apy: 5.5, score: 5.5 },
+        { pool: 'steady-pool', symbol: 'USDC', project: 'aave-v3', apy: 5.0, score: 5.0 },
+      ];
+
+      expect((await rankPoolsByHistory(pools, options)).map(pool => pool.pool)).toEqual(['steady-pool', 'missing-pool']);
+      expect((await rankPoolsByHistory(pools, { ...options, missingHistoryPenalty: 0 }))[0].pool).toBe('missing-pool');
+    });
+  });
+});
@@ -3,16 +3,21 @@
  * Tests the complete rotation pipeline with realistic data scenarios
  */
 
+import { fileURLToPath } from 'url';
 import { calculateRotations, prioritizeRotations, getRotationSummary } from '../services/rotator.js';
 import { getCurrentHoldingApy, filterYieldBearingHoldings } from '../services/balances.js';
 import { validateSwap, executeRotations } from '../services/swapper.js';
 import { filterBaseStablecoins, getTopYieldingStable } from '../services/defillama.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+// Registry with DeFiLlama pool ids filled in for the mock pools below
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
 
 describe('Integration: Full Rotation Pipeline', () => {
   // Realistic mock data matching DeFiLlama API response structure
   const mockDeFiLlamaPools = [
     {
-      pool: 'aave-base-usdc-lending',
+      pool: 'aave-base-usdc',
       chain: 'Base',
       project: 'aave-v3',
       symbol: 'USDC',
@@ -22,7 +27,7 @@ describe('Integration: Full Rotation Pipeline', () => {
       underlyingTokens: ['0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913'],
     },
     {
-      pool: 'compound-v3-base-usdc',
+      pool: 'compound-base-usdc',
       chain: 'Base',
       project: 'compound-v3',
       symbol: 'USDC',
@@ -171,7 +176,7 @@ describe('Integration: Full Rotation Pipeline', () => {
 
     it('should identify top yielding stablecoin', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       expect(top.symbol).toBe('USDC');
       expect(top.project).toBe('moonwell-lending');
@@ -184,7 +189,7 @@ describe('Integration: Full Rotation Pipeline', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
       const user = mockSwarmMembers[0];
 
-      const enriched = getCurrentHoldingApy(user.holdings, filtered);
+      const enriched = getCurrentHoldingApy(user.holdings, filtered, registry);
 
       expect(enriched[0].hasYieldData).toBe(true);
       // Should match to a USDC pool (may be address or symbol match)
@@ -195,8 +200,8 @@ describe('Integration: Full Rotation Pipeline', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
       const user = mockSwarmMembers[4]; // User with only ETH
 
-      const enriched = getCurrentHoldingApy(user.holdings, filtered);
-      const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+      const enriched = getCurrentHoldingApy(user.holdings, filtered, registry);
+      const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
 
       expect(yieldBearing.length).toBe(0); // ETH is not yield-bearing
     });
@@ -205,12 +210,12 @@ describe('Integration: Full Rotation Pipeline', () => {
   describe('Step 3: Rotation Calculation', () => {
     it('should calculate rotations for eligible users', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       // Process members like the actual flow does
       const enrichedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filtered);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+        const enriched = getCurrentHoldingApy(member.holdings, filtered, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
         return {
           ...member,
           yieldBearingHoldings: yieldBearing,
@@ -229,11 +234,11 @@ describe('Integration: Full Rotation Pipeline', () => {
 
     it('should prioritize rotations by annual gain', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       const enrichedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filtered);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+        const enriched = getCurrentHoldingApy(member.holdings, filtered, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
         return { ...member, yieldBearingHoldings: yieldBearing };
       });
 
@@ -252,11 +257,11 @@ describe('Integration: Full Rotation Pipeline', () => {
   describe('Step 4: Rotation Summary', () => {
     it('should generate accurate summary statistics', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       const enrichedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filtered);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+        const enriched = getCurrentHoldingApy(member.holdings, filtered, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
         return { ...member, yieldBearingHoldings: yieldBearing };
       });
 
@@ -275,11 +280,11 @@ describe('Integration: Full Rotation Pipeline', () => {
   describe('Step 5: Swap Validation', () => {
     it('should validate rotation parameters before execution', () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       const enrichedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filtered);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+        const enriched = getCurrentHoldingApy(member.holdings, filtered, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
         return { ...member, yieldBearingHoldings: yieldBearing };
       });
 
@@ -298,11 +303,11 @@ describe('Integration: Full Rotation Pipeline', () => {
   describe('Step 6: Swap Execution', () => {
     it('should execute rotations and return results structure', async () => {
       const filtered = filterBaseStablecoins(mockDeFiLlamaPools);
-      const top = getTopYieldingStable(filtered);
+      const top = getTopYieldingStable(filtered, registry);
 
       const enrichedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filtered);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filtered);
+        const enriched = getCurrentHoldingApy(member.holdings, filtered, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filtered, registry);
         return { ...member, yieldBearingHoldings: yieldBearing };
       });
 
@@ -328,14 +333,14 @@ describe('Integration: Full Rotation Pipeline', () => {
       expect(filteredPools.length).toBeGreaterThan(0);
 
       // Step 2: Get best yield
-      const bestPool = getTopYieldingStable(filteredPools);
+      const bestPool = getTopYieldingStable(filteredPools, registry);
       expect(bestPool).not.toBeNull();
       expect(bestPool.apy).toBeGreaterThan(0);
 
       // Step 3: Process members
       const processedMembers = mockSwarmMembers.map(member => {
-        const enriched = getCurrentHoldingApy(member.holdings, filteredPools);
-        const yieldBearing = filterYieldBearingHoldings(enriched, filteredPools);
+        const enriched = getCurrentHoldingApy(member.holdings, filteredPools, registry);
+        const yieldBearing = filterYieldBearingHoldings(enriched, filteredPools, registry);
         return { ...member, yieldBearingHoldings: yieldBearing };
       });
 
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the execution journal
+ * Tests state changes, write-ahead persistence and reconciliation after a crash
+ */
+
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createJournal,
+  loadJournal,
+  updateEntry,
+  getUnfinishedEntries,
+  pruneJournal,
+  createJournalRecorder,
+  reconcileJournal,
+  hasUnresolvedEntry,
+} from '../services/journal.js';
+import { readJsonFile } from '../utils/files.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+
+/**
+ * Build a USDC -> aBasUSDC rotation for one member
+ */
+function buildRotation(overrides = {}) {
+  return {
+    userAddress: '0xMember',
+    membershipId: 'membership-1',
+    fromToken: { symbol: 'USDC', address: '0xUSDC', balance: 1000, balanceUsd: 1000 },
+    toToken: { symbol: 'aBasUSDC', address: '0xAAVE', project: 'aave-v3', pool: 'aave-base-usdc', targetApy: 5.5, targetScore: 5.2 },
+    apyImprovement: 2,
+    ...overrides,
+  };
+}
+
+/**
+ * Build a journal holding one entry per [id, state, transactionIds]
+ */
+function buildJournal(entries) {
+  const journal = createJournal();
+  for (const [id, state, transactionIds = []] of entries) {
+    updateEntry(journal, id, buildRotation({ membershipId: `membership-${id}` }), 'planned', {}, NOW);
+    transactionIds.forEach(transactionId => updateEntry(journal, id, null, 'submitted', { transactionId }, NOW));
+    if (state !== 'submitted' || transactionIds.length === 0) {
+      updateEntry(journal, id, null, state, {}, NOW);
+    }
+  }
+  return journal;
+}
+
+describe('Execution Journal', () => {
+  describe('updateEntry', () => {
+    it('should keep the rotation, every transaction ID and the state history', () => {
+      const journal = createJournal();
+      updateEntry(journal, 'run#1', buildRotation(), 'planned', {}, NOW);
+      updateEntry(journal, 'run#1', null, 'previewed', { route: 'USDC -swap-> aBasUSDC' }, NOW + 1000);
+      updateEntry(journal, 'run#1', null, 'submitted', { transactionId: 'tx-approve' }, NOW + 2000);
+      const entry = updateEntry(journal, 'run#1', null, 'submitted', { transactionId: 'tx-supply' }, NOW + 3000);
+
+      expect(entry).toMatchObject({
+        state: 'submitted',
+        transactionIds: ['tx-approve', 'tx-supply'],
+        route: 'USDC -swap-> aBasUSDC',
+        createdAt: '2026-03-01T12:00:00.000Z',
+        updatedAt: '2026-03-01T12:00:03.000Z',
+      });
+      expect(entry.rotation).toMatchObject({ membershipId: 'membership-1', sellShare: 1, toToken: { pool: 'aave-base-usdc', targetApy: 5.5 } });
+      expect(entry.history.map(step => step.state)).toEqual(['planned', 'previewed', 'submitted', 'submitted']);
+    });
+
+    it('should reject unknown states', () => {
+      expect(() => updateEntry(createJournal(), 'run#1', buildRotation(), 'sent')).toThrow('Unknown journal state: sent');
+    });
+  });
+
+  describe('getUnfinishedEntries and pruneJournal', () => {
+    it('should list open entries and drop old finished ones', () => {
+      const journal = buildJournal([['a', 'submitted', ['tx-a']], ['b', 'confirmed'], ['c', 'failed'], ['d', 'previewed']]);
+
+      expect(getUnfinishedEntries(journal).map(entry => entry.id)).toEqual(['a', 'd']);
+      expect(pruneJournal(journal, { now: NOW + 15 * DAY_MS, keepDays: 14 })).toBe(2);
+      expect(Object.keys(journal.entries)).toEqual(['a', 'd']);
+    });
+  });
+
+  describe('journal files', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'rotation-journal-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should start empty when there is no journal yet', async () => {
+      expect(await loadJournal(path.join(dir, 'missing.json'))).toEqual(createJournal());
+    });
+
+    it('should refuse a journal of another version', async () => {
+      const file = path.join(dir, 'old.json');
+      await writeFile(file, JSON.stringify({ version: 0, entries: {} }));
+
+      await expect(loadJournal(file)).rejects.toThrow('unsupported version 0');
+    });
+
+    it('should have written each state to disk by the time the recorder returns', async () => {
+      const file = path.join(dir, 'journal.json');
+      const record = createJournalRecorder(createJournal(), file, { runId: 'run' });
+      const rotation = buildRotation();
+      const other = buildRotation({ membershipId: 'membership-2' });
+
+      await record(rotation, 'planned');
+      await record(other, 'planned');
+      await record(rotation, 'submitted', { transactionId: 'tx-1' });
+
+      const saved = await readJsonFile(file);
+      expect(saved.entries['run#1']).toMatchObject({ state: 'submitted', transactionIds: ['tx-1'] });
+      expect(saved.entries['run#2']).toMatchObject({ state: 'planned', rotation: { membershipId: 'membership-2' } });
+    });
+  });
+
+  describe('reconcileJournal', () => {
+    it('should settle submitted entries by polling their transactions', async () => {
+      const journal = buildJournal([['ok', 'submitted', ['tx-1', 'tx-2']], ['bad', 'submitted', ['tx-3']], ['busy', 'submitted', ['tx-4']]]);
+      const statuses = { 'tx-1': 'CONFIRMED', 'tx-2': 'CONFIRMED', 'tx-3': 'FAILED', 'tx-4': 'PROCESSING' };
+
+      const settled = await reconcileJournal(journal, { pollTransaction: async id => ({ status: statuses[id] }), now: NOW });
+
+      expect(settled.confirmed.map(entry => entry.id)).toEqual(['ok']);
+      expect(settled.failed.map(entry => entry.id)).toEqual(['bad']);
+      expect(settled.unresolved.map(entry => entry.id)).toEqual(['busy']);
+      expect(journal.entries.bad.error).toBe('transaction tx-3 failed');
+      expect(journal.entries.busy.state).toBe('submitted');
+    });
+
+    it('should fail entries whose transactions reverted or expired, or whose own target failed', async () => {
+      const journal = buildJournal([['reverted', 'submitted', ['tx-1']], ['expired', 'submitted', ['tx-2']], ['member', 'submitted', ['tx-3']]]);
+      const transactions = {
+        'tx-1': { status: 'FAILED', error: 'execution reverted: STF' },
+        'tx-2': { status: 'EXPIRED' },
+        'tx-3': {
+          status: 'CONFIRMED',
+          targets: [
+            { membershipId: 'membership-other', status: 'CONFIRMED' },
+            { membershipId: 'membership-member', status: 'FAILED', error: 'insufficient balance' },
+          ],
+        },
+      };
+
+      const settled = await reconcileJournal(journal, { pollTransaction: async id => transactions[id], now: NOW });
+
+      expect(settled.failed.map(entry => entry.id)).toEqual(['reverted', 'expired', 'member']);
+      expect(journal.entries.reverted.error).toBe('transaction tx-1 reverted');
+      expect(journal.entries.expired.error).toBe('transaction tx-2 expired');
+      expect(journal.entries.member.error).toBe('transaction tx-3 failed');
+    });
+
+    it('should only confirm routes whose last leg was submitted and confirmed', async () => {
+      const journal = createJournal();
+      const legs = [{ key: 'withdraw mDAI -> DAI', to: 'DAI' }, { key: 'swap DAI -> USDC', to: 'USDC' }];
+      const approval = [{ key: 'deposit USDC -> cUSDCv3', to: 'cUSDCv3' }];
+      const submit = (id, rotation, routeLegs, transactions) => {
+        updateEntry(journal, id, rotation, 'previewed', { route: id, legs: routeLegs }, NOW);
+        transactions.forEach(details => updateEntry(journal, id, null, 'submitted', details, NOW));
+      };
+      // Crashed after the first leg, before the second was submitted
+      submit('hop', buildRotation({ membershipId: 'membership-hop' }), legs, [{ transactionId: 'tx-1', leg: 0, last: true }]);
+      // Crashed after the approval, before the deposit was submitted
+      submit('deposit', buildRotation({ membershipId: 'membership-deposit' }), approval, [{ transactionId: 'tx-2', leg: 0, last: false }]);
+      submit('done', buildRotation({ membershipId: 'membership-done' }), legs, [
+        { transactionId: 'tx-3', leg: 0, last: true },
+        { transactionId: 'tx-4', leg: 1, last: true },
+      ]);
+
+      const settled = await reconcileJournal(journal, { pollTransaction: async () => ({ status: 'CONFIRMED' }), now: NOW });
+
+      expect(settled.confirmed.map(entry => entry.id)).toEqual(['done']);
+      expect(settled.failed.map(entry => entry.id)).toEqual(['hop', 'deposit']);
+      expect(journal.entries.hop).toMatchObject({
+        state: 'failed',
+        error: 'interrupted after leg 1 of 2; the funds were left in DAI',
+        strandedToken: 'DAI',
+      });
+      expect(journal.entries.deposit).toMatchObject({
+        state: 'failed',
+        error: 'interrupted during deposit USDC -> cUSDCv3, before it finished; nothing was swapped',
+        strandedToken: null,
+      });
+    });
+
+    it('should fail entries interrupted before anything was submitted', async () => {
+      const journal = buildJournal([['early', 'previewed']]);
+      const polled = [];
+
+      const settled = await reconcileJournal(journal, { pollTransaction: async id => polled.push(id), now: NOW });
+
+      expect(polled).toEqual([]);
+      expect(settled.failed).toHaveLength(1);
+      expect(journal.entries.early).toMatchObject({ state: 'failed', error: 'interrupted while previewed, before anything was submitted' });
+    });
+
+    it('should leave entries open when their transactions cannot be polled', async () => {
+      const journal = buildJournal([['lost', 'submitted', ['tx-1']]]);
+
+      const settled = await reconcileJournal(journal, { pollTransaction: async () => { throw new Error('API down'); }, now: NOW });
+
+      expect(settled.unresolved.map(entry => entry.id)).toEqual(['lost']);
+      expect(journal.entries.lost.state).toBe('submitted');
+    });
+  });
+
+  describe('hasUnresolvedEntry', () => {
+    it('should match rotations of a member with an open swap', () => {
+      const unresolved = getUnfinishedEntries(buildJournal([['open', 'submitted', ['tx-1']]]));
+
+      expect(hasUnresolvedEntry(unresolved, buildRotation({ membershipId: 'membership-open' }))).toBe(true);
+      expect(hasUnresolvedEntry(unresolved, buildRotation({ membershipId: 'membership-2', userAddress: '0xOther' }))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the per-member rotation ledger
+ * Tests entry tracking, the minimum holding period and the hysteresis band
+ */
+
+import { mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createLedger,
+  loadLedger,
+  saveLedger,
+  getPositionEntry,
+  getExitRule,
+  recordRotations,
+} from '../services/ledger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ENTERED = Date.parse('2026-03-01T00:00:00.000Z');
+
+const rules = { minApyImprovement: 0.5, minHoldingDays: 3, hysteresisBand: 0.5, hysteresisWindowDays: 14 };
+
+/**
+ * Build an executed USDC -> aBasUSDC rotation for one member
+ */
+function buildExecuted(overrides = {}) {
+  return {
+    rotation: {
+      userAddress: '0xmember',
+      membershipId: 'membership-1',
+      fromToken: { symbol: 'USDC', address: '0xUSDC' },
+      toToken: { symbol: 'aBasUSDC', address: '0xAAVE', project: 'aave-v3', pool: 'aave-base-usdc', targetApy: 5.5, targetScore: 5.2 },
+      ...overrides,
+    },
+    result: { success: true },
+  };
+}
+
+describe('Rotation Ledger', () => {
+  describe('recordRotations', () => {
+    it('should record the entry pool, time and APY per member', () => {
+      const ledger = recordRotations(createLedger(), [buildExecuted()], ENTERED);
+
+      expect(getPositionEntry(ledger, { membershipId: 'membership-1' }, '0xaave')).toEqual({
+        pool: 'aave-base-usdc',
+        project: 'aave-v3',
+        symbol: 'aBasUSDC',
+        tokenAddress: '0xAAVE',
+        enteredAt: '2026-03-01T00:00:00.000Z',
+        entryApy: 5.5,
+        entryScore: 5.2,
+      });
+      expect(ledger.members['membership-1'].lastRotation).toMatchObject({ from: 'USDC', to: 'aBasUSDC', pool: 'aave-base-usdc' });
+    });
+
+    it('should drop a source position only once all of it has been sold', () => {
+      let ledger = recordRotations(createLedger(), [buildExecuted()], ENTERED);
+      const leaveAave = {
+        fromToken: { symbol: 'aBasUSDC', address: '0xAAVE' },
+        toToken: { symbol: 'mUSDC', address: '0xMOON', project: 'moonwell-lending', pool: 'moonwell-base-usdc', targetApy: 7 },
+      };
+
+      ledger = recordRotations(ledger, [buildExecuted({ ...leaveAave, sellShare: 0.5 })], ENTERED + 20 * DAY_MS);
+      expect(getPositionEntry(ledger, { membershipId: 'membership-1' }, '0xaave')).not.toBeNull();
+
+      ledger = recordRotations(ledger, [buildExecuted(leaveAave)], ENTERED + 21 * DAY_MS);
+      expect(getPositionEntry(ledger, { membershipId: 'membership-1' }, '0xaave')).toBeNull();
+      expect(getPositionEntry(ledger, { membershipId: 'membership-1' }, '0xmoon').entryApy).toBe(7);
+    });
+
+    it('should not modify the ledger it is given', () => {
+      const ledger = createLedger();
+      recordRotations(ledger, [buildExecuted()], ENTERED);
+      expect(ledger).toEqual(createLedger());
+    });
+  });
+
+  describe('getExitRule', () => {
+    const entry = { enteredAt: new Date(ENTERED).toISOString() };
+
+    it('should lock a position inside the minimum holding period', () => {
+      expect(getExitRule(entry, { ...rules, now: ENTERED + 2 * DAY_MS })).toMatchObject({ locked: true, heldDays: 2 });
+    });
+
+    it('should require the hysteresis band within the window', () => {
+      expect(getExitRule(entry, { ...rules, now: ENTERED + 5 * DAY_MS })).toMatchObject({ locked: false, threshold: 1.0 });
+    });
+
+    it('should fall back to the normal threshold after the window', () => {
+      expect(getExitRule(entry, { ...rules, now: ENTERED + 15 * DAY_MS })).toMatchObject({ locked: false, threshold: 0.5 });
+    });
+
+    it('should apply the normal threshold to positions it has no record of', () => {
+      expect(getExitRule(null, rules)).toEqual({ locked: false, threshold: 0.5, heldDays: null });
+    });
+  });
+
+  describe('persistence', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'rotation-ledger-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should start from an empty ledger when no file exists', async () => {
+      expect(await loadLedger(path.join(dir, 'missing.json'))).toEqual(createLedger());
+    });
+
+    it('should round-trip entries between runs', async () => {
+      const file = path.join(dir, 'rotations-base.json');
+      await saveLedger(recordRotations(createLedger(), [buildExecuted()], ENTERED), file);
+
+      const loaded = await loadLedger(file);
+      expect(getPositionEntry(loaded, { membershipId: 'membership-1' }, '0xAAVE').enteredAt).toBe('2026-03-01T00:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Unit tests for the on-chain rate reader
+ * Contract reads go to a local JSON-RPC stub that answers eth_call by target and selector
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { Interface } from 'ethers';
+import {
+  createProvider,
+  getLookbackBlocks,
+  aaveLiquidityRateToApy,
+  supplyRatePerTimestampToApy,
+  sharePriceGrowthToApy,
+  readOnchainApy,
+  readUnderlyingPerToken,
+  readTokenBalance,
+  crossCheckPool,
+  crossCheckPools,
+} from '../services/onchain.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const A_BAS_USDC = '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB';
+const M_USDC = '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22';
+const AAVE_POOL = '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5';
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const VAULT = '0x1111111111111111111111111111111111111111';
+
+const iface = new Interface([
+  'function POOL() view returns (address)',
+  'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+  'function supplyRatePerTimestamp() view returns (uint256)',
+  'function exchangeRateStored() view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+  'function balanceOf(address account) view returns (uint256)',
+]);
+
+// 5% APR in ray and a per-second rate worth roughly 6% APY
+const AAVE_LIQUIDITY_RATE = 5n * 10n ** 25n;
+const MOONWELL_RATE = 1847694000n;
+
+// 0.0215 USDC per mUSDC, scaled by 1e(18 - 8 + 6)
+const MOONWELL_EXCHANGE_RATE = 215n * 10n ** 12n;
+
+const BLOCKS = {
+  latest: { number: 1000, timestamp: 1700000000 + 7 * 86400 },
+  earlier: { number: 900, timestamp: 1700000000 },
+};
+
+/**
+ * Answer an eth_call from the stubbed contract state
+ */
+function answerCall({ to, data }, blockTag) {
+  const target = to.toLowerCase();
+  const fn = iface.parseTransaction({ data });
+
+  if (target === A_BAS_USDC.toLowerCase() && fn.name === 'POOL') {
+    return iface.encodeFunctionResult('POOL', [AAVE_POOL]);
+  }
+  if (target === A_BAS_USDC.toLowerCase() && fn.name === 'UNDERLYING_ASSET_ADDRESS') {
+    return iface.encodeFunctionResult('UNDERLYING_ASSET_ADDRESS', [USDC]);
+  }
+  if (target === AAVE_POOL.toLowerCase() && fn.name === 'getReserveData') {
+    const zero = '0x0000000000000000000000000000000000000000';
+    return iface.encodeFunctionResult('getReserveData', [[
+      0n, 10n ** 27n, AAVE_LIQUIDITY_RATE, 10n ** 27n, 0n, 0n, BLOCKS.latest.timestamp, 1,
+      A_BAS_USDC, zero, zero, zero, 0n, 0n, 0n,
+    ]]);
+  }
+  if (target === M_USDC.toLowerCase() && fn.name === 'supplyRatePerTimestamp') {
+    return iface.encodeFunctionResult('supplyRatePerTimestamp', [MOONWELL_RATE]);
+  }
+  if (target === M_USDC.toLowerCase() && fn.name === 'exchangeRateStored') {
+    return iface.encodeFunctionResult('exchangeRateStored', [MOONWELL_EXCHANGE_RATE]);
+  }
+  if (target === VAULT.toLowerCase() && fn.name === 'decimals') {
+    return iface.encodeFunctionResult('decimals', [6]);
+  }
+  if (target === VAULT.toLowerCase() && fn.name === 'convertToAssets') {
+    // Share price grew 0.1% over the week
+    const price = Number(blockTag) === BLOCKS.earlier.number ? 1000000n : 1001000n;
+    return iface.encodeFunctionResult('convertToAssets', [price]);
+  }
+  if (target === USDC.toLowerCase() && fn.name === 'balanceOf') {
+    return iface.encodeFunctionResult('balanceOf', [fn.args[0] === VAULT ? 1234567n : 0n]);
+  }
+  return null;
+}
+
+/**
+ * Handle a single JSON-RPC request
+ */
+function handleRpc({ id, method, params }) {
+  switch (method) {
+    case 'eth_chainId':
+      return { jsonrpc: '2.0', id, result: '0x2105' };
+    case 'eth_blockNumber':
+      return { jsonrpc: '2.0', id, result: `0x${BLOCKS.latest.number.toString(16)}` };
+    case 'eth_getBlockByNumber': {
+      const block = params[0] === 'latest' || Number(params[0]) === BLOCKS.latest.number
+        ? BLOCKS.latest
+        : BLOCKS.earlier;
+      return {
+        jsonrpc: '2.0',
+        id,
+        result: {
+          number: `0x${block.number.toString(16)}`,
+          timestamp: `0x${block.timestamp.toString(16)}`,
+          hash: `0x${block.number.toString(16).padStart(64, '0')}`,
+          parentHash: `0x${'0'.repeat(64)}`,
+          nonce: '0x0000000000000000',
+          difficulty: '0x0',
+          gasLimit: '0x0',
+          gasUsed: '0x0',
+          miner: '0x0000000000000000000000000000000000000000',
+          extraData: '0x',
+          transactions: [],
+        },
+      };
+    }
+    case 'eth_call': {
+      const result = answerCall(params[0], params[1]);
+      return result
+        ? { jsonrpc: '2.0', id, result }
+        : { jsonrpc: '2.0', id, error: { code: 3, message: 'execution reverted', data: '0x' } };
+    }
+    default:
+      return { jsonrpc: '2.0', id, error: { code: -32601, message: `Method ${method} not supported` } };
+  }
+}
+
+describe('On-chain Rate Reader', () => {
+  let server;
+  let provider;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        const response = Array.isArray(payload) ? payload.map(handleRpc) : handleRpc(payload);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    provider = createProvider(`http://127.0.0.1:${server.address().port}`);
+  });
+
+  afterAll(async () => {
+    provider.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('rate conversions', () => {
+    it('should compound an Aave ray liquidity rate per second', () => {
+      const apy = aaveLiquidityRateToApy(AAVE_LIQUIDITY_RATE);
+      expect(apy).toBeCloseTo((Math.exp(0.05) - 1) * 100, 3);
+    });
+
+    it('should convert a per-timestamp supply rate to APY', () => {
+      expect(supplyRatePerTimestampToApy(MOONWELL_RATE)).toBeCloseTo(6.0, 2);
+      expect(supplyRatePerTimestampToApy(0n)).toBe(0);
+    });
+
+    it('should annualize ERC-4626 share-price growth', () => {
+      const apy = sharePriceGrowthToApy(1000000n, 1001000n, 7 * 86400);
+      expect(apy).toBeCloseTo((Math.pow(1.001, SECONDS_PER_YEAR / (7 * 86400)) - 1) * 100, 6);
+    });
+
+    it('should size the share-price lookback by the chain block time', () => {
+      expect(getLookbackBlocks({ blockTimeSeconds: 2 }, 7)).toBe(302400);
+      expect(getLookbackBlocks({ blockTimeSeconds: 12 }, 7)).toBe(50400);
+    });
+
+    it('should reject share-price growth without a positive window', () => {
+      expect(() => sharePriceGrowthToApy(0n, 1n, 100)).toThrow();
+      expect(() => sharePriceGrowthToApy(1n, 1n, 0)).toThrow();
+    });
+  });
+
+  describe('readOnchainApy', () => {
+    it('should read an Aave V3 reserve liquidity rate', async () => {
+      const apy = await readOnchainApy({ symbol: 'aBasUSDC', address: A_BAS_USDC, rateModel: 'aave-v3' }, { provider });
+      expect(apy).toBeCloseTo(aaveLiquidityRateToApy(AAVE_LIQUIDITY_RATE), 6);
+    });
+
+    it('should read a Moonwell supply rate per timestamp', async () => {
+      const apy = await readOnchainApy({ symbol: 'mUSDC', address: M_USDC, rateModel: 'moonwell' }, { provider });
+      expect(apy).toBeCloseTo(6.0, 2);
+    });
+
+    it('should read ERC-4626 share-price growth between two blocks', async () => {
+      const apy = await readOnchainApy(
+        { symbol: 'vUSDC', address: VAULT, rateModel: 'erc4626' },
+        { provider, lookbackBlocks: BLOCKS.latest.number - BLOCKS.earlier.number }
+      );
+      expect(apy).toBeCloseTo(sharePriceGrowthToApy(1000000n, 1001000n, 7 * 86400), 6);
+    });
+
+    it('should throw for tokens without a rate model', async () => {
+      await expect(readOnchainApy({ symbol: 'USDC', address: USDC, rateModel: null }, { provider }))
+        .rejects.toThrow('no on-chain rate model');
+    });
+  });
+
+  describe('readUnderlyingPerToken', () => {
+    const mUsdc = registry.tokens.find(t => t.symbol === 'mUSDC');
+
+    it('should value rebasing aTokens and Comet balances 1:1', async () => {
+      const aUsdc = registry.tokens.find(t => t.symbol === 'aBasUSDC');
+      expect(await readUnderlyingPerToken(aUsdc, { provider, registry })).toBe(1);
+    });
+
+    it('should scale a Moonwell exchange rate by the token decimals', async () => {
+      expect(await readUnderlyingPerToken(mUsdc, { provider, registry })).toBeCloseTo(0.0215, 10);
+    });
+
+    it('should value ERC-4626 shares with convertToAssets', async () => {
+      const vault = { symbol: 'vUSDC', chain: 'Base', address: VAULT, decimals: 6, underlying: 'USDC', rateModel: 'erc4626' };
+      expect(await readUnderlyingPerToken(vault, { provider, registry })).toBeCloseTo(1.001, 10);
+    });
+  });
+
+  describe('readTokenBalance', () => {
+    it('should read the raw ERC-20 balance of an account', async () => {
+      expect(await readTokenBalance({ address: USDC }, VAULT, { provider })).toBe(1234567n);
+    });
+  });
+
+  describe('crossCheckPool', () => {
+    it('should verify a pool whose DeFiLlama APY is within tolerance', async () => {
+      const pool = { pool: 'moonwell-base-usdc', symbol: 'USDC', project: 'moonwell-lending', apy: 6.4, apyBase: 5.6 };
+      const result = await crossCheckPool(pool, { provider, registry, tolerance: 1.0 });
+
+      expect(result.status).toBe('verified');
+      expect(result.defillamaApy).toBe(5.6);
+      expect(result.difference).toBeCloseTo(0.4, 1);
+    });
+
+    it('should flag a pool whose APY disagrees beyond tolerance', async () => {
+      const pool = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', apy: 11.0, apyBase: 11.0 };
+      const result = await crossCheckPool(pool, { provider, registry, tolerance: 1.0 });
+
+      expect(result.status).toBe('mismatch');
+      expect(result.reason).toContain('on-chain');
+    });
+
+    it('should mark pools whose rate cannot be read as unverified', async () => {
+      // mDAI is registered but the stub reverts every call to it
+      const pool = { pool: 'moonwell-base-dai', symbol: 'DAI', project: 'moonwell-lending', apy: 4.0 };
+      const result = await crossCheckPool(pool, { provider, registry });
+
+      expect(result.status).toBe('unverified');
+      expect(result.reason).toContain('on-chain read failed');
+    });
+
+    it('should mark pools without a registered token as unverified', async () => {
+      const result = await crossCheckPool({ pool: 'unknown', symbol: 'USDC', apy: 5 }, { provider, registry });
+      expect(result.status).toBe('unverified');
+    });
+  });
+
+  describe('crossCheckPools', () => {
+    const pools = [
+      { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', apy: 11.0, apyBase: 11.0 },
+      { pool: 'moonwell-base-usdc', symbol: 'USDC', project: 'moonwell-lending', apy: 6.0, apyBase: 6.0 },
+      { pool: 'moonwell-base-dai', symbol: 'DAI', project: 'moonwell-lending', apy: 4.0 },
+    ];
+
+    it('should drop mismatched pools and keep order', async () => {
+      const result = await crossCheckPools(pools, { provider, registry, tolerance: 1.0, requireVerification: false });
+
+      expect(result.pools.map(p => p.pool)).toEqual(['moonwell-base-usdc', 'moonwell-base-dai']);
+      expect(result.pools[0].onchainApy).toBeCloseTo(6.0, 2);
+      expect(result.rejected.map(p => p.pool)).toEqual(['aave-base-usdc']);
+    });
+
+    it('should also drop unverified pools when verification is required', async () => {
+      const result = await crossCheckPools(pools, { provider, registry, tolerance: 1.0, requireVerification: true });
+
+      expect(result.pools.map(p => p.pool)).toEqual(['moonwell-base-usdc']);
+      expect(result.rejected).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for rotation plans
+ * Tests plan contents, the plan file round trip and drift checks before apply
+ */
+
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  PLAN_VERSION,
+  getRotationReason,
+  buildPlan,
+  writePlan,
+  readPlan,
+  checkPlanDrift,
+} from '../services/plans.js';
+import { resolveStrategy } from '../services/strategies.js';
+import { scorePool } from '../services/defillama.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00.000Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const profile = { key: 'base', name: 'Base', chainId: 8453, swarmId: 'swarm-1' };
+const AAVE = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0xAAVE', apy: 5.0, score: 5.0, tvlUsd: 1000000, riskTier: 1 };
+
+/**
+ * Build a planned rotation of a member's whole USDC balance into aave
+ */
+function buildRotation(overrides = {}) {
+  return {
+    userAddress: '0xMember',
+    membershipId: 'membership-1',
+    fromToken: { symbol: 'USDC', address: '0xUSDC', balance: 1000, balanceUsd: 1000, currentApy: 0, currentScore: 0, asset: 'USDC' },
+    toToken: { symbol: 'USDC', address: '0xAAVE', project: 'aave-v3', pool: 'aave-base-usdc', targetApy: 5.0, targetScore: 5.0, asset: 'USDC' },
+    crossAsset: false,
+    requiredImprovement: 0.5,
+    apyImprovement: 5.0,
+    estimatedAnnualGainUsd: 50,
+    ...overrides,
+  };
+}
+
+/**
+ * Current state matching buildRotation()
+ */
+function buildCurrent({ balance = 1000, currentApy = 0, currentScore = 0, targetApy = 5.0 } = {}) {
+  return {
+    members: [{ address: '0xmember', membershipId: 'membership-1', yieldBearingHoldings: [{ symbol: 'USDC', address: '0xusdc', balance, currentApy, currentScore }] }],
+    pools: [{ pool: 'aave-base-usdc', apy: targetApy }],
+  };
+}
+
+describe('Rotation Plans', () => {
+  describe('getRotationReason', () => {
+    it('should explain the gain, the threshold and the payback', () => {
+      const rotation = buildRotation({ breakEven: { totalCostUsd: 1.25, paybackDays: 9.13 } });
+      expect(getRotationReason(rotation)).toBe('+5.00% score, 0.00% -> 5.00% (needs +0.50%); cost $1.25, payback 9.1 days');
+    });
+
+    it('should mention caps, asset crossings and chunks', () => {
+      const rotation = buildRotation({ capEnforced: true, crossAsset: true, toToken: { ...buildRotation().toToken, asset: 'DAI' }, chunk: 2, chunks: 4 });
+      expect(getRotationReason(rotation)).toContain('brings the position back under an allocation cap');
+      expect(getRotationReason(rotation)).toContain('crosses USDC -> DAI');
+      expect(getRotationReason(rotation)).toContain('chunk 2 of 4');
+    });
+  });
+
+  describe('buildPlan', () => {
+    it('should record the chain, strategy, inputs, pools and numbered rotations', () => {
+      const plan = buildPlan({
+        profile,
+        strategy: resolveStrategy('greedy', {}),
+        yieldData: { source: 'api', fetchedAt: '2026-03-01T11:55:00.000Z' },
+        pools: [AAVE],
+        rotations: [buildRotation(), buildRotation({ userAddress: '0xOther', membershipId: 'membership-2' })],
+        skipped: [{ rotation: buildRotation(), reason: 'payback never' }],
+        now: NOW,
+      });
+
+      expect(plan).toMatchObject({
+        version: PLAN_VERSION,
+        createdAt: '2026-03-01T12:00:00.000Z',
+        chain: { key: 'base', swarmId: 'swarm-1' },
+        strategy: { name: 'greedy', params: { minApyImprovement: 0.5 } },
+        inputs: { yieldSource: 'api', minApyImprovement: 0.5 },
+        pools: [{ pool: 'aave-base-usdc', riskTier: 1 }],
+        carried: [],
+      });
+      expect(plan.rotations.map(rotation => [rotation.step, rotation.userAddress])).toEqual([[1, '0xMember'], [2, '0xOther']]);
+      expect(plan.rotations[0].reason).toContain('+5.00% score');
+      expect(plan.skipped).toEqual([{ userAddress: '0xMember', membershipId: 'membership-1', from: 'USDC', to: 'USDC', amountUsd: 1000, reason: 'payback never' }]);
+    });
+  });
+
+  describe('plan files', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(path.join(os.tmpdir(), 'rotation-plan-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should read back what was written', async () => {
+      const plan = buildPlan({ profile, strategy: resolveStrategy('greedy', {}), rotations: [buildRotation()], now: NOW });
+      const file = await writePlan(plan, path.join(dir, 'plan.json'));
+
+      expect(await readPlan(file)).toEqual(plan);
+    });
+
+    it('should refuse plans of another version', async () => {
+      const file = path.join(dir, 'old.json');
+      await writeFile(file, JSON.stringify({ version: 0, chain: { key: 'base' }, rotations: [] }));
+
+      await expect(readPlan(file)).rejects.toThrow('unsupported version 0');
+    });
+  });
+
+  describe('checkPlanDrift', () => {
+    const plan = buildPlan({ profile, strategy: resolveStrategy('greedy', {}), rotations: [buildRotation()], now: NOW });
+    const tolerances = { now: NOW + HOUR_MS, maxAgeHours: 24, balanceTolerancePct: 2, apyTolerance: 0.25 };
+
+    it('should pass a plan whose balances and scores moved within the tolerances', () => {
+      const drift = checkPlanDrift(plan, buildCurrent({ balance: 1010, targetApy: 5.2 }), tolerances);
+
+      expect(drift).toEqual({ ageHours: 1, expired: false, drifted: [] });
+    });
+
+    it('should flag balance changes beyond the tolerance', () => {
+      const drift = checkPlanDrift(plan, buildCurrent({ balance: 900 }), tolerances);
+      expect(drift.drifted[0].reasons).toEqual(['balance changed 10.0% (1000 -> 900)']);
+    });
+
+    it('should flag source and target score moves beyond the tolerance', () => {
+      const drift = checkPlanDrift(plan, buildCurrent({ currentApy: 1.0, currentScore: 1.0, targetApy: 4.5 }), tolerances);
+      expect(drift.drifted[0].reasons).toEqual([
+        'USDC score moved 0.00% -> 1.00%',
+        'USDC (aave-v3) score moved 5.00% -> 4.50%',
+      ]);
+    });
+
+    it('should compare the scores rotations were chosen on rather than raw APYs', () => {
+      const current = buildCurrent({ currentApy: 2.0 });
+      const rewarded = { pool: 'aave-base-usdc', apy: 5.0, apyBase: 2.0, apyReward: 3.0 };
+      const drift = checkPlanDrift(plan, { ...current, pools: [rewarded] }, tolerances);
+
+      expect(drift.drifted[0].reasons).toEqual([`USDC (aave-v3) score moved 5.00% -> ${scorePool(rewarded).score.toFixed(2)}%`]);
+    });
+
+    it('should flag targets that no longer pass screening', () => {
+      const current = buildCurrent();
+
+      expect(checkPlanDrift(plan, { ...current, screenedPools: [AAVE] }, tolerances).drifted).toEqual([]);
+      expect(checkPlanDrift(plan, { ...current, screenedPools: [] }, tolerances).drifted[0].reasons).toEqual([
+        'USDC (aave-v3) no longer passes screening (risk policy, anomaly quarantine or on-chain check)',
+      ]);
+    });
+
+    it('should flag holdings and pools that disappeared', () => {
+      const drift = checkPlanDrift(plan, { members: [], pools: [] }, tolerances);
+      expect(drift.drifted[0].reasons).toEqual(['USDC holding no longer found', 'target pool aave-base-usdc no longer listed']);
+    });
+
+    it('should expire old plans', () => {
+      expect(checkPlanDrift(plan, buildCurrent(), { ...tolerances, now: NOW + 25 * HOUR_MS }).expired).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for the token registry
+ * Validates the shipped registry file and the schema rules
+ */
+
+import {
+  validateTokenRegistry,
+  loadTokenRegistry,
+  getTokenRegistry,
+  getTokens,
+  findTokenByAddress,
+  getStablecoinForSymbol,
+  getUnderlyingAsset,
+  buildSymbolAddressMap,
+  buildTokenAddressMap,
+  buildYieldBearingPattern,
+} from '../services/registry.js';
+
+function buildRegistry(tokens) {
+  return {
+    version: 1,
+    symbolPatterns: { yieldBearingPrefixes: ['a', 'm'], stablecoins: ['USDC', 'DAI'] },
+    tokens,
+  };
+}
+
+const usdc = {
+  symbol: 'USDC',
+  chain: 'Base',
+  address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+  decimals: 6,
+  kind: 'stablecoin',
+  underlying: null,
+  protocol: null,
+  defillamaPoolId: null,
+  swappability: 'dex',
+  notes: '',
+};
+
+const aUsdc = {
+  symbol: 'aBasUSDC',
+  chain: 'Base',
+  address: '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB',
+  decimals: 6,
+  kind: 'yield-bearing',
+  underlying: 'USDC',
+  protocol: 'aave-v3',
+  defillamaPoolId: 'aave-base-usdc',
+  swappability: 'dex',
+  notes: '',
+};
+
+describe('Token Registry', () => {
+  describe('shipped registry', () => {
+    it('should load and pass schema validation', () => {
+      const registry = loadTokenRegistry();
+
+      expect(registry.version).toBe(1);
+      expect(validateTokenRegistry(registry).valid).toBe(true);
+    });
+
+    it('should contain the Base stablecoins and yield tokens', () => {
+      const symbols = getTokens({ chain: 'Base' }).map(t => t.symbol);
+
+      expect(symbols).toEqual(expect.arrayContaining(['USDC', 'USDbC', 'DAI', 'aBasUSDC', 'mUSDC', 'mDAI', 'sUSDC', 'cUSDCv3']));
+    });
+
+    it('should contain a USDC for every chain profile', () => {
+      for (const chain of ['Base', 'Arbitrum', 'Optimism', 'Ethereum']) {
+        expect(getTokens({ chain, kind: 'stablecoin' }).map(t => t.symbol)).toContain('USDC');
+      }
+    });
+
+    it('should mark deposit-only tokens as not DEX-swappable', () => {
+      const depositOnly = getTokens({ chain: 'Base', swappability: 'deposit-only' }).map(t => t.symbol);
+
+      expect(depositOnly).toEqual(expect.arrayContaining(['cUSDCv3', 'aBasUSDbC', 'mUSDbC']));
+    });
+  });
+
+  describe('validateTokenRegistry', () => {
+    it('should accept a valid registry', () => {
+      const result = validateTokenRegistry(buildRegistry([usdc, aUsdc]));
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toHaveLength(0);
+    });
+
+    it('should reject an unsupported version', () => {
+      const result = validateTokenRegistry({ ...buildRegistry([usdc]), version: 2 });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Unsupported registry version');
+    });
+
+    it('should reject invalid addresses and decimals', () => {
+      const result = validateTokenRegistry(buildRegistry([{ ...usdc, address: '0x1234', decimals: 6.5 }]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('address must be'),
+        expect.stringContaining('decimals must be'),
+      ]));
+    });
+
+    it('should reject unknown kinds and swappability values', () => {
+      const result = validateTokenRegistry(buildRegistry([{ ...usdc, kind: 'meme', swappability: 'maybe' }]));
+
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('kind must be'),
+        expect.stringContaining('swappability must be'),
+      ]));
+    });
+
+    it('should accept known rate models and reject unknown ones', () => {
+      expect(validateTokenRegistry(buildRegistry([usdc, { ...aUsdc, rateModel: 'aave-v3' }])).valid).toBe(true);
+
+      const result = validateTokenRegistry(buildRegistry([usdc, { ...aUsdc, rateModel: 'magic' }]));
+      expect(result.errors[0]).toContain('rateModel must be');
+    });
+
+    it('should accept a deposit contract address and reject anything else', () => {
+      expect(validateTokenRegistry(buildRegistry([usdc, { ...aUsdc, depositContract: '0xA238Dd80C259a72e81d7e4664a9801593F98d1c5' }])).valid).toBe(true);
+
+      const result = validateTokenRegistry(buildRegistry([usdc, { ...aUsdc, depositContract: 'aave-pool' }]));
+      expect(result.errors[0]).toContain('depositContract must be');
+    });
+
+    it('should require underlying and protocol for yield-bearing tokens', () => {
+      const result = validateTokenRegistry(buildRegistry([usdc, { ...aUsdc, protocol: null }]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('require underlying and protocol');
+    });
+
+    it('should reject an underlying asset that is not registered', () => {
+      const result = validateTokenRegistry(buildRegistry([aUsdc]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('underlying USDC is not registered');
+    });
+
+    it('should reject duplicate addresses on the same chain', () => {
+      const result = validateTokenRegistry(buildRegistry([usdc, { ...usdc, symbol: 'USDC2' }]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Duplicate address');
+    });
+
+    it('should reject duplicate DeFiLlama pool ids', () => {
+      const other = { ...aUsdc, symbol: 'mUSDC', address: '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22' };
+      const result = validateTokenRegistry(buildRegistry([usdc, aUsdc, other]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Duplicate DeFiLlama pool id');
+    });
+  });
+
+  describe('lookups', () => {
+    const registry = buildRegistry([usdc, aUsdc]);
+
+    it('should find tokens by address case-insensitively', () => {
+      const token = findTokenByAddress(aUsdc.address.toLowerCase(), registry);
+      expect(token.symbol).toBe('aBasUSDC');
+    });
+
+    it('should return null for unknown addresses', () => {
+      expect(findTokenByAddress('0x0000000000000000000000000000000000000000', registry)).toBeNull();
+    });
+
+    it('should find addresses shared by several chains on the requested chain', () => {
+      const shipped = getTokenRegistry();
+      const weth = '0x4200000000000000000000000000000000000006';
+      const dai = '0xDA10009cBd5D07dd0CeCc66161FC93D7c9000da1';
+
+      expect(findTokenByAddress(weth, shipped, 'Base').chain).toBe('Base');
+      expect(findTokenByAddress(weth, shipped, 'Optimism').chain).toBe('Optimism');
+      expect(findTokenByAddress(dai, shipped, 'Optimism').chain).toBe('Optimism');
+      expect(findTokenByAddress(dai, shipped, 'Base')).toBeNull();
+      expect(getUnderlyingAsset(dai, shipped, 'Arbitrum')).toBe('DAI');
+    });
+
+    it('should resolve the stablecoin a registered token is or wraps', () => {
+      expect(getUnderlyingAsset(usdc.address, registry)).toBe('USDC');
+      expect(getUnderlyingAsset(aUsdc.address.toLowerCase(), registry)).toBe('USDC');
+      expect(getUnderlyingAsset('0x0000000000000000000000000000000000000000', registry)).toBeNull();
+    });
+
+    it('should resolve stablecoin and yield-bearing symbols to the registry spelling', () => {
+      expect(getStablecoinForSymbol('usdc', registry)).toBe('USDC');
+      expect(getStablecoinForSymbol('mDAI', registry)).toBe('DAI');
+      expect(getStablecoinForSymbol('WETH', registry)).toBeNull();
+    });
+
+    it('should build a symbol to address map', () => {
+      const map = buildSymbolAddressMap({ chain: 'Base', kind: 'stablecoin' }, registry);
+      expect(map).toEqual({ USDC: usdc.address });
+    });
+
+    it('should build the project to underlying token address map', () => {
+      const map = buildTokenAddressMap('Base', registry);
+      expect(map).toEqual({ 'aave-v3': { USDC: aUsdc.address } });
+    });
+
+    it('should exclude deposit-only tokens from the token address map', () => {
+      const map = buildTokenAddressMap('Base', getTokenRegistry());
+      const addresses = Object.values(map).flatMap(Object.values);
+
+      expect(addresses).not.toContain('0xb125E6687d4313864e53df431d5425969c15Eb2F'); // cUSDCv3
+    });
+
+    it('should build the yield-bearing symbol pattern from the registry', () => {
+      const pattern = buildYieldBearingPattern(registry);
+
+      expect(pattern.test('aUSDC')).toBe(true);
+      expect(pattern.test('mDAI')).toBe(true);
+      expect(pattern.test('USDC')).toBe(false);
+      expect(pattern.test('cUSDC')).toBe(false); // 'c' is not a prefix in this registry
+    });
+  });
+});
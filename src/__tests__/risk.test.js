@@ -0,0 +1,224 @@
+/**
+ * Unit tests for the risk policy
+ * Validates the shipped policy file and the protocol and pool rules
+ */
+
+import {
+  validateRiskPolicy,
+  loadRiskPolicy,
+  describeApproval,
+  assertPolicyApproved,
+  buildProtocolTvl,
+  getProtocolTier,
+  evaluateProtocol,
+  evaluatePoolFields,
+  evaluatePool,
+} from '../services/risk.js';
+
+const NOW = Date.parse('2026-01-22T00:00:00.000Z');
+
+function buildPolicy(overrides = {}) {
+  return {
+    version: 1,
+    approval: { approvedBy: 'Treasury committee', approvedAt: '2026-01-15', notes: '' },
+    defaultAction: 'deny',
+    maxTier: 2,
+    minProtocolAgeDays: 365,
+    minProtocolTvlUsd: 50000000,
+    pool: {
+      allowedIlRisk: ['no'],
+      allowedExposure: ['single'],
+      rejectOutliers: true,
+      rejectPredictedDown: { enabled: true, minConfidence: 3 },
+    },
+    protocols: {
+      'aave-v3': { status: 'allow', tier: 1, launchedAt: '2022-03-16' },
+      'moonwell-lending': { status: 'allow', tier: 2, launchedAt: '2022-02-17' },
+      'fresh-protocol': { status: 'allow', tier: 2, launchedAt: '2025-12-01' },
+      'risky-protocol': { status: 'allow', tier: 3, launchedAt: '2021-01-01' },
+      'hacked-protocol': { status: 'deny' },
+    },
+    ...overrides,
+  };
+}
+
+const protocolTvl = {
+  'aave-v3': 10e9,
+  'moonwell-lending': 300e6,
+  'fresh-protocol': 500e6,
+  'risky-protocol': 500e6,
+};
+
+const safePool = {
+  pool: 'aave-base-usdc',
+  chain: 'Base',
+  project: 'aave-v3',
+  symbol: 'USDC',
+  tvlUsd: 100e6,
+  ilRisk: 'no',
+  exposure: 'single',
+  outlier: false,
+  predictions: { predictedClass: 'Stable/Up', predictedProbability: 70, binnedConfidence: 2 },
+};
+
+describe('Risk Policy', () => {
+  describe('shipped policy', () => {
+    it('should load and pass schema validation', () => {
+      const policy = loadRiskPolicy();
+
+      expect(validateRiskPolicy(policy).valid).toBe(true);
+      expect(policy.defaultAction).toBe('deny');
+    });
+
+    it('should allow every protocol the token registry maps', () => {
+      const policy = loadRiskPolicy();
+
+      for (const project of ['aave-v3', 'compound-v3', 'moonwell-lending', 'seamless-v2']) {
+        expect(getProtocolTier(project, policy)).not.toBeNull();
+      }
+    });
+  });
+
+  describe('validateRiskPolicy', () => {
+    it('should accept a valid policy', () => {
+      expect(validateRiskPolicy(buildPolicy())).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject an unknown default action and bad thresholds', () => {
+      const result = validateRiskPolicy(buildPolicy({ defaultAction: 'maybe', maxTier: 0, minProtocolTvlUsd: -1 }));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('defaultAction'),
+        expect.stringContaining('maxTier'),
+        expect.stringContaining('minProtocolTvlUsd'),
+      ]));
+    });
+
+    it('should require a tier and launch date for allowed protocols', () => {
+      const result = validateRiskPolicy(buildPolicy({
+        protocols: { 'aave-v3': { status: 'allow' } },
+      }));
+
+      expect(result.errors).toEqual([
+        'protocols.aave-v3: allowed protocols need an integer tier >= 1',
+        'protocols.aave-v3: allowed protocols need a launchedAt date',
+      ]);
+    });
+  });
+
+  describe('describeApproval', () => {
+    it('should describe a signed-off policy', () => {
+      expect(describeApproval(buildPolicy())).toBe('approved by Treasury committee on 2026-01-15');
+    });
+
+    it('should return null for an unapproved policy', () => {
+      expect(describeApproval(buildPolicy({ approval: { approvedBy: null, approvedAt: null } }))).toBeNull();
+    });
+  });
+
+  describe('assertPolicyApproved', () => {
+    it('should refuse live execution until the policy is signed off', () => {
+      const draft = buildPolicy({ approval: { approvedBy: 'Treasury committee', approvedAt: null } });
+
+      expect(() => assertPolicyApproved(draft, { live: true })).toThrow('has not been approved by the treasury committee');
+      expect(() => assertPolicyApproved(buildPolicy(), { live: true })).not.toThrow();
+    });
+
+    it('should let dry runs and plans use a draft policy', () => {
+      const draft = buildPolicy({ approval: { approvedBy: null, approvedAt: null } });
+      expect(() => assertPolicyApproved(draft, { live: false })).not.toThrow();
+    });
+  });
+
+  describe('buildProtocolTvl', () => {
+    it('should sum TVL per project across chains', () => {
+      const tvl = buildProtocolTvl([
+        { project: 'aave-v3', chain: 'Base', tvlUsd: 100 },
+        { project: 'aave-v3', chain: 'Ethereum', tvlUsd: 900 },
+        { project: 'moonwell-lending', chain: 'Base' },
+      ]);
+
+      expect(tvl).toEqual({ 'aave-v3': 1000, 'moonwell-lending': 0 });
+    });
+  });
+
+  describe('evaluateProtocol', () => {
+    const policy = buildPolicy();
+
+    it('should allow a listed, mature, large protocol', () => {
+      expect(evaluateProtocol('aave-v3', policy, { protocolTvl, now: NOW })).toEqual([]);
+    });
+
+    it('should reject denied and unlisted protocols', () => {
+      expect(evaluateProtocol('hacked-protocol', policy, { protocolTvl, now: NOW })[0]).toContain('is denied');
+      expect(evaluateProtocol('unknown', policy, { protocolTvl, now: NOW })[0]).toContain('not on the allow list');
+    });
+
+    it('should allow unlisted protocols when the default action is allow', () => {
+      const open = buildPolicy({ defaultAction: 'allow' });
+      expect(evaluateProtocol('unknown', open, { protocolTvl, now: NOW })).toEqual([]);
+    });
+
+    it('should reject protocols above the maximum tier', () => {
+      expect(evaluateProtocol('risky-protocol', policy, { protocolTvl, now: NOW })[0]).toContain('tier 3 (max 2)');
+    });
+
+    it('should reject protocols younger than the minimum age', () => {
+      expect(evaluateProtocol('fresh-protocol', policy, { protocolTvl, now: NOW })[0]).toContain('days old');
+    });
+
+    it('should reject protocols below the minimum TVL', () => {
+      const reasons = evaluateProtocol('moonwell-lending', policy, { protocolTvl: { 'moonwell-lending': 1e6 }, now: NOW });
+      expect(reasons[0]).toContain('TVL');
+    });
+  });
+
+  describe('evaluatePoolFields', () => {
+    const policy = buildPolicy();
+
+    it('should accept a single-exposure pool without IL risk', () => {
+      expect(evaluatePoolFields(safePool, policy)).toEqual([]);
+    });
+
+    it('should tolerate pools without risk fields', () => {
+      expect(evaluatePoolFields({ project: 'aave-v3' }, policy)).toEqual([]);
+    });
+
+    it('should reject IL risk, multi exposure and outliers', () => {
+      const reasons = evaluatePoolFields({ ...safePool, ilRisk: 'yes', exposure: 'multi', outlier: true }, policy);
+
+      expect(reasons).toEqual([
+        'ilRisk is yes',
+        'exposure is multi',
+        'DeFiLlama marks the pool as an outlier',
+      ]);
+    });
+
+    it('should reject confident predictions of a falling APY only', () => {
+      const confident = { ...safePool, predictions: { predictedClass: 'Down', binnedConfidence: 3 } };
+      const unsure = { ...safePool, predictions: { predictedClass: 'Down', binnedConfidence: 1 } };
+
+      expect(evaluatePoolFields(confident, policy)[0]).toContain('predicted to fall');
+      expect(evaluatePoolFields(unsure, policy)).toEqual([]);
+    });
+  });
+
+  describe('evaluatePool', () => {
+    it('should combine protocol and pool checks', () => {
+      const result = evaluatePool({ ...safePool, ilRisk: 'yes' }, buildPolicy(), { protocolTvl, now: NOW });
+
+      expect(result.allowed).toBe(false);
+      expect(result.tier).toBe(1);
+      expect(result.reasons).toEqual(['ilRisk is yes']);
+    });
+
+    it('should allow a pool that passes every rule', () => {
+      expect(evaluatePool(safePool, buildPolicy(), { protocolTvl, now: NOW })).toEqual({
+        allowed: true,
+        tier: 1,
+        reasons: [],
+      });
+    });
+  });
+});
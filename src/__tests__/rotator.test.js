@@ -3,12 +3,19 @@
  * Tests rotation decision logic and calculations
  */
 
+import { fileURLToPath } from 'url';
 import {
   shouldRotate,
+  getPoolAsset,
+  getHoldingAsset,
   calculateRotations,
   prioritizeRotations,
   getRotationSummary,
 } from '../services/rotator.js';
+import { createLedger, recordRotations } from '../services/ledger.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
 
 // Note: Tests use actual config values (minApyImprovement: 0.5, minBalanceUsd: 10)
 
@@ -42,6 +49,11 @@ describe('Rotator Service', () => {
     it('should handle high APY values', () => {
       expect(shouldRotate(20.0, 25.0)).toBe(true); // 5% improvement
     });
+
+    it('should use an explicit threshold when given', () => {
+      expect(shouldRotate(4.0, 4.8, 1.0)).toBe(false);
+      expect(shouldRotate(4.0, 5.0, 1.0)).toBe(true);
+    });
   });
 
   describe('calculateRotations', () => {
@@ -150,6 +162,29 @@ describe('Rotator Service', () => {
       expect(rotations).toHaveLength(2);
     });
 
+    it('should compare yield scores when pools and holdings are scored', () => {
+      const scoredBestPool = { ...mockBestPool, apy: 9.0, score: 5.2 };
+      const scoredUsers = [
+        {
+          address: '0x1234567890123456789012345678901234567890',
+          yieldBearingHoldings: [
+            // Headline APY gap is 4%, but the sustainable score gap is only 0.2%
+            { symbol: 'aBasUSDC', balance: 1000, balanceUsd: 1000, currentApy: 5.0, currentScore: 5.0 },
+            // Score gap of 2.2% should still rotate
+            { symbol: 'cUSDCv3', balance: 500, balanceUsd: 500, currentApy: 3.0, currentScore: 3.0 },
+          ],
+        },
+      ];
+
+      const rotations = calculateRotations(scoredUsers, scoredBestPool);
+
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0].fromToken.symbol).toBe('cUSDCv3');
+      expect(rotations[0].apyImprovement).toBeCloseTo(2.2, 5);
+      expect(rotations[0].toToken.targetScore).toBe(5.2);
+      expect(rotations[0].estimatedAnnualGainUsd).toBeCloseTo(11, 5);
+    });
+
     it('should return empty array when no best pool available', () => {
       const rotations = calculateRotations(mockUsers, null);
       expect(rotations).toEqual([]);
@@ -169,6 +204,82 @@ describe('Rotator Service', () => {
       const rotations = calculateRotations(usersNoHoldings, mockBestPool);
       expect(rotations).toEqual([]);
     });
+
+    describe('per underlying asset', () => {
+      const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+      const DAI = '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb';
+      const aaveUsdc = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', apy: 6.0, underlyingTokens: [USDC] };
+      const moonwellDai = { pool: 'moonwell-base-dai', symbol: 'DAI', project: 'moonwell-lending', tokenAddress: '0x73b06D8d18De422E269645eaCe15400DE7462417', apy: 5.0, underlyingTokens: [DAI] };
+      const daiHolder = (currentApy) => ({
+        address: '0xdai',
+        yieldBearingHoldings: [{ symbol: 'DAI', address: DAI, balance: 1000, balanceUsd: 1000, currentApy }],
+      });
+      const options = { registry, crossAssetMinApyImprovement: 1.5 };
+
+      it('should resolve assets from underlyingTokens and registry addresses', () => {
+        expect(getPoolAsset(moonwellDai, registry)).toBe('DAI');
+        expect(getPoolAsset({ ...aaveUsdc, underlyingTokens: [USDC, DAI] }, registry)).toBeNull();
+        expect(getHoldingAsset({ symbol: 'mDAI', address: '0x73b06D8d18De422E269645eaCe15400DE7462417' }, registry)).toBe('DAI');
+      });
+
+      it('should rotate a DAI holding into the best DAI pool rather than a slightly better USDC pool', () => {
+        const rotations = calculateRotations([daiHolder(0)], [aaveUsdc, moonwellDai], options);
+
+        expect(rotations).toHaveLength(1);
+        expect(rotations[0].toToken).toMatchObject({ pool: 'moonwell-base-dai', asset: 'DAI' });
+        expect(rotations[0].crossAsset).toBe(false);
+      });
+
+      it('should cross assets only when the gain over the same-asset option clears the higher threshold', () => {
+        const rotations = calculateRotations([daiHolder(0)], [{ ...aaveUsdc, apy: 6.6 }, moonwellDai], options);
+
+        expect(rotations[0].toToken).toMatchObject({ pool: 'aave-base-usdc', asset: 'USDC' });
+        expect(rotations[0].crossAsset).toBe(true);
+        expect(rotations[0].fromToken.asset).toBe('DAI');
+      });
+
+      it('should need the cross-asset threshold when the holding has no same-asset pool', () => {
+        expect(calculateRotations([daiHolder(5.0)], [aaveUsdc], options)).toEqual([]);
+        expect(calculateRotations([daiHolder(4.0)], [aaveUsdc], options)).toHaveLength(1);
+      });
+    });
+
+    describe('with a rotation ledger', () => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      const entered = Date.parse('2026-03-01T00:00:00.000Z');
+      const member = {
+        address: '0xmember',
+        membershipId: 'membership-1',
+        yieldBearingHoldings: [
+          { symbol: 'aBasUSDC', address: '0xAAVE', balance: 1000, balanceUsd: 1000, currentApy: 5.0, matchedProject: 'aave-v3' },
+        ],
+      };
+      // The member rotated into aBasUSDC on March 1st
+      const ledger = recordRotations(createLedger(), [{
+        rotation: {
+          membershipId: 'membership-1',
+          userAddress: '0xmember',
+          fromToken: { symbol: 'USDC', address: '0xUSDC' },
+          toToken: { symbol: 'aBasUSDC', address: '0xaave', project: 'aave-v3', targetApy: 5.0 },
+        },
+      }], entered);
+      // +0.8% clears the normal threshold but not the hysteresis band
+      const slightlyBetter = { symbol: 'mUSDC', project: 'moonwell-lending', apy: 5.8 };
+      const muchBetter = { symbol: 'mUSDC', project: 'moonwell-lending', apy: 6.5 };
+
+      it('should hold a position inside the minimum holding period', () => {
+        expect(calculateRotations([member], muchBetter, { ledger, now: entered + 1 * DAY_MS })).toEqual([]);
+      });
+
+      it('should require the hysteresis band to leave a recent entry', () => {
+        expect(calculateRotations([member], slightlyBetter, { ledger, now: entered + 5 * DAY_MS })).toEqual([]);
+        expect(calculateRotations([member], muchBetter, { ledger, now: entered + 5 * DAY_MS })).toHaveLength(1);
+      });
+
+      it('should use the normal threshold once the hysteresis window has passed', () => {
+        expect(calculateRotations([member], slightlyBetter, { ledger, now: entered + 30 * DAY_MS })).toHaveLength(1);
+      });
+    });
   });
 
   describe('prioritizeRotations', () => {
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for multi-hop routing
+ * Tests candidate paths, chained previews, path selection and learned routes
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  getLegKey,
+  getPathKey,
+  getLegRoute,
+  buildCandidatePaths,
+  previewPath,
+  selectBestPath,
+  recordRoutePreviews,
+  getLearnedRoute,
+  clearLearnedRoutes,
+  findBestPath,
+} from '../services/router.js';
+import { findTokenByAddress, loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const USDC = findTokenByAddress('0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', registry);
+const DAI = findTokenByAddress('0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb', registry);
+const AUSDC = findTokenByAddress('0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', registry);
+const CUSDCV3 = findTokenByAddress('0xb125E6687d4313864e53df431d5425969c15Eb2F', registry);
+const MDAI = findTokenByAddress('0x73b06D8d18De422E269645eaCe15400DE7462417', registry);
+const SUSDC = findTokenByAddress('0x53E240C0F985175dA046A62F26D490d1E259036e', registry);
+
+const options = { registry, chain: 'Base', hubs: ['USDC'], maxLegs: 3 };
+
+/**
+ * Leg previewer that prices every leg from a rate table (rate per raw unit)
+ * Legs missing from the table fail like a swap API without a route.
+ */
+function ratePreviewer(rates, firstAmount = 1000n) {
+  return async (leg, index, amountIn) => {
+    const rate = rates[getLegKey(leg)];
+    if (rate === undefined) {
+      return { totalSellAmount: '0', totalBuyAmount: '0', members: [], errors: [{ message: 'no route' }] };
+    }
+    const sold = amountIn ?? firstAmount;
+    return { totalSellAmount: sold.toString(), totalBuyAmount: (sold * BigInt(rate)).toString(), members: [], errors: [] };
+  };
+}
+
+describe('Router', () => {
+  afterEach(() => {
+    clearLearnedRoutes();
+  });
+
+  describe('getLegRoute', () => {
+    it('should turn protocol legs into adapter routes', () => {
+      expect(getLegRoute({ kind: 'deposit', from: USDC, to: CUSDCV3 })).toEqual({ action: 'deposit', token: CUSDCV3, underlying: USDC });
+      expect(getLegRoute({ kind: 'withdraw', from: MDAI, to: DAI })).toEqual({ action: 'withdraw', token: MDAI, underlying: DAI });
+    });
+  });
+
+  describe('buildCandidatePaths', () => {
+    it('should try direct, hub and withdraw-then-swap paths, shortest first', () => {
+      const keys = buildCandidatePaths(MDAI, SUSDC, options).map(getPathKey);
+
+      expect(keys[0]).toBe('mDAI -swap-> sUSDC');
+      expect(keys).toEqual(expect.arrayContaining([
+        'mDAI -swap-> USDC -swap-> sUSDC',
+        'mDAI -swap-> USDC -deposit-> sUSDC',
+        'mDAI -withdraw-> DAI -swap-> sUSDC',
+        'mDAI -withdraw-> DAI -swap-> USDC -swap-> sUSDC',
+        'mDAI -withdraw-> DAI -swap-> USDC -deposit-> sUSDC',
+      ]));
+      expect(keys).toHaveLength(6);
+    });
+
+    it('should only withdraw from and deposit into deposit-only tokens', () => {
+      const keys = buildCandidatePaths(AUSDC, CUSDCV3, options).map(getPathKey);
+
+      expect(keys).toEqual(['aBasUSDC -swap-> USDC -deposit-> cUSDCv3', 'aBasUSDC -withdraw-> USDC -deposit-> cUSDCv3']);
+    });
+
+    it('should drop paths longer than maxLegs', () => {
+      const paths = buildCandidatePaths(MDAI, SUSDC, { ...options, maxLegs: 1 });
+      expect(paths.map(getPathKey)).toEqual(['mDAI -swap-> sUSDC']);
+    });
+  });
+
+  describe('previewPath', () => {
+    it('should feed each leg the previous leg output', async () => {
+      const path = [{ kind: 'withdraw', from: MDAI, to: DAI }, { kind: 'swap', from: DAI, to: SUSDC }];
+      const preview = await previewPath(path, ratePreviewer({ 'mDAI -withdraw-> DAI': 2, 'DAI -swap-> sUSDC': 3 }));
+
+      expect(preview).toMatchObject({ key: 'mDAI -withdraw-> DAI -swap-> sUSDC', sellAmount: '1000', buyAmount: '6000', error: null });
+      expect(preview.legs.map(leg => [leg.sellAmount, leg.buyAmount])).toEqual([['1000', '2000'], ['2000', '6000']]);
+    });
+
+    it('should name the leg that fails and why', async () => {
+      const path = [{ kind: 'swap', from: MDAI, to: USDC }, { kind: 'swap', from: USDC, to: SUSDC }];
+
+      const missing = await previewPath(path, ratePreviewer({ 'mDAI -swap-> USDC': 1 }));
+      expect(missing.error).toBe('USDC -swap-> sUSDC: no route');
+
+      const empty = await previewPath(path, ratePreviewer({ 'mDAI -swap-> USDC': 0 }));
+      expect(empty.error).toBe('mDAI -swap-> USDC: no output');
+
+      const thrown = await previewPath(path, async () => { throw new Error('rate limited'); });
+      expect(thrown.error).toBe('mDAI -swap-> USDC: rate limited');
+    });
+
+    it('should tell lasting failures from temporary ones', async () => {
+      const path = [{ kind: 'swap', from: MDAI, to: SUSDC }];
+
+      expect((await previewPath(path, ratePreviewer({}))).errorKind).toBe('no-route');
+      expect((await previewPath(path, ratePreviewer({ 'mDAI -swap-> sUSDC': 0 }))).errorKind).toBe('no-route');
+      expect((await previewPath(path, async () => { throw new Error('fetch failed'); })).errorKind).toBe('transient');
+      expect((await previewPath(path, ratePreviewer({ 'mDAI -swap-> sUSDC': 1 }))).errorKind).toBeNull();
+    });
+  });
+
+  describe('selectBestPath', () => {
+    it('should pick the largest output and break ties with fewer legs', () => {
+      const preview = (key, legs, buyAmount, error = null) => ({ key, path: new Array(legs), buyAmount, error });
+
+      expect(selectBestPath([preview('a', 1, '100'), preview('b', 2, '120')]).key).toBe('b');
+      expect(selectBestPath([preview('a', 2, '100'), preview('b', 1, '100')]).key).toBe('b');
+      expect(selectBestPath([preview('a', 1, null, 'no route')])).toBeNull();
+    });
+  });
+
+  describe('learned routes', () => {
+    it('should remember the best path and which paths work for a pair', async () => {
+      const paths = buildCandidatePaths(MDAI, SUSDC, options);
+      const { best, previews } = await findBestPath(paths, ratePreviewer({
+        'mDAI -withdraw-> DAI': 1,
+        'DAI -swap-> USDC': 2,
+        'USDC -deposit-> sUSDC': 1,
+        'USDC -swap-> sUSDC': 2,
+      }));
+
+      expect(best.key).toBe('mDAI -withdraw-> DAI -swap-> USDC -swap-> sUSDC');
+
+      const learned = recordRoutePreviews('base', MDAI.address, SUSDC.address, previews);
+      expect(learned.best).toBe(best.key);
+      expect(learned.path).toBe(best.path);
+      expect(learned.failing.has('mDAI -swap-> sUSDC')).toBe(true);
+      expect(learned.working.size).toBe(2);
+      expect(getLearnedRoute('base', MDAI.address.toLowerCase(), SUSDC.address)).toBe(learned);
+    });
+
+    it('should move a path between working and failing as previews change', async () => {
+      const path = [{ kind: 'swap', from: MDAI, to: SUSDC }];
+      recordRoutePreviews('base', MDAI.address, SUSDC.address, [await previewPath(path, ratePreviewer({ 'mDAI -swap-> sUSDC': 1 }))]);
+      const learned = recordRoutePreviews('base', MDAI.address, SUSDC.address, [await previewPath(path, ratePreviewer({}))]);
+
+      expect(learned.working.size).toBe(0);
+      expect(learned.failing.has('mDAI -swap-> sUSDC')).toBe(true);
+      expect(learned.best).toBeNull();
+      expect(getLearnedRoute('base', USDC.address, SUSDC.address)).toBeNull();
+    });
+
+    it('should not learn anything from previews that failed for a temporary reason', async () => {
+      const path = [{ kind: 'swap', from: MDAI, to: SUSDC }];
+      recordRoutePreviews('base', MDAI.address, SUSDC.address, [await previewPath(path, ratePreviewer({ 'mDAI -swap-> sUSDC': 1 }))]);
+      const learned = recordRoutePreviews('base', MDAI.address, SUSDC.address, [
+        await previewPath(path, async () => { throw Object.assign(new Error('Too Many Requests'), { status: 429 }); }),
+      ]);
+
+      expect(learned.working.has('mDAI -swap-> sUSDC')).toBe(true);
+      expect(learned.failing.size).toBe(0);
+      expect(learned.best).toBe('mDAI -swap-> sUSDC');
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit tests for position sizing
+ * Tests the pool TVL limit, redirects to the next pool and price-impact chunking
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  getPoolCapacities,
+  applyTvlLimits,
+  getPreviewPriceImpact,
+  chunkByPriceImpact,
+} from '../services/sizing.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const AAVE = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', apy: 6.0, tvlUsd: 1000000, underlyingTokens: [USDC] };
+const COMPOUND = { pool: 'compound-base-usdc', symbol: 'USDC', project: 'compound-v3', tokenAddress: '0xb125E6687d4313864e53df431d5425969c15Eb2F', apy: 5.5, tvlUsd: 1000000, underlyingTokens: [USDC] };
+
+/**
+ * Build a full-position USDC rotation into a pool
+ */
+function buildRotation(amountUsd, pool = AAVE, currentScore = 0) {
+  return {
+    userAddress: `0xmember${amountUsd}`,
+    membershipId: `membership-${amountUsd}`,
+    fromToken: { symbol: 'USDC', address: USDC, balance: amountUsd, balanceUsd: amountUsd, currentApy: currentScore, currentScore, asset: 'USDC' },
+    toToken: { symbol: pool.symbol, address: pool.tokenAddress, project: pool.project, pool: pool.pool, targetApy: pool.apy, targetScore: pool.apy, asset: 'USDC' },
+    apyImprovement: pool.apy - currentScore,
+    estimatedAnnualGainUsd: (amountUsd * (pool.apy - currentScore)) / 100,
+  };
+}
+
+/**
+ * Preview whose price impact grows with the amount sold (0.1% per $10k)
+ */
+const previewImpact = async rotation => ({
+  members: [{ estimatedPriceImpact: (rotation.amountUsd ?? rotation.fromToken.balanceUsd) / 100000 }],
+});
+
+describe('Position Sizing', () => {
+  describe('getPoolCapacities', () => {
+    it('should subtract what members already hold from the TVL limit', () => {
+      const members = [{ yieldBearingHoldings: [{ pool: { pool: 'aave-base-usdc' }, balanceUsd: 20000 }] }];
+      const capacities = getPoolCapacities([AAVE, { ...COMPOUND, tvlUsd: undefined }], members, 5);
+
+      expect(capacities.get('aave-base-usdc')).toBe(30000);
+      expect(capacities.get('compound-base-usdc')).toBe(Infinity);
+    });
+  });
+
+  describe('applyTvlLimits', () => {
+    const options = { maxPoolTvlPct: 5, minBalanceUsd: 10, registry };
+
+    it('should leave rotations that fit untouched', () => {
+      const rotation = buildRotation(10000);
+      expect(applyTvlLimits([rotation], [AAVE], options)).toEqual({ rotations: [rotation], carried: [] });
+    });
+
+    it('should redirect what a full pool cannot take to the next pool of the same asset', () => {
+      const result = applyTvlLimits([buildRotation(80000)], [AAVE, COMPOUND], options);
+
+      expect(result.rotations.map(r => [r.toToken.pool, r.amountUsd, r.sellShare])).toEqual([
+        ['aave-base-usdc', 50000, 0.625],
+        ['compound-base-usdc', 30000, 0.375],
+      ]);
+      expect(result.rotations[1].apyImprovement).toBeCloseTo(5.5, 9);
+      expect(result.carried).toEqual([]);
+    });
+
+    it('should fill pools in priority order and carry the rest to the next run', () => {
+      const result = applyTvlLimits([buildRotation(40000), buildRotation(30000)], [AAVE], options);
+
+      expect(result.rotations.map(r => r.amountUsd ?? r.fromToken.balanceUsd)).toEqual([40000, 10000]);
+      expect(result.carried).toHaveLength(1);
+      expect(result.carried[0].amountUsd).toBe(20000);
+      expect(result.carried[0].reason).toContain('5% TVL limit');
+    });
+
+    it('should not redirect into a pool that does not clear the rotation threshold', () => {
+      // Holding earns 5.2%; compound at 5.5% is only +0.3%
+      const result = applyTvlLimits([buildRotation(80000, AAVE, 5.2)], [AAVE, COMPOUND], options);
+
+      expect(result.rotations.map(r => r.toToken.pool)).toEqual(['aave-base-usdc']);
+      expect(result.carried[0].amountUsd).toBe(30000);
+    });
+  });
+
+  describe('getPreviewPriceImpact', () => {
+    it('should report the worst member impact', () => {
+      expect(getPreviewPriceImpact({ members: [{ estimatedPriceImpact: 0.1 }, { estimatedPriceImpact: '0.4' }] })).toBe(0.4);
+    });
+
+    it('should return null when the preview has no impact estimate', () => {
+      expect(getPreviewPriceImpact({ members: [{}] })).toBeNull();
+    });
+  });
+
+  describe('chunkByPriceImpact', () => {
+    const options = { preview: previewImpact, maxPriceImpactPct: 0.3, maxChunks: 4, minBalanceUsd: 10 };
+
+    it('should keep swaps whose impact is within the limit', async () => {
+      const rotation = buildRotation(20000);
+      expect(await chunkByPriceImpact([rotation], options)).toEqual({ rotations: [rotation], carried: [] });
+    });
+
+    it('should split a large swap into chunks that stay within the limit', async () => {
+      // $100k is 1% impact; $25k chunks are 0.25%
+      const result = await chunkByPriceImpact([buildRotation(100000)], options);
+
+      expect(result.rotations.map(r => [r.amountUsd, r.sellShare, r.chunk, r.chunks])).toEqual([
+        [25000, 0.25, 1, 4],
+        [25000, 0.25, 2, 4],
+        [25000, 0.25, 3, 4],
+        [25000, 0.25, 4, 4],
+      ]);
+      expect(result.carried).toEqual([]);
+    });
+
+    it('should carry what needs more chunks than allowed to the next run', async () => {
+      // $200k needs $25k chunks - 8 of them, only 4 run now
+      const result = await chunkByPriceImpact([buildRotation(200000)], options);
+
+      expect(result.rotations).toHaveLength(4);
+      expect(result.carried[0].amountUsd).toBeCloseTo(100000, 6);
+      expect(result.carried[0].reason).toBe('more than 4 chunks needed');
+    });
+
+    it('should carry a swap with no acceptable chunk above the minimum balance', async () => {
+      const illiquid = async () => ({ members: [{ estimatedPriceImpact: 5 }] });
+      const result = await chunkByPriceImpact([buildRotation(100)], { ...options, preview: illiquid });
+
+      expect(result.rotations).toEqual([]);
+      expect(result.carried[0].reason).toContain('price impact 5.00% above 0.3%');
+    });
+  });
+});
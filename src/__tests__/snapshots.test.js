@@ -0,0 +1,197 @@
+/**
+ * Unit tests for the DeFiLlama snapshot cache and offline replay
+ */
+
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  writeSnapshot,
+  readSnapshot,
+  findLatestSnapshot,
+  loadFreshSnapshot,
+} from '../services/snapshots.js';
+import { loadYieldPools, assertTradableYieldData } from '../services/defillama.js';
+import { evaluatePool, getRiskPolicy } from '../services/risk.js';
+
+const mockPools = [
+  { pool: 'pool-1', chain: 'Base', symbol: 'USDC', project: 'aave-v3', apy: 5.5, tvlUsd: 1000000, stablecoin: true },
+  { pool: 'pool-2', chain: 'Base', symbol: 'DAI', project: 'moonwell-lending', apy: 4.8, tvlUsd: 500000, stablecoin: true },
+];
+
+describe('Snapshot Cache', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'yield-snapshots-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('writeSnapshot / readSnapshot', () => {
+    it('should round-trip pools with their fetch time', async () => {
+      const fetchedAt = '2026-01-22T10:00:00.000Z';
+      const file = await writeSnapshot(mockPools, { dir, fetchedAt, keep: 5 });
+
+      expect(path.basename(file)).toBe('pools-2026-01-22T10-00-00-000Z.json');
+
+      const snapshot = await readSnapshot(file);
+      expect(snapshot.pools).toEqual(mockPools);
+      expect(snapshot.fetchedAt).toBe(fetchedAt);
+    });
+
+    it('should keep only pools on the given chains, written compactly', async () => {
+      const pools = [...mockPools, { pool: 'pool-3', chain: 'Solana', symbol: 'USDC', project: 'kamino-lend', apy: 7.1 }];
+      const file = await writeSnapshot(pools, { dir, fetchedAt: '2026-01-22T10:00:00.000Z', keep: 5, chains: ['Base'] });
+
+      const snapshot = await readSnapshot(file);
+      expect(snapshot.pools.map(pool => pool.pool)).toEqual(['pool-1', 'pool-2']);
+      expect(await readFile(file, 'utf-8')).not.toContain('\n');
+    });
+
+    it('should read a raw /pools response saved without metadata', async () => {
+      const file = path.join(dir, 'raw.json');
+      await writeFile(file, JSON.stringify({ status: 'success', data: mockPools }));
+
+      const snapshot = await readSnapshot(file);
+      expect(snapshot.pools).toHaveLength(2);
+      expect(typeof snapshot.fetchedAt).toBe('string');
+    });
+
+    it('should reject files without a pool array', async () => {
+      const file = path.join(dir, 'bad.json');
+      await writeFile(file, JSON.stringify({ status: 'error' }));
+
+      await expect(readSnapshot(file)).rejects.toThrow('does not contain a pool array');
+    });
+
+    it('should keep only the most recent snapshots', async () => {
+      await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-20T00:00:00.000Z', keep: 2 });
+      await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-21T00:00:00.000Z', keep: 2 });
+      await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-22T00:00:00.000Z', keep: 2 });
+
+      const files = await readdir(dir);
+      expect(files.sort()).toEqual([
+        'pools-2026-01-21T00-00-00-000Z.json',
+        'pools-2026-01-22T00-00-00-000Z.json',
+      ]);
+    });
+  });
+
+  describe('findLatestSnapshot', () => {
+    it('should return the newest snapshot', async () => {
+      await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-21T00:00:00.000Z', keep: 5 });
+      await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-22T00:00:00.000Z', keep: 5 });
+
+      const latest = await findLatestSnapshot(dir);
+      expect(path.basename(latest)).toBe('pools-2026-01-22T00-00-00-000Z.json');
+    });
+
+    it('should return null for a missing directory', async () => {
+      const latest = await findLatestSnapshot(path.join(dir, 'does-not-exist'));
+      expect(latest).toBeNull();
+    });
+  });
+
+  describe('loadFreshSnapshot', () => {
+    const fetchedAt = '2026-01-22T10:00:00.000Z';
+    const fetchedAtMs = Date.parse(fetchedAt);
+
+    beforeEach(async () => {
+      await writeSnapshot(mockPools, { dir, fetchedAt, keep: 5 });
+    });
+
+    it('should return a snapshot younger than the TTL', async () => {
+      const snapshot = await loadFreshSnapshot({ dir, ttlMinutes: 60, now: fetchedAtMs + 30 * 60000 });
+      expect(snapshot.pools).toHaveLength(2);
+    });
+
+    it('should ignore a snapshot older than the TTL', async () => {
+      const snapshot = await loadFreshSnapshot({ dir, ttlMinutes: 60, now: fetchedAtMs + 90 * 60000 });
+      expect(snapshot).toBeNull();
+    });
+  });
+
+  describe('loadYieldPools', () => {
+    it('should replay a snapshot file without touching the network', async () => {
+      const file = await writeSnapshot(mockPools, { dir, fetchedAt: '2026-01-22T10:00:00.000Z', keep: 5 });
+
+      const result = await loadYieldPools({ snapshotFile: file, cache: { enabled: false } });
+
+      expect(result.source).toBe('snapshot');
+      expect(result.pools).toEqual(mockPools);
+      expect(result.fetchedAt).toBe('2026-01-22T10:00:00.000Z');
+    });
+
+    it('should serve a fresh cached snapshot without touching the network', async () => {
+      await writeSnapshot(mockPools, { dir, fetchedAt: new Date().toISOString(), keep: 5 });
+
+      const result = await loadYieldPools({
+        snapshotFile: null,
+        cache: { enabled: true, dir, ttlMinutes: 60, keep: 5 },
+      });
+
+      expect(result.source).toBe('cache');
+      expect(result.pools).toEqual(mockPools);
+    });
+
+    it('should give the risk policy the same protocol TVL on a cache hit as on a fresh fetch', async () => {
+      // Pools on chains without a profile are left out of the snapshot but still count toward TVL
+      const pools = [
+        { ...mockPools[0], ilRisk: 'no', exposure: 'single' },
+        { pool: 'pool-3', chain: 'Solana', symbol: 'USDC', project: 'aave-v3', apy: 4.0, tvlUsd: 900000000 },
+      ];
+      const cache = { enabled: true, dir, ttlMinutes: 60, keep: 5 };
+
+      const fresh = await loadYieldPools({ snapshotFile: null, cache, request: async () => pools });
+      const cached = await loadYieldPools({ snapshotFile: null, cache, request: async () => { throw new Error('not called'); } });
+
+      expect(fresh.source).toBe('api');
+      expect(cached.source).toBe('cache');
+      expect(cached.pools.map(pool => pool.pool)).toEqual(['pool-1']);
+      expect(cached.protocolTvl).toEqual(fresh.protocolTvl);
+      expect(cached.protocolTvl['aave-v3']).toBe(901000000);
+      expect(evaluatePool(pools[0], getRiskPolicy(), { protocolTvl: cached.protocolTvl }))
+        .toEqual(evaluatePool(pools[0], getRiskPolicy(), { protocolTvl: fresh.protocolTvl }));
+    });
+
+    it('should not fall back to cached or replayed snapshots when fresh data is required', async () => {
+      const file = await writeSnapshot(mockPools, { dir, fetchedAt: new Date().toISOString(), keep: 5 });
+      const fetches = [];
+
+      await expect(loadYieldPools({
+        snapshotFile: file,
+        cache: { enabled: true, dir, ttlMinutes: 60, keep: 5 },
+        fresh: true,
+        request: async () => { fetches.push('api'); throw new Error('DeFiLlama unavailable'); },
+      })).rejects.toThrow('DeFiLlama unavailable');
+      expect(fetches).toEqual(['api']);
+    });
+  });
+
+  describe('assertTradableYieldData', () => {
+    const now = Date.parse('2026-01-22T12:00:00.000Z');
+
+    it('should only let dry runs use a replayed snapshot', () => {
+      const replay = { source: 'snapshot', fetchedAt: '2025-12-01T00:00:00.000Z' };
+
+      expect(() => assertTradableYieldData(replay, { live: true, now })).toThrow('use --yields-snapshot with --dry-run only');
+      expect(() => assertTradableYieldData(replay, { live: false, now })).not.toThrow();
+    });
+
+    it('should refuse a live run on a stale-cache snapshot older than the limit', () => {
+      const stale = { source: 'stale-cache', fetchedAt: '2026-01-22T02:00:00.000Z' };
+
+      expect(() => assertTradableYieldData(stale, { live: true, maxStaleHours: 6, now })).toThrow('10.0 hours old (max 6)');
+      expect(() => assertTradableYieldData(stale, { live: true, maxStaleHours: 12, now })).not.toThrow();
+      expect(() => assertTradableYieldData(stale, { live: false, maxStaleHours: 6, now })).not.toThrow();
+    });
+
+    it('should accept fresh data whatever its source', () => {
+      expect(() => assertTradableYieldData({ source: 'api', fetchedAt: '2026-01-22T12:00:00.000Z' }, { live: true, now })).not.toThrow();
+      expect(() => assertTradableYieldData({ source: 'cache', fetchedAt: '2026-01-22T11:30:00.000Z' }, { live: true, now })).not.toThrow();
+    });
+  });
+});
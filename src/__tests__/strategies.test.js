@@ -0,0 +1,156 @@
+/**
+ * Unit tests for rotation strategies
+ * Tests strategy lookup, param validation and the built-in strategies
+ */
+
+import { fileURLToPath } from 'url';
+import {
+  registerStrategy,
+  listStrategies,
+  getStrategy,
+  validateStrategyParams,
+  parseStrategyParams,
+  resolveStrategy,
+  runStrategy,
+  formatStrategy,
+} from '../services/strategies.js';
+import { loadTokenRegistry } from '../services/registry.js';
+
+const registry = loadTokenRegistry(fileURLToPath(new URL('./fixtures/tokens.json', import.meta.url)));
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const COMPOUND = { pool: 'compound-base-usdc', symbol: 'USDC', project: 'compound-v3', tokenAddress: '0xb125E6687d4313864e53df431d5425969c15Eb2F', apy: 5.8, riskTier: 2, underlyingTokens: [USDC] };
+const AAVE = { pool: 'aave-base-usdc', symbol: 'USDC', project: 'aave-v3', tokenAddress: '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', apy: 5.0, riskTier: 1, underlyingTokens: [USDC] };
+
+/**
+ * Build a member holding plain USDC at the given APY
+ */
+function buildMember(currentApy = 4.0) {
+  return {
+    address: '0xmember',
+    membershipId: 'membership-1',
+    yieldBearingHoldings: [{ symbol: 'USDC', address: USDC, balance: 1000, balanceUsd: 1000, currentApy }],
+  };
+}
+
+/**
+ * Resolve a strategy and run it against the fixture pools
+ */
+function run(name, params = {}, members = [buildMember()]) {
+  return runStrategy(resolveStrategy(name, params), members, [COMPOUND, AAVE], { registry });
+}
+
+describe('Rotation Strategies', () => {
+  describe('registry', () => {
+    it('should ship the built-in strategies', () => {
+      expect(listStrategies().map(strategy => strategy.name)).toEqual(
+        expect.arrayContaining(['greedy', 'risk-adjusted', 'diversified', 'hold-unless-large-gain'])
+      );
+    });
+
+    it('should reject unknown strategies with the list of known ones', () => {
+      expect(() => getStrategy('yolo')).toThrow(/Unknown rotation strategy "yolo".*greedy/);
+    });
+
+    it('should register custom strategies and refuse duplicates', () => {
+      const strategy = registerStrategy({ name: 'test-noop', calculate: () => [] });
+
+      expect(getStrategy('test-noop')).toBe(strategy);
+      expect(() => registerStrategy({ name: 'test-noop', calculate: () => [] })).toThrow('already registered');
+      expect(() => registerStrategy({ name: 'broken' })).toThrow('calculate');
+    });
+  });
+
+  describe('validateStrategyParams', () => {
+    const strategy = getStrategy('diversified');
+
+    it('should fill in defaults', () => {
+      const result = validateStrategyParams(strategy, { maxPools: 2 });
+
+      expect(result.valid).toBe(true);
+      expect(result.params).toMatchObject({ maxPools: 2, minApyImprovement: 0.5, weighting: 'risk-adjusted' });
+    });
+
+    it('should reject unknown params, wrong types, out-of-range values and unlisted choices', () => {
+      const result = validateStrategyParams(strategy, { maxPool: 2, maxPools: '2', maxProtocolPct: 150, weighting: 'random' });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.stringContaining('Unknown parameter "maxPool"'),
+        'Parameter "maxPools" must be a number',
+        'Parameter "weighting" must be one of equal, apy, risk-adjusted',
+        'Parameter "maxProtocolPct" must be at most 100',
+      ]);
+    });
+
+    it('should reject fractional counts', () => {
+      expect(validateStrategyParams(strategy, { maxPools: 2.5 }).errors).toEqual(['Parameter "maxPools" must be a whole number']);
+      expect(validateStrategyParams(getStrategy('risk-adjusted'), { maxTier: 1.5 }).errors).toEqual(['Parameter "maxTier" must be a whole number']);
+      expect(validateStrategyParams(getStrategy('risk-adjusted'), { riskPenalty: 0.5 }).valid).toBe(true);
+    });
+
+    it('should make resolveStrategy throw on invalid params', () => {
+      expect(() => resolveStrategy('hold-unless-large-gain', { minGain: -1 })).toThrow('Invalid params for strategy hold-unless-large-gain: Parameter "minGain" must be at least 0');
+    });
+  });
+
+  describe('parseStrategyParams', () => {
+    it('should parse a JSON object', () => {
+      expect(parseStrategyParams('{"minGain": 3}')).toEqual({ minGain: 3 });
+      expect(parseStrategyParams(null)).toEqual({});
+    });
+
+    it('should reject invalid JSON and non-objects', () => {
+      expect(() => parseStrategyParams('minGain=3')).toThrow('not valid JSON');
+      expect(() => parseStrategyParams('[3]')).toThrow('must be a JSON object');
+    });
+  });
+
+  describe('formatStrategy', () => {
+    it('should list the resolved params', () => {
+      expect(formatStrategy(resolveStrategy('hold-unless-large-gain', { minGain: 3 }))).toBe('hold-unless-large-gain (minGain=3)');
+    });
+  });
+
+  describe('built-in strategies', () => {
+    it('greedy should move to the highest-scoring pool', () => {
+      const rotations = run('greedy');
+
+      expect(rotations).toHaveLength(1);
+      expect(rotations[0].toToken.pool).toBe('compound-base-usdc');
+      expect(rotations[0].requiredImprovement).toBe(0.5);
+    });
+
+    it('risk-adjusted should prefer the lower tier pool once the penalty is applied', () => {
+      // compound 5.8 - 1.0 (tier 2) = 4.8 < aave 5.0
+      expect(run('risk-adjusted')[0].toToken.pool).toBe('aave-base-usdc');
+      expect(run('risk-adjusted', { riskPenalty: 0.5 })[0].toToken.pool).toBe('compound-base-usdc');
+    });
+
+    it('risk-adjusted should keep the history ranking instead of re-sorting by snapshot score', () => {
+      // compound tops the snapshot but ranks below aave on volatility-adjusted history
+      const ranked = [{ ...AAVE, adjustedApy: 4.9 }, { ...COMPOUND, adjustedApy: 3.0 }];
+      const rotations = runStrategy(resolveStrategy('risk-adjusted', { riskPenalty: 0 }), [buildMember()], ranked, { registry });
+
+      expect(rotations[0].toToken.pool).toBe('aave-base-usdc');
+    });
+
+    it('risk-adjusted should skip pools above maxTier', () => {
+      expect(run('risk-adjusted', { riskPenalty: 0, maxTier: 1 })[0].toToken.pool).toBe('aave-base-usdc');
+    });
+
+    it('hold-unless-large-gain should only rotate for a gain above minGain', () => {
+      expect(run('hold-unless-large-gain', { minGain: 2 })).toEqual([]);
+      expect(run('hold-unless-large-gain', { minGain: 2 }, [buildMember(3.5)])[0].requiredImprovement).toBe(2);
+    });
+
+    it('diversified should split a member across the top pools', () => {
+      const rotations = run('diversified', { maxPools: 2, weighting: 'equal' });
+
+      expect(rotations.map(rotation => [rotation.toToken.pool, rotation.sellShare])).toEqual([
+        ['compound-base-usdc', 0.5],
+        ['aave-base-usdc', 0.5],
+      ]);
+    });
+  });
+});
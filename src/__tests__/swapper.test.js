@@ -7,7 +7,89 @@ import {
   executeSwap,
   executeRotations,
   validateSwap,
+  getSellPercentage,
+  setBackends,
 } from '../services/swapper.js';
+import { AbiCoder, MaxUint256 } from 'ethers';
+import { clearLearnedRoutes } from '../services/router.js';
+import { createCircuitBreaker } from '../services/executor.js';
+import { config } from '../config.js';
+
+const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+const ABASUSDC = '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB';
+const CUSDCV3 = '0xb125E6687d4313864e53df431d5425969c15Eb2F';
+const USDBC = '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA';
+const profile = { ...config.chains.base, swarmId: 'swarm-1' };
+
+/**
+ * Build a rotation of one member's whole USDC holding
+ * @param {number} index - Member number
+ * @param {Object} overrides - Rotation fields to replace
+ * @returns {Object} Rotation
+ */
+function buildRotation(index, overrides = {}) {
+  return {
+    userAddress: `0x${String(index).repeat(40)}`,
+    membershipId: `membership-${index}`,
+    fromToken: { symbol: 'USDC', address: USDC, balance: 1000, balanceUsd: 1000 },
+    toToken: { symbol: 'aBasUSDC', address: ABASUSDC },
+    apyImprovement: 1.5,
+    ...overrides,
+  };
+}
+
+/**
+ * Build a stub SwarmVault client that records every call
+ * @param {Object} handlers - Replacements for the default responses
+ * @returns {Object} Client with a calls array of [method, ...args]
+ */
+function createStubClient(handlers = {}) {
+  const calls = [];
+  let submitted = 0;
+  const defaults = {
+    previewSwap: async (swarmId, params) => ({
+      totalSellAmount: '1000000',
+      totalBuyAmount: '999000',
+      members: (params.membershipIds || []).map(membershipId => ({ membershipId, sellAmount: '1000000', buyAmount: '999000' })),
+      errors: [],
+    }),
+    executeSwap: async () => ({ transactionId: `tx-${++submitted}` }),
+    executeTransaction: async () => ({ transactionId: `tx-${++submitted}` }),
+    waitForTransaction: async () => ({ status: 'CONFIRMED' }),
+    getTransaction: async () => ({ status: 'CONFIRMED' }),
+  };
+
+  const client = { calls };
+  for (const [method, handler] of Object.entries({ ...defaults, ...handlers })) {
+    client[method] = async (...args) => {
+      calls.push([method, ...args]);
+      return handler(...args);
+    };
+  }
+  return client;
+}
+
+/**
+ * Get the arguments of every call to one client method
+ * @param {Object} client - Stub client
+ * @param {string} method - Method name
+ * @returns {Array} Argument lists
+ */
+function callsTo(client, method) {
+  return client.calls.filter(([name]) => name === method).map(([, ...args]) => args);
+}
+
+/**
+ * Build a stub ethers provider whose balanceOf reads return the given balances in turn
+ * @param {Array<bigint>} balances - Raw balances, the last one repeated once used up
+ * @returns {Object} Provider
+ */
+function createStubProvider(balances) {
+  let reads = 0;
+  return {
+    call: async () => AbiCoder.defaultAbiCoder().encode(['uint256'], [balances[Math.min(reads++, balances.length - 1)]]),
+  };
+}
 
 // Note: Tests use actual config values (minBalanceUsd: 10, dryRun from CLI)
 
@@ -107,6 +189,41 @@ describe('Swapper Service', () => {
     });
   });
 
+  describe('getSellPercentage', () => {
+    it('should sell the share directly from a full holding', () => {
+      expect(getSellPercentage(0.25, 1)).toBe(25);
+    });
+
+    it('should rescale later legs to what is left of the holding', () => {
+      // 30% already sold, the next 35% of the original is half of the remaining 70%
+      expect(getSellPercentage(0.35, 0.7)).toBeCloseTo(50, 9);
+    });
+
+    it('should sell everything when the leg takes the rest', () => {
+      expect(getSellPercentage(0.5, 0.5)).toBe(100);
+      expect(getSellPercentage(1)).toBe(100);
+    });
+  });
+
+  describe('validateSwap partial swaps', () => {
+    const partial = {
+      userAddress: '0x1234567890123456789012345678901234567890',
+      fromToken: { symbol: 'USDC', balance: 1000, balanceUsd: 1000 },
+      toToken: { symbol: 'mUSDC' },
+      amountUsd: 5,
+      sellShare: 0.005,
+    };
+
+    it('should check the amount a partial swap moves against the minimum', () => {
+      expect(validateSwap(partial).errors).toContain('Balance below minimum ($10)');
+      expect(validateSwap({ ...partial, amountUsd: 500, sellShare: 0.5 }).valid).toBe(true);
+    });
+
+    it('should reject a sell share outside (0, 1]', () => {
+      expect(validateSwap({ ...partial, amountUsd: 500, sellShare: 1.5 }).errors).toContain('Sell share must be between 0 and 1');
+    });
+  });
+
   describe('executeSwap', () => {
     // executeSwap will run in dry-run by default since config.dryRun is false
     // but without actual SDK integration it returns a mock failure
@@ -136,6 +253,308 @@ describe('Swapper Service', () => {
 
       expect(result.userAddress).toBe(userAddress);
     });
+
+    it('should refuse a deposit-only target outside its underlying when routing is off', async () => {
+      config.routing.enabled = false;
+      try {
+        const result = await executeSwap(
+          '0x1234567890123456789012345678901234567890',
+          { symbol: 'aBasUSDC' },
+          { symbol: 'cUSDCv3', address: '0xb125E6687d4313864e53df431d5425969c15Eb2F' },
+          1000
+        );
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('can only be entered from USDC');
+      } finally {
+        config.routing.enabled = true;
+      }
+    });
+  });
+
+  describe('with a stubbed SwarmVault client', () => {
+    const valueGuard = config.valueGuard.enabled;
+
+    beforeEach(() => {
+      config.valueGuard.enabled = false;
+      clearLearnedRoutes();
+    });
+
+    afterEach(() => {
+      config.valueGuard.enabled = valueGuard;
+      setBackends();
+    });
+
+    describe('batched swaps', () => {
+      it('should swap several members selling the same pair in one executeSwap', async () => {
+        const client = createStubClient();
+        setBackends({ client });
+
+        const results = await executeRotations([buildRotation(1), buildRotation(2), buildRotation(3)], profile);
+
+        const swaps = callsTo(client, 'executeSwap');
+        expect(swaps).toHaveLength(1);
+        expect(swaps[0][0]).toBe('swarm-1');
+        expect(swaps[0][1]).toMatchObject({ sellToken: USDC, buyToken: ABASUSDC, sellPercentage: 100 });
+        expect(swaps[0][1].membershipIds).toEqual(['membership-1', 'membership-2', 'membership-3']);
+        expect(results.executed.map(({ result }) => result.transactionId)).toEqual(['tx-1', 'tx-1', 'tx-1']);
+        expect(results.executed.every(({ result }) => result.batchSize === 3)).toBe(true);
+      });
+
+      it('should leave a member whose preview fails out of the swap and go on with the others', async () => {
+        const client = createStubClient({
+          previewSwap: async (swarmId, params) => ({
+            totalSellAmount: '2000000',
+            totalBuyAmount: '1998000',
+            members: params.membershipIds
+              .filter(membershipId => membershipId !== 'membership-2')
+              .map(membershipId => ({ membershipId, sellAmount: '1000000', buyAmount: '999000' })),
+            errors: [{ membershipId: 'membership-2', message: 'Insufficient balance' }],
+          }),
+        });
+        setBackends({ client });
+
+        const results = await executeRotations([buildRotation(1), buildRotation(2), buildRotation(3)], profile);
+
+        expect(callsTo(client, 'executeSwap')[0][1].membershipIds).toEqual(['membership-1', 'membership-3']);
+        expect(results.executed.map(({ rotation }) => rotation.membershipId)).toEqual(['membership-1', 'membership-3']);
+        expect(results.failed).toHaveLength(1);
+        expect(results.failed[0].rotation.membershipId).toBe('membership-2');
+        expect(results.failed[0].result.error).toBe('Swap preview failed: Insufficient balance');
+      });
+
+      it('should settle each member on their own target in the transaction', async () => {
+        const client = createStubClient({
+          waitForTransaction: async () => ({
+            status: 'CONFIRMED',
+            targets: [
+              { membershipId: 'membership-1', status: 'CONFIRMED' },
+              { membershipId: 'membership-2', status: 'FAILED', error: 'execution reverted: STF' },
+            ],
+          }),
+        });
+        setBackends({ client });
+
+        const results = await executeRotations([buildRotation(1), buildRotation(2)], profile);
+
+        expect(callsTo(client, 'executeSwap')).toHaveLength(1);
+        expect(results.executed.map(({ rotation }) => rotation.membershipId)).toEqual(['membership-1']);
+        expect(results.failed).toHaveLength(1);
+        expect(results.failed[0].rotation.membershipId).toBe('membership-2');
+        expect(results.failed[0].result).toMatchObject({ success: false, outcome: 'reverted', errorKind: 'reverted', transactionId: 'tx-1' });
+      });
+    });
+
+    describe('protocol routes', () => {
+      const usdc = { symbol: 'USDC', address: USDC, balance: 1000, balanceUsd: 1000 };
+      const comet = { symbol: 'cUSDCv3', address: CUSDCV3, balance: 1000, balanceUsd: 1000 };
+
+      it('should approve USDC and then supply it to Compound, each confirmed before the next', async () => {
+        const client = createStubClient();
+        setBackends({ client });
+
+        const result = await executeSwap('0x1111111111111111111111111111111111111111', usdc, { symbol: 'cUSDCv3', address: CUSDCV3 }, 250, 'membership-1', profile);
+
+        expect(client.calls.map(([method]) => method)).toEqual(['executeTransaction', 'waitForTransaction', 'executeTransaction', 'waitForTransaction']);
+        const [approve, supply] = callsTo(client, 'executeTransaction').map(([, params]) => params);
+        expect(approve).toMatchObject({ mode: 'abi', contractAddress: USDC, functionName: 'approve', args: [CUSDCV3, '250000000'], membershipIds: ['membership-1'] });
+        expect(supply).toMatchObject({ mode: 'abi', contractAddress: CUSDCV3, functionName: 'supply', args: [USDC, '250000000'], membershipIds: ['membership-1'] });
+        expect(result).toMatchObject({ success: true, transactionId: 'tx-2', transactionIds: ['tx-1', 'tx-2'] });
+      });
+
+      it('should withdraw a whole position with MaxUint256 and a partial one by amount', async () => {
+        const client = createStubClient();
+        setBackends({ client });
+
+        const full = await executeSwap('0x1111111111111111111111111111111111111111', comet, usdc, 1000, 'membership-1', profile);
+        const partial = await executeSwap('0x1111111111111111111111111111111111111111', comet, usdc, 400, 'membership-1', profile);
+
+        const withdrawals = callsTo(client, 'executeTransaction').map(([, params]) => params);
+        expect(withdrawals.map(params => params.functionName)).toEqual(['withdraw', 'withdraw']);
+        expect(withdrawals[0]).toMatchObject({ contractAddress: CUSDCV3, args: [USDC, MaxUint256.toString()] });
+        expect(withdrawals[1]).toMatchObject({ contractAddress: CUSDCV3, args: [USDC, '400000000'] });
+        expect(full.success).toBe(true);
+        expect(partial.success).toBe(true);
+      });
+
+      it('should not send the supply when the approval fails', async () => {
+        const client = createStubClient({
+          waitForTransaction: async () => ({ status: 'FAILED', error: 'execution reverted: approve failed' }),
+        });
+        setBackends({ client });
+
+        const result = await executeSwap('0x1111111111111111111111111111111111111111', usdc, { symbol: 'cUSDCv3', address: CUSDCV3 }, 250, 'membership-1', profile);
+
+        const sent = callsTo(client, 'executeTransaction').map(([, params]) => params.functionName);
+        expect(sent).toEqual(['approve']);
+        expect(result).toMatchObject({ success: false, transactionId: 'tx-1', transactionIds: ['tx-1'] });
+      });
+    });
+
+    describe('multi-leg paths', () => {
+      it('should report the stranded token and every transaction when leg 2 fails after leg 1 confirmed', async () => {
+        const client = createStubClient({
+          waitForTransaction: async transactionId => (transactionId === 'tx-2'
+            ? { status: 'FAILED', error: 'execution reverted: STF' }
+            : { status: 'CONFIRMED' }),
+        });
+        // USDC balance before the withdrawal, then after it
+        setBackends({ client, provider: createStubProvider([0n, 1000000000n]) });
+
+        const result = await executeSwap(
+          '0x1111111111111111111111111111111111111111',
+          { symbol: 'cUSDCv3', address: CUSDCV3, balance: 1000, balanceUsd: 1000 },
+          { symbol: 'USDbC', address: USDBC },
+          1000,
+          'membership-1',
+          profile
+        );
+
+        expect(callsTo(client, 'executeTransaction')[0][1].functionName).toBe('withdraw');
+        expect(callsTo(client, 'executeSwap')[0][1]).toMatchObject({ sellToken: USDC, buyToken: USDBC, membershipIds: ['membership-1'] });
+        expect(result.success).toBe(false);
+        expect(result.error).toMatch(/^leg 2 of 2 .* failed after 1 completed/);
+        expect(result.completedLegs).toHaveLength(1);
+        expect(result.strandedToken).toBe('USDC');
+        expect(result.transactionIds).toEqual(['tx-1', 'tx-2']);
+      });
+    });
+
+    describe('concurrent execution', () => {
+      const concurrency = config.execution.concurrency;
+
+      afterEach(() => {
+        config.execution.concurrency = concurrency;
+      });
+
+      it('should run swaps for different members side by side but never two for one member', async () => {
+        config.execution.concurrency = 3;
+        const active = new Set();
+        const overlaps = [];
+        let mostActive = 0;
+        const members = new Map();
+        const client = createStubClient({
+          executeSwap: async (swarmId, params) => {
+            for (const membershipId of params.membershipIds) {
+              if (active.has(membershipId)) overlaps.push(membershipId);
+              active.add(membershipId);
+            }
+            mostActive = Math.max(mostActive, active.size);
+            const transactionId = `tx-${members.size + 1}`;
+            members.set(transactionId, params.membershipIds);
+            return { transactionId };
+          },
+          waitForTransaction: async transactionId => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            members.get(transactionId).forEach(membershipId => active.delete(membershipId));
+            return { status: 'CONFIRMED' };
+          },
+        });
+        setBackends({ client });
+
+        const usdbc = { symbol: 'USDbC', address: USDBC, balance: 500, balanceUsd: 500 };
+        const results = await executeRotations([
+          buildRotation(1),
+          buildRotation(2),
+          buildRotation(1, { fromToken: usdbc }),
+          buildRotation(3, { fromToken: usdbc }),
+          buildRotation(4, { toToken: { symbol: 'USDbC', address: USDBC } }),
+          buildRotation(5, { toToken: { symbol: 'USDbC', address: USDBC } }),
+        ], profile);
+
+        expect(callsTo(client, 'executeSwap')).toHaveLength(3);
+        expect(results.executed).toHaveLength(6);
+        expect(overlaps).toEqual([]);
+        expect(mostActive).toBeGreaterThan(2);
+      });
+
+      it('should send a swap refused with 429 again through the rate limiter', async () => {
+        let refused = 0;
+        const client = createStubClient({
+          executeSwap: async () => {
+            if (refused++ === 0) {
+              throw Object.assign(new Error('Too Many Requests'), { status: 429, headers: { 'Retry-After': '0' } });
+            }
+            return { transactionId: 'tx-1' };
+          },
+        });
+        setBackends({ client });
+
+        const results = await executeRotations([buildRotation(1), buildRotation(2)], profile);
+
+        expect(callsTo(client, 'executeSwap')).toHaveLength(2);
+        expect(results.failed).toEqual([]);
+        expect(results.executed.map(({ result }) => result.transactionId)).toEqual(['tx-1', 'tx-1']);
+      });
+    });
+
+    describe('unconfirmed swaps', () => {
+      const timeoutSeconds = config.execution.confirmationTimeoutSeconds;
+
+      afterEach(() => {
+        config.execution.confirmationTimeoutSeconds = timeoutSeconds;
+      });
+
+      it('should skip the later legs of a member whose swap is still pending after the timeout', async () => {
+        config.execution.confirmationTimeoutSeconds = 0.01;
+        const client = createStubClient({
+          waitForTransaction: () => new Promise(() => {}),
+          getTransaction: async () => ({ status: 'PROCESSING' }),
+        });
+        setBackends({ client });
+
+        const first = buildRotation(1, { sellShare: 0.5, toToken: { symbol: 'USDbC', address: USDBC } });
+        const second = buildRotation(1, { sellShare: 0.5 });
+        const results = await executeRotations([first, second], profile);
+
+        expect(callsTo(client, 'executeSwap')).toHaveLength(1);
+        expect(results.pending).toHaveLength(1);
+        expect(results.pending[0].rotation).toBe(first);
+        expect(results.pending[0].result).toMatchObject({ success: false, pending: true, transactionId: 'tx-1' });
+        expect(results.failed).toEqual([]);
+        expect(results.skipped).toEqual([{ rotation: second, reason: 'An earlier swap for this member is still pending' }]);
+      });
+    });
+
+    describe('thrown errors', () => {
+      it('should record a thrown error as a failed result that counts toward the breaker and halts later waves', async () => {
+        const client = createStubClient();
+        setBackends({ client });
+
+        const throwing = buildRotation(1, { sellShare: 0.5 });
+        // Read only when the swap is started, so the error escapes executeSwap
+        Object.defineProperty(throwing, 'capEnforced', { get: () => { throw new Error('Unexpected state'); } });
+        const breaker = createCircuitBreaker({ threshold: 1 });
+
+        const secondWave = [
+          buildRotation(1, { sellShare: 0.5, toToken: { symbol: 'USDbC', address: USDBC } }),
+          buildRotation(2, { sellShare: 0.5 }),
+        ];
+
+        const results = await executeRotations([
+          throwing,
+          secondWave[0],
+          buildRotation(2, { sellShare: 0.5, toToken: { symbol: 'USDbC', address: USDBC } }),
+          secondWave[1],
+        ], profile, null, breaker);
+
+        expect(results.failed).toHaveLength(1);
+        expect(results.failed[0].rotation).toBe(throwing);
+        expect(results.failed[0].result).toEqual({
+          success: false,
+          error: 'Unexpected state',
+          errorKind: 'unknown',
+          userAddress: throwing.userAddress,
+          fromToken: 'USDC',
+          toToken: 'aBasUSDC',
+          amount: 500,
+        });
+        expect(breaker.isOpen()).toBe(true);
+        expect(results.skipped.map(({ rotation }) => rotation)).toEqual(expect.arrayContaining(secondWave));
+        expect(results.skipped.every(({ reason }) => reason.startsWith('Run halted'))).toBe(true);
+        expect(callsTo(client, 'executeSwap').every(([, params]) => !params.membershipIds.includes('membership-1'))).toBe(true);
+      });
+    });
   });
 
   describe('executeRotations', () => {
@@ -160,9 +579,11 @@ describe('Swapper Service', () => {
       expect(results).toHaveProperty('executed');
       expect(results).toHaveProperty('failed');
       expect(results).toHaveProperty('skipped');
+      expect(results).toHaveProperty('pending');
       expect(Array.isArray(results.executed)).toBe(true);
       expect(Array.isArray(results.failed)).toBe(true);
       expect(Array.isArray(results.skipped)).toBe(true);
+      expect(Array.isArray(results.pending)).toBe(true);
     });
 
     it('should handle empty rotations array', async () => {
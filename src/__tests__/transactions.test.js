@@ -0,0 +1,97 @@
+/**
+ * Unit tests for transaction outcomes
+ * Tests status mapping, per-member targets and the confirmation timeout
+ */
+
+import { TRANSACTION_OUTCOMES, getTransactionOutcome, waitForOutcome } from '../services/transactions.js';
+
+describe('Transactions', () => {
+  describe('getTransactionOutcome', () => {
+    it('should map SDK statuses to outcomes', () => {
+      expect(getTransactionOutcome({ status: 'CONFIRMED' })).toEqual({ outcome: TRANSACTION_OUTCOMES.CONFIRMED, error: null });
+      expect(getTransactionOutcome({ status: 'completed' }).outcome).toBe(TRANSACTION_OUTCOMES.CONFIRMED);
+      expect(getTransactionOutcome({ status: 'FAILED', error: 'insufficient balance' })).toEqual({ outcome: TRANSACTION_OUTCOMES.FAILED, error: 'insufficient balance' });
+      expect(getTransactionOutcome({ status: 'REVERTED' }).outcome).toBe(TRANSACTION_OUTCOMES.REVERTED);
+      expect(getTransactionOutcome({ status: 'DROPPED' }).outcome).toBe(TRANSACTION_OUTCOMES.EXPIRED);
+      expect(getTransactionOutcome({ status: 'PROCESSING' })).toEqual({ outcome: TRANSACTION_OUTCOMES.PENDING, error: null });
+      expect(getTransactionOutcome(null).outcome).toBe(TRANSACTION_OUTCOMES.PENDING);
+    });
+
+    it('should report failures caused by a revert as reverted', () => {
+      expect(getTransactionOutcome({ status: 'FAILED', error: 'execution reverted: STF' })).toEqual({
+        outcome: TRANSACTION_OUTCOMES.REVERTED,
+        error: 'execution reverted: STF',
+      });
+    });
+
+    it('should settle each member on their own target', () => {
+      const transaction = {
+        status: 'CONFIRMED',
+        targets: [
+          { membershipId: 'membership-1', status: 'CONFIRMED' },
+          { agentWalletAddress: '0xAbC', status: 'FAILED', error: 'execution reverted' },
+        ],
+      };
+
+      expect(getTransactionOutcome(transaction, { membershipId: 'membership-1', userAddress: '0x1' }).outcome).toBe(TRANSACTION_OUTCOMES.CONFIRMED);
+      expect(getTransactionOutcome(transaction, { membershipId: 'membership-2', userAddress: '0xabc' }).outcome).toBe(TRANSACTION_OUTCOMES.REVERTED);
+      // Members the transaction doesn't list get its overall status
+      expect(getTransactionOutcome(transaction, { membershipId: 'membership-3', userAddress: '0x3' }).outcome).toBe(TRANSACTION_OUTCOMES.CONFIRMED);
+    });
+  });
+
+  describe('waitForOutcome', () => {
+    const never = () => new Promise(() => {});
+
+    it('should return the transaction once the wait resolves', async () => {
+      const result = await waitForOutcome('tx-1', { waitForTransaction: async () => ({ status: 'CONFIRMED' }), timeoutMs: 1000 });
+
+      expect(result).toEqual({ transaction: { status: 'CONFIRMED' }, timedOut: false });
+    });
+
+    it('should time out and read the status once more', async () => {
+      const running = await waitForOutcome('tx-1', {
+        waitForTransaction: never,
+        getTransaction: async () => ({ status: 'PROCESSING' }),
+        timeoutMs: 10,
+      });
+      const finished = await waitForOutcome('tx-2', {
+        waitForTransaction: never,
+        getTransaction: async () => ({ status: 'FAILED' }),
+        timeoutMs: 10,
+      });
+
+      expect(running).toEqual({ transaction: { status: 'PROCESSING' }, timedOut: true });
+      expect(finished).toEqual({ transaction: { status: 'FAILED' }, timedOut: false });
+    });
+
+    it('should report a timeout when the status cannot be read', async () => {
+      const result = await waitForOutcome('tx-1', {
+        waitForTransaction: never,
+        getTransaction: async () => { throw new Error('API down'); },
+        timeoutMs: 10,
+      });
+
+      expect(result).toEqual({ transaction: null, timedOut: true });
+    });
+
+    it('should fall back to reading the status when the wait fails', async () => {
+      const read = [];
+      const result = await waitForOutcome('tx-1', {
+        waitForTransaction: async () => { throw new Error('socket hang up'); },
+        getTransaction: async id => { read.push(id); return { status: 'REVERTED' }; },
+        timeoutMs: 1000,
+      });
+
+      expect(read).toEqual(['tx-1']);
+      expect(result).toEqual({ transaction: { status: 'REVERTED' }, timedOut: false });
+    });
+
+    it('should throw when the wait fails and there is no way to read the status', async () => {
+      await expect(waitForOutcome('tx-1', {
+        waitForTransaction: async () => { throw new Error('socket hang up'); },
+        timeoutMs: 1000,
+      })).rejects.toThrow('socket hang up');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// Every simulated run logs its recommendations; keep the output to the report unless asked
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'WARN';
+
+const { config } = await import('./config.js');
+const { getActiveChainProfiles, getChainRegistry } = await import('./services/chains.js');
+const { loadBacktestData, getBacktestRange, runBacktestGrid, formatBacktestReport } = await import('./services/backtest.js');
+
+/**
+ * Backtest the rotation thresholds on one chain and print the grid
+ * @param {Object} profile - Chain profile
+ */
+async function backtestChain(profile) {
+  const registry = getChainRegistry(profile);
+  const { pools, histories } = await loadBacktestData({ profile, registry });
+  if (pools.length === 0) {
+    console.log(`\n${profile.name}: no mapped pools with history files in ${config.backtest.historyDir}`);
+    return;
+  }
+
+  const { start, end } = getBacktestRange(histories);
+  const { memberBalancesUsd, startAsset, stepDays, swapCostBps, gasCostUsd } = config.backtest;
+
+  console.log('\n========================================');
+  console.log(`${profile.name.toUpperCase()} BACKTEST`);
+  console.log('========================================\n');
+  console.log(`Period: ${new Date(start).toISOString().slice(0, 10)} to ${new Date(end).toISOString().slice(0, 10)}, every ${stepDays} day(s)`);
+  console.log(`Pools: ${pools.map(pool => `${pool.symbol} (${pool.project})`).join(', ')}`);
+  console.log(`Members: ${memberBalancesUsd.map(balance => `$${balance}`).join(', ')} starting in idle ${startAsset}`);
+  console.log(`Swap cost: ${swapCostBps} bps + $${gasCostUsd} gas per swap\n`);
+
+  const results = runBacktestGrid({ pools, histories, registry, chain: profile.defillamaChain, start, end });
+  console.log(formatBacktestReport(results));
+  console.log('\n* highest final value');
+}
+
+/**
+ * Backtest every active chain profile in turn
+ */
+async function backtestAllChains() {
+  for (const profile of getActiveChainProfiles()) {
+    await backtestChain(profile);
+  }
+}
+
+backtestAllChains().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -1,16 +1,195 @@
 import 'dotenv/config';
 
+/**
+ * Read the value following a CLI flag (e.g. --yields-snapshot <file>)
+ * @param {string} flag - Flag name including dashes
+ * @returns {string|null} Flag value or null if absent
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : null;
+}
+
+/**
+ * Parse a numeric setting, keeping an explicit 0 (e.g. REWARD_DISCOUNT=0)
+ * @param {string|undefined} value - Raw env or flag value
+ * @param {number|null} fallback - Used when the value is missing or not a number
+ * @param {Object} options - Options
+ * @param {boolean} options.integer - Parse as an integer
+ * @returns {number|null} Parsed value or the fallback
+ */
+export function readNumber(value, fallback, { integer = false } = {}) {
+  const parsed = integer ? parseInt(value, 10) : parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+/**
+ * Build a chain profile, letting <KEY>_RPC_URL, <KEY>_SWARM_ID and
+ * <KEY>_TOKEN_REGISTRY_PATH override the defaults
+ * @param {string} key - Profile key (e.g. 'arbitrum')
+ * @param {Object} defaults - Profile defaults ({ name, chainId, defillamaChain, blockTimeSeconds, rpcUrl, swarmId })
+ * @returns {Object} Chain profile
+ */
+function chainProfile(key, defaults) {
+  const prefix = key.toUpperCase();
+  return {
+    key,
+    name: defaults.name,
+    chainId: defaults.chainId,
+    defillamaChain: defaults.defillamaChain,  // Chain name used by DeFiLlama and the token registry
+    blockTimeSeconds: defaults.blockTimeSeconds,
+    rpcUrl: process.env[`${prefix}_RPC_URL`] || defaults.rpcUrl,
+    swarmId: process.env[`${prefix}_SWARM_ID`] || defaults.swarmId || null,
+    tokenRegistryPath: process.env[`${prefix}_TOKEN_REGISTRY_PATH`] || null,  // Defaults to the shared registry
+  };
+}
+
 export const config = {
-  // Chain settings
+  // Chain settings - defaults used when no chain profile is passed
   chain: 'Base',
   chainId: 8453,
+  defaultChain: 'base',
+
+  // Chain profiles - each rotation run targets one profile
+  chains: {
+    base: chainProfile('base', {
+      name: 'Base',
+      chainId: 8453,
+      defillamaChain: 'Base',
+      blockTimeSeconds: 2,
+      rpcUrl: process.env.RPC_URL || 'https://mainnet.base.org',
+      swarmId: process.env.SWARM_ID,
+    }),
+    arbitrum: chainProfile('arbitrum', {
+      name: 'Arbitrum',
+      chainId: 42161,
+      defillamaChain: 'Arbitrum',
+      blockTimeSeconds: 0.25,
+      rpcUrl: 'https://arb1.arbitrum.io/rpc',
+    }),
+    optimism: chainProfile('optimism', {
+      name: 'Optimism',
+      chainId: 10,
+      defillamaChain: 'Optimism',
+      blockTimeSeconds: 2,
+      rpcUrl: 'https://mainnet.optimism.io',
+    }),
+    ethereum: chainProfile('ethereum', {
+      name: 'Ethereum',
+      chainId: 1,
+      defillamaChain: 'Ethereum',
+      blockTimeSeconds: 12,
+      rpcUrl: 'https://ethereum-rpc.publicnode.com',
+    }),
+  },
+
+  // Chains to rotate (comma-separated profile keys); defaults to every chain with a swarm id
+  chainSelection: getArgValue('--chain') || process.env.CHAINS || null,
 
   // Rotation thresholds
-  minApyImprovement: parseFloat(process.env.MIN_APY_IMPROVEMENT) || 0.5,  // Minimum 0.5% APY improvement to trigger swap
-  minBalanceUsd: parseFloat(process.env.MIN_BALANCE_USD) || 10,           // Minimum balance to consider for rotation
+  minApyImprovement: readNumber(process.env.MIN_APY_IMPROVEMENT, 0.5),  // Minimum 0.5% APY improvement to trigger swap
+  minBalanceUsd: readNumber(process.env.MIN_BALANCE_USD, 10),           // Minimum balance to consider for rotation
+  crossAssetMinApyImprovement: readNumber(process.env.CROSS_ASSET_MIN_APY_IMPROVEMENT, 1.5),  // Rotating into another stablecoin (e.g. DAI -> USDC)
+
+  // Churn control - exits from positions a member entered recently (tracked in STATE_DIR)
+  churn: {
+    minHoldingDays: readNumber(process.env.MIN_HOLDING_DAYS, 3),            // Positions younger than this are not left
+    hysteresisBand: readNumber(process.env.HYSTERESIS_BAND, 0.5),           // Extra improvement (pct points) to leave a recent entry
+    hysteresisWindowDays: readNumber(process.env.HYSTERESIS_WINDOW_DAYS, 14),  // How long after entry the band applies
+  },
+
+  // Yield scoring - how a pool's comparable yield is derived from DeFiLlama fields
+  yieldScoring: {
+    method: process.env.YIELD_SCORING_METHOD || 'base-plus-rewards',        // apy | base | mean30d | base-plus-rewards
+    rewardDiscount: readNumber(process.env.REWARD_DISCOUNT, 0.5),         // Weight applied to reward emissions APY
+    maxApyChange7d: readNumber(process.env.MAX_APY_CHANGE_7D, 2.0),       // 7-day APY jump (pct points) treated as a spike
+  },
+
+  // Historical APY - target pool is chosen by mean - k * stdev over the selection window
+  history: {
+    enabled: process.env.HISTORY_SELECTION !== 'false',
+    windowsDays: (process.env.HISTORY_WINDOWS || '7,30,90').split(',').map(Number),
+    selectionWindowDays: parseInt(process.env.HISTORY_SELECTION_WINDOW, 10) || 30,
+    volatilityPenalty: readNumber(process.env.VOLATILITY_PENALTY, 1.0),  // k
+    minSamples: 7,                                                          // Fewer points falls back to snapshot score
+    missingPenalty: readNumber(process.env.HISTORY_MISSING_PENALTY, 1.0),  // Pct points off the snapshot score without history
+    dir: process.env.YIELD_HISTORY_DIR || null,                             // Read <poolId>.json files instead of /chart
+  },
+
+  // Allocation - each member is spread across the top pools under hard concentration caps
+  allocation: {
+    maxPools: parseInt(process.env.ALLOCATION_MAX_POOLS, 10) || 3,            // 1 sends everything to the best pool
+    weighting: process.env.ALLOCATION_WEIGHTING || 'risk-adjusted',           // equal, apy or risk-adjusted
+    maxProtocolPct: readNumber(process.env.MAX_PROTOCOL_ALLOCATION, 50),    // Max share of a member in one protocol
+    maxPoolPct: readNumber(process.env.MAX_POOL_ALLOCATION, 50),            // Max share of a member in one pool
+  },
+
+  // Rotation strategy - greedy, risk-adjusted, diversified or hold-unless-large-gain
+  strategy: {
+    name: getArgValue('--strategy') || process.env.ROTATION_STRATEGY
+      || ((parseInt(process.env.ALLOCATION_MAX_POOLS, 10) || 3) > 1 ? 'diversified' : 'greedy'),
+    params: getArgValue('--strategy-params') || process.env.STRATEGY_PARAMS || null,  // JSON object, validated per strategy
+  },
+
+  // Position sizing - how much the swarm puts into a pool and how large one swap may be
+  sizing: {
+    enabled: process.env.POSITION_SIZING !== 'false',
+    maxPoolTvlPct: readNumber(process.env.MAX_POOL_TVL_SHARE, 5),           // Max share (%) of a pool's TVL held by the swarm
+    maxPriceImpactPct: readNumber(process.env.MAX_PRICE_IMPACT, 0.3),       // Larger swaps are split into chunks
+    maxChunksPerRun: parseInt(process.env.MAX_CHUNKS_PER_RUN, 10) || 4,      // The rest of a large position waits for the next run
+  },
 
   // API settings
   defillamaBaseUrl: 'https://yields.llama.fi',
+  defillamaCoinsUrl: 'https://coins.llama.fi',
+
+  // DeFiLlama /pools snapshot cache
+  cache: {
+    enabled: process.env.YIELDS_CACHE !== 'false',
+    dir: process.env.YIELDS_CACHE_DIR || '.cache/defillama',
+    ttlMinutes: readNumber(process.env.YIELDS_CACHE_TTL_MINUTES, 60),
+    keep: parseInt(process.env.YIELDS_CACHE_KEEP, 10) || 30,  // Snapshots retained on disk
+    maxStaleHours: readNumber(process.env.YIELDS_STALE_MAX_HOURS, 6),  // Oldest fallback snapshot a live run trades on
+  },
+
+  // Replay a saved /pools snapshot instead of calling DeFiLlama
+  yieldsSnapshot: getArgValue('--yields-snapshot') || process.env.YIELDS_SNAPSHOT || null,
+
+  // Token registry - single source of token addresses (defaults to src/data/tokens.json)
+  tokenRegistryPath: process.env.TOKEN_REGISTRY_PATH || null,
+
+  // Risk policy - protocols and pools the bot may touch (defaults to src/data/risk-policy.json)
+  riskPolicyPath: process.env.RISK_POLICY_PATH || null,
+
+  // On-chain rate cross-check - DeFiLlama APYs are compared with rates read over each chain's RPC
+  onchain: {
+    enabled: process.env.ONCHAIN_CHECK !== 'false',
+    apyTolerance: readNumber(process.env.ONCHAIN_APY_TOLERANCE, 1.0),     // Max disagreement in pct points
+    requireVerification: process.env.ONCHAIN_REQUIRE_VERIFICATION === 'true', // Also refuse pools whose rate can't be read
+    shareGrowthLookbackDays: parseFloat(process.env.ERC4626_LOOKBACK_DAYS) || 7,  // Converted to blocks with each chain's block time
+    timeoutMs: 10000,
+  },
+
+  // Anomaly detection - outlier pools are quarantined for a number of runs
+  anomaly: {
+    enabled: process.env.ANOMALY_DETECTION !== 'false',
+    zScoreThreshold: readNumber(process.env.ANOMALY_Z_SCORE, 3.0),         // Score vs history mean, in stdevs
+    minStdev: 0.1,                                                          // Floor so flat histories don't divide by ~0
+    maxApyChange1d: readNumber(process.env.ANOMALY_MAX_APY_CHANGE_1D, 2.0),  // Pct points
+    maxApyChange7d: readNumber(process.env.ANOMALY_MAX_APY_CHANGE_7D, 5.0),  // Pct points
+    maxTvlChangePct: readNumber(process.env.ANOMALY_MAX_TVL_CHANGE, 30),   // TVL change vs previous run, in %
+    quarantineRuns: readNumber(process.env.QUARANTINE_RUNS, 3, { integer: true }),
+  },
+
+  // Run state (anomaly quarantine, rotation ledger, execution journal) persisted between runs
+  stateDir: process.env.STATE_DIR || '.cache/state',
+
+  // Execution journal - every rotation's state is written to STATE_DIR before each step,
+  // and swaps a crashed run left open are settled before the next run plans
+  journal: {
+    enabled: process.env.EXECUTION_JOURNAL !== 'false',
+    keepDays: readNumber(process.env.JOURNAL_KEEP_DAYS, 14),  // Finished entries kept for review
+  },
 
   // Swarm Vault settings
   swarmVault: {
@@ -19,11 +198,77 @@ export const config = {
     swarmId: process.env.SWARM_ID,
   },
 
+  // Batching - rotations selling and buying the same tokens share one swarm-level swap
+  batching: {
+    enabled: process.env.BATCH_SWAPS !== 'false',
+    maxMembersPerSwap: parseInt(process.env.BATCH_MAX_MEMBERS, 10) || 50,
+  },
+
+  // Execution - swaps of different members run side by side; SwarmVault 429s pause all calls and are retried
+  execution: {
+    concurrency: parseInt(getArgValue('--concurrency') || process.env.EXECUTION_CONCURRENCY, 10) || 4,  // Swaps in flight at once
+    rateLimitRetries: readNumber(process.env.RATE_LIMIT_RETRIES, 5, { integer: true }),         // Retries of one rate-limited call
+    rateLimitDelayMs: readNumber(process.env.RATE_LIMIT_DELAY_MS, 2000, { integer: true }),     // Backoff base when there is no Retry-After
+    maxConsecutiveFailures: parseInt(process.env.MAX_CONSECUTIVE_FAILURES, 10) || 5,  // Failed swaps in a row that halt the run
+    confirmationTimeoutSeconds: parseFloat(process.env.CONFIRMATION_TIMEOUT_SECONDS) || 300,  // Longer waits leave the swap pending
+  },
+
+  // Protocol adapters - deposit-only tokens (cUSDCv3, aBasUSDbC, mUSDbC) become rotation
+  // targets, entered and left through the protocol contract instead of a DEX swap
+  protocolAdapters: {
+    enabled: process.env.PROTOCOL_ADAPTERS === 'true',
+  },
+
+  // Routing - when a direct swap has no route, try hub tokens and protocol withdraw/deposit legs
+  routing: {
+    enabled: process.env.MULTI_HOP_ROUTING !== 'false',
+    hubs: (process.env.ROUTING_HUBS || 'USDC').split(','),
+    maxLegs: parseInt(process.env.ROUTING_MAX_LEGS, 10) || 3,
+  },
+
+  // Value-loss guard - every swap's preview is valued in USD right before it is executed
+  valueGuard: {
+    enabled: process.env.VALUE_LOSS_GUARD !== 'false',
+    maxLossBps: readNumber(process.env.MAX_VALUE_LOSS_BPS, 100),           // Abort swaps losing more of the value sold
+    horizonDays: readNumber(process.env.VALUE_LOSS_HORIZON_DAYS, 30),      // Or more than this many days of expected gain
+  },
+
   // Swap settings
-  maxSlippage: parseFloat(process.env.MAX_SLIPPAGE) || 1.0,  // 1% max slippage
+  maxSlippage: readNumber(process.env.MAX_SLIPPAGE, 1.0),  // 1% max slippage
   gasBuffer: 1.2,  // 20% gas buffer for safety
 
-  // Retry settings
+  // Break-even analysis - each rotation is previewed at full size and must pay back its cost
+  breakEven: {
+    enabled: process.env.BREAK_EVEN_CHECK !== 'false',
+    horizonDays: readNumber(process.env.BREAK_EVEN_HORIZON_DAYS, 30),   // Skip rotations that take longer to pay back
+    swapGasUnits: parseInt(process.env.SWAP_GAS_UNITS, 10) || 350000,     // Gas per member swap (approval + DEX route)
+    gasCostUsd: readNumber(process.env.GAS_COST_USD, null),             // Fixed per-swap gas cost instead of an estimate
+    fallbackGasCostUsd: 1.0,                                              // Used when the gas estimate fails
+  },
+
+  // Plan/apply - `plan` writes the rotations to a file for review, `apply --plan <file>` executes it
+  plans: {
+    dir: process.env.PLAN_DIR || '.cache/plans',
+    file: getArgValue('--plan'),                                                      // Plan to apply, or where to write a new one
+    maxAgeHours: readNumber(process.env.PLAN_MAX_AGE_HOURS, 24),                     // Older plans must be made again
+    balanceTolerancePct: readNumber(process.env.PLAN_BALANCE_TOLERANCE, 2),          // Allowed change in a member's balance (%)
+    apyTolerance: readNumber(process.env.PLAN_APY_TOLERANCE, 0.25),                  // Allowed change in source or target score (pct points)
+  },
+
+  // Backtesting - replays local DeFiLlama chart files (npm run backtest), never touches the network
+  backtest: {
+    historyDir: getArgValue('--history-dir') || process.env.YIELD_HISTORY_DIR || null,  // <poolId>.json chart files
+    days: parseFloat(getArgValue('--days') || process.env.BACKTEST_DAYS) || 90,       // Replayed period, ending at the latest data point
+    stepDays: parseFloat(process.env.BACKTEST_STEP_DAYS) || 1,                         // Time between simulated runs
+    minApyImprovements: (getArgValue('--min-apy-improvement') || process.env.BACKTEST_MIN_APY_IMPROVEMENTS || '0.1,0.25,0.5,1,2').split(',').map(Number),
+    minBalancesUsd: (getArgValue('--min-balance') || process.env.BACKTEST_MIN_BALANCES || '10,100,1000').split(',').map(Number),
+    memberBalancesUsd: (process.env.BACKTEST_MEMBER_BALANCES || '50,500,5000,50000').split(',').map(Number),  // Simulated members, starting idle
+    startAsset: process.env.BACKTEST_START_ASSET || 'USDC',
+    swapCostBps: readNumber(process.env.BACKTEST_SWAP_COST_BPS, 10),                  // DEX fee and slippage per swap
+    gasCostUsd: readNumber(process.env.BACKTEST_GAS_COST_USD, 0.5),                   // Gas per member swap
+  },
+
+  // Retry settings - API requests, and swap previews and polls failing on the network
   maxRetries: 3,
   retryDelayMs: 1000,
 
@@ -31,14 +276,4 @@ export const config = {
   dryRun: process.argv.includes('--dry-run'),
 };
 
-// Token addresses on Base chain
-export const tokenAddresses = {
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  USDbC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
-  DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
-  // Yield-bearing tokens (to be confirmed during DeFiLlama integration)
-  // aBasUSDC: TBD - Aave V3 USDC on Base
-  // cUSDCv3: TBD - Compound V3 USDC on Base
-};
-
 export default config;
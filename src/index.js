@@ -1,114 +1,413 @@
 import { config } from './config.js';
 import { logger } from './utils/logger.js';
-import { getBaseYieldData, getMappedProtocolPools } from './services/defillama.js';
+import { getBaseYieldData, getMappedProtocolPools, assertTradableYieldData, formatScoreBreakdown } from './services/defillama.js';
 import { getEnrichedMemberData } from './services/balances.js';
-import { calculateRotations, prioritizeRotations, getRotationSummary } from './services/rotator.js';
-import { executeRotations, validateSwap, filterSwappablePools } from './services/swapper.js';
+import { prioritizeRotations, getRotationSummary } from './services/rotator.js';
+import { executeRotations, validateSwap, filterSwappablePools, previewRotation, pollTransaction } from './services/swapper.js';
+import { rankPoolsByHistory } from './services/history.js';
+import { crossCheckPools, createProvider, getLookbackBlocks } from './services/onchain.js';
+import { getRiskPolicy, describeApproval, assertPolicyApproved } from './services/risk.js';
+import { analyzeBreakEven, createTokenValuer, resolveGasCostUsd } from './services/breakeven.js';
+import { getChainProfile, getActiveChainProfiles, getChainRegistry } from './services/chains.js';
+import {
+  loadAnomalyState,
+  recordScreening,
+  getAnomalyStateFile,
+  screenPools,
+  formatQuarantineEntry,
+} from './services/anomalies.js';
+import { loadLedger, saveLedger, getLedgerFile, recordRotations } from './services/ledger.js';
+import { applyTvlLimits, chunkByPriceImpact } from './services/sizing.js';
+import { resolveStrategy, runStrategy, formatStrategy } from './services/strategies.js';
+import { buildPlan, writePlan, readPlan, getPlanFile, checkPlanDrift } from './services/plans.js';
+import {
+  loadJournal,
+  saveJournal,
+  getJournalFile,
+  getUnfinishedEntries,
+  pruneJournal,
+  createJournalRecorder,
+  reconcileJournal,
+  hasUnresolvedEntry,
+} from './services/journal.js';
 
 /**
- * Main rotation function - orchestrates the yield rotation process
+ * Log the chain, mode and settings a run uses
+ * @param {Object} profile - Chain profile
+ * @param {Object} strategy - Resolved rotation strategy
+ * @param {string} title - Banner for the run
  */
-async function runRotation() {
-  logger.info('=== Starting Yield Rotation ===');
-  logger.info(`Chain: ${config.chain} (${config.chainId})`);
+function logRunSettings(profile, strategy, title) {
+  logger.info(`=== ${title} ===`);
+  logger.info(`Chain: ${profile.name} (${profile.chainId})`);
+  logger.info(`Swarm: ${profile.swarmId || 'not configured'}`);
   logger.info(`Mode: ${config.dryRun ? 'DRY RUN' : 'LIVE'}`);
+  if (config.yieldsSnapshot) {
+    logger.info(`Yield data: replaying snapshot ${config.yieldsSnapshot}`);
+  }
+  logger.info(`Strategy: ${formatStrategy(strategy)}`);
   logger.info(`Min APY improvement threshold: ${config.minApyImprovement}%`);
+  logger.info(`Yield scoring: ${config.yieldScoring.method} (reward discount ${config.yieldScoring.rewardDiscount}, 7d spike threshold ${config.yieldScoring.maxApyChange7d}%)`);
   logger.info(`Min balance: $${config.minBalanceUsd}`);
+}
 
-  const stats = {
+/**
+ * Create empty run stats for a chain
+ * @param {Object} profile - Chain profile
+ * @returns {Object} Run stats
+ */
+function createStats(profile) {
+  return {
+    chain: profile.key,
     usersChecked: 0,
     swapsExecuted: 0,
     swapsSkipped: 0,
+    swapsPending: 0,
     errors: 0,
+    halted: null,
+    carriedOverUsd: 0,
+    quarantinedPools: [],
   };
+}
 
-  try {
-    // Step 1: Fetch yield data from DeFiLlama
-    logger.info('Step 1: Fetching yield data from DeFiLlama...');
-    const yieldData = await getBaseYieldData();
+/**
+ * Settle the swaps an earlier run left open (step 0), before anything new is planned
+ * Rotations that turn out to have been confirmed are recorded in the rotation ledger.
+ * In dry-run mode nothing is polled and every open entry stays unresolved.
+ * @param {Object} profile - Chain profile
+ * @returns {Promise<Array>} Journal entries still unresolved; their members are not rotated this run
+ */
+async function reconcileExecutionJournal(profile) {
+  if (!config.journal.enabled) {
+    return [];
+  }
 
-    if (!yieldData.pools || yieldData.pools.length === 0) {
-      logger.warn('No yield-bearing stablecoins found on Base. Exiting.');
-      return stats;
+  const file = getJournalFile(profile.key);
+  const journal = await loadJournal(file);
+  const open = getUnfinishedEntries(journal);
+  if (open.length === 0) {
+    if (pruneJournal(journal) > 0) {
+      await saveJournal(journal, file);
     }
+    return [];
+  }
 
-    // Step 1b: Get pools from our mapped protocols (verified DEX-swappable tokens)
-    logger.info('Step 1b: Finding DEX-swappable yield pools from mapped protocols...');
+  if (config.dryRun) {
+    logger.warn(`Step 0: ${open.length} rotations left open by an earlier run are not reconciled in dry-run mode; their members are skipped`);
+    return open;
+  }
 
-    // Get pools from protocols we've verified have DEX-swappable tokens
-    const mappedPools = getMappedProtocolPools(yieldData.pools);
+  logger.info(`Step 0: Reconciling ${open.length} rotations left open by an earlier run...`);
+  const settled = await reconcileJournal(journal, { pollTransaction });
+  pruneJournal(journal);
+  await saveJournal(journal, file);
 
-    if (mappedPools.length === 0) {
-      logger.warn('No pools from mapped protocols found. Cannot proceed with DEX swaps.');
-      logger.warn('Consider adding more protocols to tokenAddressMap in defillama.js');
-      return stats;
+  const describe = entry => `${entry.rotation.userAddress} ${entry.rotation.fromToken.symbol} -> ${entry.rotation.toToken.symbol}`;
+  settled.confirmed.forEach(entry => logger.info(`  ✓ ${describe(entry)} confirmed (${entry.transactionIds.join(', ')})`));
+  settled.failed.forEach(entry => logger.warn(`  ✗ ${describe(entry)} failed: ${entry.error}`));
+  settled.unresolved.forEach(entry => logger.warn(`  ? ${describe(entry)} still unresolved (${entry.transactionIds.join(', ')}) - member skipped this run`));
+
+  if (settled.confirmed.length > 0) {
+    const ledgerFile = getLedgerFile(profile.key);
+    const executed = settled.confirmed.map(entry => ({ rotation: entry.rotation, result: { success: true } }));
+    await saveLedger(recordRotations(await loadLedger(ledgerFile), executed), ledgerFile);
+  }
+
+  return settled.unresolved;
+}
+
+/**
+ * Screen a chain's yield pools down to the rotation candidates (steps 1b to 1e)
+ * Plans and their apply run the same screening: the risk policy, DEX
+ * swappability, historical ranking, anomaly quarantine and on-chain APY
+ * cross-check.
+ * @param {Object} yieldData - Yield data from getBaseYieldData()
+ * @param {Object} profile - Chain profile
+ * @param {Object} stats - Run stats, updated with the quarantined pools
+ * @param {Object} options - Options
+ * @param {Object} options.registry - Chain token registry
+ * @param {Object} options.provider - ethers provider for the on-chain cross-check
+ * @param {Object} options.riskPolicy - Risk policy from getRiskPolicy()
+ * @param {boolean} options.planning - Whether the pools are screened for a plan file
+ * @returns {Promise<Object>} { pools (best first, empty when none pass), verified (DEX swappability was confirmed) }
+ */
+async function screenCandidatePools(yieldData, profile, stats, { registry, provider, riskPolicy, planning = false }) {
+  // Step 1b: Get pools from our mapped protocols (verified DEX-swappable tokens)
+  logger.info('Step 1b: Finding DEX-swappable yield pools from mapped protocols...');
+
+  // Get pools from protocols we've verified have DEX-swappable tokens and that pass the risk policy
+  const mappedPools = getMappedProtocolPools(yieldData.pools, registry, {
+    policy: riskPolicy,
+    protocolTvl: yieldData.protocolTvl,
+  });
+
+  if (mappedPools.length === 0) {
+    logger.warn('No pools from mapped protocols passed the risk policy. Cannot proceed with DEX swaps.');
+    logger.warn('Map DeFiLlama pool ids (defillamaPoolId) in the token registry (src/data/tokens.json) - run `npm run yields` to list candidates');
+    return { pools: [], verified: false };
+  }
+
+  // Validate swappability via DEX preview (cached after first check)
+  const swappablePools = await filterSwappablePools(mappedPools, profile);
+
+  let candidatePools;
+  if (swappablePools.length === 0) {
+    logger.warn('No DEX-swappable yield tokens verified. Using best mapped pool.');
+    candidatePools = mappedPools;
+  } else {
+    candidatePools = swappablePools;
+  }
+
+  // Prefer pools with steady history over ones that top a single snapshot
+  // Snapshot replays stay offline unless a local history directory is configured
+  const historyAvailable = !config.yieldsSnapshot || config.history.dir;
+  if (config.history.enabled && !historyAvailable) {
+    logger.info('Step 1c: Skipping historical ranking while replaying a snapshot (set YIELD_HISTORY_DIR to include it)');
+  } else if (config.history.enabled) {
+    logger.info('Step 1c: Ranking candidate pools by historical APY...');
+    candidatePools = await rankPoolsByHistory(candidatePools);
+  }
+
+  // Quarantine pools whose current numbers are outliers so one glitch can't move the swarm
+  if (config.anomaly.enabled) {
+    logger.info('Step 1d: Screening candidate pools for APY and TVL anomalies...');
+    const screening = screenPools(candidatePools, await loadAnomalyState(getAnomalyStateFile(profile.key)));
+    candidatePools = screening.pools;
+    stats.quarantinedPools = screening.quarantined;
+
+    screening.quarantined.forEach(entry => {
+      logger.warn(`  Quarantined ${formatQuarantineEntry(entry)}`);
+    });
+
+    // Dry runs, plans and replays must not advance the live quarantine
+    if (!await recordScreening(screening.state, getAnomalyStateFile(profile.key), { live: !planning && !config.dryRun })) {
+      logger.info('Anomaly state not saved: only live runs advance the quarantine');
     }
 
-    // Validate swappability via DEX preview (cached after first check)
-    const swappablePools = await filterSwappablePools(mappedPools);
-
-    let bestSwappablePool;
-    if (swappablePools.length === 0) {
-      logger.warn('No DEX-swappable yield tokens verified. Using best mapped pool.');
-      bestSwappablePool = mappedPools[0];
-      logger.info(`Using: ${bestSwappablePool.symbol} at ${bestSwappablePool.apy.toFixed(2)}% APY (${bestSwappablePool.project})`);
-    } else {
-      bestSwappablePool = swappablePools[0];
-      logger.info(`Best verified DEX-swappable: ${bestSwappablePool.symbol} at ${bestSwappablePool.apy.toFixed(2)}% APY (${bestSwappablePool.project})`);
+    if (candidatePools.length === 0) {
+      logger.warn('All candidate pools are quarantined. Skipping rotation.');
+      return { pools: [], verified: false };
     }
+  }
 
-    // Step 2: Get swarm member balances
-    logger.info('Step 2: Fetching swarm member balances...');
-    const members = await getEnrichedMemberData(yieldData.pools);
-    stats.usersChecked = members.length;
+  // Refuse targets whose DeFiLlama APY disagrees with the rate read on-chain
+  // A replayed snapshot is not compared with the live chain; only dry runs may replay one
+  const replaying = config.yieldsSnapshot && config.dryRun && !planning;
+  if (config.onchain.enabled && replaying) {
+    logger.info('Step 1e: Skipping the on-chain APY cross-check while replaying a snapshot in dry-run mode');
+  } else if (config.onchain.enabled) {
+    logger.info(`Step 1e: Cross-checking candidate APYs on-chain (tolerance ${config.onchain.apyTolerance} pts)...`);
+    const crossCheck = await crossCheckPools(candidatePools, {
+      provider,
+      registry,
+      lookbackBlocks: getLookbackBlocks(profile),
+    });
+    candidatePools = crossCheck.pools;
 
-    if (members.length === 0) {
-      logger.info('No swarm members found. Exiting.');
-      return stats;
+    if (candidatePools.length === 0) {
+      logger.warn('No candidate pool passed the on-chain APY cross-check. Skipping rotation.');
+      return { pools: [], verified: false };
     }
+  }
 
-    logger.info(`Found ${members.length} swarm members to check`);
+  return { pools: candidatePools, verified: swappablePools.length > 0 };
+}
 
-    // Step 3: Calculate needed rotations
-    logger.info('Step 3: Calculating rotation opportunities...');
-    const rotations = calculateRotations(members, bestSwappablePool);
-    const prioritizedRotations = prioritizeRotations(rotations);
+/**
+ * Work out the rotations for one chain (steps 1 to 3b), without executing them
+ * Stops early, with no rotations, when there is nothing to rotate.
+ * @param {Object} profile - Chain profile
+ * @param {Object} strategy - Resolved rotation strategy
+ * @param {Object} stats - Run stats, updated as the steps go
+ * @param {Object} options - Options
+ * @param {boolean} options.planning - Whether the rotations go to a plan file (which may be applied live)
+ * @returns {Promise<Object>} { rotations, pools, yieldData, skipped, carried }
+ * @throws {Error} If a live run or a plan would use a replayed or too stale snapshot
+ */
+async function planRotations(profile, strategy, stats, { planning = false } = {}) {
+  const registry = getChainRegistry(profile);
+  const provider = createProvider(profile.rpcUrl, profile.chainId);
+  const planned = { rotations: [], pools: [], yieldData: null, skipped: [], carried: [] };
 
-    // Log rotation summary
-    const summary = getRotationSummary(prioritizedRotations);
-    logger.info(`Rotation opportunities found: ${summary.totalRotations}`);
-    logger.info(`Total value to rotate: $${summary.totalValueToRotate.toFixed(2)}`);
-    logger.info(`Estimated annual gain: $${summary.totalEstimatedAnnualGain.toFixed(2)}`);
+  const riskPolicy = getRiskPolicy();
+  const approval = describeApproval(riskPolicy);
+  if (approval) {
+    logger.info(`Risk policy: ${approval} (max tier ${riskPolicy.maxTier})`);
+  } else {
+    logger.warn('Risk policy has not been approved by the treasury committee - fill in approval.approvedBy/approvedAt');
+  }
+  assertPolicyApproved(riskPolicy, { live: !planning && !config.dryRun });
 
-    if (prioritizedRotations.length === 0) {
-      logger.info('No rotations needed - all holdings are optimal or below threshold.');
-      return stats;
+  // Step 1: Fetch yield data from DeFiLlama
+  logger.info('Step 1: Fetching yield data from DeFiLlama...');
+  const yieldData = await getBaseYieldData(profile.defillamaChain, registry);
+  logger.info(`Yield data source: ${yieldData.source} (fetched ${yieldData.fetchedAt})`);
+  assertTradableYieldData(yieldData, { live: planning || !config.dryRun });
+  planned.yieldData = { source: yieldData.source, fetchedAt: yieldData.fetchedAt };
+
+  if (!yieldData.pools || yieldData.pools.length === 0) {
+    logger.warn(`No yield-bearing stablecoins found on ${profile.name}. Exiting.`);
+    return planned;
+  }
+
+  const screening = await screenCandidatePools(yieldData, profile, stats, { registry, provider, riskPolicy, planning });
+  const candidatePools = screening.pools;
+  if (candidatePools.length === 0) {
+    return planned;
+  }
+
+  planned.pools = candidatePools;
+  const bestSwappablePool = candidatePools[0];
+  const label = screening.verified ? 'Best verified DEX-swappable' : 'Using';
+  logger.info(`${label}: ${bestSwappablePool.symbol} at ${bestSwappablePool.score.toFixed(2)}% (${bestSwappablePool.project})`);
+  logger.info(`Score breakdown: ${formatScoreBreakdown(bestSwappablePool.scoreBreakdown)}`);
+
+  // Step 2: Get swarm member balances
+  logger.info('Step 2: Fetching swarm member balances...');
+  const members = await getEnrichedMemberData(yieldData.pools, profile.swarmId, registry);
+  stats.usersChecked = members.length;
+
+  if (members.length === 0) {
+    logger.info('No swarm members found. Exiting.');
+    return planned;
+  }
+
+  logger.info(`Found ${members.length} swarm members to check`);
+
+  // Step 3: Calculate needed rotations
+  logger.info('Step 3: Calculating rotation opportunities...');
+  const ledger = await loadLedger(getLedgerFile(profile.key));
+  logger.info(`Churn control: ${config.churn.minHoldingDays} day minimum hold, +${config.churn.hysteresisBand}% to leave positions entered within ${config.churn.hysteresisWindowDays} days`);
+
+  const rotations = runStrategy(strategy, members, candidatePools, { ledger, registry });
+  const prioritizedRotations = prioritizeRotations(rotations);
+
+  // Log rotation summary
+  const summary = getRotationSummary(prioritizedRotations);
+  logger.info(`Rotation opportunities found: ${summary.totalRotations}`);
+  logger.info(`Total value to rotate: $${summary.totalValueToRotate.toFixed(2)}`);
+  logger.info(`Estimated annual gain: $${summary.totalEstimatedAnnualGain.toFixed(2)}`);
+
+  if (prioritizedRotations.length === 0) {
+    logger.info('No rotations needed - all holdings are optimal or below threshold.');
+    return planned;
+  }
+
+  // Keep the swarm a small share of each pool and split swaps that would move the price
+  let plannedRotations = prioritizedRotations;
+  if (config.sizing.enabled) {
+    logger.info(`Step 3a: Sizing rotations (max ${config.sizing.maxPoolTvlPct}% of pool TVL, max ${config.sizing.maxPriceImpactPct}% price impact)...`);
+    const limited = applyTvlLimits(plannedRotations, candidatePools, { members, registry });
+    const chunked = await chunkByPriceImpact(limited.rotations, {
+      preview: rotation => previewRotation(rotation, profile),
+    });
+    plannedRotations = chunked.rotations;
+    planned.carried = [...limited.carried, ...chunked.carried];
+    stats.carriedOverUsd = planned.carried.reduce((sum, entry) => sum + entry.amountUsd, 0);
+
+    if (plannedRotations.length === 0) {
+      logger.info('Every rotation is waiting for pool capacity or liquidity.');
+      return planned;
     }
+  }
 
-    // Step 4: Validate and execute swaps
-    logger.info('Step 4: Executing rotations...');
-
-    // Filter valid rotations
-    const validRotations = prioritizedRotations.filter(rotation => {
-      const validation = validateSwap(rotation);
-      if (!validation.valid) {
-        logger.warn(`Skipping invalid rotation for ${rotation.userAddress}`, { errors: validation.errors });
-        stats.swapsSkipped++;
-        return false;
-      }
-      return true;
+  // Preview each planned swap at its real size and skip those whose cost the APY gain won't recover in time
+  if (config.breakEven.enabled) {
+    logger.info(`Step 3b: Previewing rotations for break-even (horizon ${config.breakEven.horizonDays} days)...`);
+    const breakEven = await analyzeBreakEven(plannedRotations, {
+      preview: rotation => previewRotation(rotation, profile),
+      valueToken: createTokenValuer({ chain: profile.defillamaChain, registry, provider }),
+      gasCostUsd: await resolveGasCostUsd(provider),
     });
+    plannedRotations = breakEven.rotations;
+    planned.skipped = breakEven.skipped;
+    stats.swapsSkipped += breakEven.skipped.length;
+
+    if (plannedRotations.length === 0) {
+      logger.info('No rotation pays back its cost within the break-even horizon.');
+      return planned;
+    }
+  }
+
+  planned.rotations = plannedRotations;
+  return planned;
+}
+
+/**
+ * Validate and execute planned rotations (step 4), then record them in the ledger
+ * Each rotation's progress is written to the execution journal as it goes.
+ * @param {Array} rotations - Rotations in priority order
+ * @param {Object} profile - Chain profile
+ * @param {Object} stats - Run stats, updated with the results
+ * @param {Array} unresolved - Journal entries from reconcileExecutionJournal() whose members are skipped
+ * @returns {Promise<Object>} Results from executeRotations()
+ */
+async function executePlannedRotations(rotations, profile, stats, unresolved = []) {
+  logger.info('Step 4: Executing rotations...');
+
+  // Filter valid rotations
+  const validRotations = rotations.filter(rotation => {
+    if (hasUnresolvedEntry(unresolved, rotation)) {
+      logger.warn(`Skipping ${rotation.userAddress}: an earlier swap for this member is still unresolved`);
+      stats.swapsSkipped++;
+      return false;
+    }
+
+    const validation = validateSwap(rotation);
+    if (!validation.valid) {
+      logger.warn(`Skipping invalid rotation for ${rotation.userAddress}`, { errors: validation.errors });
+      stats.swapsSkipped++;
+      return false;
+    }
+    return true;
+  });
+
+  // Execute rotations
+  const journalFile = getJournalFile(profile.key);
+  const journal = config.journal.enabled && !config.dryRun
+    ? createJournalRecorder(await loadJournal(journalFile), journalFile)
+    : null;
+  const results = await executeRotations(validRotations, profile, journal);
+
+  stats.swapsExecuted = results.executed.length;
+  stats.swapsSkipped += results.skipped.length;
+  stats.swapsPending = results.pending.length;
+  stats.errors = results.failed.length;
+  stats.halted = results.halted;
+
+  // Remember what each member entered so the next runs don't churn out of it
+  if (config.dryRun) {
+    logger.info('Rotation ledger not updated in dry-run mode');
+  } else if (results.executed.length > 0) {
+    const ledgerFile = getLedgerFile(profile.key);
+    await saveLedger(recordRotations(await loadLedger(ledgerFile), results.executed), ledgerFile);
+  }
+
+  return results;
+}
 
-    // Execute rotations
-    const results = await executeRotations(validRotations);
+/**
+ * Main rotation function - plans and executes the yield rotation for one chain
+ * @param {Object} profile - Chain profile to rotate (defaults to the default chain)
+ * @param {Object} strategy - Resolved rotation strategy (defaults to --strategy / ROTATION_STRATEGY)
+ * @returns {Promise<Object>} Run stats
+ */
+async function runRotation(profile = getChainProfile(), strategy = resolveStrategy()) {
+  logRunSettings(profile, strategy, 'Starting Yield Rotation');
+  const stats = createStats(profile);
+
+  try {
+    const unresolved = await reconcileExecutionJournal(profile);
+
+    const planned = await planRotations(profile, strategy, stats);
+    if (planned.rotations.length === 0) {
+      return stats;
+    }
 
-    stats.swapsExecuted = results.executed.length;
-    stats.swapsSkipped += results.skipped.length;
-    stats.errors = results.failed.length;
+    await executePlannedRotations(planned.rotations, profile, stats, unresolved);
 
     // Step 5: Log results
     logger.info('Step 5: Rotation complete');
-    logger.summary(stats);
 
     return stats;
 
@@ -116,21 +415,203 @@ async function runRotation() {
     logger.error('Rotation failed with error', { error: error.message, stack: error.stack });
     stats.errors++;
     throw error;
+  } finally {
+    logger.summary(stats);
+  }
+}
+
+/**
+ * Plan the rotation for one chain and write it to a plan file for review
+ * @param {Object} profile - Chain profile to plan
+ * @param {Object} strategy - Resolved rotation strategy
+ * @param {string|null} file - Plan file (defaults to a timestamped file in PLAN_DIR)
+ * @returns {Promise<Object>} Run stats with planFile
+ */
+async function planRotation(profile = getChainProfile(), strategy = resolveStrategy(), file = config.plans.file) {
+  logRunSettings(profile, strategy, 'Planning Yield Rotation');
+  const stats = createStats(profile);
+
+  try {
+    const planned = await planRotations(profile, strategy, stats, { planning: true });
+    const plan = buildPlan({ profile, strategy, ...planned });
+    stats.planFile = await writePlan(plan, file || getPlanFile(profile.key, Date.parse(plan.createdAt)));
+
+    logger.info(`Plan written to ${stats.planFile}: ${plan.rotations.length} rotations, ${plan.skipped.length} skipped, ${plan.carried.length} carried`);
+    plan.rotations.forEach(rotation => {
+      logger.info(`  ${rotation.step}. ${rotation.userAddress} ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol} (${rotation.toToken.project}): ${rotation.reason}`);
+    });
+    if (plan.rotations.length > 0) {
+      logger.info(`Review the plan, then run: npm run apply -- --plan ${stats.planFile}`);
+    }
+
+    return stats;
+
+  } catch (error) {
+    logger.error('Planning failed with error', { error: error.message, stack: error.stack });
+    stats.errors++;
+    throw error;
+  } finally {
+    logger.summary(stats);
   }
 }
 
+/**
+ * Execute exactly the rotations in a plan file
+ * Balances and APYs are fetched again first, APYs straight from DeFiLlama
+ * (never from the snapshot cache), and the fresh pools are screened as in
+ * planning. If they can't be fetched, the plan is too old, any rotation's
+ * balance or scores drifted beyond the tolerances, or a target no longer
+ * passes screening, nothing is executed.
+ * @param {string} file - Plan file from planRotation()
+ * @returns {Promise<Object>} Run stats
+ */
+async function applyRotationPlan(file = config.plans.file) {
+  if (!file) {
+    throw new Error('apply needs the plan to execute: --plan <file>');
+  }
+  assertPolicyApproved();
+
+  const plan = await readPlan(file);
+  const profile = getChainProfile(plan.chain.key);
+  if ((profile.swarmId || null) !== plan.chain.swarmId) {
+    throw new Error(`Plan ${file} was made for swarm ${plan.chain.swarmId}, but ${profile.name} is configured for ${profile.swarmId || 'no swarm'}`);
+  }
+  const registry = getChainRegistry(profile);
+
+  logger.info('=== Applying Rotation Plan ===');
+  logger.info(`Plan: ${file} (created ${plan.createdAt}, strategy ${plan.strategy.name})`);
+  logger.info(`Chain: ${profile.name} (${profile.chainId})`);
+  logger.info(`Swarm: ${profile.swarmId || 'not configured'}`);
+  logger.info(`Mode: ${config.dryRun ? 'DRY RUN' : 'LIVE'}`);
+  const stats = createStats(profile);
+
+  try {
+    if (plan.rotations.length === 0) {
+      logger.info('The plan has no rotations.');
+      return stats;
+    }
+
+    const unresolved = await reconcileExecutionJournal(profile);
+
+    // The plan was built from cached data, so only a new download can re-validate its APYs
+    logger.info('Step 1: Fetching fresh yield data from DeFiLlama...');
+    const yieldData = await getBaseYieldData(profile.defillamaChain, registry, { fresh: true });
+
+    // Targets must still pass the screening the plan was made with
+    const screening = await screenCandidatePools(yieldData, profile, stats, {
+      registry,
+      provider: createProvider(profile.rpcUrl, profile.chainId),
+      riskPolicy: getRiskPolicy(),
+    });
+
+    logger.info('Step 2: Fetching swarm member balances...');
+    const members = await getEnrichedMemberData(yieldData.pools, profile.swarmId, registry);
+    stats.usersChecked = members.length;
+
+    logger.info(`Step 3: Checking the plan for drift (balances within ${config.plans.balanceTolerancePct}%, scores within ${config.plans.apyTolerance} pts, at most ${config.plans.maxAgeHours} hours old)...`);
+    const drift = checkPlanDrift(plan, { members, pools: yieldData.pools, screenedPools: screening.pools });
+    if (drift.expired) {
+      throw new Error(`Plan is ${drift.ageHours.toFixed(1)} hours old (max ${config.plans.maxAgeHours}) - make a new plan`);
+    }
+    if (drift.drifted.length > 0) {
+      drift.drifted.forEach(({ rotation, reasons }) => {
+        logger.warn(`  ${rotation.step}. ${rotation.userAddress} ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol}: ${reasons.join('; ')}`);
+      });
+      throw new Error(`${drift.drifted.length} of ${plan.rotations.length} planned rotations drifted since the plan was made - make a new plan`);
+    }
+    logger.info('Balances and scores still match the plan and every target passed screening');
+
+    await executePlannedRotations(plan.rotations, profile, stats, unresolved);
+
+    logger.info('Step 5: Plan applied');
+
+    return stats;
+
+  } catch (error) {
+    logger.error('Applying the plan failed', { error: error.message });
+    stats.errors++;
+    throw error;
+  } finally {
+    logger.summary(stats);
+  }
+}
+
+/**
+ * Rotate every active chain profile (--chain, CHAINS, or every chain with a swarm id)
+ * A failure on one chain is counted and logged without stopping the others.
+ * A chain whose circuit breaker opened halts the run: the remaining chains are not rotated.
+ * An unknown strategy or invalid strategy params fail before any chain is touched.
+ * @param {Array} profiles - Chain profiles to rotate
+ * @param {Object} strategy - Resolved rotation strategy
+ * @param {Function} run - Per-chain run (runRotation, or planRotation to only write plans)
+ * @returns {Promise<Object>} { chains: per-chain stats, errors: total error count }
+ */
+async function runAllChains(profiles = getActiveChainProfiles(), strategy = resolveStrategy(), run = runRotation) {
+  const chains = [];
+
+  for (const [index, profile] of profiles.entries()) {
+    try {
+      chains.push(await run(profile, strategy));
+    } catch (error) {
+      logger.error(`Rotation on ${profile.name} failed`, { error: error.message });
+      chains.push({ ...createStats(profile), errors: 1 });
+    }
+
+    const halted = chains[chains.length - 1].halted;
+    const remaining = profiles.slice(index + 1);
+    if (halted && remaining.length > 0) {
+      logger.error(`Run halted on ${profile.name} (${halted}); not rotating ${remaining.map(other => other.name).join(', ')}`);
+      break;
+    }
+  }
+
+  if (chains.length > 1) {
+    logger.info(`=== All chains: ${chains.map(stats => `${stats.chain} ${stats.swapsExecuted} executed / ${stats.errors} errors`).join(', ')} ===`);
+  }
+
+  return {
+    chains,
+    errors: chains.reduce((sum, stats) => sum + stats.errors, 0),
+  };
+}
+
+/**
+ * Write a plan for every active chain profile, one file per chain
+ * @param {Array} profiles - Chain profiles to plan
+ * @param {Object} strategy - Resolved rotation strategy
+ * @returns {Promise<Object>} { chains: per-chain stats (with planFile), errors: total error count }
+ */
+async function planAllChains(profiles = getActiveChainProfiles(), strategy = resolveStrategy()) {
+  if (config.plans.file && profiles.length > 1) {
+    throw new Error('--plan names a single plan file - select one chain with --chain');
+  }
+  return runAllChains(profiles, strategy, planRotation);
+}
+
+// Commands: run (default) plans and executes, plan only writes plan files, apply executes one
+const COMMANDS = {
+  run: () => runAllChains(),
+  plan: () => planAllChains(),
+  apply: async () => {
+    const stats = await applyRotationPlan();
+    return { chains: [stats], errors: stats.errors };
+  },
+};
+
 // Run if executed directly
 if (process.argv[1] && import.meta.url.endsWith(process.argv[1].split('/').pop())) {
-  runRotation()
-    .then(stats => {
-      logger.info('Yield rotation completed successfully');
-      process.exit(stats.errors > 0 ? 1 : 0);
+  const command = Object.hasOwn(COMMANDS, process.argv[2]) ? process.argv[2] : 'run';
+
+  COMMANDS[command]()
+    .then(result => {
+      logger.info(`Yield rotation ${command} completed successfully`);
+      process.exit(result.errors > 0 ? 1 : 0);
     })
     .catch(error => {
-      logger.error('Yield rotation failed', { error: error.message });
+      logger.error(`Yield rotation ${command} failed`, { error: error.message });
       process.exit(1);
     });
 }
 
-export { runRotation };
+export { runRotation, runAllChains, planRotation, planAllChains, applyRotationPlan };
 export default runRotation;
@@ -1,55 +1,91 @@
-import { fetchYieldPools, filterBaseStablecoins, getMappedProtocolPools, getTopYieldingStables } from './services/defillama.js';
+import { loadYieldPools, filterBaseStablecoins, MAX_STABLE_APY, getMappedProtocolPools, getTopYieldingStables, findUnmappedNearMatches, formatScoreBreakdown } from './services/defillama.js';
+import { getActiveChainProfiles, getChainRegistry } from './services/chains.js';
+import { config } from './config.js';
 import { logger } from './utils/logger.js';
 
 /**
- * Inspect current yield data from DeFiLlama
+ * Format the score breakdown columns shared by the pool tables
+ * @param {Object} pool - Pool summary with score and scoreBreakdown
+ * @returns {string} Score, APY, base, reward, 30d mean and 7d change columns
  */
-async function inspectYields() {
-  logger.info('=== Fetching Yield Data from DeFiLlama ===\n');
+function formatScoreColumns(pool) {
+  const pct = value => (value.toFixed(2) + '%').padStart(7);
+  const b = pool.scoreBreakdown;
+  const change = (b.apyPct7D >= 0 ? '+' : '') + b.apyPct7D.toFixed(2) + '%';
+  const flag = b.spikeDampened ? '*' : ' ';
+  return `${pct(pool.score)}${flag} | ${pct(b.apy)} | ${pct(b.apyBase)} | ${pct(b.apyReward)} | ${pct(b.apyMean30d)} | ${change.padStart(7)}`;
+}
+
+/**
+ * Inspect current yield data from DeFiLlama for one chain
+ * @param {Object} profile - Chain profile
+ */
+async function inspectYields(profile) {
+  const registry = getChainRegistry(profile);
+  const chainLabel = profile.name.toUpperCase();
 
-  // Fetch all pools
-  const allPools = await fetchYieldPools();
+  logger.info(`=== Fetching ${profile.name} Yield Data from DeFiLlama ===\n`);
+  logger.info(`Yield scoring: ${config.yieldScoring.method} (reward discount ${config.yieldScoring.rewardDiscount}, 7d spike threshold ${config.yieldScoring.maxApyChange7d}%)`);
 
-  // Filter to Base stablecoins
-  const baseStablecoins = filterBaseStablecoins(allPools);
+  // Fetch all pools (from cache or a replayed --yields-snapshot when available)
+  const { pools: allPools, fetchedAt, protocolTvl, source } = await loadYieldPools();
+
+  // Filter to the chain's stablecoins
+  const baseStablecoins = filterBaseStablecoins(allPools, 100000, MAX_STABLE_APY, profile.defillamaChain);
 
   // Show top 20 yields across all protocols
   console.log('\n========================================');
-  console.log('TOP 20 BASE STABLECOIN YIELDS (All Protocols)');
+  console.log(`TOP 20 ${chainLabel} STABLECOIN YIELDS (All Protocols)`);
   console.log('========================================\n');
 
-  const top20 = getTopYieldingStables(baseStablecoins, 20);
-  console.log('Rank | APY      | Symbol              | Protocol            | TVL');
-  console.log('-----|----------|---------------------|---------------------|------------');
+  const top20 = getTopYieldingStables(baseStablecoins, 20, registry);
+  console.log('Rank | Score    | APY     | Base    | Reward  | 30d Avg | 7d Chg  | Symbol              | Protocol            | TVL');
+  console.log('-----|----------|---------|---------|---------|---------|---------|---------------------|---------------------|------------');
   top20.forEach((pool, i) => {
     const rank = String(i + 1).padStart(2);
-    const apy = pool.apy.toFixed(2).padStart(6) + '%';
     const symbol = pool.symbol.padEnd(19).slice(0, 19);
     const project = pool.project.padEnd(19).slice(0, 19);
     const tvl = '$' + (pool.tvlUsd / 1_000_000).toFixed(2) + 'M';
-    console.log(`  ${rank} | ${apy} | ${symbol} | ${project} | ${tvl}`);
+    console.log(`  ${rank} | ${formatScoreColumns(pool)} | ${symbol} | ${project} | ${tvl}`);
   });
+  console.log('\n* score capped at last week\'s APY after a 7-day spike');
 
   // Show DEX-swappable pools from mapped protocols
   console.log('\n========================================');
-  console.log('DEX-SWAPPABLE YIELD POOLS (Mapped Protocols)');
+  console.log('DEX-SWAPPABLE YIELD POOLS (Mapped Protocols, Risk Policy Applied)');
   console.log('========================================\n');
 
-  const mappedPools = getMappedProtocolPools(baseStablecoins);
+  const mappedPools = getMappedProtocolPools(baseStablecoins, registry, { protocolTvl });
 
   if (mappedPools.length === 0) {
     console.log('No pools found from mapped protocols.');
   } else {
-    console.log('Rank | APY      | Symbol              | Protocol            | TVL          | Token Address');
-    console.log('-----|----------|---------------------|---------------------|--------------|--------------------------------------------');
+    console.log('Rank | Score    | APY     | Base    | Reward  | 30d Avg | 7d Chg  | Symbol              | Protocol            | TVL          | Token Address');
+    console.log('-----|----------|---------|---------|---------|---------|---------|---------------------|---------------------|--------------|--------------------------------------------');
     mappedPools.forEach((pool, i) => {
       const rank = String(i + 1).padStart(2);
-      const apy = pool.apy.toFixed(2).padStart(6) + '%';
       const symbol = pool.symbol.padEnd(19).slice(0, 19);
       const project = pool.project.padEnd(19).slice(0, 19);
       const tvl = '$' + (pool.tvlUsd / 1_000_000).toFixed(2) + 'M';
       const addr = pool.tokenAddress || 'N/A';
-      console.log(`  ${rank} | ${apy} | ${symbol} | ${project} | ${tvl.padEnd(12)} | ${addr}`);
+      console.log(`  ${rank} | ${formatScoreColumns(pool)} | ${symbol} | ${project} | ${tvl.padEnd(12)} | ${addr}`);
+    });
+  }
+
+  // Show pools that look like registered tokens but have no pool id mapping
+  const nearMatches = findUnmappedNearMatches(baseStablecoins, registry);
+  if (nearMatches.length > 0) {
+    console.log('\n========================================');
+    console.log('UNMAPPED NEAR-MATCHES (add defillamaPoolId to the token registry)');
+    console.log('========================================\n');
+    console.log('APY     | Symbol              | Protocol            | Candidates          | Pool ID');
+    console.log('--------|---------------------|---------------------|---------------------|--------------------------------------');
+    nearMatches.forEach(match => {
+      const apy = (match.apy.toFixed(2) + '%').padStart(7);
+      const symbol = match.symbol.padEnd(19).slice(0, 19);
+      const project = match.project.padEnd(19).slice(0, 19);
+      const candidates = match.candidates.join(', ').padEnd(19).slice(0, 19);
+      console.log(`${apy} | ${symbol} | ${project} | ${candidates} | ${match.pool}`);
     });
   }
 
@@ -69,7 +105,7 @@ async function inspectYields() {
   Object.entries(byProtocol).forEach(([protocol, pools]) => {
     console.log(`\n${protocol.toUpperCase()}:`);
     pools.forEach(pool => {
-      console.log(`  - ${pool.symbol}: ${pool.apy.toFixed(2)}% APY (TVL: $${(pool.tvlUsd / 1_000_000).toFixed(2)}M)`);
+      console.log(`  - ${pool.symbol}: ${formatScoreBreakdown(pool.scoreBreakdown)} (TVL: $${(pool.tvlUsd / 1_000_000).toFixed(2)}M)`);
     });
   });
 
@@ -77,15 +113,25 @@ async function inspectYields() {
   console.log('\n========================================');
   console.log('SUMMARY');
   console.log('========================================\n');
-  console.log(`Total Base stablecoin pools: ${baseStablecoins.length}`);
+  console.log(`Total ${profile.name} stablecoin pools: ${baseStablecoins.length}`);
   console.log(`DEX-swappable pools (mapped): ${mappedPools.length}`);
+  console.log(`Unmapped near-matches: ${nearMatches.length}`);
   if (mappedPools.length > 0) {
-    console.log(`Best DEX-swappable yield: ${mappedPools[0].symbol} at ${mappedPools[0].apy.toFixed(2)}% APY (${mappedPools[0].project})`);
+    console.log(`Best DEX-swappable yield: ${mappedPools[0].symbol} at ${mappedPools[0].score.toFixed(2)}% score, ${mappedPools[0].apy.toFixed(2)}% APY (${mappedPools[0].project})`);
+  }
+  console.log(`\nData fetched at: ${fetchedAt} (source: ${source})`);
+}
+
+/**
+ * Inspect every active chain profile in turn
+ */
+async function inspectAllChains() {
+  for (const profile of getActiveChainProfiles()) {
+    await inspectYields(profile);
   }
-  console.log(`\nData fetched at: ${new Date().toISOString()}`);
 }
 
-inspectYields().catch(error => {
+inspectAllChains().catch(error => {
   console.error('Error:', error.message);
   process.exit(1);
 });
@@ -0,0 +1,247 @@
+import { Contract, Interface, MaxUint256, parseUnits } from 'ethers';
+import { config } from '../config.js';
+import { findTokenByAddress, getTokenRegistry, getTokens } from './registry.js';
+
+const ERC20_INTERFACE = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+]);
+
+// Aave V3 Pool: the aToken is minted to onBehalfOf, withdraw takes underlying units
+const AAVE_POOL_INTERFACE = new Interface([
+  'function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode)',
+  'function withdraw(address asset, uint256 amount, address to) returns (uint256)',
+]);
+
+const AAVE_ATOKEN_INTERFACE = new Interface([
+  'function POOL() view returns (address)',
+]);
+
+// Compound V3 Comet: the Comet contract is also the balance token
+const COMET_INTERFACE = new Interface([
+  'function supply(address asset, uint256 amount)',
+  'function withdraw(address asset, uint256 amount)',
+]);
+
+// Moonwell mTokens (Compound V2 style): amounts are underlying for mint, mTokens for redeem
+const MTOKEN_INTERFACE = new Interface([
+  'function mint(uint256 mintAmount) returns (uint256)',
+  'function redeem(uint256 redeemTokens) returns (uint256)',
+]);
+
+const ERC4626_INTERFACE = new Interface([
+  'function deposit(uint256 assets, address receiver) returns (uint256)',
+  'function redeem(uint256 shares, address receiver, address owner) returns (uint256)',
+]);
+
+/**
+ * Build one contract call for the SwarmVault transaction API
+ * The ABI-mode fields go to executeTransaction(); data is the same call encoded,
+ * for logs and tests.
+ * @param {string} contractAddress - Contract to call
+ * @param {Interface} iface - ethers Interface holding the function
+ * @param {string} functionName - Function to call
+ * @param {Array} args - Call arguments (bigints for uint256)
+ * @param {string} description - What the call does, for logs
+ * @returns {Object} { description, contractAddress, abi, functionName, args, value, data }
+ */
+function buildCall(contractAddress, iface, functionName, args, description) {
+  const fragment = iface.getFunction(functionName);
+  return {
+    description,
+    contractAddress,
+    abi: [JSON.parse(fragment.format('json'))],
+    functionName,
+    args: args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg)),
+    value: '0',
+    data: iface.encodeFunctionData(fragment, args),
+  };
+}
+
+/**
+ * Build the ERC-20 approval that lets a protocol pull the underlying
+ * @param {Object} underlying - Registry entry of the asset being deposited
+ * @param {string} spender - Contract that pulls the asset
+ * @param {bigint} amount - Raw amount to approve
+ * @returns {Object} Contract call
+ */
+function buildApprove(underlying, spender, amount) {
+  return buildCall(underlying.address, ERC20_INTERFACE, 'approve', [spender, amount], `Approve ${underlying.symbol} for ${spender}`);
+}
+
+/**
+ * Deposit and withdraw builders by registry rate model
+ * Each builder takes { token, underlying, contract, amount, account, full } and
+ * returns the contract calls in the order they must run. amount is always in the
+ * raw units of the token being sold; full marks an exit of the whole position.
+ */
+const ADAPTERS = {
+  'aave-v3': {
+    deposit: ({ token, underlying, contract, amount, account }) => [
+      buildApprove(underlying, contract, amount),
+      buildCall(contract, AAVE_POOL_INTERFACE, 'supply', [underlying.address, amount, account, 0], `Supply ${underlying.symbol} to Aave for ${token.symbol}`),
+    ],
+    // aTokens rebase 1:1 with the underlying; max withdraws interest accrued since the plan too
+    withdraw: ({ token, underlying, contract, amount, account, full }) => [
+      buildCall(contract, AAVE_POOL_INTERFACE, 'withdraw', [underlying.address, full ? MaxUint256 : amount, account], `Withdraw ${underlying.symbol} from Aave ${token.symbol}`),
+    ],
+  },
+  'compound-v3': {
+    deposit: ({ token, underlying, contract, amount }) => [
+      buildApprove(underlying, contract, amount),
+      buildCall(contract, COMET_INTERFACE, 'supply', [underlying.address, amount], `Supply ${underlying.symbol} to Compound ${token.symbol}`),
+    ],
+    withdraw: ({ token, underlying, contract, amount, full }) => [
+      buildCall(contract, COMET_INTERFACE, 'withdraw', [underlying.address, full ? MaxUint256 : amount], `Withdraw ${underlying.symbol} from Compound ${token.symbol}`),
+    ],
+  },
+  moonwell: {
+    deposit: ({ token, underlying, contract, amount }) => [
+      buildApprove(underlying, contract, amount),
+      buildCall(contract, MTOKEN_INTERFACE, 'mint', [amount], `Mint ${token.symbol} with ${underlying.symbol}`),
+    ],
+    withdraw: ({ token, underlying, contract, amount }) => [
+      buildCall(contract, MTOKEN_INTERFACE, 'redeem', [amount], `Redeem ${token.symbol} for ${underlying.symbol}`),
+    ],
+  },
+  erc4626: {
+    deposit: ({ token, underlying, contract, amount, account }) => [
+      buildApprove(underlying, contract, amount),
+      buildCall(contract, ERC4626_INTERFACE, 'deposit', [amount, account], `Deposit ${underlying.symbol} into ${token.symbol}`),
+    ],
+    withdraw: ({ token, underlying, contract, amount, account }) => [
+      buildCall(contract, ERC4626_INTERFACE, 'redeem', [amount, account, account], `Redeem ${token.symbol} for ${underlying.symbol}`),
+    ],
+  },
+};
+
+/**
+ * Check whether a registry token can be entered and left through a protocol adapter
+ * @param {Object} token - Registry entry
+ * @returns {boolean} True if its rate model has an adapter
+ */
+export function hasProtocolAdapter(token) {
+  return Boolean(token?.rateModel && ADAPTERS[token.rateModel]);
+}
+
+/**
+ * Find the protocol route for a token pair, if either side is deposit-only
+ * Deposit-only tokens are entered from and left to their own underlying only.
+ * @param {string} fromAddress - Token sold
+ * @param {string} toAddress - Token bought
+ * @param {Object} registry - Token registry
+ * @param {string} chain - DeFiLlama chain name of both tokens
+ * @returns {Object|null} { action: 'deposit'|'withdraw', token, underlying }, or null for a DEX swap
+ * @throws {Error} If a deposit-only side has no adapter or the other side is not its underlying
+ */
+export function resolveProtocolRoute(fromAddress, toAddress, registry = getTokenRegistry(), chain = config.chain) {
+  const from = findTokenByAddress(fromAddress, registry, chain);
+  const to = findTokenByAddress(toAddress, registry, chain);
+
+  let action;
+  let token;
+  let other;
+  if (to?.swappability === 'deposit-only') {
+    [action, token, other] = ['deposit', to, from];
+  } else if (from?.swappability === 'deposit-only') {
+    [action, token, other] = ['withdraw', from, to];
+  } else {
+    return null;
+  }
+
+  if (!hasProtocolAdapter(token)) {
+    throw new Error(`${token.symbol} is deposit-only and has no protocol adapter (rate model ${token.rateModel})`);
+  }
+
+  const underlying = getTokens({ chain: token.chain, symbol: token.underlying }, registry)[0];
+  if (!underlying || other?.address.toLowerCase() !== underlying.address.toLowerCase()) {
+    const otherLabel = other?.symbol ?? (action === 'deposit' ? fromAddress : toAddress);
+    throw new Error(action === 'deposit'
+      ? `${token.symbol} is deposit-only and can only be entered from ${token.underlying} (not ${otherLabel})`
+      : `${token.symbol} is deposit-only and can only be withdrawn to ${token.underlying} (not ${otherLabel})`);
+  }
+
+  return { action, token, underlying };
+}
+
+/**
+ * Convert the amount a rotation sells to raw token units
+ * A whole position is taken from the exact raw balance so float rounding can't
+ * ask for more than the member holds.
+ * @param {Object} fromToken - Rotation source token (balance and optional balanceRaw)
+ * @param {number} amount - Amount to sell in token units
+ * @param {number} decimals - Token decimals
+ * @returns {bigint} Raw amount
+ */
+export function toRawAmount(fromToken, amount, decimals) {
+  if (fromToken.balanceRaw && amount >= fromToken.balance) {
+    return BigInt(fromToken.balanceRaw);
+  }
+  return parseUnits(amount.toFixed(decimals), decimals);
+}
+
+/**
+ * Resolve the contract a deposit-only token is supplied through
+ * Aave supplies go through the Pool (the registry depositContract, or the
+ * aToken's POOL()); every other adapter calls the token contract itself.
+ * @param {Object} token - Registry entry
+ * @param {Object} options - Options
+ * @param {Object} options.provider - ethers provider for the Aave POOL() read
+ * @returns {Promise<string>} Contract address
+ */
+export async function resolveProtocolContract(token, { provider } = {}) {
+  if (token.depositContract) {
+    return token.depositContract;
+  }
+  if (token.rateModel !== 'aave-v3') {
+    return token.address;
+  }
+  const aToken = new Contract(token.address, AAVE_ATOKEN_INTERFACE, provider);
+  return aToken.POOL();
+}
+
+/**
+ * Build the approve-and-call transactions of a protocol route
+ * @param {Object} route - Route from resolveProtocolRoute()
+ * @param {Object} options - Call details
+ * @param {string} options.contract - Contract from resolveProtocolContract()
+ * @param {bigint} options.amount - Raw amount of the token sold
+ * @param {string} options.account - Member wallet that receives the tokens
+ * @param {boolean} options.full - True when the whole position is withdrawn
+ * @returns {Array} Contract calls in execution order
+ */
+export function buildProtocolTransactions(route, { contract, amount, account, full = false }) {
+  const build = ADAPTERS[route.token.rateModel][route.action];
+  return build({ token: route.token, underlying: route.underlying, contract, amount: BigInt(amount), account, full });
+}
+
+/**
+ * Preview a protocol route in the shape of an SDK swap preview
+ * Protocol deposits and withdrawals have no price impact or fees; the amount
+ * received follows from the token's exchange rate to its underlying.
+ * @param {Object} route - Route from resolveProtocolRoute()
+ * @param {bigint} amount - Raw amount of the token sold
+ * @param {number} underlyingPerToken - Underlying units per token unit (see onchain.readUnderlyingPerToken)
+ * @returns {Object} { totalSellAmount, totalBuyAmount, members, errors }
+ */
+export function previewProtocolRoute(route, amount, underlyingPerToken) {
+  const { token, underlying } = route;
+  const sold = Number(BigInt(amount)) / 10 ** (route.action === 'deposit' ? underlying.decimals : token.decimals);
+  const bought = route.action === 'deposit' ? sold / underlyingPerToken : sold * underlyingPerToken;
+  const boughtDecimals = route.action === 'deposit' ? token.decimals : underlying.decimals;
+
+  return {
+    totalSellAmount: BigInt(amount).toString(),
+    totalBuyAmount: BigInt(Math.floor(bought * 10 ** boughtDecimals)).toString(),
+    members: [],
+    errors: [],
+  };
+}
+
+export default {
+  hasProtocolAdapter,
+  resolveProtocolRoute,
+  toRawAmount,
+  resolveProtocolContract,
+  buildProtocolTransactions,
+  previewProtocolRoute,
+};
@@ -0,0 +1,323 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getPoolScore, getHoldingScore, shouldRotate, getPoolAsset, getHoldingAsset } from './rotator.js';
+import { getPositionEntry, getExitRule } from './ledger.js';
+import { getTokenRegistry } from './registry.js';
+
+export const WEIGHTINGS = ['equal', 'apy', 'risk-adjusted'];
+
+// Shares below this are treated as zero when filling caps
+const EPSILON = 1e-9;
+
+/**
+ * Raw (uncapped) weight of a target pool
+ * - equal: every pool weighs the same
+ * - apy: proportional to the yield score
+ * - risk-adjusted: yield score divided by the protocol's risk tier (tier 1 = full weight)
+ * @param {Object} pool - Candidate pool with score and riskTier
+ * @param {string} weighting - Weighting method
+ * @returns {number} Weight
+ */
+function getRawWeight(pool, weighting) {
+  switch (weighting) {
+    case 'equal':
+      return 1;
+    case 'apy':
+      return getPoolScore(pool);
+    case 'risk-adjusted':
+      return getPoolScore(pool) / (pool.riskTier || 1);
+    default:
+      throw new Error(`Unknown allocation weighting "${weighting}" (expected one of ${WEIGHTINGS.join(', ')})`);
+  }
+}
+
+/**
+ * Compute the target share of each pool for one member's stablecoin balance
+ * Weights are filled pool by pool up to the per-pool and per-protocol caps; what
+ * a capped pool can't take is redistributed to the others. If the caps can't be
+ * met with the available pools, the shares sum to less than 1 and the rest stays put.
+ * @param {Array} pools - Eligible pools in preference order
+ * @param {Object} options - Allocation options
+ * @param {number} options.maxPools - Number of top pools to allocate across
+ * @param {string} options.weighting - equal, apy or risk-adjusted
+ * @param {number} options.maxProtocolPct - Max share in one protocol (percent)
+ * @param {number} options.maxPoolPct - Max share in one pool (percent)
+ * @returns {Array} Targets ({ pool, weight, share }) in preference order
+ */
+export function computeTargetWeights(pools, {
+  maxPools = config.allocation.maxPools,
+  weighting = config.allocation.weighting,
+  maxProtocolPct = config.allocation.maxProtocolPct,
+  maxPoolPct = config.allocation.maxPoolPct,
+} = {}) {
+  const targets = (pools || [])
+    .filter(pool => pool.tokenAddress && getPoolScore(pool) > 0)
+    .slice(0, Math.max(maxPools, 1))
+    .map(pool => ({ pool, weight: getRawWeight(pool, weighting), share: 0 }));
+
+  const poolCap = maxPoolPct / 100;
+  const protocolCap = maxProtocolPct / 100;
+  const protocolShare = project => targets
+    .filter(target => target.pool.project === project)
+    .reduce((sum, target) => sum + target.share, 0);
+
+  let unallocated = 1;
+  let active = targets.filter(target => target.weight > 0);
+
+  while (unallocated > EPSILON && active.length > 0) {
+    const totalWeight = active.reduce((sum, target) => sum + target.weight, 0);
+    const proposals = new Map(active.map(target => [target, (unallocated * target.weight) / totalWeight]));
+
+    // Scale each protocol's proposals down to the room left under its cap
+    for (const project of new Set(active.map(target => target.pool.project))) {
+      const members = active.filter(target => target.pool.project === project);
+      const proposed = members.reduce((sum, target) => sum + proposals.get(target), 0);
+      const room = Math.max(protocolCap - protocolShare(project), 0);
+      if (proposed > room) {
+        members.forEach(target => proposals.set(target, (proposals.get(target) * room) / proposed));
+      }
+    }
+
+    let given = 0;
+    for (const target of active) {
+      const give = Math.min(proposals.get(target), Math.max(poolCap - target.share, 0));
+      target.share += give;
+      given += give;
+    }
+
+    unallocated -= given;
+    if (given <= EPSILON) {
+      break;
+    }
+
+    active = active.filter(target =>
+      poolCap - target.share > EPSILON && protocolCap - protocolShare(target.pool.project) > EPSILON
+    );
+  }
+
+  return targets.filter(target => target.share > EPSILON);
+}
+
+/**
+ * Check whether a holding is a position in a pool
+ * @param {Object} holding - Enriched holding
+ * @param {Object} pool - Candidate pool
+ * @returns {boolean} True if the holding is the pool's token
+ */
+function isHoldingInPool(holding, pool) {
+  if (holding.pool?.pool && holding.pool.pool === pool.pool) {
+    return true;
+  }
+  return !!holding.address && holding.address.toLowerCase() === pool.tokenAddress?.toLowerCase();
+}
+
+/**
+ * Get the USD value of a holding (token balance when no USD value is known)
+ * @param {Object} holding - Enriched holding
+ * @returns {number} Value
+ */
+function getHoldingValue(holding) {
+  return holding.balanceUsd || holding.balance || 0;
+}
+
+/**
+ * Work out how much of each current position exceeds the caps
+ * Over-cap amounts are moved even when the target scores lower, because the caps are hard limits.
+ * A protocol's excess is taken from its lowest-scoring positions first.
+ * @param {Array} positions - Member positions ({ holding, project, score, valueUsd })
+ * @param {number} totalUsd - Member's total rotatable value
+ * @param {Object} caps - { maxPoolPct, maxProtocolPct }
+ * @returns {Map} Position -> over-cap amount in USD
+ */
+function getOverCapAmounts(positions, totalUsd, { maxPoolPct, maxProtocolPct }) {
+  const overCap = new Map(positions.map(position => [
+    position,
+    Math.max(position.valueUsd - (totalUsd * maxPoolPct) / 100, 0),
+  ]));
+
+  const byProject = new Map();
+  for (const position of positions.filter(p => p.project)) {
+    byProject.set(position.project, [...(byProject.get(position.project) || []), position]);
+  }
+
+  for (const projectPositions of byProject.values()) {
+    let excess = projectPositions.reduce((sum, p) => sum + p.valueUsd, 0) - (totalUsd * maxProtocolPct) / 100;
+    for (const position of [...projectPositions].sort((a, b) => a.score - b.score)) {
+      if (excess <= 0) break;
+      const take = Math.min(excess, position.valueUsd);
+      overCap.set(position, Math.max(overCap.get(position), take));
+      excess -= take;
+    }
+  }
+
+  return overCap;
+}
+
+/**
+ * Plan the partial swaps that move one member toward the target allocation
+ * Positions above their target are sold into pools below theirs, pools of the
+ * same underlying asset first, then best-scoring first. A move must clear
+ * minApyImprovement (crossAssetMinApyImprovement into another asset) unless it
+ * brings a position back under a cap, and legs smaller than minBalanceUsd are not made. Recently
+ * entered positions (per the ledger) only give up their over-cap amount during
+ * the minimum holding period, and need the hysteresis band after it.
+ * @param {Object} user - Member with enriched yieldBearingHoldings
+ * @param {Array} targets - Targets from computeTargetWeights()
+ * @param {Object} options - Allocation options (caps, minBalanceUsd, thresholds, ledger, now and registry)
+ * @returns {Array} Rotations, each selling sellShare of one holding
+ */
+export function planMemberRotations(user, targets, {
+  maxProtocolPct = config.allocation.maxProtocolPct,
+  maxPoolPct = config.allocation.maxPoolPct,
+  minBalanceUsd = config.minBalanceUsd,
+  minApyImprovement = config.minApyImprovement,
+  crossAssetMinApyImprovement = config.crossAssetMinApyImprovement,
+  ledger = null,
+  now = Date.now(),
+  registry = getTokenRegistry(),
+} = {}) {
+  const holdings = user.yieldBearingHoldings || [];
+  const totalUsd = holdings.reduce((sum, holding) => sum + getHoldingValue(holding), 0);
+  if (totalUsd <= 0 || targets.length === 0) {
+    return [];
+  }
+
+  const positions = holdings.map(holding => ({
+    holding,
+    asset: getHoldingAsset(holding, registry),
+    target: targets.find(t => isHoldingInPool(holding, t.pool)) || null,
+    project: holding.matchedProject,
+    score: getHoldingScore(holding),
+    valueUsd: getHoldingValue(holding),
+  }));
+  const overCap = getOverCapAmounts(positions, totalUsd, { maxPoolPct, maxProtocolPct });
+
+  // Amount each target pool still needs, after what the member already holds in it
+  const deficits = new Map(targets.map(target => {
+    const held = positions
+      .filter(position => position.target === target)
+      .reduce((sum, position) => sum + position.valueUsd, 0);
+    return [target, target.share * totalUsd - held];
+  }));
+
+  // Positions above their target, lowest-scoring first
+  const sources = positions
+    .map(position => ({
+      ...position,
+      excessUsd: position.valueUsd - (position.target ? position.target.share * totalUsd : 0),
+      mandatoryUsd: overCap.get(position),
+      entry: getPositionEntry(ledger, user, position.holding.address),
+    }))
+    .filter(source => source.excessUsd > EPSILON)
+    .sort((a, b) => a.score - b.score);
+
+  const sinkAssets = new Map(targets.map(target => [target, getPoolAsset(target.pool, registry)]));
+  const rotations = [];
+
+  for (const source of sources) {
+    let remaining = source.excessUsd;
+    const exit = getExitRule(source.entry, { now, minApyImprovement });
+    const crossExit = getExitRule(source.entry, { now, minApyImprovement: crossAssetMinApyImprovement });
+    const isCrossAsset = sink => !!source.asset && sinkAssets.get(sink) !== source.asset;
+    const sinks = [...targets].sort((a, b) =>
+      isCrossAsset(a) - isCrossAsset(b) || getPoolScore(b.pool) - getPoolScore(a.pool)
+    );
+
+    for (const sink of sinks) {
+      if (remaining <= EPSILON) break;
+      if (sink === source.target || deficits.get(sink) <= EPSILON) continue;
+
+      const sinkScore = getPoolScore(sink.pool);
+      const crossAsset = isCrossAsset(sink);
+      const threshold = crossAsset ? crossExit.threshold : exit.threshold;
+      const improves = !exit.locked && shouldRotate(source.score, sinkScore, threshold);
+      const allowed = improves ? remaining : Math.min(remaining, source.mandatoryUsd);
+      const amountUsd = Math.min(allowed, deficits.get(sink));
+
+      if (amountUsd < minBalanceUsd) {
+        continue;
+      }
+
+      rotations.push({
+        userAddress: user.address,
+        membershipId: user.membershipId,
+        fromToken: {
+          symbol: source.holding.symbol,
+          address: source.holding.address,
+          balance: source.holding.balance,
+          balanceRaw: source.holding.balanceRaw,
+          balanceUsd: source.holding.balanceUsd,
+          currentApy: source.holding.currentApy,
+          currentScore: source.score,
+          asset: source.asset,
+        },
+        toToken: {
+          symbol: sink.pool.symbol,
+          address: sink.pool.tokenAddress,
+          project: sink.pool.project,
+          pool: sink.pool.pool,
+          targetApy: sink.pool.apy,
+          targetScore: sinkScore,
+          scoreBreakdown: sink.pool.scoreBreakdown || null,
+          asset: sinkAssets.get(sink),
+        },
+        crossAsset,
+        requiredImprovement: threshold,
+        amountUsd,
+        sellShare: Math.min(amountUsd / source.valueUsd, 1),
+        capEnforced: !improves,
+        apyImprovement: sinkScore - source.score,
+        estimatedAnnualGainUsd: (amountUsd * (sinkScore - source.score)) / 100,
+      });
+
+      remaining -= amountUsd;
+      deficits.set(sink, deficits.get(sink) - amountUsd);
+      if (!improves) {
+        source.mandatoryUsd -= amountUsd;
+      }
+    }
+  }
+
+  return rotations;
+}
+
+/**
+ * Calculate diversified rotations for all members
+ * @param {Array} users - Users with enriched holding data
+ * @param {Array} pools - Eligible pools in preference order
+ * @param {Object} options - Allocation options (see computeTargetWeights and planMemberRotations)
+ * @returns {Array} Partial-swap rotations for all members
+ */
+export function calculateAllocationRotations(users, pools, options = {}) {
+  const targets = computeTargetWeights(pools, options);
+
+  if (targets.length === 0) {
+    logger.warn('No pools available for allocation');
+    return [];
+  }
+
+  targets.forEach(target => {
+    logger.info(`  Target ${(target.share * 100).toFixed(1)}% ${target.pool.symbol} (${target.pool.project}) at ${getPoolScore(target.pool).toFixed(2)}%`);
+  });
+
+  const allocated = targets.reduce((sum, target) => sum + target.share, 0);
+  if (allocated < 1 - EPSILON) {
+    logger.warn(`Caps leave ${((1 - allocated) * 100).toFixed(1)}% of each member unallocated - add eligible pools or raise the caps`);
+  }
+
+  const rotations = users.flatMap(user => planMemberRotations(user, targets, options));
+
+  rotations.forEach(rotation => {
+    const kind = rotation.capEnforced ? ' [cap]' : '';
+    logger.info(`Rotation recommended for ${rotation.userAddress}: $${rotation.amountUsd.toFixed(2)} ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol} (${(rotation.sellShare * 100).toFixed(1)}% of holding, ${rotation.apyImprovement >= 0 ? '+' : ''}${rotation.apyImprovement.toFixed(2)}% score)${kind}`);
+  });
+
+  logger.info(`Total rotations recommended: ${rotations.length}`);
+  return rotations;
+}
+
+export default {
+  computeTargetWeights,
+  planMemberRotations,
+  calculateAllocationRotations,
+};
@@ -0,0 +1,206 @@
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/files.js';
+
+// Anomaly state file format version
+export const ANOMALY_STATE_VERSION = 1;
+
+/**
+ * Location of a chain's anomaly state file
+ * Each chain keeps its own run counter, so quarantines count that chain's runs.
+ * @param {string} chainKey - Chain profile key
+ * @returns {string} Path inside the configured state directory
+ */
+export function getAnomalyStateFile(chainKey = config.defaultChain) {
+  return path.join(config.stateDir, `anomalies-${chainKey}.json`);
+}
+
+/**
+ * Create an empty anomaly state
+ * @returns {Object} State ({ version, run, pools, quarantine })
+ */
+export function createAnomalyState() {
+  return {
+    version: ANOMALY_STATE_VERSION,
+    run: 0,
+    pools: {},       // poolId -> { tvlUsd, seenAt } from the previous run
+    quarantine: {},  // poolId -> { symbol, project, reasons, flaggedAt, untilRun }
+  };
+}
+
+/**
+ * Load the anomaly state, starting fresh if the file does not exist
+ * @param {string} file - State file path
+ * @returns {Promise<Object>} Anomaly state
+ */
+export async function loadAnomalyState(file = getAnomalyStateFile()) {
+  try {
+    const state = await readJsonFile(file);
+    if (state.version !== ANOMALY_STATE_VERSION) {
+      logger.warn(`Ignoring anomaly state ${file} with unsupported version ${state.version}`);
+      return createAnomalyState();
+    }
+    return state;
+  } catch (error) {
+    if (error.code === 'ENOENT') return createAnomalyState();
+    throw error;
+  }
+}
+
+/**
+ * Persist the anomaly state
+ * @param {Object} state - Anomaly state
+ * @param {string} file - State file path
+ * @returns {Promise<string>} Written file path
+ */
+export async function saveAnomalyState(state, file = getAnomalyStateFile()) {
+  return writeJsonFile(file, state);
+}
+
+/**
+ * Persist a run's screening, unless the run only looks
+ * Saving advances every quarantine by a run and replaces the TVL baseline, so
+ * dry runs, plans and snapshot replays must not change what the next live run
+ * quarantines.
+ * @param {Object} state - Anomaly state from screenPools()
+ * @param {string} file - State file path
+ * @param {Object} options - Options
+ * @param {boolean} options.live - Whether the run executes swaps (false for dry runs and plans)
+ * @param {boolean} options.replay - Whether the pools come from a replayed snapshot
+ * @returns {Promise<string|null>} Written file path, or null if not saved
+ */
+export async function recordScreening(state, file = getAnomalyStateFile(), {
+  live = !config.dryRun,
+  replay = Boolean(config.yieldsSnapshot),
+} = {}) {
+  if (!live || replay) return null;
+  return saveAnomalyState(state, file);
+}
+
+/**
+ * Detect why a pool's current numbers look like an outlier
+ * Checks run independently; each returns a human-readable reason:
+ * - z-score of the current score against the pool's history (needs rankPoolsByHistory stats)
+ * - DeFiLlama's own 1-day and 7-day APY change
+ * - TVL change since the previous run
+ * @param {Object} pool - Candidate pool (score, scoreBreakdown, tvlUsd, history)
+ * @param {Object} previous - The pool's entry from the previous run ({ tvlUsd }) or undefined
+ * @param {Object} options - Thresholds (defaults to config.anomaly)
+ * @returns {Array<string>} Reasons the pool is anomalous (empty when it looks normal)
+ */
+export function detectAnomalies(pool, previous, options = config.anomaly) {
+  const reasons = [];
+  const score = pool.score ?? pool.apy ?? 0;
+
+  const selection = pool.history?.available
+    ? pool.history.stats?.[config.history.selectionWindowDays]
+    : null;
+  if (selection && selection.samples > 1) {
+    const zScore = (score - selection.mean) / Math.max(selection.stdev, options.minStdev);
+    if (Math.abs(zScore) > options.zScoreThreshold) {
+      reasons.push(`score ${score.toFixed(2)}% is ${zScore.toFixed(1)} stdevs from its ${selection.windowDays}d mean ${selection.mean.toFixed(2)}%`);
+    }
+  }
+
+  const apyPct1D = pool.apyPct1D ?? 0;
+  if (Math.abs(apyPct1D) > options.maxApyChange1d) {
+    reasons.push(`APY moved ${apyPct1D.toFixed(2)} pts in 1 day`);
+  }
+
+  const apyPct7D = pool.scoreBreakdown?.apyPct7D ?? pool.apyPct7D ?? 0;
+  if (Math.abs(apyPct7D) > options.maxApyChange7d) {
+    reasons.push(`APY moved ${apyPct7D.toFixed(2)} pts in 7 days`);
+  }
+
+  if (previous?.tvlUsd > 0 && pool.tvlUsd > 0) {
+    const tvlChangePct = ((pool.tvlUsd - previous.tvlUsd) / previous.tvlUsd) * 100;
+    if (Math.abs(tvlChangePct) > options.maxTvlChangePct) {
+      reasons.push(`TVL changed ${tvlChangePct.toFixed(1)}% since the last run`);
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Screen candidate pools for anomalies and apply the quarantine
+ * A flagged pool is excluded for options.quarantineRuns runs, counting the
+ * current one; being flagged again while quarantined restarts the count.
+ * The state is not modified - the returned state should be saved by the caller.
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} state - Anomaly state from loadAnomalyState()
+ * @param {Object} options - Options
+ * @param {Object} options.thresholds - Detection thresholds and quarantineRuns (defaults to config.anomaly)
+ * @param {string} options.now - ISO timestamp of this run
+ * @returns {Object} { pools (accepted, order preserved), quarantined, state }
+ */
+export function screenPools(pools, state, {
+  thresholds = config.anomaly,
+  now = new Date().toISOString(),
+} = {}) {
+  const run = state.run + 1;
+  const quarantine = Object.fromEntries(
+    Object.entries(state.quarantine).filter(([, entry]) => entry.untilRun > run)
+  );
+  const seen = { ...state.pools };
+  const accepted = [];
+  const quarantined = [];
+
+  for (const pool of pools) {
+    const reasons = detectAnomalies(pool, state.pools[pool.pool], thresholds);
+    seen[pool.pool] = { tvlUsd: pool.tvlUsd || 0, seenAt: now };
+
+    if (reasons.length > 0) {
+      quarantine[pool.pool] = {
+        symbol: pool.symbol,
+        project: pool.project,
+        reasons,
+        flaggedAt: now,
+        untilRun: run + thresholds.quarantineRuns,
+      };
+    }
+
+    const entry = quarantine[pool.pool];
+    if (entry) {
+      quarantined.push({
+        pool: pool.pool,
+        symbol: entry.symbol,
+        project: entry.project,
+        reasons: entry.reasons,
+        flaggedAt: entry.flaggedAt,
+        newlyFlagged: reasons.length > 0,
+        remainingRuns: entry.untilRun - run,
+      });
+    } else {
+      accepted.push(pool);
+    }
+  }
+
+  return {
+    pools: accepted,
+    quarantined,
+    state: { ...state, run, pools: seen, quarantine },
+  };
+}
+
+/**
+ * Format a quarantined pool for logs and the run summary
+ * @param {Object} entry - Entry from screenPools().quarantined
+ * @returns {string} Single-line description
+ */
+export function formatQuarantineEntry(entry) {
+  const runs = `${entry.remainingRuns} run${entry.remainingRuns === 1 ? '' : 's'} left`;
+  return `${entry.symbol} (${entry.project}, pool ${entry.pool}) - ${entry.reasons.join('; ')} [${runs}]`;
+}
+
+export default {
+  getAnomalyStateFile,
+  createAnomalyState,
+  loadAnomalyState,
+  saveAnomalyState,
+  recordScreening,
+  detectAnomalies,
+  screenPools,
+  formatQuarantineEntry,
+};
@@ -0,0 +1,323 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { calculateRotations, prioritizeRotations } from './rotator.js';
+import { createLedger, recordRotations } from './ledger.js';
+import { fetchPoolHistory } from './history.js';
+import { loadYieldPools, filterBaseStablecoins, getMappedProtocolPools, MAX_STABLE_APY } from './defillama.js';
+import { findLatestSnapshot } from './snapshots.js';
+import { getTokenRegistry, getTokens } from './registry.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A pool whose last chart point is older than this is treated as gone
+const MAX_POINT_AGE_DAYS = 3;
+
+/**
+ * Estimate what one member swap costs
+ * @param {number} amountUsd - Amount swapped
+ * @param {Object} costModel - Cost model
+ * @param {number} costModel.swapCostBps - DEX fee and slippage in basis points of the amount
+ * @param {number} costModel.gasCostUsd - Fixed gas cost per swap
+ * @returns {number} Cost in USD
+ */
+export function estimateSwapCost(amountUsd, { swapCostBps, gasCostUsd } = config.backtest) {
+  return (amountUsd * swapCostBps) / 10000 + gasCostUsd;
+}
+
+/**
+ * Find the latest history point at or before a time
+ * @param {Array} history - Normalized history points (ascending)
+ * @param {number} time - Time in ms
+ * @returns {Object|null} Point, or null if the pool has no recent data at that time
+ */
+function findPointAt(history, time) {
+  let found = null;
+  for (const point of history || []) {
+    if (point.time > time) break;
+    found = point;
+  }
+  return found && time - found.time <= MAX_POINT_AGE_DAYS * DAY_MS ? found : null;
+}
+
+/**
+ * Rebuild the candidate pools as they looked at a point in time
+ * @param {Array} pools - Mapped pools (as from getMappedProtocolPools)
+ * @param {Map} histories - Pool id -> normalized history points
+ * @param {number} time - Time in ms
+ * @returns {Array} Pools with that day's apy, score and TVL, best score first
+ */
+export function getPoolsAt(pools, histories, time) {
+  return pools
+    .flatMap(pool => {
+      const point = findPointAt(histories.get(pool.pool), time);
+      return point ? [{ ...pool, apy: point.apy, score: point.score, tvlUsd: point.tvlUsd, scoreBreakdown: null }] : [];
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Work out the replayed period from the available history
+ * The period ends at the latest data point and covers up to `days` before it.
+ * @param {Map} histories - Pool id -> normalized history points
+ * @param {number} days - Longest period to replay
+ * @returns {Object} { start, end } in ms
+ */
+export function getBacktestRange(histories, days = config.backtest.days) {
+  const times = [...histories.values()].flat().map(point => point.time);
+  if (times.length === 0) {
+    throw new Error('No history points to backtest');
+  }
+
+  const end = Math.max(...times);
+  return { start: Math.max(Math.min(...times), end - days * DAY_MS), end };
+}
+
+/**
+ * Move part of a simulated holding into another token, paying the swap cost
+ * @param {Object} member - Simulated member ({ holdings })
+ * @param {Object} rotation - Rotation from calculateRotations()
+ * @param {Object} costModel - Cost model for estimateSwapCost()
+ * @returns {Object} { amountUsd, costUsd }
+ */
+function applyRotation(member, rotation, costModel) {
+  const sameToken = address => holding => holding.address.toLowerCase() === address.toLowerCase();
+  const from = member.holdings.find(sameToken(rotation.fromToken.address));
+  const amountUsd = from.balanceUsd * (rotation.sellShare ?? 1);
+  const costUsd = Math.min(estimateSwapCost(amountUsd, costModel), amountUsd);
+
+  from.balanceUsd -= amountUsd;
+  member.holdings = member.holdings.filter(holding => holding.balanceUsd > 1e-9);
+
+  let to = member.holdings.find(sameToken(rotation.toToken.address));
+  if (!to) {
+    to = { symbol: rotation.toToken.symbol, address: rotation.toToken.address, poolId: rotation.toToken.pool, balanceUsd: 0 };
+    member.holdings.push(to);
+  }
+  to.balanceUsd += amountUsd - costUsd;
+
+  return { amountUsd, costUsd };
+}
+
+/**
+ * Replay history against a simulated portfolio with one pair of thresholds
+ * Every step, holdings earn the APY their pool had at the previous step. The
+ * real calculateRotations() and prioritizeRotations() then decide what to move,
+ * with churn control tracked in an in-memory ledger. Holdings below
+ * minBalanceUsd are left alone, as in a live run.
+ * @param {Object} options - Options
+ * @param {Array} options.pools - Mapped pools
+ * @param {Map} options.histories - Pool id -> normalized history points
+ * @param {Object} options.registry - Token registry
+ * @param {string} options.chain - DeFiLlama chain name (for the starting stablecoin)
+ * @param {number} options.start - First simulated run (ms)
+ * @param {number} options.end - Last simulated run (ms)
+ * @param {number} options.minApyImprovement - Rotation threshold under test
+ * @param {number} options.minBalanceUsd - Minimum holding under test
+ * @param {Array<number>} options.memberBalancesUsd - Starting balance of each simulated member
+ * @param {string} options.startAsset - Stablecoin the members start in (idle)
+ * @param {number} options.stepDays - Days between simulated runs
+ * @param {Object} options.costModel - { swapCostBps, gasCostUsd }
+ * @returns {Object} { initialValueUsd, finalValueUsd, rotations, costsUsd, turnoverUsd, turnover, realisedApy, days }
+ */
+export function simulateBacktest({
+  pools,
+  histories,
+  registry = getTokenRegistry(),
+  chain = config.chain,
+  start,
+  end,
+  minApyImprovement = config.minApyImprovement,
+  minBalanceUsd = config.minBalanceUsd,
+  memberBalancesUsd = config.backtest.memberBalancesUsd,
+  startAsset = config.backtest.startAsset,
+  stepDays = config.backtest.stepDays,
+  costModel = config.backtest,
+}) {
+  const stablecoin = getTokens({ chain, kind: 'stablecoin', symbol: startAsset }, registry)[0];
+  if (!stablecoin) {
+    throw new Error(`${startAsset} on ${chain} is not in the token registry`);
+  }
+
+  const members = memberBalancesUsd.map((balanceUsd, i) => ({
+    address: `backtest-member-${i + 1}`,
+    membershipId: `backtest-${i + 1}`,
+    holdings: [{ symbol: stablecoin.symbol, address: stablecoin.address, poolId: null, balanceUsd }],
+  }));
+  const portfolioValue = () => members.reduce(
+    (sum, member) => sum + member.holdings.reduce((total, holding) => total + holding.balanceUsd, 0), 0
+  );
+
+  const initialValueUsd = portfolioValue();
+  let ledger = createLedger();
+  let rotations = 0;
+  let costsUsd = 0;
+  let turnoverUsd = 0;
+  let valueSum = 0;
+  let steps = 0;
+  let lastTime = start;
+  let currentPools = [];
+
+  for (let time = start; time <= end; time += stepDays * DAY_MS) {
+    // Accrue yield at the rates seen on the previous run
+    const apyByPool = new Map(currentPools.map(pool => [pool.pool, pool.apy]));
+    const years = (time - lastTime) / (365 * DAY_MS);
+    for (const holding of members.flatMap(member => member.holdings)) {
+      holding.balanceUsd *= 1 + ((apyByPool.get(holding.poolId) ?? 0) / 100) * years;
+    }
+    lastTime = time;
+
+    currentPools = getPoolsAt(pools, histories, time);
+    const poolById = new Map(currentPools.map(pool => [pool.pool, pool]));
+    const enriched = members.map(member => ({
+      address: member.address,
+      membershipId: member.membershipId,
+      yieldBearingHoldings: member.holdings
+        .filter(holding => holding.balanceUsd >= minBalanceUsd)
+        .map(holding => {
+          const pool = poolById.get(holding.poolId) || null;
+          return {
+            symbol: holding.symbol,
+            address: holding.address,
+            balance: holding.balanceUsd,
+            balanceUsd: holding.balanceUsd,
+            currentApy: pool?.apy ?? 0,
+            currentScore: pool?.score ?? 0,
+            pool,
+            matchedProject: pool?.project ?? null,
+          };
+        }),
+    }));
+
+    const planned = prioritizeRotations(calculateRotations(enriched, currentPools, {
+      ledger,
+      registry,
+      now: time,
+      minApyImprovement,
+      crossAssetMinApyImprovement: Math.max(config.crossAssetMinApyImprovement, minApyImprovement),
+    }));
+
+    for (const rotation of planned) {
+      const member = members.find(candidate => candidate.membershipId === rotation.membershipId);
+      const { amountUsd, costUsd } = applyRotation(member, rotation, costModel);
+      rotations++;
+      turnoverUsd += amountUsd;
+      costsUsd += costUsd;
+    }
+    ledger = recordRotations(ledger, planned.map(rotation => ({ rotation })), time);
+
+    valueSum += portfolioValue();
+    steps++;
+  }
+
+  const finalValueUsd = portfolioValue();
+  const days = (lastTime - start) / DAY_MS;
+  const averageValueUsd = steps > 0 ? valueSum / steps : initialValueUsd;
+
+  return {
+    initialValueUsd,
+    finalValueUsd,
+    rotations,
+    costsUsd,
+    turnoverUsd,
+    turnover: averageValueUsd > 0 ? turnoverUsd / averageValueUsd : 0,
+    realisedApy: days > 0 && initialValueUsd > 0 ? (Math.pow(finalValueUsd / initialValueUsd, 365 / days) - 1) * 100 : 0,
+    days,
+  };
+}
+
+/**
+ * Backtest every combination of minApyImprovement and minBalanceUsd
+ * @param {Object} options - simulateBacktest() options without the thresholds
+ * @param {Array<number>} options.minApyImprovements - Thresholds to try
+ * @param {Array<number>} options.minBalancesUsd - Minimum balances to try
+ * @returns {Array} One result per combination, with its thresholds
+ */
+export function runBacktestGrid({
+  minApyImprovements = config.backtest.minApyImprovements,
+  minBalancesUsd = config.backtest.minBalancesUsd,
+  ...options
+}) {
+  return minApyImprovements.flatMap(minApyImprovement => minBalancesUsd.map(minBalanceUsd => ({
+    minApyImprovement,
+    minBalanceUsd,
+    ...simulateBacktest({ ...options, minApyImprovement, minBalanceUsd }),
+  })));
+}
+
+/**
+ * Format grid results as a table, best final value marked with *
+ * @param {Array} results - Results from runBacktestGrid()
+ * @returns {string} Report
+ */
+export function formatBacktestReport(results) {
+  const best = results.reduce((top, result) => (!top || result.finalValueUsd > top.finalValueUsd ? result : top), null);
+  const money = value => `$${value.toFixed(2)}`;
+
+  const lines = [
+    'Min APY Impr | Min Balance | Final Value     | Rotations | Costs       | Realised APY | Turnover',
+    '-------------|-------------|-----------------|-----------|-------------|--------------|---------',
+    ...results.map(result => [
+      `${result.minApyImprovement}%`.padStart(12),
+      money(result.minBalanceUsd).padStart(11),
+      `${money(result.finalValueUsd).padStart(14)}${result === best ? '*' : ' '}`,
+      String(result.rotations).padStart(9),
+      money(result.costsUsd).padStart(11),
+      `${result.realisedApy.toFixed(2)}%`.padStart(12),
+      `${result.turnover.toFixed(2)}x`.padStart(8),
+    ].join(' | ')),
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Load the pools and their histories for a backtest, without touching the network
+ * Pools come from a saved /pools snapshot (--yields-snapshot, else the newest
+ * cached one) and go through the same chain, stablecoin, mapping and risk filters
+ * as a live run. Pools without a history file are left out.
+ * @param {Object} options - Options
+ * @param {Object} options.profile - Chain profile
+ * @param {Object} options.registry - Token registry for the chain
+ * @param {string} options.historyDir - Directory of <poolId>.json chart files
+ * @param {string|null} options.snapshotFile - /pools snapshot to use
+ * @returns {Promise<Object>} { pools, histories }
+ */
+export async function loadBacktestData({
+  profile,
+  registry = getTokenRegistry(),
+  historyDir = config.backtest.historyDir,
+  snapshotFile = config.yieldsSnapshot,
+}) {
+  if (!historyDir) {
+    throw new Error('Backtests run offline - pass --history-dir or set YIELD_HISTORY_DIR to a directory of <poolId>.json chart files');
+  }
+
+  const file = snapshotFile || await findLatestSnapshot(config.cache.dir);
+  if (!file) {
+    throw new Error(`No /pools snapshot to backtest - pass --yields-snapshot or run once to cache one in ${config.cache.dir}`);
+  }
+
+  const { pools: allPools, protocolTvl } = await loadYieldPools({ snapshotFile: file });
+  const stablecoins = filterBaseStablecoins(allPools, 100000, MAX_STABLE_APY, profile.defillamaChain);
+  const mappedPools = getMappedProtocolPools(stablecoins, registry, { protocolTvl });
+
+  const histories = new Map();
+  for (const pool of mappedPools) {
+    try {
+      histories.set(pool.pool, await fetchPoolHistory(pool.pool, { historyDir }));
+    } catch (error) {
+      logger.warn(`No history for ${pool.symbol} (${pool.project}, pool ${pool.pool}) - left out of the backtest`, { error: error.message });
+    }
+  }
+
+  return { pools: mappedPools.filter(pool => histories.has(pool.pool)), histories };
+}
+
+export default {
+  estimateSwapCost,
+  getPoolsAt,
+  getBacktestRange,
+  simulateBacktest,
+  runBacktestGrid,
+  formatBacktestReport,
+  loadBacktestData,
+};
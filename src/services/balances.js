@@ -1,7 +1,8 @@
 import { SwarmVaultClient } from '@swarmvault/sdk';
 import { logger } from '../utils/logger.js';
 import { config } from '../config.js';
-import { tokenAddressMap, underlyingTokens } from './defillama.js';
+import { getTokenAddressForPool, scorePool } from './defillama.js';
+import { buildYieldBearingPattern, getTokenRegistry, getTokens } from './registry.js';
 
 // Lazy-initialized client instance
 let clientInstance = null;
@@ -126,11 +127,13 @@ export async function getSwarmMemberBalances(swarmId = null) {
 
 /**
  * Build a lookup map for matching holdings to yield pools
- * Maps both addresses and symbols to pool data
+ * Maps both addresses and symbols to pool data. Addresses come from the
+ * registry entry each pool resolves to (see getTokenForPool in defillama.js).
  * @param {Array} yieldPools - DeFiLlama pool data
+ * @param {Object} registry - Token registry used to resolve pool ids
  * @returns {Object} Lookup maps for matching
  */
-function buildPoolLookup(yieldPools) {
+function buildPoolLookup(yieldPools, registry) {
   const bySymbol = new Map();
   const byAddress = new Map();
   const byProject = new Map();
@@ -155,8 +158,8 @@ function buildPoolLookup(yieldPools) {
       }
     }
 
-    // Index by token address if we have a mapping
-    const tokenAddress = getTokenAddressForPool(pool);
+    // Index by token address if the pool resolves to a registered token
+    const tokenAddress = getTokenAddressForPool(pool, registry);
     if (tokenAddress) {
       byAddress.set(tokenAddress.toLowerCase(), pool);
     }
@@ -165,22 +168,6 @@ function buildPoolLookup(yieldPools) {
   return { bySymbol, byAddress, byProject };
 }
 
-/**
- * Get token address for a pool from our mapping
- * @param {Object} pool - DeFiLlama pool
- * @returns {string|null} Token address or null
- */
-function getTokenAddressForPool(pool) {
-  const projectMap = tokenAddressMap[pool.project];
-  if (!projectMap) return null;
-
-  const symbolKey = Object.keys(projectMap).find(
-    key => pool.symbol?.toUpperCase().includes(key.toUpperCase())
-  );
-
-  return symbolKey ? projectMap[symbolKey] : null;
-}
-
 /**
  * Match a user holding to the best yield pool
  * Only matches yield-bearing tokens (aUSDC, mUSDC, etc.) to their corresponding pools
@@ -189,9 +176,10 @@ function getTokenAddressForPool(pool) {
  * Priority: exact address match > symbol match for yield-bearing tokens only
  * @param {Object} holding - User's token holding
  * @param {Object} lookup - Pool lookup maps
+ * @param {Object} registry - Token registry (symbol patterns)
  * @returns {Object|null} Matching pool or null
  */
-function matchHoldingToPool(holding, lookup) {
+function matchHoldingToPool(holding, lookup, registry) {
   // 1. Try exact address match (most accurate) - works for known yield-bearing tokens
   if (holding.address) {
     const addressMatch = lookup.byAddress.get(holding.address.toLowerCase());
@@ -204,16 +192,15 @@ function matchHoldingToPool(holding, lookup) {
   //    Plain USDC/DAI/etc. are NOT currently earning yield and should be rotated
   const symbol = holding.symbol?.toUpperCase() || '';
 
-  // Check if this is a yield-bearing token (has prefix like a, c, m, s)
-  const yieldBearingPattern = /^(A|C|M|S|ABAS|CBAS|MBAS|SBAS)(USDC|USDT|DAI|USDBC)/i;
-  const isYieldBearing = yieldBearingPattern.test(symbol);
+  // Check if this is a yield-bearing token (has a registry prefix like a, c, m, s)
+  const isYieldBearing = buildYieldBearingPattern(registry).test(symbol);
 
   if (isYieldBearing) {
     const symbolLower = symbol.toLowerCase();
     const symbolMatches = lookup.bySymbol.get(symbolLower);
     if (symbolMatches && symbolMatches.length > 0) {
       return symbolMatches.reduce((best, pool) =>
-        (pool.apy || 0) > (best.apy || 0) ? pool : best
+        scorePool(pool).score > scorePool(best).score ? pool : best
       );
     }
   }
@@ -224,27 +211,33 @@ function matchHoldingToPool(holding, lookup) {
 
 /**
  * Match user holdings to DeFiLlama yield data to get current APYs
+ * Each matched holding also carries the pool's yield score so the rotator can
+ * compare holdings and targets on the same scale.
  * @param {Array} userHoldings - User's token holdings
  * @param {Array} yieldPools - DeFiLlama pool data
- * @returns {Array} Holdings enriched with APY data
+ * @param {Object} registry - Token registry used to resolve pool ids
+ * @returns {Array} Holdings enriched with APY and score data
  */
-export function getCurrentHoldingApy(userHoldings, yieldPools) {
+export function getCurrentHoldingApy(userHoldings, yieldPools, registry = getTokenRegistry()) {
   if (!userHoldings || userHoldings.length === 0) {
     return [];
   }
 
-  const lookup = buildPoolLookup(yieldPools);
+  const lookup = buildPoolLookup(yieldPools, registry);
 
   return userHoldings.map(holding => {
-    const matchingPool = matchHoldingToPool(holding, lookup);
+    const matchingPool = matchHoldingToPool(holding, lookup, registry);
+    const scoreBreakdown = matchingPool ? scorePool(matchingPool) : null;
 
     if (matchingPool) {
-      logger.debug(`Matched ${holding.symbol} to pool ${matchingPool.pool} (${matchingPool.project}) at ${matchingPool.apy?.toFixed(2)}% APY`);
+      logger.debug(`Matched ${holding.symbol} to pool ${matchingPool.pool} (${matchingPool.project}) at ${matchingPool.apy?.toFixed(2)}% APY (score ${scoreBreakdown.score.toFixed(2)}%)`);
     }
 
     return {
       ...holding,
       currentApy: matchingPool?.apy || 0,
+      currentScore: scoreBreakdown?.score || 0,
+      scoreBreakdown,
       pool: matchingPool || null,
       hasYieldData: !!matchingPool,
       matchedProject: matchingPool?.project || null,
@@ -259,10 +252,11 @@ export function getCurrentHoldingApy(userHoldings, yieldPools) {
  *
  * @param {Array} holdings - All user holdings
  * @param {Array} yieldPools - Available yield pools
+ * @param {Object} registry - Token registry used to resolve pool ids
  * @returns {Array} Stablecoins with sufficient balance for rotation
  */
-export function filterYieldBearingHoldings(holdings, yieldPools) {
-  const lookup = buildPoolLookup(yieldPools);
+export function filterYieldBearingHoldings(holdings, yieldPools, registry = getTokenRegistry()) {
+  const lookup = buildPoolLookup(yieldPools, registry);
 
   // Stablecoins that can be rotated (either already yield-bearing or plain)
   const stableSymbols = ['USDC', 'USDT', 'DAI', 'USDBC', 'FRAX', 'LUSD'];
@@ -272,7 +266,7 @@ export function filterYieldBearingHoldings(holdings, yieldPools) {
 
     // Check if this is a stablecoin (plain or yield-bearing)
     const isPlainStable = stableSymbols.includes(symbol);
-    const isYieldBearing = matchHoldingToPool(holding, lookup) !== null;
+    const isYieldBearing = matchHoldingToPool(holding, lookup, registry) !== null;
     const isEligible = isPlainStable || isYieldBearing;
 
     // Must meet minimum balance
@@ -293,29 +287,27 @@ export function filterYieldBearingHoldings(holdings, yieldPools) {
  * Check if a token is a yield-bearing stablecoin
  * @param {string} symbol - Token symbol
  * @param {string} address - Token address
+ * @param {string} chain - DeFiLlama chain name of the holding
  * @returns {boolean} True if token is yield-bearing
  */
-export function isYieldBearingStable(symbol, address) {
-  // Check if address matches any known yield-bearing token
+export function isYieldBearingStable(symbol, address, chain = config.chain) {
+  // Check if address matches any registered yield-bearing token
   const normalizedAddress = address?.toLowerCase();
 
-  for (const projectTokens of Object.values(tokenAddressMap)) {
-    for (const tokenAddress of Object.values(projectTokens)) {
-      if (tokenAddress.toLowerCase() === normalizedAddress) {
-        return true;
-      }
-    }
+  const isKnownAddress = getTokens({ chain, kind: 'yield-bearing' }).some(
+    token => token.address.toLowerCase() === normalizedAddress
+  );
+  if (isKnownAddress) {
+    return true;
   }
 
   // Check by symbol pattern (aUSDC, cUSDC, mUSDC, sUSDC, etc.)
-  const yieldPrefixes = ['a', 'c', 'm', 's', 'aBas'];
-  const stableSymbols = ['USDC', 'USDT', 'DAI', 'USDbC'];
+  const { yieldBearingPrefixes, stablecoins } = getTokenRegistry().symbolPatterns;
 
   const normalizedSymbol = symbol?.toUpperCase() || '';
-  for (const prefix of yieldPrefixes) {
-    for (const stable of stableSymbols) {
-      if (normalizedSymbol === `${prefix.toUpperCase()}${stable}` ||
-          normalizedSymbol === `${prefix.toUpperCase()}BAS${stable}`) {
+  for (const prefix of yieldBearingPrefixes) {
+    for (const stable of stablecoins) {
+      if (normalizedSymbol === `${prefix.toUpperCase()}${stable.toUpperCase()}`) {
         return true;
       }
     }
@@ -326,11 +318,12 @@ export function isYieldBearingStable(symbol, address) {
 
 /**
  * Process all swarm members and enrich with yield data
- * @param {Array} yieldPools - DeFiLlama pool data for Base stablecoins
+ * @param {Array} yieldPools - DeFiLlama pool data for the swarm's chain
  * @param {string} swarmId - Optional swarm ID
+ * @param {Object} registry - Token registry of the swarm's chain
  * @returns {Promise<Array>} Users with enriched holding data
  */
-export async function getEnrichedMemberData(yieldPools, swarmId = null) {
+export async function getEnrichedMemberData(yieldPools, swarmId = null, registry = getTokenRegistry()) {
   const members = await getSwarmMemberBalances(swarmId);
 
   if (members.length === 0) {
@@ -340,10 +333,10 @@ export async function getEnrichedMemberData(yieldPools, swarmId = null) {
 
   const enrichedMembers = members.map(member => {
     // Enrich all holdings with APY data
-    const enrichedHoldings = getCurrentHoldingApy(member.holdings || [], yieldPools);
+    const enrichedHoldings = getCurrentHoldingApy(member.holdings || [], yieldPools, registry);
 
     // Filter to only yield-bearing holdings
-    const yieldBearingHoldings = filterYieldBearingHoldings(enrichedHoldings, yieldPools);
+    const yieldBearingHoldings = filterYieldBearingHoldings(enrichedHoldings, yieldPools, registry);
 
     const totalYieldBearingUsd = yieldBearingHoldings.reduce(
       (sum, h) => sum + (h.balanceUsd || 0),
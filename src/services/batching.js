@@ -0,0 +1,126 @@
+import { config } from '../config.js';
+
+/**
+ * Key identifying the holding a rotation sells from
+ * @param {Object} rotation - Rotation
+ * @returns {string} Member and source token key
+ */
+export function getHoldingKey(rotation) {
+  return `${rotation.membershipId || rotation.userAddress}:${(rotation.fromToken.address || rotation.fromToken.symbol).toLowerCase()}`;
+}
+
+/**
+ * Convert a share of the original holding into a percentage of what is left of it
+ * @param {number} sellShare - Share of the original holding to sell (0-1)
+ * @param {number} remainingShare - Share of the original holding not yet sold (0-1)
+ * @returns {number} Sell percentage for the SDK (capped at 100)
+ */
+export function getSellPercentage(sellShare, remainingShare = 1) {
+  if (remainingShare <= 0 || sellShare >= remainingShare - 1e-9) {
+    return 100;
+  }
+  return (sellShare / remainingShare) * 100;
+}
+
+/**
+ * Split rotations into waves that can run side by side
+ * Wave N holds the Nth leg sold from each holding, so a member's legs from the
+ * same holding run one after the other and in their original order.
+ * @param {Array} rotations - Rotations in priority order
+ * @returns {Array<Array>} Waves of rotations, each in priority order
+ */
+export function planWaves(rotations) {
+  const legs = new Map();
+  const waves = [];
+
+  for (const rotation of rotations) {
+    const key = getHoldingKey(rotation);
+    const leg = legs.get(key) || 0;
+    legs.set(key, leg + 1);
+    (waves[leg] = waves[leg] || []).push(rotation);
+  }
+
+  return waves;
+}
+
+/**
+ * Group one wave's rotations into swarm-level swaps
+ * Rotations share a swap when they sell and buy the same tokens at the same
+ * percentage of what the member holds. Rotations without a membership id
+ * would swap for the whole swarm, so they always run alone.
+ * @param {Array} rotations - Rotations of one wave in priority order
+ * @param {Map} remainingShares - Holding key -> share of the original holding not yet sold
+ * @param {number} maxMembers - Most members in one swap
+ * @returns {Array} Groups ({ sellPercentage, rotations }) in priority order
+ */
+export function groupRotations(rotations, remainingShares = new Map(), maxMembers = config.batching.maxMembersPerSwap) {
+  const groups = [];
+  const open = new Map();
+
+  for (const rotation of rotations) {
+    const sellPercentage = getSellPercentage(rotation.sellShare ?? 1, remainingShares.get(getHoldingKey(rotation)) ?? 1);
+    const pairKey = [
+      (rotation.fromToken.address || rotation.fromToken.symbol).toLowerCase(),
+      (rotation.toToken.address || rotation.toToken.symbol).toLowerCase(),
+      sellPercentage.toFixed(6),
+    ].join(':');
+
+    const group = rotation.membershipId ? open.get(pairKey) : null;
+    if (group && group.rotations.length < maxMembers) {
+      group.rotations.push(rotation);
+      continue;
+    }
+
+    const created = { sellPercentage, rotations: [rotation] };
+    groups.push(created);
+    if (rotation.membershipId) {
+      open.set(pairKey, created);
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Break a multi-member swap preview back out per rotation
+ * Members are matched by agent wallet address. A preview error naming a member
+ * fails only that member; one naming no member fails the whole group.
+ * @param {Array} rotations - Rotations of one group
+ * @param {Object} preview - SDK swap preview (members, errors)
+ * @returns {Map} Rotation -> { member } or { error }
+ */
+export function splitPreviewByMember(rotations, preview) {
+  const sameMember = (entry, rotation) =>
+    (entry.membershipId && entry.membershipId === rotation.membershipId) ||
+    (entry.agentWalletAddress && entry.agentWalletAddress.toLowerCase() === rotation.userAddress?.toLowerCase());
+
+  const groupErrors = (preview.errors || []).filter(error => !error.membershipId && !error.agentWalletAddress);
+
+  return new Map(rotations.map(rotation => {
+    if (groupErrors.length > 0) {
+      return [rotation, { error: `Swap preview failed: ${groupErrors.map(e => e.message).join(', ')}` }];
+    }
+
+    const memberError = (preview.errors || []).find(error => sameMember(error, rotation));
+    if (memberError) {
+      return [rotation, { error: `Swap preview failed: ${memberError.message}` }];
+    }
+
+    const member = (preview.members || []).find(entry => sameMember(entry, rotation));
+    if (!member) {
+      return [rotation, { error: 'Member missing from swap preview' }];
+    }
+    if (member.error) {
+      return [rotation, { error: `Swap preview failed: ${member.error}` }];
+    }
+    return [rotation, { member }];
+  }));
+}
+
+export default {
+  getHoldingKey,
+  getSellPercentage,
+  planWaves,
+  groupRotations,
+  splitPreviewByMember,
+};
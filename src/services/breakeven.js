@@ -0,0 +1,251 @@
+import axios from 'axios';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getTokenRegistry, getTokens } from './registry.js';
+import { createProvider, readUnderlyingPerToken } from './onchain.js';
+
+const DAYS_PER_YEAR = 365;
+
+// DeFiLlama coins API key for the gas token of every supported chain
+const ETH_PRICE_KEY = 'coingecko:ethereum';
+
+/**
+ * Convert a raw token amount to a decimal number
+ * @param {string|bigint} rawAmount - Amount in the token's smallest unit
+ * @param {number} decimals - Token decimals
+ * @returns {number} Token amount
+ */
+export function toTokenAmount(rawAmount, decimals) {
+  return Number(BigInt(rawAmount)) / 10 ** decimals;
+}
+
+/**
+ * Create a function that values raw token amounts in USD
+ * Stablecoins are valued at $1. Yield-bearing tokens are valued through their
+ * on-chain exchange rate to a stablecoin underlying. Prices are cached for the run.
+ * @param {Object} options - Options
+ * @param {string} options.chain - DeFiLlama chain name of the tokens
+ * @param {Object} options.registry - Token registry
+ * @param {JsonRpcProvider} options.provider - ethers provider for exchange rate reads
+ * @returns {Function} async (address, rawAmount) => USD value, or null if the token can't be valued
+ */
+export function createTokenValuer({
+  chain = config.chain,
+  registry = getTokenRegistry(),
+  provider = createProvider(),
+} = {}) {
+  const tokens = getTokens({ chain }, registry);
+  const prices = new Map();
+
+  const findToken = address => tokens.find(token => token.address.toLowerCase() === address?.toLowerCase());
+
+  const getPrice = async token => {
+    if (token.kind === 'stablecoin') {
+      return 1;
+    }
+    const underlying = tokens.find(candidate => candidate.symbol === token.underlying);
+    if (token.kind !== 'yield-bearing' || underlying?.kind !== 'stablecoin') {
+      return null;
+    }
+    return readUnderlyingPerToken(token, { provider, registry });
+  };
+
+  return async (address, rawAmount) => {
+    const token = findToken(address);
+    if (!token) {
+      return null;
+    }
+
+    const key = token.address.toLowerCase();
+    if (!prices.has(key)) {
+      prices.set(key, await getPrice(token));
+    }
+
+    const price = prices.get(key);
+    return price === null ? null : toTokenAmount(rawAmount, token.decimals) * price;
+  };
+}
+
+/**
+ * Fetch the current ETH price from the DeFiLlama coins API
+ * @returns {Promise<number>} ETH price in USD
+ */
+export async function fetchEthPriceUsd() {
+  const response = await axios.get(`${config.defillamaCoinsUrl}/prices/current/${ETH_PRICE_KEY}`);
+  const price = response.data?.coins?.[ETH_PRICE_KEY]?.price;
+
+  if (!price) {
+    throw new Error('DeFiLlama returned no ETH price');
+  }
+  return price;
+}
+
+/**
+ * Estimate the USD gas cost of one member swap from the chain's current fees
+ * @param {Object} options - Options
+ * @param {JsonRpcProvider} options.provider - ethers provider
+ * @param {number} options.gasUnits - Gas used by one swap
+ * @param {number} options.gasBuffer - Multiplier applied for safety
+ * @param {number} options.ethPriceUsd - ETH price in USD
+ * @returns {Promise<number>} Gas cost in USD
+ */
+export async function estimateGasCostUsd({
+  provider = createProvider(),
+  gasUnits = config.breakEven.swapGasUnits,
+  gasBuffer = config.gasBuffer,
+  ethPriceUsd,
+} = {}) {
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice;
+
+  if (gasPrice == null) {
+    throw new Error('RPC returned no gas price');
+  }
+
+  const gasEth = Number(gasPrice * BigInt(gasUnits)) / 1e18;
+  return gasEth * gasBuffer * (ethPriceUsd ?? await fetchEthPriceUsd());
+}
+
+/**
+ * Get the per-swap gas cost used for break-even analysis
+ * Uses GAS_COST_USD when set, otherwise an estimate, falling back to a fixed cost if the estimate fails.
+ * @param {JsonRpcProvider} provider - ethers provider of the chain being rotated
+ * @returns {Promise<number>} Gas cost in USD
+ */
+export async function resolveGasCostUsd(provider = createProvider()) {
+  if (config.breakEven.gasCostUsd !== null) {
+    return config.breakEven.gasCostUsd;
+  }
+
+  try {
+    return await estimateGasCostUsd({ provider });
+  } catch (error) {
+    logger.warn(`Gas estimate failed, assuming $${config.breakEven.fallbackGasCostUsd} per swap`, { error: error.message });
+    return config.breakEven.fallbackGasCostUsd;
+  }
+}
+
+/**
+ * Compute the cost of a rotation and how long the APY gain takes to pay it back
+ * @param {Object} params - Parameters
+ * @param {number} params.sellValueUsd - USD value sold
+ * @param {number} params.buyValueUsd - USD value received
+ * @param {number} params.gasCostUsd - Gas cost in USD
+ * @param {number} params.apyImprovement - Expected APY gain in percentage points
+ * @returns {Object} { swapCostUsd, gasCostUsd, totalCostUsd, dailyGainUsd, paybackDays }
+ */
+export function computeBreakEven({ sellValueUsd, buyValueUsd, gasCostUsd, apyImprovement }) {
+  // Value lost between what is sold and what arrives (fees, price impact, slippage)
+  const swapCostUsd = Math.max(sellValueUsd - buyValueUsd, 0);
+  const totalCostUsd = swapCostUsd + gasCostUsd;
+  const dailyGainUsd = (buyValueUsd * apyImprovement) / 100 / DAYS_PER_YEAR;
+
+  return {
+    swapCostUsd,
+    gasCostUsd,
+    totalCostUsd,
+    dailyGainUsd,
+    paybackDays: dailyGainUsd > 0 ? totalCostUsd / dailyGainUsd : Infinity,
+  };
+}
+
+/**
+ * Format a payback period for logs
+ * @param {number} days - Payback period in days
+ * @returns {string} Formatted period
+ */
+function formatPayback(days) {
+  return Number.isFinite(days) ? `${days.toFixed(1)} days` : 'never';
+}
+
+/**
+ * Preview each rotation at its real size and drop those that don't pay back in time
+ * Rotations that can't be previewed or valued are skipped rather than executed blind.
+ * Cap-enforcing rotations are kept with their cost attached. Routed previews
+ * (legCount > 1) pay gas once per leg.
+ * @param {Array} rotations - Rotations in priority order
+ * @param {Object} options - Options
+ * @param {Function} options.preview - async (rotation) => SDK swap preview (optionally with route and legCount)
+ * @param {Function} options.valueToken - async (address, rawAmount) => USD value or null
+ * @param {number} options.gasCostUsd - Per-swap gas cost in USD
+ * @param {number} options.horizonDays - Maximum payback period
+ * @returns {Promise<Object>} { rotations (accepted, with breakEven and the previewed amounts), skipped: [{ rotation, reason }] }
+ */
+export async function analyzeBreakEven(rotations, {
+  preview,
+  valueToken,
+  gasCostUsd = 0,
+  horizonDays = config.breakEven.horizonDays,
+}) {
+  const accepted = [];
+  const skipped = [];
+
+  const skip = (rotation, reason) => {
+    logger.info(`  ✗ ${rotation.userAddress} ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol}: ${reason}`);
+    skipped.push({ rotation, reason });
+  };
+
+  for (const rotation of rotations) {
+    let result;
+    try {
+      result = await preview(rotation);
+    } catch (error) {
+      skip(rotation, `preview failed: ${error.message}`);
+      continue;
+    }
+
+    if (result.errors?.length > 0) {
+      skip(rotation, `preview failed: ${result.errors.map(e => e.message).join(', ')}`);
+      continue;
+    }
+
+    let sellValueUsd;
+    let buyValueUsd;
+    try {
+      sellValueUsd = await valueToken(rotation.fromToken.address, result.totalSellAmount);
+      buyValueUsd = await valueToken(rotation.toToken.address, result.totalBuyAmount);
+    } catch (error) {
+      skip(rotation, `could not value the swap: ${error.shortMessage || error.message}`);
+      continue;
+    }
+
+    if (sellValueUsd === null || buyValueUsd === null) {
+      skip(rotation, 'could not value the swap in USD');
+      continue;
+    }
+
+    const breakEven = computeBreakEven({
+      sellValueUsd,
+      buyValueUsd,
+      gasCostUsd: gasCostUsd * (result.legCount ?? 1),
+      apyImprovement: rotation.apyImprovement,
+    });
+
+    const via = result.legCount > 1 ? ` via ${result.route}` : '';
+    const detail = `cost $${breakEven.totalCostUsd.toFixed(2)} (swap $${breakEven.swapCostUsd.toFixed(2)} + gas $${breakEven.gasCostUsd.toFixed(2)})${via}, payback ${formatPayback(breakEven.paybackDays)}`;
+
+    // Moves that bring a position back under an allocation cap are made whatever they cost
+    if (breakEven.paybackDays > horizonDays && !rotation.capEnforced) {
+      skip(rotation, `${detail} exceeds ${horizonDays} day horizon`);
+      continue;
+    }
+
+    logger.info(`  ✓ ${rotation.userAddress} ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol}: ${detail}`);
+    accepted.push({
+      ...rotation,
+      breakEven: { sellAmount: result.totalSellAmount, buyAmount: result.totalBuyAmount, route: result.route ?? null, sellValueUsd, buyValueUsd, ...breakEven },
+    });
+  }
+
+  return { rotations: accepted, skipped };
+}
+
+export default {
+  toTokenAmount,
+  createTokenValuer,
+  fetchEthPriceUsd,
+  estimateGasCostUsd,
+  resolveGasCostUsd,
+  computeBreakEven,
+  analyzeBreakEven,
+};
@@ -0,0 +1,84 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getTokenRegistry, getTokens, loadTokenRegistry } from './registry.js';
+
+// Registries loaded from per-chain TOKEN_REGISTRY_PATH overrides, keyed by path
+const chainRegistries = new Map();
+
+/**
+ * Get a chain profile by key
+ * @param {string} key - Profile key (e.g. 'base', 'arbitrum')
+ * @param {Object} chains - Chain profiles (defaults to config.chains)
+ * @returns {Object} Chain profile
+ * @throws {Error} If no profile exists for the key
+ */
+export function getChainProfile(key = config.defaultChain, chains = config.chains) {
+  const profile = chains[key?.toLowerCase()];
+  if (!profile) {
+    throw new Error(`Unknown chain "${key}" (expected one of ${Object.keys(chains).join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Resolve the chain profiles a run should rotate
+ * An explicit selection (--chain or CHAINS) wins; otherwise every profile with
+ * a swarm id runs, falling back to the default chain when none has one.
+ * @param {Object} options - Options
+ * @param {string} options.selection - Comma-separated profile keys
+ * @param {Object} options.chains - Chain profiles
+ * @returns {Array} Chain profiles in selection order
+ */
+export function getActiveChainProfiles({
+  selection = config.chainSelection,
+  chains = config.chains,
+} = {}) {
+  if (selection) {
+    const keys = selection.split(',').map(key => key.trim()).filter(Boolean);
+    return [...new Set(keys)].map(key => getChainProfile(key, chains));
+  }
+
+  const configured = Object.values(chains).filter(profile => profile.swarmId);
+  if (configured.length > 0) {
+    return configured;
+  }
+
+  logger.warn(`No chain profile has a swarm id - defaulting to ${config.defaultChain}`);
+  return [getChainProfile(config.defaultChain, chains)];
+}
+
+/**
+ * Get the token registry for a chain
+ * Uses the profile's own registry file when configured, otherwise the shared registry.
+ * @param {Object} profile - Chain profile
+ * @returns {Object} Validated registry
+ */
+export function getChainRegistry(profile) {
+  if (!profile?.tokenRegistryPath) {
+    return getTokenRegistry();
+  }
+  if (!chainRegistries.has(profile.tokenRegistryPath)) {
+    chainRegistries.set(profile.tokenRegistryPath, loadTokenRegistry(profile.tokenRegistryPath));
+  }
+  return chainRegistries.get(profile.tokenRegistryPath);
+}
+
+/**
+ * Get a chain's token addresses keyed by upper-case symbol
+ * @param {Object} profile - Chain profile
+ * @param {Object} filter - Extra token filter (e.g. { kind: 'stablecoin' })
+ * @returns {Object} Map of symbol to address
+ */
+export function getChainTokenAddresses(profile, filter = {}) {
+  return Object.fromEntries(
+    getTokens({ ...filter, chain: profile.defillamaChain }, getChainRegistry(profile))
+      .map(token => [token.symbol.toUpperCase(), token.address])
+  );
+}
+
+export default {
+  getChainProfile,
+  getActiveChainProfiles,
+  getChainRegistry,
+  getChainTokenAddresses,
+};
@@ -1,74 +1,240 @@
 import axios from 'axios';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { findLatestSnapshot, loadFreshSnapshot, readSnapshot, writeSnapshot } from './snapshots.js';
+import { buildSymbolAddressMap, buildTokenAddressMap, getTokenRegistry, getTokens } from './registry.js';
+import { buildProtocolTvl, evaluatePool, getRiskPolicy } from './risk.js';
+import { hasProtocolAdapter } from './adapters.js';
 
 const POOLS_ENDPOINT = `${config.defillamaBaseUrl}/pools`;
 
 // Maximum APY threshold to filter out volatile/risky LP positions
 // Stablecoins realistically shouldn't exceed 15-20% APY sustainably
-const MAX_STABLE_APY = 25;
+export const MAX_STABLE_APY = 25;
 
 /**
- * Token address mapping: DeFiLlama pool symbols/projects -> Base chain contract addresses
- * Maps yield-bearing stablecoin pools to their actual token addresses on Base
- *
- * IMPORTANT: Only include tokens that are DEX-swappable (verified via swap preview)
- * Tokens like cUSDCv3 (Compound) require protocol deposits, not DEX swaps
+ * Token address mapping: DeFiLlama project -> underlying symbol -> yield-bearing token address
+ * Derived from the token registry (src/data/tokens.json). Only DEX-swappable
+ * tokens are included; deposit-only tokens like cUSDCv3 are listed in the
+ * registry with swappability 'deposit-only' and reached through adapters.js.
  */
-export const tokenAddressMap = {
-  // Aave V3 on Base - aBasUSDC is DEX-swappable, aBasUSDbC is NOT
-  'aave-v3': {
-    'USDC': '0x4e65fE4DbA92790696d040ac24Aa414708F5c0AB', // aBasUSDC - DEX swappable ✓
-    // 'USDbC': '0x0a1d576f3eFeB55CCf1A5452F3cDE8a5B161BCaD', // aBasUSDbC - NOT DEX swappable
-  },
-  // Compound V3 - NOT DEX-swappable (requires protocol deposit)
-  // 'compound-v3': {
-  //   'USDC': '0xb125E6687d4313864e53df431d5425969c15Eb2F', // cUSDCv3 - NOT DEX swappable
-  // },
-  // Moonwell on Base - mUSDC and mDAI are DEX-swappable, mUSDbC is NOT
-  // DeFiLlama uses 'moonwell-lending' as the project name
-  'moonwell-lending': {
-    'USDC': '0xEdc817A28E8B93B03976FBd4a3dDBc9f7D176c22', // mUSDC - DEX swappable ✓
-    // 'USDbC': '0x703843C3379b52F9FF486c9f5892218d2a065cC8', // mUSDbC - NOT DEX swappable
-    'DAI': '0x73b06D8d18De422E269645eaCe15400DE7462417', // mDAI - DEX swappable ✓
-  },
-  // Seamless Protocol on Base - sUSDC is DEX-swappable
-  // DeFiLlama uses 'seamless-v2' as the project name
-  'seamless-v2': {
-    'USDC': '0x53E240C0F985175dA046A62F26D490d1E259036e', // sUSDC - DEX swappable ✓
-  },
-};
+export const tokenAddressMap = buildTokenAddressMap(config.chain);
 
-// Underlying stablecoin addresses on Base for swapping
-export const underlyingTokens = {
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  USDbC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
-  DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
-};
+// Underlying stablecoin addresses for swapping, from the token registry
+export const underlyingTokens = buildSymbolAddressMap({ chain: config.chain, kind: 'stablecoin' });
+
+/**
+ * Supported yield scoring methods
+ * - apy: DeFiLlama headline APY (base + rewards, includes one-day spikes)
+ * - base: Base lending/vault APY only, ignoring reward emissions
+ * - mean30d: DeFiLlama's 30-day mean APY
+ * - base-plus-rewards: Base APY plus reward APY weighted by rewardDiscount
+ */
+export const YIELD_SCORING_METHODS = ['apy', 'base', 'mean30d', 'base-plus-rewards'];
 
 /**
- * Get token address for a pool based on project and symbol
+ * Score a pool's sustainable yield from the DeFiLlama /pools fields
+ * Missing fields fall back to the headline APY so sparse pools still rank.
+ * If APY jumped by more than maxApyChange7d over the last week, the score is
+ * capped at the APY from seven days ago to avoid chasing temporary spikes.
+ * @param {Object} pool - DeFiLlama pool
+ * @param {Object} options - Scoring options (defaults to config.yieldScoring)
+ * @returns {Object} Score breakdown ({ score, method, apy, apyBase, apyReward, apyMean30d, apyPct7D, spikeDampened })
+ */
+export function scorePool(pool, options = config.yieldScoring) {
+  const { method, rewardDiscount, maxApyChange7d } = options;
+
+  if (!YIELD_SCORING_METHODS.includes(method)) {
+    throw new Error(`Unknown yield scoring method: ${method} (expected one of ${YIELD_SCORING_METHODS.join(', ')})`);
+  }
+
+  const apy = pool.apy || 0;
+  const apyReward = pool.apyReward || 0;
+  const apyBase = pool.apyBase ?? Math.max(apy - apyReward, 0);
+  const apyMean30d = pool.apyMean30d ?? apy;
+  const apyPct7D = pool.apyPct7D ?? 0;
+
+  let score;
+  switch (method) {
+    case 'base':
+      score = apyBase;
+      break;
+    case 'mean30d':
+      score = apyMean30d;
+      break;
+    case 'base-plus-rewards':
+      score = apyBase + apyReward * rewardDiscount;
+      break;
+    default:
+      score = apy;
+  }
+
+  // Cap the score at last week's APY when the pool has spiked since then
+  let spikeDampened = false;
+  if (apyPct7D > maxApyChange7d) {
+    const apyWeekAgo = Math.max(apy - apyPct7D, 0);
+    if (apyWeekAgo < score) {
+      score = apyWeekAgo;
+      spikeDampened = true;
+    }
+  }
+
+  return {
+    score,
+    method,
+    apy,
+    apyBase,
+    apyReward,
+    apyMean30d,
+    apyPct7D,
+    spikeDampened,
+  };
+}
+
+/**
+ * Format a score breakdown for logging
+ * @param {Object} breakdown - Result of scorePool()
+ * @returns {string} Human-readable breakdown
+ */
+export function formatScoreBreakdown(breakdown) {
+  if (!breakdown) return 'no score data';
+
+  const parts = [
+    `score ${breakdown.score.toFixed(2)}% [${breakdown.method}]`,
+    `apy ${breakdown.apy.toFixed(2)}%`,
+    `base ${breakdown.apyBase.toFixed(2)}%`,
+    `rewards ${breakdown.apyReward.toFixed(2)}%`,
+    `30d mean ${breakdown.apyMean30d.toFixed(2)}%`,
+    `7d change ${breakdown.apyPct7D >= 0 ? '+' : ''}${breakdown.apyPct7D.toFixed(2)}%`,
+  ];
+  if (breakdown.spikeDampened) {
+    parts.push('spike dampened');
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Build the pool summary object used throughout the rotator
+ * @param {Object} pool - DeFiLlama pool
+ * @param {string|null} tokenAddress - Yield-bearing token address, if mapped
+ * @returns {Object} Pool summary with APY, score and token details
+ */
+function toYieldPool(pool, tokenAddress) {
+  const scoreBreakdown = scorePool(pool);
+
+  return {
+    pool: pool.pool,
+    symbol: pool.symbol,
+    project: pool.project,
+    apy: pool.apy || 0,
+    score: scoreBreakdown.score,
+    scoreBreakdown,
+    apyPct1D: pool.apyPct1D ?? 0,
+    tvlUsd: pool.tvlUsd,
+    underlyingTokens: pool.underlyingTokens || [],
+    tokenAddress,
+  };
+}
+
+/**
+ * Sort pools by yield score descending
+ * @param {Array} pools - DeFiLlama pools
+ * @returns {Array} New array sorted by score
+ */
+function sortByScore(pools) {
+  return pools
+    .map(pool => ({ pool, score: scorePool(pool).score }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.pool);
+}
+
+/**
+ * Get the yield-bearing token address for a project's underlying asset
+ * Matches the pool symbol exactly against the underlying symbol, so multi-asset
+ * or looped pools (e.g. 'USDC-DAI') never resolve to a single-asset token.
+ * Used to suggest registry entries; rotation targets are resolved by pool id.
  * @param {string} project - Protocol name (e.g., 'aave-v3')
- * @param {string} symbol - Token symbol (e.g., 'USDC')
+ * @param {string} symbol - Pool symbol (e.g., 'USDC')
  * @returns {string|null} Token contract address or null
  */
 export function getTokenAddress(project, symbol) {
   const projectMap = tokenAddressMap[project];
   if (!projectMap) return null;
 
-  // Try to find exact match first, then try underlying token symbol
   const symbolKey = Object.keys(projectMap).find(
-    key => symbol.toUpperCase().includes(key.toUpperCase())
+    key => symbol?.toUpperCase() === key.toUpperCase()
   );
 
   return symbolKey ? projectMap[symbolKey] : null;
 }
 
 /**
- * Fetch all yield pools from DeFiLlama
+ * Resolve the registry token for a DeFiLlama pool by its exact pool UUID
+ * Only the pool id decides: a project can list several pools with the same
+ * symbol on one chain (e.g. separate markets), and only one of them is the
+ * token we buy. Entries without a defillamaPoolId never resolve; their
+ * candidate pools are reported by findUnmappedNearMatches().
+ * @param {Object} pool - DeFiLlama pool
+ * @param {Object} registry - Token registry (defaults to the shared registry)
+ * @returns {Object|null} Registry entry, or null
+ */
+export function getTokenForPool(pool, registry = getTokenRegistry()) {
+  if (!pool?.pool) return null;
+  return registry.tokens.find(token => token.defillamaPoolId === pool.pool) || null;
+}
+
+/**
+ * Resolve the yield-bearing token address for a DeFiLlama pool
+ * @param {Object} pool - DeFiLlama pool
+ * @param {Object} registry - Token registry
+ * @returns {string|null} Token address or null if the pool id is not registered
+ */
+export function getTokenAddressForPool(pool, registry = getTokenRegistry()) {
+  return getTokenForPool(pool, registry)?.address || null;
+}
+
+/**
+ * Find pools that look like a registered token but whose pool id is not mapped
+ * A pool is a near-match when its project has registered tokens and its symbol
+ * contains one of their underlying symbols (the old substring rule). This is a
+ * report for filling in defillamaPoolId; it never picks a rotation target.
+ * @param {Array} pools - DeFiLlama pools
+ * @param {Object} registry - Token registry
+ * @returns {Array} Near-matches ({ pool, project, symbol, apy, candidates })
+ */
+export function findUnmappedNearMatches(pools, registry = getTokenRegistry()) {
+  const yieldTokens = getTokens({ kind: 'yield-bearing' }, registry);
+  const nearMatches = [];
+
+  for (const pool of pools || []) {
+    if (getTokenForPool(pool, registry)) continue;
+
+    const symbol = pool.symbol?.toUpperCase() || '';
+    const candidates = yieldTokens.filter(token =>
+      token.protocol === pool.project &&
+      (!pool.chain || token.chain === pool.chain) &&
+      symbol.includes(token.underlying.toUpperCase())
+    );
+
+    if (candidates.length > 0) {
+      nearMatches.push({
+        pool: pool.pool,
+        project: pool.project,
+        symbol: pool.symbol,
+        apy: pool.apy || 0,
+        candidates: candidates.map(token => token.symbol),
+      });
+    }
+  }
+
+  return nearMatches;
+}
+
+/**
+ * Request all yield pools from the DeFiLlama API, with retries
  * @returns {Promise<Array>} Array of pool data
  */
-export async function fetchYieldPools() {
+async function requestYieldPools() {
   let lastError;
 
   for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
@@ -93,19 +259,125 @@ export async function fetchYieldPools() {
 }
 
 /**
- * Filter pools for Base chain USD stablecoins with adequate liquidity
+ * Load all yield pools, from a replayed snapshot, the on-disk cache or the API
+ * - With a snapshot file, nothing is fetched from the network
+ * - Otherwise a cached snapshot younger than the TTL is reused
+ * - Fresh API responses are written to the cache as timestamped snapshots
+ * - If the API is unavailable, the most recent cached snapshot is used regardless of age
+ *   (see assertTradableYieldData for how old a live run accepts)
+ * - With fresh, only a new API response will do: no replay, cache or fallback
+ * @param {Object} options - Options
+ * @param {string|null} options.snapshotFile - Snapshot to replay (defaults to --yields-snapshot)
+ * @param {Object} options.cache - Cache settings (defaults to config.cache)
+ * @param {boolean} options.fresh - Fetch from the API, and fail if it is unavailable
+ * @param {Function} options.request - async () => pools from the API (defaults to the DeFiLlama request with retries)
+ * @returns {Promise<Object>} { pools, fetchedAt, protocolTvl, source } where source is 'snapshot', 'cache', 'api'
+ *   or 'stale-cache'; protocolTvl is summed over the full payload, even when a cached snapshot kept fewer pools
+ */
+export async function loadYieldPools({
+  snapshotFile = config.yieldsSnapshot,
+  cache = config.cache,
+  fresh = false,
+  request = requestYieldPools,
+} = {}) {
+  if (snapshotFile && !fresh) {
+    const snapshot = await readSnapshot(snapshotFile);
+    logger.info(`Replaying DeFiLlama snapshot ${snapshotFile} (${snapshot.pools.length} pools, fetched ${snapshot.fetchedAt})`);
+    return { pools: snapshot.pools, fetchedAt: snapshot.fetchedAt, protocolTvl: snapshot.protocolTvl, source: 'snapshot' };
+  }
+
+  if (cache.enabled && !fresh) {
+    const cached = await loadFreshSnapshot({ dir: cache.dir, ttlMinutes: cache.ttlMinutes });
+    if (cached) {
+      logger.info(`Using cached DeFiLlama snapshot ${cached.file} (${cached.pools.length} pools, fetched ${cached.fetchedAt})`);
+      return { pools: cached.pools, fetchedAt: cached.fetchedAt, protocolTvl: cached.protocolTvl, source: 'cache' };
+    }
+  }
+
+  try {
+    const fetchedAt = new Date().toISOString();
+    const pools = await request();
+
+    if (cache.enabled) {
+      try {
+        await writeSnapshot(pools, { dir: cache.dir, fetchedAt, keep: cache.keep });
+      } catch (error) {
+        logger.warn('Failed to write DeFiLlama snapshot', { error: error.message });
+      }
+    }
+
+    return { pools, fetchedAt, protocolTvl: buildProtocolTvl(pools), source: 'api' };
+  } catch (error) {
+    const latest = cache.enabled && !fresh ? await findLatestSnapshot(cache.dir) : null;
+    if (!latest) {
+      throw error;
+    }
+
+    const stale = await readSnapshot(latest);
+    logger.warn(`DeFiLlama unavailable - falling back to cached snapshot from ${stale.fetchedAt}`, {
+      error: error.message
+    });
+    return { pools: stale.pools, fetchedAt: stale.fetchedAt, protocolTvl: stale.protocolTvl, source: 'stale-cache' };
+  }
+}
+
+/**
+ * Refuse yield data that swaps must not be executed or planned from
+ * A replayed snapshot may be weeks old, so only dry runs may use one. The
+ * stale-cache fallback, used while DeFiLlama is unavailable, is trusted up to
+ * maxStaleHours; dry runs may go on with an older one.
+ * @param {Object} yieldData - { source, fetchedAt } from loadYieldPools()
+ * @param {Object} options - Options
+ * @param {boolean} options.live - Whether swaps will be executed or planned from the data
+ * @param {number} options.maxStaleHours - Oldest stale-cache snapshot a live run may use
+ * @param {number} options.now - Current time in ms
+ * @throws {Error} If a live run would use a replayed snapshot or a stale one beyond the limit
+ */
+export function assertTradableYieldData({ source, fetchedAt }, {
+  live = !config.dryRun,
+  maxStaleHours = config.cache.maxStaleHours,
+  now = Date.now(),
+} = {}) {
+  if (source === 'snapshot' && live) {
+    throw new Error('Yield data is a replayed snapshot - use --yields-snapshot with --dry-run only');
+  }
+  if (source !== 'stale-cache') return;
+
+  const ageHours = (now - Date.parse(fetchedAt)) / 3600000;
+  if (ageHours <= maxStaleHours) return;
+
+  const reason = `DeFiLlama is unavailable and the latest cached snapshot is ${ageHours.toFixed(1)} hours old (max ${maxStaleHours})`;
+  if (live) {
+    throw new Error(`${reason} - refusing to trade on it`);
+  }
+  logger.warn(`${reason} - dry run only`);
+}
+
+/**
+ * Fetch all yield pools from DeFiLlama
+ * Honours the snapshot cache and --yields-snapshot replay (see loadYieldPools)
+ * @returns {Promise<Array>} Array of pool data
+ */
+export async function fetchYieldPools() {
+  const { pools } = await loadYieldPools();
+  return pools;
+}
+
+/**
+ * Filter pools for a chain's USD stablecoins with adequate liquidity (Base by default)
  * Excludes volatile LP positions with unrealistically high APYs
  * @param {Array} pools - All pools from DeFiLlama
  * @param {number} minTvl - Minimum TVL in USD (default 100k)
  * @param {number} maxApy - Maximum APY threshold (default MAX_STABLE_APY)
- * @returns {Array} Filtered stablecoin pools on Base
+ * @param {string} chain - DeFiLlama chain name (default Base)
+ * @returns {Array} Filtered stablecoin pools on the chain
  */
-export function filterBaseStablecoins(pools, minTvl = 100000, maxApy = MAX_STABLE_APY) {
+export function filterBaseStablecoins(pools, minTvl = 100000, maxApy = MAX_STABLE_APY, chain = config.chain) {
   // Only include USD-based stablecoins (not EURC, GBP, etc.)
   const usdSymbols = ['USDC', 'USDT', 'DAI', 'USDBC', 'FRAX', 'LUSD', 'GUSD', 'BUSD', 'TUSD', 'USD+', 'DOLA'];
 
   const filtered = pools.filter(pool => {
-    const isBase = pool.chain === config.chain;
+    const isOnChain = pool.chain === chain;
     const isStablecoin = pool.stablecoin === true;
     const hasMinTvl = (pool.tvlUsd || 0) >= minTvl;
     const belowMaxApy = (pool.apy || 0) <= maxApy;
@@ -114,18 +386,18 @@ export function filterBaseStablecoins(pools, minTvl = 100000, maxApy = MAX_STABL
     const symbol = pool.symbol?.toUpperCase() || '';
     const isUsdBased = usdSymbols.some(usd => symbol.includes(usd));
 
-    return isBase && isStablecoin && hasMinTvl && belowMaxApy && isUsdBased;
+    return isOnChain && isStablecoin && hasMinTvl && belowMaxApy && isUsdBased;
   });
 
   // Also log how many were excluded for high APY
   const highApyExcluded = pools.filter(pool =>
-    pool.chain === config.chain &&
+    pool.chain === chain &&
     pool.stablecoin === true &&
     (pool.tvlUsd || 0) >= minTvl &&
     (pool.apy || 0) > maxApy
   ).length;
 
-  logger.info(`Found ${filtered.length} Base stablecoin pools (TVL >= $${minTvl.toLocaleString()}, APY <= ${maxApy}%)`);
+  logger.info(`Found ${filtered.length} ${chain} stablecoin pools (TVL >= $${minTvl.toLocaleString()}, APY <= ${maxApy}%)`);
   if (highApyExcluded > 0) {
     logger.debug(`Excluded ${highApyExcluded} pools with APY > ${maxApy}% (likely volatile LP positions)`);
   }
@@ -137,33 +409,26 @@ export function filterBaseStablecoins(pools, minTvl = 100000, maxApy = MAX_STABL
  * Get the highest yielding stablecoin pool on Base
  * Only returns pools where we have a known token address for the yield-bearing token
  * @param {Array} pools - Filtered pools (should already be Base stablecoins)
+ * @param {Object} registry - Token registry used to resolve pool ids
  * @returns {Object|null} Best pool with APY and token details
  */
-export function getTopYieldingStable(pools) {
+export function getTopYieldingStable(pools, registry = getTokenRegistry()) {
   if (!pools || pools.length === 0) {
     logger.warn('No pools available for yield comparison');
     return null;
   }
 
-  // Sort by APY descending
-  const sorted = [...pools].sort((a, b) => (b.apy || 0) - (a.apy || 0));
+  // Sort by yield score descending
+  const sorted = sortByScore(pools);
 
   // Find the best pool that has a known token address
   // This ensures we can actually execute the swap
   for (const pool of sorted) {
-    const tokenAddress = getTokenAddress(pool.project, pool.symbol);
+    const tokenAddress = getTokenAddressForPool(pool, registry);
     if (tokenAddress) {
-      logger.info(`Top yielding stablecoin: ${pool.symbol} at ${pool.apy?.toFixed(2)}% APY (${pool.project})`);
-
-      return {
-        pool: pool.pool,
-        symbol: pool.symbol,
-        project: pool.project,
-        apy: pool.apy || 0,
-        tvlUsd: pool.tvlUsd,
-        underlyingTokens: pool.underlyingTokens || [],
-        tokenAddress,
-      };
+      const topPool = toYieldPool(pool, tokenAddress);
+      logger.info(`Top yielding stablecoin: ${pool.symbol} at ${topPool.score.toFixed(2)}% (${pool.project}) - ${formatScoreBreakdown(topPool.scoreBreakdown)}`);
+      return topPool;
     }
   }
 
@@ -171,81 +436,90 @@ export function getTopYieldingStable(pools) {
   const best = sorted[0];
   logger.warn(`Best pool ${best.project} ${best.symbol} has no mapped token address - swap may fail`);
 
-  return {
-    pool: best.pool,
-    symbol: best.symbol,
-    project: best.project,
-    apy: best.apy || 0,
-    tvlUsd: best.tvlUsd,
-    underlyingTokens: best.underlyingTokens || [],
-    tokenAddress: null,
-  };
+  return toYieldPool(best, null);
 }
 
 /**
  * Get top N yielding stablecoin pools on Base
  * @param {Array} pools - Filtered pools (should already be Base stablecoins)
  * @param {number} count - Number of top pools to return (default 5)
+ * @param {Object} registry - Token registry used to resolve pool ids
  * @returns {Array} Array of top pools with APY and token details
  */
-export function getTopYieldingStables(pools, count = 5) {
+export function getTopYieldingStables(pools, count = 5, registry = getTokenRegistry()) {
   if (!pools || pools.length === 0) {
     logger.warn('No pools available for yield comparison');
     return [];
   }
 
-  // Sort by APY descending
-  const sorted = [...pools].sort((a, b) => (b.apy || 0) - (a.apy || 0));
-  const topPools = sorted.slice(0, count);
+  // Sort by yield score descending
+  const topPools = sortByScore(pools)
+    .slice(0, count)
+    .map(pool => toYieldPool(pool, getTokenAddressForPool(pool, registry)));
 
   logger.info(`Top ${topPools.length} yielding stablecoins:`);
   topPools.forEach((pool, i) => {
-    logger.info(`  ${i + 1}. ${pool.symbol} at ${pool.apy?.toFixed(2)}% APY (${pool.project})`);
+    logger.info(`  ${i + 1}. ${pool.symbol} at ${pool.score.toFixed(2)}% (${pool.project}) - ${formatScoreBreakdown(pool.scoreBreakdown)}`);
   });
 
-  return topPools.map(pool => ({
-    pool: pool.pool,
-    symbol: pool.symbol,
-    project: pool.project,
-    apy: pool.apy || 0,
-    tvlUsd: pool.tvlUsd,
-    underlyingTokens: pool.underlyingTokens || [],
-    tokenAddress: getTokenAddress(pool.project, pool.symbol),
-  }));
+  return topPools;
 }
 
 /**
- * Get all pools from our mapped protocols, sorted by APY
- * These are protocols where we have verified DEX-swappable yield tokens
+ * Get all pools from our mapped protocols, sorted by yield score
+ * A pool is mapped when its DeFiLlama pool id resolves to a DEX-swappable token
+ * (see getTokenForPool), so the APY compared is the APY of the token we buy.
+ * With depositOnly, tokens entered through a protocol adapter are mapped too.
+ * Mapped pools must also pass the risk policy; rejected pools are logged with
+ * the reasons. Pools that look like a registered token but are not mapped are logged.
  * @param {Array} pools - Filtered pools (should already be Base stablecoins)
+ * @param {Object} registry - Token registry used to resolve pool ids
+ * @param {Object} risk - Risk policy options
+ * @param {Object} risk.policy - Risk policy (defaults to the shared policy)
+ * @param {Object} risk.protocolTvl - Protocol TVL map from the unfiltered payload
+ *   (defaults to TVL summed over the given pools, which understates it)
+ * @param {boolean} risk.depositOnly - Also map deposit-only tokens that have a protocol adapter
  * @returns {Array} Array of pools from mapped protocols with token addresses
  */
-export function getMappedProtocolPools(pools) {
+export function getMappedProtocolPools(pools, registry = getTokenRegistry(), {
+  policy = getRiskPolicy(),
+  protocolTvl = buildProtocolTvl(pools),
+  depositOnly = config.protocolAdapters.enabled,
+} = {}) {
   if (!pools || pools.length === 0) {
     logger.warn('No pools available');
     return [];
   }
 
-  const mappedProjects = Object.keys(tokenAddressMap);
-
-  // Find pools from our mapped protocols
-  const mappedPools = pools
-    .filter(pool => mappedProjects.includes(pool.project))
-    .map(pool => ({
-      pool: pool.pool,
-      symbol: pool.symbol,
-      project: pool.project,
-      apy: pool.apy || 0,
-      tvlUsd: pool.tvlUsd,
-      underlyingTokens: pool.underlyingTokens || [],
-      tokenAddress: getTokenAddress(pool.project, pool.symbol),
-    }))
-    .filter(pool => pool.tokenAddress !== null) // Only include pools with mapped addresses
-    .sort((a, b) => b.apy - a.apy); // Sort by APY descending
+  // Find pools that resolve to a token we can buy
+  const isReachable = token => token?.swappability === 'dex' ||
+    (depositOnly && token?.swappability === 'deposit-only' && hasProtocolAdapter(token));
+  const candidates = pools.filter(pool => isReachable(getTokenForPool(pool, registry)));
+
+  // Only pools that pass the risk policy may become rotation targets
+  const mappedPools = [];
+  for (const pool of candidates) {
+    const risk = evaluatePool(pool, policy, { protocolTvl });
+    if (!risk.allowed) {
+      logger.warn(`Risk policy rejected ${pool.symbol} (${pool.project}, pool ${pool.pool}): ${risk.reasons.join('; ')}`);
+      continue;
+    }
+    mappedPools.push({ ...toYieldPool(pool, getTokenAddressForPool(pool, registry)), riskTier: risk.tier });
+  }
+  mappedPools.sort((a, b) => b.score - a.score); // Sort by yield score descending
+
+  const nearMatches = findUnmappedNearMatches(pools, registry);
+  if (nearMatches.length > 0) {
+    logger.warn(`${nearMatches.length} pools look like registered tokens but their pool id is not mapped:`);
+    nearMatches.forEach(match => {
+      logger.warn(`  - ${match.project} ${match.symbol} (pool ${match.pool}, ${match.apy.toFixed(2)}% APY) ~ ${match.candidates.join(', ')}`);
+    });
+    logger.warn('Add the pool id to defillamaPoolId in the token registry if it is the right pool');
+  }
 
   logger.info(`Found ${mappedPools.length} pools from mapped protocols:`);
   mappedPools.forEach((pool, i) => {
-    logger.info(`  ${i + 1}. ${pool.symbol} at ${pool.apy?.toFixed(2)}% APY (${pool.project})`);
+    logger.info(`  ${i + 1}. ${pool.symbol} at ${pool.score.toFixed(2)}% (${pool.project}, tier ${pool.riskTier}) - ${formatScoreBreakdown(pool.scoreBreakdown)}`);
   });
 
   return mappedPools;
@@ -255,32 +529,40 @@ export function getMappedProtocolPools(pools) {
  * Get yield data for a specific token/pool
  * @param {Array} pools - All pools
  * @param {string} symbol - Token symbol to find
+ * @param {string} chain - DeFiLlama chain name
  * @returns {Object|null} Pool data or null if not found
  */
-export function getPoolBySymbol(pools, symbol) {
+export function getPoolBySymbol(pools, symbol, chain = config.chain) {
   return pools.find(pool =>
     pool.symbol?.toLowerCase() === symbol.toLowerCase() &&
-    pool.chain === config.chain
+    pool.chain === chain
   ) || null;
 }
 
 /**
- * Main function to get Base stablecoin yield data
+ * Main function to get a chain's stablecoin yield data (Base by default)
+ * @param {string} chain - DeFiLlama chain name
+ * @param {Object} registry - Token registry used to resolve pool ids
+ * @param {Object} options - Options for loadYieldPools() (e.g. { fresh: true })
  * @returns {Promise<Object>} Yield data including all pools and best option
  */
-export async function getBaseYieldData() {
-  const allPools = await fetchYieldPools();
-  const baseStablecoins = filterBaseStablecoins(allPools);
-  const topYielding = getTopYieldingStable(baseStablecoins);
+export async function getBaseYieldData(chain = config.chain, registry = getTokenRegistry(), options = {}) {
+  const { pools: allPools, fetchedAt, protocolTvl, source } = await loadYieldPools(options);
+  const baseStablecoins = filterBaseStablecoins(allPools, 100000, MAX_STABLE_APY, chain);
+  const topYielding = getTopYieldingStable(baseStablecoins, registry);
 
   return {
     pools: baseStablecoins,
+    protocolTvl,
     topYielding,
-    fetchedAt: new Date().toISOString(),
+    fetchedAt,
+    source,
   };
 }
 
 export default {
+  loadYieldPools,
+  assertTradableYieldData,
   fetchYieldPools,
   filterBaseStablecoins,
   getTopYieldingStable,
@@ -289,6 +571,11 @@ export default {
   getPoolBySymbol,
   getBaseYieldData,
   getTokenAddress,
+  getTokenForPool,
+  getTokenAddressForPool,
+  findUnmappedNearMatches,
+  scorePool,
+  formatScoreBreakdown,
   tokenAddressMap,
   underlyingTokens,
 };
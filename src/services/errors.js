@@ -0,0 +1,169 @@
+// Kinds of swap errors, from the most to the least specific check
+export const ERROR_KINDS = {
+  RATE_LIMIT: 'rate-limit',
+  TRANSIENT: 'transient',
+  INSUFFICIENT_BALANCE: 'insufficient-balance',
+  NO_ROUTE: 'no-route',
+  REVERTED: 'reverted',
+  UNKNOWN: 'unknown',
+};
+
+// Node socket and DNS error codes of network failures worth retrying
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+// HTTP statuses of server-side failures worth retrying
+const TRANSIENT_STATUSES = new Set([500, 502, 503, 504]);
+
+const TRANSIENT_PATTERN = /fetch failed|socket hang up|network (error|timeout)|timed? ?out|temporarily unavailable|bad gateway|service unavailable|gateway timeout/i;
+const INSUFFICIENT_BALANCE_PATTERN = /insufficient (balance|funds)|exceeds balance|balance too low/i;
+const NO_ROUTE_PATTERN = /no (working )?route|route not found|no liquidity|insufficient liquidity|no output|not (dex-)?swappable/i;
+const REVERTED_PATTERN = /revert/i;
+
+/**
+ * Error raised while executing a swap, tagged with what went wrong
+ * Only transient errors are worth sending again; the others fail the same way
+ * until something changes.
+ */
+export class SwapError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Options
+   * @param {string} options.kind - One of ERROR_KINDS
+   * @param {Error} options.cause - Original error
+   */
+  constructor(message, { kind = ERROR_KINDS.UNKNOWN, cause } = {}) {
+    super(message, { cause });
+    this.name = 'SwapError';
+    this.kind = kind;
+  }
+
+  /**
+   * Whether sending the same request again may succeed
+   * @returns {boolean} True for transient errors
+   */
+  get retryable() {
+    return this.kind === ERROR_KINDS.TRANSIENT;
+  }
+}
+
+/** Network failure or server error that may go away on its own */
+export class TransientError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: ERROR_KINDS.TRANSIENT });
+    this.name = 'TransientError';
+  }
+}
+
+/** Request refused with HTTP 429 after the rate limiter's own retries */
+export class RateLimitError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: ERROR_KINDS.RATE_LIMIT });
+    this.name = 'RateLimitError';
+  }
+}
+
+/** No path between the tokens delivers anything */
+export class NoRouteError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: ERROR_KINDS.NO_ROUTE });
+    this.name = 'NoRouteError';
+  }
+}
+
+/** The member holds less than the swap sells */
+export class InsufficientBalanceError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: ERROR_KINDS.INSUFFICIENT_BALANCE });
+    this.name = 'InsufficientBalanceError';
+  }
+}
+
+/** The transaction was mined but reverted */
+export class TransactionRevertedError extends SwapError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: ERROR_KINDS.REVERTED });
+    this.name = 'TransactionRevertedError';
+  }
+}
+
+/**
+ * Check whether an API call was refused for exceeding a rate limit
+ * @param {Error} error - Error thrown by an API call
+ * @returns {boolean} True for HTTP 429 responses
+ */
+export function isRateLimitError(error) {
+  const status = error?.status ?? error?.statusCode ?? error?.response?.status;
+  if (status !== undefined) return Number(status) === 429;
+  return /\b429\b|too many requests|rate limit/i.test(error?.message || '');
+}
+
+/**
+ * Work out what kind of failure an error or error message describes
+ * @param {Error|string} error - Thrown error, or a message from a preview's errors
+ * @returns {string} One of ERROR_KINDS
+ */
+export function getErrorKind(error) {
+  if (error instanceof SwapError) return error.kind;
+  if (typeof error === 'string') error = new Error(error);
+  if (isRateLimitError(error)) return ERROR_KINDS.RATE_LIMIT;
+
+  const status = Number(error?.status ?? error?.statusCode ?? error?.response?.status);
+  const code = error?.code ?? error?.cause?.code;
+  const message = error?.message || '';
+
+  if (TRANSIENT_CODES.has(code) || TRANSIENT_STATUSES.has(status) || TRANSIENT_PATTERN.test(message)) {
+    return ERROR_KINDS.TRANSIENT;
+  }
+  if (INSUFFICIENT_BALANCE_PATTERN.test(message)) return ERROR_KINDS.INSUFFICIENT_BALANCE;
+  if (NO_ROUTE_PATTERN.test(message)) return ERROR_KINDS.NO_ROUTE;
+  if (REVERTED_PATTERN.test(message)) return ERROR_KINDS.REVERTED;
+  return ERROR_KINDS.UNKNOWN;
+}
+
+/**
+ * Check whether an error kind may go away without anything changing
+ * Rate limits count too: the request may pass once the limit resets.
+ * @param {string} kind - One of ERROR_KINDS
+ * @returns {boolean} True for transient and rate-limit errors
+ */
+export function isTemporaryKind(kind) {
+  return kind === ERROR_KINDS.TRANSIENT || kind === ERROR_KINDS.RATE_LIMIT;
+}
+
+// Error class for each kind
+const ERROR_CLASSES = {
+  [ERROR_KINDS.RATE_LIMIT]: RateLimitError,
+  [ERROR_KINDS.TRANSIENT]: TransientError,
+  [ERROR_KINDS.INSUFFICIENT_BALANCE]: InsufficientBalanceError,
+  [ERROR_KINDS.NO_ROUTE]: NoRouteError,
+  [ERROR_KINDS.REVERTED]: TransactionRevertedError,
+};
+
+/**
+ * Turn any error into a typed SwapError
+ * @param {Error|string} error - Thrown error, or a message from a preview's errors
+ * @returns {SwapError} The error itself if already typed, else a typed error wrapping it
+ */
+export function classifyError(error) {
+  if (error instanceof SwapError) return error;
+
+  const cause = typeof error === 'string' ? new Error(error) : error;
+  const ErrorClass = ERROR_CLASSES[getErrorKind(cause)];
+  return ErrorClass
+    ? new ErrorClass(cause.message, { cause })
+    : new SwapError(cause.message, { cause });
+}
+
+export default {
+  ERROR_KINDS,
+  isRateLimitError,
+  SwapError,
+  TransientError,
+  RateLimitError,
+  NoRouteError,
+  InsufficientBalanceError,
+  TransactionRevertedError,
+  getErrorKind,
+  isTemporaryKind,
+  classifyError,
+};
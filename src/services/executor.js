@@ -0,0 +1,259 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { classifyError, isRateLimitError } from './errors.js';
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a header from an error's HTTP response, whatever shape the client gives it
+ * @param {Error} error - Error thrown by an API call
+ * @param {string} name - Lower-case header name
+ * @returns {string|null} Header value
+ */
+function getErrorHeader(error, name) {
+  const headers = error?.headers || error?.response?.headers;
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Read how long a rate-limited call asks to wait from its Retry-After header
+ * @param {Error} error - Rate limit error
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms, or null without a usable header
+ */
+export function getRetryAfterMs(error, now = Date.now()) {
+  const value = getErrorHeader(error, 'retry-after');
+  if (value === null || value === undefined || value === '') return null;
+
+  // Either a number of seconds or an HTTP date
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+/**
+ * Create a limiter that retries calls refused with HTTP 429
+ * A 429 pauses every call made through the limiter, not just the one that got
+ * it, until the Retry-After delay (or exponential backoff without one) is over.
+ * Refused calls were never processed, so swaps and transactions can be sent
+ * again safely.
+ * @param {Object} options - Options
+ * @param {number} options.maxRetries - Retries of one call before its 429 is thrown
+ * @param {number} options.baseDelayMs - Backoff base when the response has no Retry-After
+ * @param {Function} options.sleep - async (ms) => void
+ * @param {Function} options.now - () => current time in ms
+ * @returns {Function} async (call, label) => result of call()
+ */
+export function createRateLimiter({
+  maxRetries = config.execution.rateLimitRetries,
+  baseDelayMs = config.execution.rateLimitDelayMs,
+  sleep = delay,
+  now = Date.now,
+} = {}) {
+  let pausedUntil = 0;
+
+  return async (call, label = 'SwarmVault request') => {
+    for (let attempt = 0; ; attempt++) {
+      let wait;
+      while ((wait = pausedUntil - now()) > 0) {
+        await sleep(wait);
+      }
+
+      try {
+        return await call();
+      } catch (error) {
+        if (!isRateLimitError(error) || attempt >= maxRetries) {
+          throw error;
+        }
+        const delayMs = getRetryAfterMs(error, now()) ?? baseDelayMs * 2 ** attempt;
+        pausedUntil = Math.max(pausedUntil, now() + delayMs);
+        logger.warn(`${label} was rate limited, retrying in ${(delayMs / 1000).toFixed(1)}s (retry ${attempt + 1} of ${maxRetries})`);
+      }
+    }
+  };
+}
+
+/**
+ * Route every method call of an API client through a rate limiter
+ * @param {Object} client - API client (e.g. SwarmVaultClient)
+ * @param {Function} limiter - Limiter from createRateLimiter()
+ * @returns {Object} Client whose methods retry rate-limited calls
+ */
+export function limitClient(client, limiter = createRateLimiter()) {
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function') return value;
+      return (...args) => limiter(() => value.apply(target, args), `SwarmVault ${String(property)}`);
+    },
+  });
+}
+
+/**
+ * Call again with exponential backoff while a call fails with a transient error
+ * Only use this for calls that are safe to repeat: previews, reads and polls.
+ * A submission that failed on the network may still have gone through.
+ * @param {Function} call - async () => result
+ * @param {Object} options - Options
+ * @param {number} options.attempts - Most calls made in total
+ * @param {number} options.baseDelayMs - Delay before the first retry, doubled for each later one
+ * @param {Function} options.sleep - async (ms) => void
+ * @param {string} options.label - What is called, for logging
+ * @returns {Promise<*>} Result of call()
+ * @throws {SwapError} The last error, classified
+ */
+export async function withRetry(call, {
+  attempts = config.maxRetries,
+  baseDelayMs = config.retryDelayMs,
+  sleep = delay,
+  label = 'Request',
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      const typed = classifyError(error);
+      if (!typed.retryable || attempt >= attempts) {
+        throw typed;
+      }
+      const delayMs = baseDelayMs * 2 ** (attempt - 1);
+      logger.warn(`${label} failed (attempt ${attempt} of ${attempts}), retrying in ${(delayMs / 1000).toFixed(1)}s`, { error: typed.message });
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Retry transient failures of some of an API client's methods
+ * @param {Object} client - API client
+ * @param {Array<string>} methods - Methods that are safe to call again
+ * @param {Object} options - Options for withRetry()
+ * @returns {Object} Client whose listed methods are retried
+ */
+export function retryCalls(client, methods, options = {}) {
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target);
+      if (typeof value !== 'function' || !methods.includes(property)) return value;
+      return (...args) => withRetry(() => value.apply(target, args), { ...options, label: `SwarmVault ${String(property)}` });
+    },
+  });
+}
+
+/**
+ * Create a circuit breaker that opens after too many failures in a row
+ * A success closes the count again. Once open, it stays open for the rest of
+ * the run.
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Consecutive failures that open the breaker
+ * @returns {Object} { recordSuccess(), recordFailure(error) => true when it opens, isOpen(), reason }
+ */
+export function createCircuitBreaker({ threshold = config.execution.maxConsecutiveFailures } = {}) {
+  const errors = [];
+  let reason = null;
+
+  return {
+    recordSuccess() {
+      if (!reason) errors.length = 0;
+    },
+    recordFailure(error) {
+      if (reason) return false;
+      errors.push(error);
+      if (errors.length < threshold) return false;
+      reason = `${errors.length} swaps failed in a row (last: ${error})`;
+      return true;
+    },
+    isOpen() {
+      return reason !== null;
+    },
+    get reason() {
+      return reason;
+    },
+  };
+}
+
+/**
+ * Check whether two tasks touch the same members
+ * Tasks without keys (swaps for the whole swarm) conflict with every task.
+ * @param {Object} a - Task
+ * @param {Object} b - Task
+ * @returns {boolean} True if they must not run side by side
+ */
+function conflicts(a, b) {
+  if (!a.keys || !b.keys) return true;
+  return a.keys.some(key => b.keys.includes(key));
+}
+
+/**
+ * Run tasks side by side, in priority order, never two for the same member at once
+ * A task starts as soon as a slot is free and no running or earlier waiting task
+ * shares one of its keys. Tasks therefore start in the order given, except that
+ * a task waiting for its member doesn't hold back the members after it; a
+ * member's own tasks always run one after the other, in order.
+ * @param {Array} tasks - Tasks ({ keys, run }) in priority order; keys are member ids, or null for the whole swarm
+ * @param {Object} options - Options
+ * @param {number} options.concurrency - Most tasks running at once
+ * @returns {Promise<Array>} Settled results ({ status, value } or { status, reason }) in task order
+ */
+export function runTasks(tasks, { concurrency = config.execution.concurrency } = {}) {
+  return new Promise(resolve => {
+    const results = new Array(tasks.length);
+    const waiting = tasks.map((task, index) => ({ ...task, index }));
+    const running = new Set();
+    let finished = 0;
+
+    const launch = () => {
+      if (finished === tasks.length) {
+        resolve(results);
+        return;
+      }
+
+      for (let i = 0; i < waiting.length && running.size < Math.max(concurrency, 1);) {
+        const task = waiting[i];
+        const blocked = [...running].some(other => conflicts(task, other))
+          || waiting.slice(0, i).some(other => conflicts(task, other));
+        if (blocked) {
+          i++;
+          continue;
+        }
+
+        waiting.splice(i, 1);
+        running.add(task);
+        Promise.resolve()
+          .then(task.run)
+          .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+          .then(result => {
+            results[task.index] = result;
+            running.delete(task);
+            finished++;
+            launch();
+          });
+      }
+    };
+
+    launch();
+  });
+}
+
+export default {
+  getRetryAfterMs,
+  createRateLimiter,
+  limitClient,
+  withRetry,
+  retryCalls,
+  createCircuitBreaker,
+  runTasks,
+};
@@ -0,0 +1,98 @@
+import { config } from '../config.js';
+import { createTokenValuer } from './breakeven.js';
+
+const DAYS_PER_YEAR = 365;
+
+/**
+ * Compute the value a swap loses between what is sold and what arrives
+ * @param {number} sellValueUsd - USD value sold
+ * @param {number} buyValueUsd - USD value received
+ * @returns {Object} { lossUsd, lossBps } (negative for a favourable fill)
+ */
+export function computeValueLoss(sellValueUsd, buyValueUsd) {
+  const lossUsd = sellValueUsd - buyValueUsd;
+  return {
+    lossUsd,
+    lossBps: sellValueUsd > 0 ? (lossUsd / sellValueUsd) * 10000 : 0,
+  };
+}
+
+/**
+ * Check a previewed loss against the limit and the gain the swap is for
+ * A swap may lose at most maxLossBps of the value sold, and no more than its
+ * expected gain over horizonDays. Cap-enforcing swaps and swaps without an
+ * expected gain are held to the basis-point limit only.
+ * @param {Object} params - Parameters
+ * @param {number} params.sellValueUsd - USD value sold
+ * @param {number} params.buyValueUsd - USD value received
+ * @param {number} params.expectedAnnualGainUsd - Yearly gain the swap is expected to bring, or null
+ * @param {boolean} params.capEnforced - Whether the swap brings a position back under an allocation cap
+ * @param {number} params.maxLossBps - Highest acceptable loss in basis points
+ * @param {number} params.horizonDays - Days of expected gain the loss may use up
+ * @returns {Object} { allowed, lossUsd, lossBps, gainBudgetUsd, reason }
+ */
+export function checkValueLoss({
+  sellValueUsd,
+  buyValueUsd,
+  expectedAnnualGainUsd = null,
+  capEnforced = false,
+  maxLossBps = config.valueGuard.maxLossBps,
+  horizonDays = config.valueGuard.horizonDays,
+}) {
+  const { lossUsd, lossBps } = computeValueLoss(sellValueUsd, buyValueUsd);
+  const gainBudgetUsd = expectedAnnualGainUsd !== null && !capEnforced
+    ? (expectedAnnualGainUsd * horizonDays) / DAYS_PER_YEAR
+    : null;
+
+  let reason = null;
+  if (lossBps > maxLossBps) {
+    reason = `previewed loss ${lossBps.toFixed(1)} bps ($${lossUsd.toFixed(2)}) exceeds ${maxLossBps} bps`;
+  } else if (gainBudgetUsd !== null && lossUsd > gainBudgetUsd) {
+    reason = `previewed loss $${lossUsd.toFixed(2)} exceeds the $${gainBudgetUsd.toFixed(2)} expected gain over ${horizonDays} days`;
+  }
+
+  return { allowed: reason === null, lossUsd, lossBps, gainBudgetUsd, reason };
+}
+
+/**
+ * Create the pre-execution guard for swaps on one chain
+ * Both sides of a preview are valued in USD (stablecoins at $1, yield-bearing
+ * tokens through their on-chain exchange rate, see createTokenValuer). A swap
+ * that can't be valued is refused rather than executed blind.
+ * @param {Object} options - Options
+ * @param {string} options.chain - DeFiLlama chain name of the tokens
+ * @param {Object} options.registry - Token registry
+ * @param {JsonRpcProvider} options.provider - ethers provider for exchange rate reads
+ * @param {Function} options.valueToken - async (address, rawAmount) => USD value or null
+ * @returns {Function} async ({ fromAddress, toAddress, sellAmount, buyAmount, expectedAnnualGainUsd, capEnforced })
+ *   => result of checkValueLoss() with sellValueUsd and buyValueUsd
+ */
+export function createValueGuard({
+  chain,
+  registry,
+  provider,
+  valueToken = createTokenValuer({ chain, registry, provider }),
+} = {}) {
+  return async ({ fromAddress, toAddress, sellAmount, buyAmount, expectedAnnualGainUsd = null, capEnforced = false }) => {
+    let sellValueUsd;
+    let buyValueUsd;
+    try {
+      sellValueUsd = await valueToken(fromAddress, sellAmount);
+      buyValueUsd = await valueToken(toAddress, buyAmount);
+    } catch (error) {
+      return { allowed: false, reason: `could not value the swap: ${error.shortMessage || error.message}` };
+    }
+
+    if (sellValueUsd === null || buyValueUsd === null) {
+      return { allowed: false, reason: 'could not value the swap in USD' };
+    }
+
+    return { sellValueUsd, buyValueUsd, ...checkValueLoss({ sellValueUsd, buyValueUsd, expectedAnnualGainUsd, capEnforced }) };
+  };
+}
+
+export default {
+  computeValueLoss,
+  checkValueLoss,
+  createValueGuard,
+};
@@ -0,0 +1,216 @@
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { scorePool } from './defillama.js';
+
+const CHART_ENDPOINT = `${config.defillamaBaseUrl}/chart`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a DeFiLlama /chart data point
+ * Each point is scored with the same formula as live pools so history and
+ * snapshot numbers are directly comparable.
+ * @param {Object} point - Raw chart point ({ timestamp, apy, apyBase, apyReward, tvlUsd })
+ * @returns {Object} Normalized point with time (ms) and score
+ */
+function normalizePoint(point) {
+  return {
+    time: Date.parse(point.timestamp),
+    apy: point.apy || 0,
+    apyBase: point.apyBase ?? null,
+    apyReward: point.apyReward ?? null,
+    tvlUsd: point.tvlUsd || 0,
+    score: scorePool(point).score,
+  };
+}
+
+/**
+ * Read a pool's history from a local fixture file (<dir>/<poolId>.json)
+ * Accepts either the raw /chart response ({ data: [...] }) or a bare array.
+ * @param {string} poolId - DeFiLlama pool UUID
+ * @param {string} dir - Directory containing fixture files
+ * @returns {Promise<Array>} Raw chart points
+ */
+async function readHistoryFile(poolId, dir) {
+  const file = path.join(dir, `${poolId}.json`);
+  const content = JSON.parse(await readFile(file, 'utf-8'));
+  return Array.isArray(content) ? content : content.data || [];
+}
+
+/**
+ * Fetch the APY history of a pool from DeFiLlama's /chart/{pool} endpoint
+ * When a history directory is configured, the history is read from local files instead.
+ * @param {string} poolId - DeFiLlama pool UUID
+ * @param {Object} options - Options
+ * @param {string} options.historyDir - Local directory to read <poolId>.json files from
+ * @returns {Promise<Array>} Normalized history points sorted by time ascending
+ */
+export async function fetchPoolHistory(poolId, { historyDir = config.history.dir } = {}) {
+  let points;
+
+  if (historyDir) {
+    logger.debug(`Reading history for pool ${poolId} from ${historyDir}`);
+    points = await readHistoryFile(poolId, historyDir);
+  } else {
+    let lastError;
+
+    for (let attempt = 1; attempt <= config.maxRetries; attempt++) {
+      try {
+        logger.debug(`Fetching history for pool ${poolId} from DeFiLlama (attempt ${attempt})`);
+        const response = await axios.get(`${CHART_ENDPOINT}/${poolId}`);
+        points = response.data.data || [];
+        break;
+      } catch (error) {
+        lastError = error;
+        logger.warn(`DeFiLlama chart request failed for pool ${poolId} (attempt ${attempt})`, {
+          error: error.message
+        });
+
+        if (attempt < config.maxRetries) {
+          await new Promise(resolve => setTimeout(resolve, config.retryDelayMs * attempt));
+        }
+      }
+    }
+
+    if (!points) {
+      throw new Error(`Failed to fetch history for pool ${poolId} after ${config.maxRetries} attempts: ${lastError.message}`);
+    }
+  }
+
+  return points
+    .map(normalizePoint)
+    .filter(point => !Number.isNaN(point.time))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Compute mean, standard deviation and drawdown of a pool's score over a window
+ * The window ends at the most recent point so results are reproducible for fixtures.
+ * Drawdown is the largest peak-to-trough fall of the score, in percentage points.
+ * @param {Array} history - Normalized history points (ascending)
+ * @param {number} windowDays - Window length in days
+ * @returns {Object} Window statistics ({ windowDays, samples, mean, stdev, min, max, latest, maxDrawdown })
+ */
+export function computeHistoryStats(history, windowDays) {
+  const end = history.length > 0 ? history[history.length - 1].time : 0;
+  const start = end - windowDays * DAY_MS;
+  const values = history.filter(point => point.time > start).map(point => point.score);
+
+  if (values.length === 0) {
+    return { windowDays, samples: 0, mean: 0, stdev: 0, min: 0, max: 0, latest: 0, maxDrawdown: 0 };
+  }
+
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+
+  let peak = values[0];
+  let maxDrawdown = 0;
+  for (const value of values) {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak - value);
+  }
+
+  return {
+    windowDays,
+    samples: values.length,
+    mean,
+    stdev: Math.sqrt(variance),
+    min: Math.min(...values),
+    max: Math.max(...values),
+    latest: values[values.length - 1],
+    maxDrawdown,
+  };
+}
+
+/**
+ * Compute statistics for each configured window
+ * @param {Array} history - Normalized history points
+ * @param {Array<number>} windows - Window lengths in days
+ * @returns {Object} Stats keyed by window length (e.g. { 7: {...}, 30: {...} })
+ */
+export function computeWindowStats(history, windows = config.history.windowsDays) {
+  return Object.fromEntries(windows.map(days => [days, computeHistoryStats(history, days)]));
+}
+
+/**
+ * Volatility-adjusted APY: mean minus k standard deviations
+ * @param {Object} stats - Window statistics from computeHistoryStats()
+ * @param {number} k - Volatility penalty
+ * @returns {number} Adjusted APY (percentage)
+ */
+export function volatilityAdjustedApy(stats, k = config.history.volatilityPenalty) {
+  return stats.mean - k * stats.stdev;
+}
+
+/**
+ * Rank candidate pools by volatility-adjusted historical APY
+ * Pools whose history cannot be loaded, or has too few samples, are ranked on
+ * their snapshot score less missingHistoryPenalty points: their volatility is
+ * unknown, so they must not outrank a pool with a steady record on a single
+ * snapshot, but they can still be chosen.
+ * @param {Array} pools - Pool summaries from getMappedProtocolPools()
+ * @param {Object} options - Ranking options (defaults to config.history)
+ * @returns {Promise<Array>} Pools with history stats and adjustedApy, sorted descending
+ */
+export async function rankPoolsByHistory(pools, options = {}) {
+  const {
+    windowsDays = config.history.windowsDays,
+    selectionWindowDays = config.history.selectionWindowDays,
+    volatilityPenalty = config.history.volatilityPenalty,
+    minSamples = config.history.minSamples,
+    missingHistoryPenalty = config.history.missingPenalty,
+    historyDir = config.history.dir,
+  } = options;
+
+  const windows = [...new Set([...windowsDays, selectionWindowDays])];
+  const ranked = [];
+  const fallback = `snapshot score less ${missingHistoryPenalty} pts`;
+
+  for (const pool of pools) {
+    const fallbackScore = (pool.score ?? pool.apy ?? 0) - missingHistoryPenalty;
+
+    try {
+      const history = await fetchPoolHistory(pool.pool, { historyDir });
+      const stats = computeWindowStats(history, windows);
+      const selection = stats[selectionWindowDays];
+
+      if (selection.samples < minSamples) {
+        logger.warn(`Pool ${pool.symbol} (${pool.project}) has only ${selection.samples} history samples - using ${fallback}`);
+        ranked.push({ ...pool, history: { stats, available: false }, adjustedApy: fallbackScore });
+        continue;
+      }
+
+      const adjustedApy = volatilityAdjustedApy(selection, volatilityPenalty);
+      ranked.push({ ...pool, history: { stats, available: true }, adjustedApy });
+    } catch (error) {
+      logger.warn(`Could not load history for ${pool.symbol} (${pool.project}) - using ${fallback}`, {
+        error: error.message
+      });
+      ranked.push({ ...pool, history: { stats: null, available: false }, adjustedApy: fallbackScore });
+    }
+  }
+
+  ranked.sort((a, b) => b.adjustedApy - a.adjustedApy);
+
+  logger.info(`Ranked ${ranked.length} pools by ${selectionWindowDays}d mean - ${volatilityPenalty} x stdev:`);
+  ranked.forEach((pool, i) => {
+    const selection = pool.history.stats?.[selectionWindowDays];
+    const detail = pool.history.available
+      ? `mean ${selection.mean.toFixed(2)}%, stdev ${selection.stdev.toFixed(2)}%, drawdown ${selection.maxDrawdown.toFixed(2)}%`
+      : 'no history';
+    logger.info(`  ${i + 1}. ${pool.symbol} (${pool.project}) adjusted ${pool.adjustedApy.toFixed(2)}% (${detail})`);
+  });
+
+  return ranked;
+}
+
+export default {
+  fetchPoolHistory,
+  computeHistoryStats,
+  computeWindowStats,
+  volatilityAdjustedApy,
+  rankPoolsByHistory,
+};
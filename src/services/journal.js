@@ -0,0 +1,321 @@
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/files.js';
+import { TRANSACTION_OUTCOMES, getTransactionOutcome } from './transactions.js';
+
+// Execution journal file format version
+export const JOURNAL_VERSION = 1;
+
+// Entry states in the order a rotation passes through them
+export const JOURNAL_STATES = ['planned', 'previewed', 'submitted', 'confirmed', 'failed'];
+
+// States of entries whose outcome is still open
+const UNFINISHED_STATES = new Set(['planned', 'previewed', 'submitted']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Location of a chain's execution journal
+ * @param {string} chainKey - Chain profile key
+ * @returns {string} Path inside the configured state directory
+ */
+export function getJournalFile(chainKey = config.defaultChain) {
+  return path.join(config.stateDir, `journal-${chainKey}.json`);
+}
+
+/**
+ * Create an empty execution journal
+ * @returns {Object} Journal ({ version, entries })
+ */
+export function createJournal() {
+  return {
+    version: JOURNAL_VERSION,
+    entries: {},  // entry id -> { id, rotation, state, transactionIds, route, legs, transactions, error, strandedToken, createdAt, updatedAt, history }
+  };
+}
+
+/**
+ * Load the execution journal, starting fresh if the file does not exist
+ * Unlike the rotation ledger, a journal of another version is not ignored: it may
+ * hold swaps in flight, so it has to be reconciled by hand first.
+ * @param {string} file - Journal file path
+ * @returns {Promise<Object>} Journal
+ * @throws {Error} If the file has an unsupported version
+ */
+export async function loadJournal(file = getJournalFile()) {
+  try {
+    const journal = await readJsonFile(file);
+    if (journal.version !== JOURNAL_VERSION) {
+      throw new Error(`Execution journal ${file} has unsupported version ${journal.version} (expected ${JOURNAL_VERSION})`);
+    }
+    return journal;
+  } catch (error) {
+    if (error.code === 'ENOENT') return createJournal();
+    throw error;
+  }
+}
+
+/**
+ * Persist the execution journal
+ * @param {Object} journal - Execution journal
+ * @param {string} file - Journal file path
+ * @returns {Promise<string>} Written file path
+ */
+export async function saveJournal(journal, file = getJournalFile()) {
+  return writeJsonFile(file, journal);
+}
+
+/**
+ * Keep what the journal needs to know about a rotation
+ * Enough to recognise the member and to record a confirmed rotation in the
+ * rotation ledger after a restart.
+ * @param {Object} rotation - Rotation being executed
+ * @returns {Object} Rotation summary
+ */
+function summarizeRotation(rotation) {
+  return {
+    userAddress: rotation.userAddress,
+    membershipId: rotation.membershipId ?? null,
+    sellShare: rotation.sellShare ?? 1,
+    fromToken: { symbol: rotation.fromToken.symbol, address: rotation.fromToken.address ?? null, balance: rotation.fromToken.balance },
+    toToken: {
+      symbol: rotation.toToken.symbol,
+      address: rotation.toToken.address ?? null,
+      pool: rotation.toToken.pool ?? null,
+      project: rotation.toToken.project ?? null,
+      targetApy: rotation.toToken.targetApy ?? null,
+      targetScore: rotation.toToken.targetScore ?? null,
+    },
+  };
+}
+
+/**
+ * Move a journal entry to a new state, creating it if needed
+ * Transaction IDs accumulate across calls, so every leg and every approval of a
+ * rotation stays on record. Each one is kept with the leg it belongs to and
+ * whether it is that leg's last transaction, so a restart can tell a finished
+ * route from one interrupted between two transactions.
+ * @param {Object} journal - Execution journal (modified in place)
+ * @param {string} id - Entry id
+ * @param {Object} rotation - Rotation the entry is for (only read when the entry is created)
+ * @param {string} state - One of JOURNAL_STATES
+ * @param {Object} details - What to record with the state
+ * @param {string} details.transactionId - Transaction submitted
+ * @param {number} details.leg - Index of the leg the transaction belongs to
+ * @param {boolean} details.last - Whether it is the leg's last transaction
+ * @param {string} details.route - Route key
+ * @param {Array} details.legs - Legs of the route ({ key, to (symbol the leg delivers) })
+ * @param {string} details.error - Why the rotation failed
+ * @param {string} details.strandedToken - Token the member's funds were left in by a route that stopped part way
+ * @param {number} now - Current time in ms
+ * @returns {Object} Updated entry
+ * @throws {Error} If the state is unknown
+ */
+export function updateEntry(journal, id, rotation, state, {
+  transactionId = null,
+  leg = 0,
+  last = false,
+  route = null,
+  legs = null,
+  error = null,
+  strandedToken = null,
+} = {}, now = Date.now()) {
+  if (!JOURNAL_STATES.includes(state)) {
+    throw new Error(`Unknown journal state: ${state}`);
+  }
+
+  const at = new Date(now).toISOString();
+  const entry = journal.entries[id] || {
+    id,
+    rotation: summarizeRotation(rotation),
+    state,
+    transactionIds: [],
+    route: null,
+    legs: null,
+    transactions: [],
+    error: null,
+    strandedToken: null,
+    createdAt: at,
+    updatedAt: at,
+    history: [],
+  };
+
+  entry.state = state;
+  entry.updatedAt = at;
+  entry.history.push({ state, at });
+  if (transactionId && !entry.transactionIds.includes(transactionId)) {
+    entry.transactionIds.push(transactionId);
+    entry.transactions = [...(entry.transactions || []), { transactionId, leg, last }];
+  }
+  if (route) entry.route = route;
+  if (legs) entry.legs = legs;
+  if (error) entry.error = error;
+  if (strandedToken) entry.strandedToken = strandedToken;
+
+  journal.entries[id] = entry;
+  return entry;
+}
+
+/**
+ * List the entries whose outcome is still open
+ * @param {Object} journal - Execution journal
+ * @returns {Array} Entries in planned, previewed or submitted state, oldest first
+ */
+export function getUnfinishedEntries(journal) {
+  return Object.values(journal.entries)
+    .filter(entry => UNFINISHED_STATES.has(entry.state))
+    .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Drop finished entries older than the retention period
+ * @param {Object} journal - Execution journal (modified in place)
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms
+ * @param {number} options.keepDays - Days finished entries are kept
+ * @returns {number} Entries removed
+ */
+export function pruneJournal(journal, { now = Date.now(), keepDays = config.journal.keepDays } = {}) {
+  let removed = 0;
+  for (const [id, entry] of Object.entries(journal.entries)) {
+    if (!UNFINISHED_STATES.has(entry.state) && now - Date.parse(entry.updatedAt) > keepDays * DAY_MS) {
+      delete journal.entries[id];
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Create the write-ahead recorder for one execution
+ * Every state change is written to disk before the caller moves on, so a swap
+ * whose transaction ID was recorded is never forgotten by a crash. Writes are
+ * queued so they never overlap.
+ * @param {Object} journal - Execution journal
+ * @param {string} file - Journal file path
+ * @param {Object} options - Options
+ * @param {string} options.runId - Prefix of this execution's entry ids
+ * @returns {Function} async (rotation, state, details) => entry
+ */
+export function createJournalRecorder(journal, file = getJournalFile(), { runId = new Date().toISOString() } = {}) {
+  const ids = new WeakMap();
+  let count = 0;
+  let writes = Promise.resolve();
+
+  return async (rotation, state, details = {}) => {
+    if (!ids.has(rotation)) {
+      ids.set(rotation, `${runId}#${++count}`);
+    }
+    const entry = updateEntry(journal, ids.get(rotation), rotation, state, details);
+    writes = writes.catch(() => {}).then(() => saveJournal(journal, file));
+    await writes;
+    return entry;
+  };
+}
+
+/**
+ * Count the legs of an entry's route whose last transaction was submitted
+ * Legs run one after the other, so these are the first legs of the route.
+ * @param {Object} entry - Journal entry whose transactions all confirmed
+ * @returns {number|null} Completed legs, or null for entries journaled without their legs
+ */
+function countCompletedLegs(entry) {
+  if (!entry.legs) return null;
+  return entry.legs.filter((_, index) =>
+    (entry.transactions || []).some(transaction => transaction.leg === index && transaction.last)
+  ).length;
+}
+
+/**
+ * Settle the entries a previous run left open
+ * Entries that never got a transaction ID were interrupted before anything was
+ * sent and are marked failed. Submitted entries are settled by polling each of
+ * their transactions: a failed, reverted or expired transaction fails the entry
+ * (see transactions.js). An entry is only confirmed once the last transaction
+ * of its last leg is; a route interrupted between two transactions (after an
+ * approval, or after its first leg) fails with the token the member was left
+ * holding. An entry whose transactions can't be polled, or are still running,
+ * stays open and its member is reported as unresolved.
+ * @param {Object} journal - Execution journal (modified in place)
+ * @param {Object} options - Options
+ * @param {Function} options.pollTransaction - async (transactionId) => SDK transaction ({ status, targets })
+ * @param {number} options.now - Current time in ms
+ * @returns {Promise<Object>} { confirmed, failed, unresolved } entries
+ */
+export async function reconcileJournal(journal, { pollTransaction, now = Date.now() }) {
+  const settled = { confirmed: [], failed: [], unresolved: [] };
+
+  for (const entry of getUnfinishedEntries(journal)) {
+    if (entry.transactionIds.length === 0) {
+      updateEntry(journal, entry.id, null, 'failed', { error: `interrupted while ${entry.state}, before anything was submitted` }, now);
+      settled.failed.push(entry);
+      continue;
+    }
+
+    const outcomes = [];
+    try {
+      for (const transactionId of entry.transactionIds) {
+        const { outcome } = getTransactionOutcome(await pollTransaction(transactionId), entry.rotation);
+        outcomes.push({ transactionId, outcome });
+      }
+    } catch (error) {
+      logger.warn(`Could not poll the transactions of ${entry.rotation.userAddress} ${entry.rotation.fromToken.symbol} -> ${entry.rotation.toToken.symbol}: ${error.message}`);
+      settled.unresolved.push(entry);
+      continue;
+    }
+
+    const failed = outcomes.find(({ outcome }) => outcome !== TRANSACTION_OUTCOMES.CONFIRMED && outcome !== TRANSACTION_OUTCOMES.PENDING);
+    if (failed) {
+      updateEntry(journal, entry.id, null, 'failed', { error: `transaction ${failed.transactionId} ${failed.outcome}` }, now);
+      settled.failed.push(entry);
+    } else if (!outcomes.every(({ outcome }) => outcome === TRANSACTION_OUTCOMES.CONFIRMED)) {
+      settled.unresolved.push(entry);
+    } else {
+      const completed = countCompletedLegs(entry);
+      if (completed === null || completed === entry.legs.length) {
+        updateEntry(journal, entry.id, null, 'confirmed', {}, now);
+        settled.confirmed.push(entry);
+      } else if (completed === 0) {
+        updateEntry(journal, entry.id, null, 'failed', { error: `interrupted during ${entry.legs[0].key}, before it finished; nothing was swapped` }, now);
+        settled.failed.push(entry);
+      } else {
+        const strandedToken = entry.legs[completed - 1].to;
+        updateEntry(journal, entry.id, null, 'failed', {
+          error: `interrupted after leg ${completed} of ${entry.legs.length}; the funds were left in ${strandedToken}`,
+          strandedToken,
+        }, now);
+        settled.failed.push(entry);
+      }
+    }
+  }
+
+  return settled;
+}
+
+/**
+ * Check whether a rotation's member has a swap whose outcome is still open
+ * @param {Array} unresolved - Entries from reconcileJournal()
+ * @param {Object} rotation - Planned rotation
+ * @returns {boolean} True if the member must not be rotated this run
+ */
+export function hasUnresolvedEntry(unresolved, rotation) {
+  return unresolved.some(({ rotation: open }) =>
+    (open.membershipId && open.membershipId === rotation.membershipId) ||
+    open.userAddress?.toLowerCase() === rotation.userAddress?.toLowerCase()
+  );
+}
+
+export default {
+  JOURNAL_STATES,
+  getJournalFile,
+  createJournal,
+  loadJournal,
+  saveJournal,
+  updateEntry,
+  getUnfinishedEntries,
+  pruneJournal,
+  createJournalRecorder,
+  reconcileJournal,
+  hasUnresolvedEntry,
+};
@@ -0,0 +1,178 @@
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/files.js';
+
+// Rotation ledger file format version
+export const LEDGER_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Location of a chain's rotation ledger
+ * @param {string} chainKey - Chain profile key
+ * @returns {string} Path inside the configured state directory
+ */
+export function getLedgerFile(chainKey = config.defaultChain) {
+  return path.join(config.stateDir, `rotations-${chainKey}.json`);
+}
+
+/**
+ * Create an empty rotation ledger
+ * @returns {Object} Ledger ({ version, members })
+ */
+export function createLedger() {
+  return {
+    version: LEDGER_VERSION,
+    members: {},  // membershipId -> { userAddress, lastRotation, positions: tokenAddress -> entry }
+  };
+}
+
+/**
+ * Load the rotation ledger, starting fresh if the file does not exist
+ * @param {string} file - Ledger file path
+ * @returns {Promise<Object>} Ledger
+ */
+export async function loadLedger(file = getLedgerFile()) {
+  try {
+    const ledger = await readJsonFile(file);
+    if (ledger.version !== LEDGER_VERSION) {
+      logger.warn(`Ignoring rotation ledger ${file} with unsupported version ${ledger.version}`);
+      return createLedger();
+    }
+    return ledger;
+  } catch (error) {
+    if (error.code === 'ENOENT') return createLedger();
+    throw error;
+  }
+}
+
+/**
+ * Persist the rotation ledger
+ * @param {Object} ledger - Rotation ledger
+ * @param {string} file - Ledger file path
+ * @returns {Promise<string>} Written file path
+ */
+export async function saveLedger(ledger, file = getLedgerFile()) {
+  return writeJsonFile(file, ledger);
+}
+
+/**
+ * Key identifying a member in the ledger
+ * @param {Object} user - Member or rotation ({ membershipId, userAddress|address })
+ * @returns {string|null} Member key
+ */
+function getMemberKey(user) {
+  return user.membershipId || user.userAddress || user.address || null;
+}
+
+/**
+ * Find when and at what APY a member entered a position
+ * @param {Object} ledger - Rotation ledger
+ * @param {Object} user - Member ({ membershipId, address })
+ * @param {string} tokenAddress - Address of the held token
+ * @returns {Object|null} Entry ({ pool, project, symbol, tokenAddress, enteredAt, entryApy, entryScore }) or null
+ */
+export function getPositionEntry(ledger, user, tokenAddress) {
+  if (!ledger || !tokenAddress) return null;
+  const member = ledger.members[getMemberKey(user)];
+  return member?.positions?.[tokenAddress.toLowerCase()] || null;
+}
+
+/**
+ * Work out what it takes to leave a position
+ * Inside the minimum holding period the position is locked. Within the
+ * hysteresis window the required improvement is raised by the hysteresis band.
+ * Positions the ledger has no record of follow the normal threshold.
+ * @param {Object|null} entry - Ledger entry from getPositionEntry()
+ * @param {Object} options - Options
+ * @param {number} options.now - Current time in ms
+ * @param {number} options.minApyImprovement - Normal rotation threshold
+ * @param {number} options.minHoldingDays - Minimum holding period
+ * @param {number} options.hysteresisBand - Extra improvement needed inside the window (pct points)
+ * @param {number} options.hysteresisWindowDays - How long after entry the band applies
+ * @returns {Object} { locked, threshold, heldDays }
+ */
+export function getExitRule(entry, {
+  now = Date.now(),
+  minApyImprovement = config.minApyImprovement,
+  minHoldingDays = config.churn.minHoldingDays,
+  hysteresisBand = config.churn.hysteresisBand,
+  hysteresisWindowDays = config.churn.hysteresisWindowDays,
+} = {}) {
+  if (!entry) {
+    return { locked: false, threshold: minApyImprovement, heldDays: null };
+  }
+
+  const heldDays = (now - Date.parse(entry.enteredAt)) / DAY_MS;
+  return {
+    locked: heldDays < minHoldingDays,
+    threshold: heldDays < hysteresisWindowDays ? minApyImprovement + hysteresisBand : minApyImprovement,
+    heldDays,
+  };
+}
+
+/**
+ * Record executed rotations in the ledger
+ * The target position's entry time and APY are reset on every rotation into it.
+ * A source position is dropped once rotations have sold all of it.
+ * @param {Object} ledger - Rotation ledger
+ * @param {Array} executed - Executed rotations ({ rotation, result } from executeRotations)
+ * @param {number} now - Current time in ms
+ * @returns {Object} Updated ledger (the input is not modified)
+ */
+export function recordRotations(ledger, executed, now = Date.now()) {
+  const next = structuredClone(ledger);
+  const at = new Date(now).toISOString();
+  const soldShares = new Map();
+
+  for (const { rotation } of executed) {
+    const key = getMemberKey(rotation);
+    if (!key) continue;
+
+    const member = next.members[key] || { userAddress: rotation.userAddress, lastRotation: null, positions: {} };
+    next.members[key] = member;
+
+    const toAddress = rotation.toToken.address?.toLowerCase();
+    if (toAddress) {
+      member.positions[toAddress] = {
+        pool: rotation.toToken.pool || null,
+        project: rotation.toToken.project || null,
+        symbol: rotation.toToken.symbol,
+        tokenAddress: rotation.toToken.address,
+        enteredAt: at,
+        entryApy: rotation.toToken.targetApy ?? null,
+        entryScore: rotation.toToken.targetScore ?? null,
+      };
+    }
+
+    const fromAddress = rotation.fromToken.address?.toLowerCase();
+    if (fromAddress) {
+      const soldKey = `${key}:${fromAddress}`;
+      const sold = (soldShares.get(soldKey) || 0) + (rotation.sellShare ?? 1);
+      soldShares.set(soldKey, sold);
+      if (sold >= 1 - 1e-9) {
+        delete member.positions[fromAddress];
+      }
+    }
+
+    member.lastRotation = {
+      from: rotation.fromToken.symbol,
+      to: rotation.toToken.symbol,
+      pool: rotation.toToken.pool || null,
+      at,
+    };
+  }
+
+  return next;
+}
+
+export default {
+  getLedgerFile,
+  createLedger,
+  loadLedger,
+  saveLedger,
+  getPositionEntry,
+  getExitRule,
+  recordRotations,
+};
@@ -0,0 +1,369 @@
+import { Contract, JsonRpcProvider } from 'ethers';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getTokenRegistry, getTokens } from './registry.js';
+import { getTokenForPool } from './defillama.js';
+import { getChainProfile } from './chains.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+const RAY = 10n ** 27n;
+const WAD = 10n ** 18n;
+
+const AAVE_ATOKEN_ABI = [
+  'function POOL() view returns (address)',
+  'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+];
+
+// Aave V3 Pool.getReserveData (ReserveDataLegacy layout, unchanged since 3.0)
+const AAVE_POOL_ABI = [
+  'function getReserveData(address asset) view returns (tuple(uint256 configuration, uint128 liquidityIndex, uint128 currentLiquidityRate, uint128 variableBorrowIndex, uint128 currentVariableBorrowRate, uint128 currentStableBorrowRate, uint40 lastUpdateTimestamp, uint16 id, address aTokenAddress, address stableDebtTokenAddress, address variableDebtTokenAddress, address interestRateStrategyAddress, uint128 accruedToTreasury, uint128 unbacked, uint128 isolationModeTotalDebt))',
+];
+
+const MOONWELL_MTOKEN_ABI = [
+  'function supplyRatePerTimestamp() view returns (uint256)',
+  'function exchangeRateStored() view returns (uint256)',
+];
+
+const COMET_ABI = [
+  'function getUtilization() view returns (uint256)',
+  'function getSupplyRate(uint256 utilization) view returns (uint64)',
+];
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+];
+
+const ERC4626_ABI = [
+  'function decimals() view returns (uint8)',
+  'function convertToAssets(uint256 shares) view returns (uint256)',
+];
+
+/**
+ * Create a JSON-RPC provider for a chain (the default chain profile if omitted)
+ * The network is pinned to the chain id so no eth_chainId round trip is made.
+ * @param {string} rpcUrl - JSON-RPC endpoint
+ * @param {number} chainId - Chain id of the endpoint
+ * @returns {JsonRpcProvider} ethers provider
+ */
+export function createProvider(rpcUrl = getChainProfile().rpcUrl, chainId = getChainProfile().chainId) {
+  return new JsonRpcProvider(rpcUrl, chainId, {
+    staticNetwork: true,
+    batchMaxCount: 1,
+  });
+}
+
+/**
+ * Number of blocks covering the ERC-4626 share-price lookback on a chain
+ * @param {Object} profile - Chain profile (with blockTimeSeconds)
+ * @param {number} lookbackDays - Lookback window in days
+ * @returns {number} Block count
+ */
+export function getLookbackBlocks(profile = getChainProfile(), lookbackDays = config.onchain.shareGrowthLookbackDays) {
+  return Math.round((lookbackDays * 24 * 60 * 60) / profile.blockTimeSeconds);
+}
+
+/**
+ * Convert a per-second rate to a compounded APY percentage
+ * @param {number} ratePerSecond - Rate per second as a fraction
+ * @returns {number} APY in percent
+ */
+export function ratePerSecondToApy(ratePerSecond) {
+  return (Math.pow(1 + ratePerSecond, SECONDS_PER_YEAR) - 1) * 100;
+}
+
+/**
+ * Convert an Aave ray-denominated annual liquidity rate to APY
+ * Aave compounds the yearly rate every second, which is what DeFiLlama reports.
+ * @param {bigint} liquidityRate - currentLiquidityRate in ray (1e27)
+ * @returns {number} APY in percent
+ */
+export function aaveLiquidityRateToApy(liquidityRate) {
+  const apr = Number((liquidityRate * WAD) / RAY) / 1e18;
+  return ratePerSecondToApy(apr / SECONDS_PER_YEAR);
+}
+
+/**
+ * Convert a mantissa-denominated per-second supply rate (Moonwell, Comet) to APY
+ * @param {bigint} ratePerTimestamp - Supply rate per second scaled by 1e18
+ * @returns {number} APY in percent
+ */
+export function supplyRatePerTimestampToApy(ratePerTimestamp) {
+  return ratePerSecondToApy(Number(ratePerTimestamp) / 1e18);
+}
+
+/**
+ * Annualize ERC-4626 share-price growth between two observations
+ * @param {bigint} assetsBefore - convertToAssets(1 share) at the earlier block
+ * @param {bigint} assetsAfter - convertToAssets(1 share) at the later block
+ * @param {number} elapsedSeconds - Time between the two blocks
+ * @returns {number} APY in percent
+ */
+export function sharePriceGrowthToApy(assetsBefore, assetsAfter, elapsedSeconds) {
+  if (assetsBefore <= 0n || elapsedSeconds <= 0) {
+    throw new Error('Share price growth needs a positive starting price and elapsed time');
+  }
+  const growth = Number((assetsAfter * WAD) / assetsBefore) / 1e18;
+  return (Math.pow(growth, SECONDS_PER_YEAR / elapsedSeconds) - 1) * 100;
+}
+
+/**
+ * Read the supply APY of an Aave V3 aToken (also used by Aave forks like Seamless)
+ * @param {string} address - aToken address
+ * @param {JsonRpcProvider} provider - ethers provider
+ * @returns {Promise<number>} APY in percent
+ */
+async function readAaveApy(address, provider) {
+  const aToken = new Contract(address, AAVE_ATOKEN_ABI, provider);
+  const [poolAddress, asset] = await Promise.all([aToken.POOL(), aToken.UNDERLYING_ASSET_ADDRESS()]);
+
+  const pool = new Contract(poolAddress, AAVE_POOL_ABI, provider);
+  const reserve = await pool.getReserveData(asset);
+
+  return aaveLiquidityRateToApy(reserve.currentLiquidityRate);
+}
+
+/**
+ * Read the supply APY of a Moonwell mToken
+ * @param {string} address - mToken address
+ * @param {JsonRpcProvider} provider - ethers provider
+ * @returns {Promise<number>} APY in percent
+ */
+async function readMoonwellApy(address, provider) {
+  const mToken = new Contract(address, MOONWELL_MTOKEN_ABI, provider);
+  return supplyRatePerTimestampToApy(await mToken.supplyRatePerTimestamp());
+}
+
+/**
+ * Read the supply APY of a Compound V3 (Comet) market
+ * @param {string} address - Comet address
+ * @param {JsonRpcProvider} provider - ethers provider
+ * @returns {Promise<number>} APY in percent
+ */
+async function readCometApy(address, provider) {
+  const comet = new Contract(address, COMET_ABI, provider);
+  const utilization = await comet.getUtilization();
+  return supplyRatePerTimestampToApy(await comet.getSupplyRate(utilization));
+}
+
+/**
+ * Read the APY of an ERC-4626 vault from its share-price growth over a lookback window
+ * Requires the RPC endpoint to serve historical state for the earlier block.
+ * @param {string} address - Vault address
+ * @param {JsonRpcProvider} provider - ethers provider
+ * @param {number} lookbackBlocks - Blocks between the two observations
+ * @returns {Promise<number>} APY in percent
+ */
+async function readErc4626Apy(address, provider, lookbackBlocks) {
+  const vault = new Contract(address, ERC4626_ABI, provider);
+  const oneShare = 10n ** BigInt(await vault.decimals());
+
+  const latest = await provider.getBlock('latest');
+  const earlier = await provider.getBlock(Math.max(latest.number - lookbackBlocks, 0));
+
+  const [assetsBefore, assetsAfter] = await Promise.all([
+    vault.convertToAssets(oneShare, { blockTag: earlier.number }),
+    vault.convertToAssets(oneShare, { blockTag: latest.number }),
+  ]);
+
+  return sharePriceGrowthToApy(assetsBefore, assetsAfter, latest.timestamp - earlier.timestamp);
+}
+
+/**
+ * Read the on-chain supply APY of a registry token according to its rateModel
+ * @param {Object} token - Registry entry with address and rateModel
+ * @param {Object} options - Options
+ * @param {JsonRpcProvider} options.provider - ethers provider
+ * @param {number} options.lookbackBlocks - ERC-4626 share-price lookback
+ * @returns {Promise<number>} APY in percent
+ * @throws {Error} If the token has no rate model or the read fails
+ */
+export async function readOnchainApy(token, {
+  provider = createProvider(),
+  lookbackBlocks = getLookbackBlocks(),
+} = {}) {
+  switch (token.rateModel) {
+    case 'aave-v3':
+      return readAaveApy(token.address, provider);
+    case 'moonwell':
+      return readMoonwellApy(token.address, provider);
+    case 'compound-v3':
+      return readCometApy(token.address, provider);
+    case 'erc4626':
+      return readErc4626Apy(token.address, provider, lookbackBlocks);
+    default:
+      throw new Error(`${token.symbol} has no on-chain rate model`);
+  }
+}
+
+/**
+ * Read how many units of the underlying asset one token is worth
+ * Aave aTokens and Comet balances rebase 1:1 with the underlying; Moonwell
+ * mTokens and ERC-4626 shares accrue through an exchange rate instead.
+ * @param {Object} token - Registry entry with address, chain, decimals, underlying and rateModel
+ * @param {Object} options - Options
+ * @param {JsonRpcProvider} options.provider - ethers provider
+ * @param {Object} options.registry - Token registry used to look up the underlying decimals
+ * @returns {Promise<number>} Underlying units per token unit
+ * @throws {Error} If the token has no rate model or the read fails
+ */
+export async function readUnderlyingPerToken(token, {
+  provider = createProvider(),
+  registry = getTokenRegistry(),
+} = {}) {
+  if (token.rateModel === 'aave-v3' || token.rateModel === 'compound-v3') {
+    return 1;
+  }
+
+  const underlying = getTokens({ chain: token.chain, symbol: token.underlying }, registry)[0];
+  if (!underlying) {
+    throw new Error(`${token.symbol} underlying ${token.underlying} is not in the registry`);
+  }
+
+  switch (token.rateModel) {
+    case 'moonwell': {
+      // The mantissa is scaled by 1e(18 - mToken decimals + underlying decimals)
+      const mToken = new Contract(token.address, MOONWELL_MTOKEN_ABI, provider);
+      const rate = await mToken.exchangeRateStored();
+      return Number(rate) / 10 ** (18 + underlying.decimals - token.decimals);
+    }
+    case 'erc4626': {
+      const vault = new Contract(token.address, ERC4626_ABI, provider);
+      const assets = await vault.convertToAssets(10n ** BigInt(token.decimals));
+      return Number(assets) / 10 ** underlying.decimals;
+    }
+    default:
+      throw new Error(`${token.symbol} has no on-chain rate model`);
+  }
+}
+
+/**
+ * Read an account's raw balance of an ERC-20 token
+ * @param {Object} token - Token with address
+ * @param {string} account - Account address
+ * @param {Object} options - Options
+ * @param {JsonRpcProvider} options.provider - ethers provider
+ * @returns {Promise<bigint>} Raw balance
+ */
+export async function readTokenBalance(token, account, { provider = createProvider() } = {}) {
+  const contract = new Contract(token.address, ERC20_ABI, provider);
+  return contract.balanceOf(account);
+}
+
+/**
+ * Run a promise with a timeout
+ * @param {Promise} promise - Promise to await
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise} Resolves or rejects with the promise, or rejects on timeout
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`RPC call timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Compare a pool's DeFiLlama APY with the on-chain rate of the token it maps to
+ * On-chain reads return the base supply rate only, so it is compared against
+ * DeFiLlama's apyBase (falling back to apy when the base is not reported).
+ * @param {Object} pool - Candidate pool (with pool id, apy and optional scoreBreakdown)
+ * @param {Object} options - Options
+ * @param {JsonRpcProvider} options.provider - ethers provider
+ * @param {Object} options.registry - Token registry used to resolve pool ids
+ * @param {number} options.lookbackBlocks - ERC-4626 share-price lookback
+ * @param {number} options.tolerance - Max allowed difference in pct points
+ * @param {number} options.timeoutMs - Per-pool RPC timeout
+ * @returns {Promise<Object>} Result ({ pool, symbol, status, defillamaApy, onchainApy, difference, reason })
+ */
+export async function crossCheckPool(pool, {
+  provider = createProvider(),
+  registry = getTokenRegistry(),
+  lookbackBlocks = getLookbackBlocks(),
+  tolerance = config.onchain.apyTolerance,
+  timeoutMs = config.onchain.timeoutMs,
+} = {}) {
+  const defillamaApy = pool.scoreBreakdown?.apyBase ?? pool.apyBase ?? pool.apy ?? 0;
+  const result = {
+    pool: pool.pool,
+    symbol: pool.symbol,
+    project: pool.project,
+    defillamaApy,
+    onchainApy: null,
+    difference: null,
+    status: 'unverified',
+    reason: null,
+  };
+
+  const token = getTokenForPool(pool, registry);
+  if (!token?.rateModel) {
+    result.reason = 'no on-chain rate model for this pool';
+    return result;
+  }
+
+  try {
+    result.onchainApy = await withTimeout(readOnchainApy(token, { provider, lookbackBlocks }), timeoutMs);
+  } catch (error) {
+    result.reason = `on-chain read failed: ${error.shortMessage || error.message}`;
+    return result;
+  }
+
+  result.difference = Math.abs(result.onchainApy - defillamaApy);
+  if (result.difference > tolerance) {
+    result.status = 'mismatch';
+    result.reason = `DeFiLlama ${defillamaApy.toFixed(2)}% vs on-chain ${result.onchainApy.toFixed(2)}% (tolerance ${tolerance} pts)`;
+  } else {
+    result.status = 'verified';
+  }
+
+  return result;
+}
+
+/**
+ * Cross-check candidate pools and drop those whose APY disagrees with the chain
+ * Pools whose rate can't be read are kept with a warning unless requireVerification is set.
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} options - Options passed to crossCheckPool, plus requireVerification
+ * @returns {Promise<Object>} { pools (accepted, order preserved), rejected, results }
+ */
+export async function crossCheckPools(pools, {
+  requireVerification = config.onchain.requireVerification,
+  ...options
+} = {}) {
+  const provider = options.provider || createProvider();
+  const accepted = [];
+  const rejected = [];
+  const results = [];
+
+  for (const pool of pools) {
+    const check = await crossCheckPool(pool, { ...options, provider });
+    results.push(check);
+
+    if (check.status === 'verified') {
+      logger.info(`  ✓ ${pool.symbol} (${pool.project}): DeFiLlama ${check.defillamaApy.toFixed(2)}% vs on-chain ${check.onchainApy.toFixed(2)}%`);
+      accepted.push({ ...pool, onchainApy: check.onchainApy });
+    } else if (check.status === 'unverified' && !requireVerification) {
+      logger.warn(`  ? ${pool.symbol} (${pool.project}): not verified - ${check.reason}`);
+      accepted.push(pool);
+    } else {
+      logger.warn(`  ✗ ${pool.symbol} (${pool.project}): rejected - ${check.reason}`);
+      rejected.push({ ...pool, onchainCheck: check });
+    }
+  }
+
+  return { pools: accepted, rejected, results };
+}
+
+export default {
+  createProvider,
+  getLookbackBlocks,
+  ratePerSecondToApy,
+  aaveLiquidityRateToApy,
+  supplyRatePerTimestampToApy,
+  sharePriceGrowthToApy,
+  readOnchainApy,
+  readUnderlyingPerToken,
+  readTokenBalance,
+  crossCheckPool,
+  crossCheckPools,
+};
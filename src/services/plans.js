@@ -0,0 +1,224 @@
+import path from 'path';
+import { config } from '../config.js';
+import { readJsonFile, writeJsonFile } from '../utils/files.js';
+import { scorePool } from './defillama.js';
+
+// Rotation plan file format version
+export const PLAN_VERSION = 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Default location for a new plan
+ * @param {string} chainKey - Chain profile key
+ * @param {number} now - Creation time in ms
+ * @returns {string} Path inside the configured plan directory
+ */
+export function getPlanFile(chainKey = config.defaultChain, now = Date.now()) {
+  return path.join(config.plans.dir, `plan-${chainKey}-${new Date(now).toISOString().replace(/[:.]/g, '-')}.json`);
+}
+
+/**
+ * Explain in one line why a rotation is in the plan
+ * @param {Object} rotation - Planned rotation
+ * @returns {string} Reason
+ */
+export function getRotationReason(rotation) {
+  const parts = [];
+  if (rotation.capEnforced) {
+    parts.push('brings the position back under an allocation cap');
+  }
+  const sign = rotation.apyImprovement >= 0 ? '+' : '';
+  const threshold = rotation.requiredImprovement !== undefined ? ` (needs +${rotation.requiredImprovement.toFixed(2)}%)` : '';
+  parts.push(`${sign}${rotation.apyImprovement.toFixed(2)}% score, ${rotation.fromToken.currentScore.toFixed(2)}% -> ${rotation.toToken.targetScore.toFixed(2)}%${threshold}`);
+  if (rotation.crossAsset) {
+    parts.push(`crosses ${rotation.fromToken.asset} -> ${rotation.toToken.asset}`);
+  }
+  if (rotation.chunk) {
+    parts.push(`chunk ${rotation.chunk} of ${rotation.chunks}`);
+  }
+  if (rotation.breakEven) {
+    const payback = rotation.breakEven.paybackDays;
+    parts.push(`cost $${rotation.breakEven.totalCostUsd.toFixed(2)}, payback ${Number.isFinite(payback) ? `${payback.toFixed(1)} days` : 'never'}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Summarize a skipped or carried rotation for the plan
+ * @param {Object} entry - { rotation, reason, amountUsd }
+ * @returns {Object} { userAddress, membershipId, from, to, amountUsd, reason }
+ */
+function summarizeEntry({ rotation, reason, amountUsd }) {
+  return {
+    userAddress: rotation.userAddress,
+    membershipId: rotation.membershipId ?? null,
+    from: rotation.fromToken.symbol,
+    to: rotation.toToken.symbol,
+    amountUsd: amountUsd ?? rotation.amountUsd ?? rotation.fromToken.balanceUsd,
+    reason,
+  };
+}
+
+/**
+ * Build a reviewable rotation plan
+ * @param {Object} options - Plan contents
+ * @param {Object} options.profile - Chain profile
+ * @param {Object} options.strategy - Resolved strategy ({ strategy, params })
+ * @param {Object} options.yieldData - { source, fetchedAt } of the yield data used
+ * @param {Array} options.pools - Candidate pools the rotations were chosen from
+ * @param {Array} options.rotations - Prioritized rotations (with previews from the break-even step)
+ * @param {Array} options.skipped - Rotations dropped by the break-even step ({ rotation, reason })
+ * @param {Array} options.carried - Amounts carried to a later run ({ rotation, amountUsd, reason })
+ * @param {number} options.now - Creation time in ms
+ * @returns {Object} Plan
+ */
+export function buildPlan({
+  profile,
+  strategy,
+  yieldData = {},
+  pools = [],
+  rotations = [],
+  skipped = [],
+  carried = [],
+  now = Date.now(),
+}) {
+  return {
+    version: PLAN_VERSION,
+    createdAt: new Date(now).toISOString(),
+    chain: { key: profile.key, name: profile.name, chainId: profile.chainId, swarmId: profile.swarmId || null },
+    strategy: { name: strategy.strategy.name, params: strategy.params },
+    inputs: {
+      yieldSource: yieldData.source ?? null,
+      yieldsFetchedAt: yieldData.fetchedAt ?? null,
+      minApyImprovement: config.minApyImprovement,
+      crossAssetMinApyImprovement: config.crossAssetMinApyImprovement,
+      minBalanceUsd: config.minBalanceUsd,
+      maxSlippage: config.maxSlippage,
+      breakEvenHorizonDays: config.breakEven.enabled ? config.breakEven.horizonDays : null,
+    },
+    pools: pools.map(pool => ({
+      pool: pool.pool,
+      symbol: pool.symbol,
+      project: pool.project,
+      tokenAddress: pool.tokenAddress,
+      apy: pool.apy,
+      score: pool.score,
+      tvlUsd: pool.tvlUsd,
+      riskTier: pool.riskTier ?? null,
+    })),
+    rotations: rotations.map((rotation, i) => ({ step: i + 1, ...rotation, reason: getRotationReason(rotation) })),
+    skipped: skipped.map(summarizeEntry),
+    carried: carried.map(summarizeEntry),
+  };
+}
+
+/**
+ * Write a plan as JSON
+ * @param {Object} plan - Plan from buildPlan()
+ * @param {string} file - Plan file path
+ * @returns {Promise<string>} Written file path
+ */
+export async function writePlan(plan, file = getPlanFile(plan.chain.key, Date.parse(plan.createdAt))) {
+  return writeJsonFile(file, plan);
+}
+
+/**
+ * Read a plan file
+ * @param {string} file - Plan file path
+ * @returns {Promise<Object>} Plan
+ */
+export async function readPlan(file) {
+  const plan = await readJsonFile(file);
+  if (plan.version !== PLAN_VERSION) {
+    throw new Error(`Plan ${file} has unsupported version ${plan.version} (expected ${PLAN_VERSION})`);
+  }
+  if (!plan.chain?.key || !Array.isArray(plan.rotations)) {
+    throw new Error(`Plan ${file} is missing its chain or rotations`);
+  }
+  return plan;
+}
+
+/**
+ * Check that a plan still matches the swarm and the market
+ * A rotation has drifted when its member no longer holds the planned balance
+ * (within balanceTolerancePct), the source or target score it was chosen on
+ * moved by more than apyTolerance points since the plan was made, or its
+ * target no longer passes the screening the plan was made with.
+ * @param {Object} plan - Plan from readPlan()
+ * @param {Object} current - Current state
+ * @param {Array} current.members - Members with enriched yieldBearingHoldings
+ * @param {Array} current.pools - Current DeFiLlama pools for the chain (scored as in planning)
+ * @param {Array} current.screenedPools - Current pools that pass screening (null to skip the check)
+ * @param {Object} options - Tolerances
+ * @param {number} options.now - Current time in ms
+ * @param {number} options.maxAgeHours - Oldest plan that may be applied
+ * @param {number} options.balanceTolerancePct - Allowed balance change (percent)
+ * @param {number} options.apyTolerance - Allowed score change (percentage points)
+ * @returns {Object} { ageHours, expired, drifted: [{ rotation, reasons }] }
+ */
+export function checkPlanDrift(plan, { members = [], pools = [], screenedPools = null }, {
+  now = Date.now(),
+  maxAgeHours = config.plans.maxAgeHours,
+  balanceTolerancePct = config.plans.balanceTolerancePct,
+  apyTolerance = config.plans.apyTolerance,
+} = {}) {
+  const ageHours = (now - Date.parse(plan.createdAt)) / HOUR_MS;
+  const poolById = new Map(pools.map(pool => [pool.pool, pool]));
+  const screenedIds = screenedPools && new Set(screenedPools.map(pool => pool.pool));
+  const drifted = [];
+
+  for (const rotation of plan.rotations) {
+    const reasons = [];
+    const member = members.find(candidate =>
+      (rotation.membershipId && candidate.membershipId === rotation.membershipId) ||
+      candidate.address?.toLowerCase() === rotation.userAddress?.toLowerCase()
+    );
+    const holding = member?.yieldBearingHoldings?.find(candidate =>
+      candidate.address?.toLowerCase() === rotation.fromToken.address?.toLowerCase()
+    );
+
+    if (!holding) {
+      reasons.push(`${rotation.fromToken.symbol} holding no longer found`);
+    } else {
+      const planned = Number(rotation.fromToken.balance);
+      const changePct = planned > 0 ? (Math.abs(Number(holding.balance) - planned) / planned) * 100 : 0;
+      if (changePct > balanceTolerancePct) {
+        reasons.push(`balance changed ${changePct.toFixed(1)}% (${planned} -> ${holding.balance})`);
+      }
+
+      const sourceMove = Math.abs((holding.currentScore ?? 0) - (rotation.fromToken.currentScore ?? 0));
+      if (sourceMove > apyTolerance) {
+        reasons.push(`${rotation.fromToken.symbol} score moved ${(rotation.fromToken.currentScore ?? 0).toFixed(2)}% -> ${(holding.currentScore ?? 0).toFixed(2)}%`);
+      }
+    }
+
+    const target = poolById.get(rotation.toToken.pool);
+    if (!target) {
+      reasons.push(`target pool ${rotation.toToken.pool} no longer listed`);
+    } else {
+      const targetScore = scorePool(target).score;
+      if (Math.abs(targetScore - rotation.toToken.targetScore) > apyTolerance) {
+        reasons.push(`${rotation.toToken.symbol} (${rotation.toToken.project}) score moved ${rotation.toToken.targetScore.toFixed(2)}% -> ${targetScore.toFixed(2)}%`);
+      }
+      if (screenedIds && !screenedIds.has(target.pool)) {
+        reasons.push(`${rotation.toToken.symbol} (${rotation.toToken.project}) no longer passes screening (risk policy, anomaly quarantine or on-chain check)`);
+      }
+    }
+
+    if (reasons.length > 0) {
+      drifted.push({ rotation, reasons });
+    }
+  }
+
+  return { ageHours, expired: ageHours > maxAgeHours, drifted };
+}
+
+export default {
+  getPlanFile,
+  getRotationReason,
+  buildPlan,
+  writePlan,
+  readPlan,
+  checkPlanDrift,
+};
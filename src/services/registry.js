@@ -0,0 +1,280 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_REGISTRY_PATH = fileURLToPath(new URL('../data/tokens.json', import.meta.url));
+
+// Supported registry file format version
+export const REGISTRY_VERSION = 1;
+
+export const TOKEN_KINDS = ['native', 'stablecoin', 'yield-bearing', 'other'];
+export const SWAPPABILITY = ['dex', 'deposit-only', 'unverified'];
+// How the on-chain supply rate of a yield-bearing token is read (see onchain.js)
+export const RATE_MODELS = ['aave-v3', 'moonwell', 'compound-v3', 'erc4626'];
+
+const ADDRESS_REGEX = /^0x[a-fA-F0-9]{40}$/;
+
+// Registry loaded from config.tokenRegistryPath on first use
+let registryInstance = null;
+
+/**
+ * Validate a single registry entry
+ * @param {Object} token - Registry entry
+ * @param {number} index - Position in the tokens array (for error messages)
+ * @returns {Array<string>} Validation errors
+ */
+function validateTokenEntry(token, index) {
+  const errors = [];
+  const label = `tokens[${index}]${token?.symbol ? ` (${token.symbol})` : ''}`;
+
+  if (!token || typeof token !== 'object') {
+    return [`${label}: entry must be an object`];
+  }
+
+  if (typeof token.symbol !== 'string' || token.symbol.length === 0) {
+    errors.push(`${label}: symbol is required`);
+  }
+  if (typeof token.chain !== 'string' || token.chain.length === 0) {
+    errors.push(`${label}: chain is required`);
+  }
+  if (!ADDRESS_REGEX.test(token.address || '')) {
+    errors.push(`${label}: address must be a 0x-prefixed 20-byte hex string`);
+  }
+  if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+    errors.push(`${label}: decimals must be an integer between 0 and 36`);
+  }
+  if (!TOKEN_KINDS.includes(token.kind)) {
+    errors.push(`${label}: kind must be one of ${TOKEN_KINDS.join(', ')}`);
+  }
+  if (!SWAPPABILITY.includes(token.swappability)) {
+    errors.push(`${label}: swappability must be one of ${SWAPPABILITY.join(', ')}`);
+  }
+  for (const field of ['underlying', 'protocol', 'defillamaPoolId']) {
+    if (token[field] !== null && typeof token[field] !== 'string') {
+      errors.push(`${label}: ${field} must be a string or null`);
+    }
+  }
+  if (token.depositContract != null && !ADDRESS_REGEX.test(token.depositContract)) {
+    errors.push(`${label}: depositContract must be null or a 0x-prefixed 20-byte hex string`);
+  }
+  if (token.rateModel != null && !RATE_MODELS.includes(token.rateModel)) {
+    errors.push(`${label}: rateModel must be null or one of ${RATE_MODELS.join(', ')}`);
+  }
+  if (typeof token.notes !== 'string') {
+    errors.push(`${label}: notes must be a string`);
+  }
+
+  // Yield-bearing tokens must say what they wrap and which DeFiLlama project they belong to
+  if (token.kind === 'yield-bearing' && (!token.underlying || !token.protocol)) {
+    errors.push(`${label}: yield-bearing tokens require underlying and protocol`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a token registry against the registry schema
+ * Checks every entry plus cross-entry rules: unique addresses and pool ids per
+ * chain, and underlying assets that exist on the same chain.
+ * @param {Object} registry - Parsed registry file
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+export function validateTokenRegistry(registry) {
+  const errors = [];
+
+  if (!registry || typeof registry !== 'object') {
+    return { valid: false, errors: ['Registry must be an object'] };
+  }
+
+  if (registry.version !== REGISTRY_VERSION) {
+    errors.push(`Unsupported registry version ${registry.version} (expected ${REGISTRY_VERSION})`);
+  }
+
+  const patterns = registry.symbolPatterns;
+  if (!Array.isArray(patterns?.yieldBearingPrefixes) || !Array.isArray(patterns?.stablecoins)) {
+    errors.push('symbolPatterns.yieldBearingPrefixes and symbolPatterns.stablecoins must be arrays');
+  }
+
+  if (!Array.isArray(registry.tokens)) {
+    errors.push('tokens must be an array');
+    return { valid: false, errors };
+  }
+
+  registry.tokens.forEach((token, index) => {
+    errors.push(...validateTokenEntry(token, index));
+  });
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  const seenAddresses = new Set();
+  const seenPoolIds = new Set();
+  for (const token of registry.tokens) {
+    const addressKey = `${token.chain}:${token.address.toLowerCase()}`;
+    if (seenAddresses.has(addressKey)) {
+      errors.push(`Duplicate address ${token.address} on ${token.chain}`);
+    }
+    seenAddresses.add(addressKey);
+
+    if (token.defillamaPoolId) {
+      if (seenPoolIds.has(token.defillamaPoolId)) {
+        errors.push(`Duplicate DeFiLlama pool id ${token.defillamaPoolId}`);
+      }
+      seenPoolIds.add(token.defillamaPoolId);
+    }
+
+    if (token.underlying) {
+      const hasUnderlying = registry.tokens.some(
+        other => other.chain === token.chain && other.symbol === token.underlying
+      );
+      if (!hasUnderlying) {
+        errors.push(`${token.symbol}: underlying ${token.underlying} is not registered on ${token.chain}`);
+      }
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Load and validate a token registry file
+ * @param {string} file - Path to the registry JSON file
+ * @returns {Object} Validated registry
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+export function loadTokenRegistry(file = config.tokenRegistryPath || DEFAULT_REGISTRY_PATH) {
+  const registry = JSON.parse(readFileSync(file, 'utf-8'));
+  const validation = validateTokenRegistry(registry);
+
+  if (!validation.valid) {
+    throw new Error(`Invalid token registry ${file}: ${validation.errors.join('; ')}`);
+  }
+
+  logger.debug(`Loaded token registry v${registry.version} from ${file} (${registry.tokens.length} tokens)`);
+  return registry;
+}
+
+/**
+ * Get the shared token registry, loading it on first use
+ * @returns {Object} Validated registry
+ */
+export function getTokenRegistry() {
+  if (!registryInstance) {
+    registryInstance = loadTokenRegistry();
+  }
+  return registryInstance;
+}
+
+/**
+ * Get registry tokens matching a filter
+ * @param {Object} filter - Optional filter ({ chain, kind, swappability, protocol })
+ * @param {Object} registry - Token registry (defaults to the shared registry)
+ * @returns {Array} Matching registry entries
+ */
+export function getTokens(filter = {}, registry = getTokenRegistry()) {
+  return registry.tokens.filter(token =>
+    Object.entries(filter).every(([key, value]) => value === undefined || token[key] === value)
+  );
+}
+
+/**
+ * Find a registry token by address
+ * Some addresses are shared by several chains (DAI on Arbitrum and Optimism, WETH
+ * on Base and Optimism), so callers that know the chain should pass it.
+ * @param {string} address - Token address (any case)
+ * @param {Object} registry - Token registry
+ * @param {string} chain - DeFiLlama chain name (null matches any chain)
+ * @returns {Object|null} Registry entry or null
+ */
+export function findTokenByAddress(address, registry = getTokenRegistry(), chain = null) {
+  const normalized = address?.toLowerCase();
+  return registry.tokens.find(
+    token => token.address.toLowerCase() === normalized && (!chain || token.chain === chain)
+  ) || null;
+}
+
+/**
+ * Resolve a symbol to the registry's spelling of a plain stablecoin
+ * Yield-bearing symbols (aBasUSDC, cUSDCv3, mDAI) resolve to the stablecoin they wrap.
+ * @param {string} symbol - Token symbol (any case)
+ * @param {Object} registry - Token registry
+ * @returns {string|null} Stablecoin symbol (e.g. 'USDbC') or null
+ */
+export function getStablecoinForSymbol(symbol, registry = getTokenRegistry()) {
+  if (!symbol) return null;
+  const { stablecoins } = registry.symbolPatterns;
+  const canonical = candidate => stablecoins.find(stable => stable.toUpperCase() === candidate.toUpperCase()) || null;
+
+  const match = symbol.match(buildYieldBearingPattern(registry));
+  return canonical(symbol) || (match ? canonical(match[2]) : null);
+}
+
+/**
+ * Get the stablecoin a registered token is or wraps
+ * @param {string} address - Token address (any case)
+ * @param {Object} registry - Token registry
+ * @param {string} chain - DeFiLlama chain name (null matches any chain)
+ * @returns {string|null} Stablecoin symbol, or null for unknown and non-stable tokens
+ */
+export function getUnderlyingAsset(address, registry = getTokenRegistry(), chain = null) {
+  const token = findTokenByAddress(address, registry, chain);
+  if (!token) return null;
+  if (token.kind === 'stablecoin') return token.symbol;
+  return token.kind === 'yield-bearing' ? token.underlying : null;
+}
+
+/**
+ * Build a symbol -> address map for a chain
+ * @param {Object} filter - Token filter (chain is required)
+ * @param {Object} registry - Token registry
+ * @returns {Object} Map of symbol to address
+ */
+export function buildSymbolAddressMap(filter, registry = getTokenRegistry()) {
+  return Object.fromEntries(
+    getTokens(filter, registry).map(token => [token.symbol, token.address])
+  );
+}
+
+/**
+ * Build the project -> { underlying symbol: address } map of DEX-swappable yield tokens
+ * This is the shape defillama.js and balances.js have always used.
+ * @param {string} chain - DeFiLlama chain name
+ * @param {Object} registry - Token registry
+ * @returns {Object} Map of protocol to underlying symbol to token address
+ */
+export function buildTokenAddressMap(chain, registry = getTokenRegistry()) {
+  const map = {};
+  for (const token of getTokens({ chain, kind: 'yield-bearing', swappability: 'dex' }, registry)) {
+    map[token.protocol] = map[token.protocol] || {};
+    map[token.protocol][token.underlying] = token.address;
+  }
+  return map;
+}
+
+/**
+ * Build the regex that recognises yield-bearing stablecoin symbols (aUSDC, mDAI, aBasUSDC...)
+ * @param {Object} registry - Token registry
+ * @returns {RegExp} Case-insensitive pattern anchored at the start of the symbol
+ */
+export function buildYieldBearingPattern(registry = getTokenRegistry()) {
+  const { yieldBearingPrefixes, stablecoins } = registry.symbolPatterns;
+  return new RegExp(`^(${yieldBearingPrefixes.join('|')})(${stablecoins.join('|')})`, 'i');
+}
+
+export default {
+  validateTokenRegistry,
+  loadTokenRegistry,
+  getTokenRegistry,
+  getTokens,
+  findTokenByAddress,
+  getStablecoinForSymbol,
+  getUnderlyingAsset,
+  buildSymbolAddressMap,
+  buildTokenAddressMap,
+  buildYieldBearingPattern,
+};
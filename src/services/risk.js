@@ -0,0 +1,275 @@
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_POLICY_PATH = fileURLToPath(new URL('../data/risk-policy.json', import.meta.url));
+
+// Supported risk policy file format version
+export const RISK_POLICY_VERSION = 1;
+
+export const PROTOCOL_STATUSES = ['allow', 'deny'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Policy loaded from config.riskPolicyPath on first use
+let policyInstance = null;
+
+/**
+ * Validate one protocol entry of the policy
+ * @param {string} name - DeFiLlama project name
+ * @param {Object} entry - Protocol entry
+ * @returns {Array<string>} Validation errors
+ */
+function validateProtocolEntry(name, entry) {
+  const errors = [];
+  const label = `protocols.${name}`;
+
+  if (!entry || typeof entry !== 'object') {
+    return [`${label}: entry must be an object`];
+  }
+  if (!PROTOCOL_STATUSES.includes(entry.status)) {
+    errors.push(`${label}: status must be one of ${PROTOCOL_STATUSES.join(', ')}`);
+  }
+  if (entry.status === 'allow') {
+    if (!Number.isInteger(entry.tier) || entry.tier < 1) {
+      errors.push(`${label}: allowed protocols need an integer tier >= 1`);
+    }
+    if (Number.isNaN(Date.parse(entry.launchedAt))) {
+      errors.push(`${label}: allowed protocols need a launchedAt date`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a risk policy against the policy schema
+ * @param {Object} policy - Parsed policy file
+ * @returns {Object} Validation result ({ valid, errors })
+ */
+export function validateRiskPolicy(policy) {
+  const errors = [];
+
+  if (!policy || typeof policy !== 'object') {
+    return { valid: false, errors: ['Risk policy must be an object'] };
+  }
+
+  if (policy.version !== RISK_POLICY_VERSION) {
+    errors.push(`Unsupported risk policy version ${policy.version} (expected ${RISK_POLICY_VERSION})`);
+  }
+  if (!PROTOCOL_STATUSES.includes(policy.defaultAction)) {
+    errors.push(`defaultAction must be one of ${PROTOCOL_STATUSES.join(', ')}`);
+  }
+  if (!Number.isInteger(policy.maxTier) || policy.maxTier < 1) {
+    errors.push('maxTier must be an integer >= 1');
+  }
+  for (const field of ['minProtocolAgeDays', 'minProtocolTvlUsd']) {
+    if (typeof policy[field] !== 'number' || policy[field] < 0) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+
+  const pool = policy.pool;
+  if (!Array.isArray(pool?.allowedIlRisk) || !Array.isArray(pool?.allowedExposure)) {
+    errors.push('pool.allowedIlRisk and pool.allowedExposure must be arrays');
+  }
+  if (typeof pool?.rejectOutliers !== 'boolean') {
+    errors.push('pool.rejectOutliers must be a boolean');
+  }
+  if (typeof pool?.rejectPredictedDown?.enabled !== 'boolean') {
+    errors.push('pool.rejectPredictedDown.enabled must be a boolean');
+  }
+
+  if (!policy.protocols || typeof policy.protocols !== 'object') {
+    errors.push('protocols must be an object keyed by DeFiLlama project');
+  } else {
+    for (const [name, entry] of Object.entries(policy.protocols)) {
+      errors.push(...validateProtocolEntry(name, entry));
+    }
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Load and validate a risk policy file
+ * @param {string} file - Path to the policy JSON file
+ * @returns {Object} Validated policy
+ * @throws {Error} If the file cannot be read or fails validation
+ */
+export function loadRiskPolicy(file = config.riskPolicyPath || DEFAULT_POLICY_PATH) {
+  const policy = JSON.parse(readFileSync(file, 'utf-8'));
+  const validation = validateRiskPolicy(policy);
+
+  if (!validation.valid) {
+    throw new Error(`Invalid risk policy ${file}: ${validation.errors.join('; ')}`);
+  }
+
+  logger.debug(`Loaded risk policy v${policy.version} from ${file} (${Object.keys(policy.protocols).length} protocols)`);
+  return policy;
+}
+
+/**
+ * Get the shared risk policy, loading it on first use
+ * @returns {Object} Validated policy
+ */
+export function getRiskPolicy() {
+  if (!policyInstance) {
+    policyInstance = loadRiskPolicy();
+  }
+  return policyInstance;
+}
+
+/**
+ * Describe who approved the policy, for startup logs
+ * @param {Object} policy - Risk policy
+ * @returns {string|null} Approval description, or null if the policy is unapproved
+ */
+export function describeApproval(policy = getRiskPolicy()) {
+  const { approvedBy, approvedAt } = policy.approval || {};
+  return approvedBy && approvedAt ? `approved by ${approvedBy} on ${approvedAt}` : null;
+}
+
+/**
+ * Refuse live execution under a policy the treasury committee hasn't signed off
+ * Dry runs and plans only report what would happen, so they may use a draft policy.
+ * @param {Object} policy - Risk policy
+ * @param {Object} options - Options
+ * @param {boolean} options.live - Whether swaps will be executed
+ * @throws {Error} If swaps would be executed and approval.approvedBy/approvedAt are not both set
+ */
+export function assertPolicyApproved(policy = getRiskPolicy(), { live = !config.dryRun } = {}) {
+  if (live && !describeApproval(policy)) {
+    throw new Error('Risk policy has not been approved by the treasury committee - fill in approval.approvedBy/approvedAt before executing swaps (dry runs and plans are allowed)');
+  }
+}
+
+/**
+ * Sum TVL per DeFiLlama project across all chains
+ * Pass the unfiltered /pools payload to get each protocol's full TVL.
+ * @param {Array} pools - DeFiLlama pools
+ * @returns {Object} Map of project to TVL in USD
+ */
+export function buildProtocolTvl(pools) {
+  const tvl = {};
+  for (const pool of pools || []) {
+    if (!pool.project) continue;
+    tvl[pool.project] = (tvl[pool.project] || 0) + (pool.tvlUsd || 0);
+  }
+  return tvl;
+}
+
+/**
+ * Get the risk tier of a protocol (1 = lowest risk)
+ * @param {string} project - DeFiLlama project name
+ * @param {Object} policy - Risk policy
+ * @returns {number|null} Tier, or null if the protocol is not allowed by name
+ */
+export function getProtocolTier(project, policy = getRiskPolicy()) {
+  const entry = policy.protocols[project];
+  return entry?.status === 'allow' ? entry.tier : null;
+}
+
+/**
+ * Check a protocol against the allow/deny list, tier, age and TVL rules
+ * @param {string} project - DeFiLlama project name
+ * @param {Object} policy - Risk policy
+ * @param {Object} context - Evaluation context
+ * @param {Object} context.protocolTvl - Map of project to TVL (from buildProtocolTvl)
+ * @param {number} context.now - Current time in ms
+ * @returns {Array<string>} Reasons the protocol is rejected (empty when allowed)
+ */
+export function evaluateProtocol(project, policy = getRiskPolicy(), { protocolTvl = {}, now = Date.now() } = {}) {
+  const entry = policy.protocols[project];
+
+  if (entry?.status === 'deny') {
+    return [`protocol ${project} is denied`];
+  }
+  if (!entry) {
+    return policy.defaultAction === 'deny' ? [`protocol ${project} is not on the allow list`] : [];
+  }
+
+  const reasons = [];
+  if (entry.tier > policy.maxTier) {
+    reasons.push(`protocol ${project} is tier ${entry.tier} (max ${policy.maxTier})`);
+  }
+
+  const ageDays = (now - Date.parse(entry.launchedAt)) / DAY_MS;
+  if (ageDays < policy.minProtocolAgeDays) {
+    reasons.push(`protocol ${project} is ${Math.floor(ageDays)} days old (min ${policy.minProtocolAgeDays})`);
+  }
+
+  const tvl = protocolTvl[project] || 0;
+  if (tvl < policy.minProtocolTvlUsd) {
+    reasons.push(`protocol ${project} TVL $${Math.round(tvl).toLocaleString()} is below $${policy.minProtocolTvlUsd.toLocaleString()}`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Check a pool's DeFiLlama risk fields (ilRisk, exposure, outlier, predictions)
+ * @param {Object} pool - Raw DeFiLlama pool
+ * @param {Object} policy - Risk policy
+ * @returns {Array<string>} Reasons the pool is rejected (empty when allowed)
+ */
+export function evaluatePoolFields(pool, policy = getRiskPolicy()) {
+  const rules = policy.pool;
+  const reasons = [];
+
+  if (pool.ilRisk != null && !rules.allowedIlRisk.includes(pool.ilRisk)) {
+    reasons.push(`ilRisk is ${pool.ilRisk}`);
+  }
+  if (pool.exposure != null && !rules.allowedExposure.includes(pool.exposure)) {
+    reasons.push(`exposure is ${pool.exposure}`);
+  }
+  if (rules.rejectOutliers && pool.outlier === true) {
+    reasons.push('DeFiLlama marks the pool as an outlier');
+  }
+
+  const prediction = pool.predictions;
+  const downRule = rules.rejectPredictedDown;
+  if (downRule.enabled && prediction?.predictedClass === 'Down' &&
+      (prediction.binnedConfidence ?? 0) >= (downRule.minConfidence ?? 1)) {
+    reasons.push(`APY predicted to fall (confidence ${prediction.binnedConfidence})`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Evaluate a pool against the full risk policy
+ * @param {Object} pool - Raw DeFiLlama pool
+ * @param {Object} policy - Risk policy
+ * @param {Object} context - Evaluation context ({ protocolTvl, now })
+ * @returns {Object} { allowed, tier, reasons }
+ */
+export function evaluatePool(pool, policy = getRiskPolicy(), context = {}) {
+  const reasons = [
+    ...evaluateProtocol(pool.project, policy, context),
+    ...evaluatePoolFields(pool, policy),
+  ];
+
+  return {
+    allowed: reasons.length === 0,
+    tier: getProtocolTier(pool.project, policy),
+    reasons,
+  };
+}
+
+export default {
+  validateRiskPolicy,
+  loadRiskPolicy,
+  getRiskPolicy,
+  describeApproval,
+  assertPolicyApproved,
+  buildProtocolTvl,
+  getProtocolTier,
+  evaluateProtocol,
+  evaluatePoolFields,
+  evaluatePool,
+};
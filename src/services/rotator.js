@@ -1,74 +1,229 @@
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { getPositionEntry, getExitRule } from './ledger.js';
+import { getTokenRegistry, getUnderlyingAsset, getStablecoinForSymbol } from './registry.js';
+
+/**
+ * Get the yield score used for rotation decisions
+ * Pools and holdings scored by defillama.scorePool() carry a score; anything
+ * without one falls back to its headline APY.
+ * @param {Object} pool - Pool summary from defillama.js
+ * @returns {number} Yield score (percentage)
+ */
+export function getPoolScore(pool) {
+  return pool.score ?? pool.apy ?? 0;
+}
+
+/**
+ * Get the yield score of a holding's current position
+ * @param {Object} holding - Holding enriched by getCurrentHoldingApy()
+ * @returns {number} Yield score (percentage)
+ */
+export function getHoldingScore(holding) {
+  return holding.currentScore ?? holding.currentApy ?? 0;
+}
 
 /**
  * Determine if a rotation should occur based on APY improvement
- * @param {number} currentApy - Current token APY
- * @param {number} bestApy - Best available APY
+ * @param {number} currentApy - Current token APY (or yield score)
+ * @param {number} bestApy - Best available APY (or yield score)
+ * @param {number} threshold - Required improvement (defaults to MIN_APY_IMPROVEMENT)
  * @returns {boolean} True if rotation is recommended
  */
-export function shouldRotate(currentApy, bestApy) {
+export function shouldRotate(currentApy, bestApy, threshold = config.minApyImprovement) {
   const improvement = bestApy - currentApy;
-  const shouldSwap = improvement >= config.minApyImprovement;
+  const shouldSwap = improvement >= threshold;
 
-  logger.debug(`APY comparison: current=${currentApy?.toFixed(2)}%, best=${bestApy?.toFixed(2)}%, improvement=${improvement?.toFixed(2)}%, threshold=${config.minApyImprovement}%`);
+  logger.debug(`APY comparison: current=${currentApy?.toFixed(2)}%, best=${bestApy?.toFixed(2)}%, improvement=${improvement?.toFixed(2)}%, threshold=${threshold}%`);
 
   return shouldSwap;
 }
 
+/**
+ * Get the stablecoin a pool is denominated in, from the pool's underlyingTokens
+ * Pools without underlyingTokens fall back to their registry token, then their symbol.
+ * @param {Object} pool - Pool summary from defillama.js
+ * @param {Object} registry - Token registry
+ * @returns {string|null} Stablecoin symbol, or null for multi-asset and unknown pools
+ */
+export function getPoolAsset(pool, registry = getTokenRegistry()) {
+  const assets = new Set((pool.underlyingTokens || []).map(
+    address => getUnderlyingAsset(address, registry, pool.chain) || address.toLowerCase()
+  ));
+
+  if (assets.size > 0) {
+    const [asset] = assets;
+    return assets.size === 1 && !asset.startsWith('0x') ? asset : null;
+  }
+  return getUnderlyingAsset(pool.tokenAddress, registry, pool.chain) || getStablecoinForSymbol(pool.symbol, registry);
+}
+
+/**
+ * Get the stablecoin a holding is denominated in
+ * @param {Object} holding - Holding enriched by getCurrentHoldingApy()
+ * @param {Object} registry - Token registry
+ * @returns {string|null} Stablecoin symbol or null if unknown
+ */
+export function getHoldingAsset(holding, registry = getTokenRegistry()) {
+  return getUnderlyingAsset(holding.address, registry, holding.pool?.chain)
+    || (holding.pool ? getPoolAsset(holding.pool, registry) : null)
+    || getStablecoinForSymbol(holding.symbol, registry);
+}
+
+/**
+ * Pick the best pool for each underlying asset
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} registry - Token registry
+ * @returns {Map} Asset (or null for unknown) -> first pool of that asset
+ */
+export function getBestPoolsByAsset(pools, registry = getTokenRegistry()) {
+  const best = new Map();
+  for (const pool of pools) {
+    const asset = getPoolAsset(pool, registry);
+    if (!best.has(asset)) {
+      best.set(asset, pool);
+    }
+  }
+  return best;
+}
+
+/**
+ * Choose where one holding should go
+ * The best pool of the holding's own asset must clear the normal threshold. A pool
+ * of another asset must beat both the current position and that same-asset option
+ * by the cross-asset threshold, since the APY comparison doesn't price depeg risk
+ * or the cost of crossing. Holdings of unknown asset compare against the overall best pool.
+ * @param {number} currentScore - Score of the current position
+ * @param {string|null} asset - Asset of the holding
+ * @param {Map} bestByAsset - From getBestPoolsByAsset()
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} thresholds - { sameAsset, crossAsset } required improvements
+ * @returns {Object|null} { pool, score, crossAsset } or null to stay put
+ */
+function chooseTarget(currentScore, asset, bestByAsset, pools, thresholds) {
+  if (!asset) {
+    const score = getPoolScore(pools[0]);
+    return shouldRotate(currentScore, score, thresholds.sameAsset) ? { pool: pools[0], score, crossAsset: false } : null;
+  }
+
+  const sameAssetPool = bestByAsset.get(asset) || null;
+  const sameAssetScore = sameAssetPool ? getPoolScore(sameAssetPool) : null;
+
+  const crossAssetPool = [...bestByAsset.entries()].find(([poolAsset]) => poolAsset !== asset)?.[1] || null;
+  if (crossAssetPool) {
+    const score = getPoolScore(crossAssetPool);
+    const baseline = Math.max(currentScore, sameAssetScore ?? currentScore);
+    if (shouldRotate(baseline, score, thresholds.crossAsset)) {
+      return { pool: crossAssetPool, score, crossAsset: true };
+    }
+  }
+
+  if (sameAssetPool && shouldRotate(currentScore, sameAssetScore, thresholds.sameAsset)) {
+    return { pool: sameAssetPool, score: sameAssetScore, crossAsset: false };
+  }
+  return null;
+}
+
 /**
  * Calculate recommended rotations for all users
+ * Each holding is compared with the best pool of its own underlying asset (USDC,
+ * DAI, USDbC); moving into another asset needs CROSS_ASSET_MIN_APY_IMPROVEMENT.
+ * Positions a member entered recently (per the rotation ledger) are held for the
+ * minimum holding period and then need the hysteresis band on top of the threshold.
  * @param {Array} users - Users with enriched holding data
- * @param {Object} bestPool - Best yielding pool from DeFiLlama
+ * @param {Array|Object} pools - Candidate pools in preference order (a single pool is the only candidate)
+ * @param {Object} options - Options
+ * @param {Object} options.ledger - Rotation ledger from ledger.loadLedger() (no churn control without one)
+ * @param {number} options.now - Current time in ms
+ * @param {Object} options.registry - Token registry used to resolve underlying assets
+ * @param {number} options.minApyImprovement - Threshold for a pool of the same asset
+ * @param {number} options.crossAssetMinApyImprovement - Threshold for crossing to another asset
  * @returns {Array} Array of recommended rotation actions
  */
-export function calculateRotations(users, bestPool) {
-  if (!bestPool) {
+export function calculateRotations(users, pools, {
+  ledger = null,
+  now = Date.now(),
+  registry = getTokenRegistry(),
+  minApyImprovement = config.minApyImprovement,
+  crossAssetMinApyImprovement = config.crossAssetMinApyImprovement,
+} = {}) {
+  const candidates = (Array.isArray(pools) ? pools : [pools]).filter(Boolean);
+  if (candidates.length === 0) {
     logger.warn('No best pool available for rotation calculation');
     return [];
   }
 
   const rotations = [];
+  const bestByAsset = getBestPoolsByAsset(candidates, registry);
+  bestByAsset.forEach((pool, asset) => {
+    logger.debug(`Best ${asset ?? 'multi-asset'} target: ${pool.symbol} (${pool.project}) at ${getPoolScore(pool).toFixed(2)}%`);
+  });
 
   for (const user of users) {
     for (const holding of user.yieldBearingHoldings || []) {
-      // Skip if user is already in the best yielding pool (same project + similar APY)
-      // Don't skip just because symbols match - plain USDC != yield-bearing USDC
-      const isInBestPool = holding.matchedProject === bestPool.project &&
-                           Math.abs((holding.currentApy || 0) - bestPool.apy) < 0.1;
+      const currentScore = getHoldingScore(holding);
+      const asset = getHoldingAsset(holding, registry);
 
-      if (isInBestPool) {
-        logger.debug(`User ${user.address} already in best pool ${bestPool.project} at ${holding.currentApy?.toFixed(2)}% APY`);
+      const entry = getPositionEntry(ledger, user, holding.address);
+      const exit = getExitRule(entry, { now, minApyImprovement });
+      if (exit.locked) {
+        logger.debug(`Holding ${holding.symbol} for ${user.address}: entered ${exit.heldDays.toFixed(1)} days ago, minimum is ${config.churn.minHoldingDays}`);
         continue;
       }
 
-      // Check if rotation is beneficial
-      if (shouldRotate(holding.currentApy, bestPool.apy)) {
-        const rotation = {
-          userAddress: user.address,
-          membershipId: user.membershipId, // Include membership ID for targeted swap
-          fromToken: {
-            symbol: holding.symbol,
-            address: holding.address,
-            balance: holding.balance,
-            balanceUsd: holding.balanceUsd,
-            currentApy: holding.currentApy,
-          },
-          toToken: {
-            symbol: bestPool.symbol,
-            address: bestPool.tokenAddress,
-            project: bestPool.project,
-            targetApy: bestPool.apy,
-          },
-          apyImprovement: bestPool.apy - holding.currentApy,
-          estimatedAnnualGainUsd: (holding.balanceUsd * (bestPool.apy - holding.currentApy)) / 100,
-        };
-
-        rotations.push(rotation);
-        logger.info(`Rotation recommended for ${user.address}: ${holding.symbol} -> ${bestPool.symbol} (+${rotation.apyImprovement.toFixed(2)}% APY)`);
-      } else {
+      const thresholds = {
+        sameAsset: exit.threshold,
+        crossAsset: getExitRule(entry, { now, minApyImprovement: crossAssetMinApyImprovement }).threshold,
+      };
+      const target = chooseTarget(currentScore, asset, bestByAsset, candidates, thresholds);
+
+      if (!target) {
         logger.debug(`No rotation needed for ${user.address} holding ${holding.symbol} (improvement below threshold)`);
+        continue;
       }
+
+      // Skip if user is already in the best yielding pool (same project + similar score)
+      // Don't skip just because symbols match - plain USDC != yield-bearing USDC
+      const isInBestPool = holding.matchedProject === target.pool.project &&
+                           Math.abs(currentScore - target.score) < 0.1;
+
+      if (isInBestPool) {
+        logger.debug(`User ${user.address} already in best pool ${target.pool.project} at ${currentScore.toFixed(2)}% score`);
+        continue;
+      }
+
+      const rotation = {
+        userAddress: user.address,
+        membershipId: user.membershipId, // Include membership ID for targeted swap
+        fromToken: {
+          symbol: holding.symbol,
+          address: holding.address,
+          balance: holding.balance,
+          balanceRaw: holding.balanceRaw,
+          balanceUsd: holding.balanceUsd,
+          currentApy: holding.currentApy,
+          currentScore,
+          asset,
+        },
+        toToken: {
+          symbol: target.pool.symbol,
+          address: target.pool.tokenAddress,
+          project: target.pool.project,
+          pool: target.pool.pool,
+          targetApy: target.pool.apy,
+          targetScore: target.score,
+          scoreBreakdown: target.pool.scoreBreakdown || null,
+          asset: getPoolAsset(target.pool, registry),
+        },
+        crossAsset: target.crossAsset,
+        requiredImprovement: target.crossAsset ? thresholds.crossAsset : thresholds.sameAsset,
+        apyImprovement: target.score - currentScore,
+        estimatedAnnualGainUsd: (holding.balanceUsd * (target.score - currentScore)) / 100,
+      };
+
+      rotations.push(rotation);
+      const crossing = target.crossAsset ? ` [${asset} -> ${rotation.toToken.asset ?? 'other asset'}]` : '';
+      logger.info(`Rotation recommended for ${user.address}: ${holding.symbol} -> ${target.pool.symbol} (+${rotation.apyImprovement.toFixed(2)}% score, ${currentScore.toFixed(2)}% -> ${target.score.toFixed(2)}%)${crossing}`);
     }
   }
 
@@ -94,7 +249,7 @@ export function getRotationSummary(rotations) {
   return {
     totalRotations: rotations.length,
     uniqueUsers: new Set(rotations.map(r => r.userAddress)).size,
-    totalValueToRotate: rotations.reduce((sum, r) => sum + r.fromToken.balanceUsd, 0),
+    totalValueToRotate: rotations.reduce((sum, r) => sum + (r.amountUsd ?? r.fromToken.balanceUsd), 0),
     totalEstimatedAnnualGain: rotations.reduce((sum, r) => sum + r.estimatedAnnualGainUsd, 0),
     averageApyImprovement: rotations.length > 0
       ? rotations.reduce((sum, r) => sum + r.apyImprovement, 0) / rotations.length
@@ -103,7 +258,12 @@ export function getRotationSummary(rotations) {
 }
 
 export default {
+  getPoolScore,
+  getHoldingScore,
   shouldRotate,
+  getPoolAsset,
+  getHoldingAsset,
+  getBestPoolsByAsset,
   calculateRotations,
   prioritizeRotations,
   getRotationSummary,
@@ -0,0 +1,298 @@
+import { config } from '../config.js';
+import { findTokenByAddress, getTokenRegistry, getTokens } from './registry.js';
+import { hasProtocolAdapter } from './adapters.js';
+import { ERROR_KINDS, getErrorKind, isTemporaryKind } from './errors.js';
+
+// Paths previewed per token pair this run: `${chainKey}:${from}:${to}` -> { best, path, working, failing }
+const learnedRoutes = new Map();
+
+/**
+ * Describe one leg of a path
+ * @param {Object} leg - { kind: 'swap'|'deposit'|'withdraw', from, to }
+ * @returns {string} e.g. "mDAI -withdraw-> DAI"
+ */
+export function getLegKey(leg) {
+  return `${leg.from.symbol} -${leg.kind}-> ${leg.to.symbol}`;
+}
+
+/**
+ * Describe a whole path
+ * @param {Array} path - Legs in execution order
+ * @returns {string} e.g. "mDAI -withdraw-> DAI -swap-> USDC"
+ */
+export function getPathKey(path) {
+  return [path[0].from.symbol, ...path.map(leg => `-${leg.kind}-> ${leg.to.symbol}`)].join(' ');
+}
+
+/**
+ * Turn a withdraw or deposit leg into a protocol route for adapters.js
+ * @param {Object} leg - { kind: 'deposit'|'withdraw', from, to }
+ * @returns {Object} { action, token, underlying }
+ */
+export function getLegRoute(leg) {
+  return leg.kind === 'deposit'
+    ? { action: 'deposit', token: leg.to, underlying: leg.from }
+    : { action: 'withdraw', token: leg.from, underlying: leg.to };
+}
+
+/**
+ * Check whether two token references are the same token
+ * @param {Object} a - Token with address
+ * @param {Object} b - Token with address
+ * @returns {boolean} True if the addresses match
+ */
+function isSameToken(a, b) {
+  return a.address.toLowerCase() === b.address.toLowerCase();
+}
+
+/**
+ * Find the registry entry of a yield-bearing token's underlying asset
+ * @param {Object} token - Registry entry
+ * @param {Object} registry - Token registry
+ * @returns {Object|null} Underlying registry entry, or null if it can't be left through an adapter
+ */
+function getAdapterUnderlying(token, registry) {
+  if (token.kind !== 'yield-bearing' || !hasProtocolAdapter(token)) {
+    return null;
+  }
+  return getTokens({ chain: token.chain, symbol: token.underlying }, registry)[0] || null;
+}
+
+/**
+ * Ways out of the sold token: sell it as it is, or withdraw its underlying
+ * @param {Object} token - Sold token
+ * @param {Object} registry - Token registry
+ * @returns {Array} [{ token (held after the exit), legs }]
+ */
+function getExits(token, registry) {
+  const exits = token.swappability === 'deposit-only' ? [] : [{ token, legs: [] }];
+  const underlying = getAdapterUnderlying(token, registry);
+  if (underlying) {
+    exits.push({ token: underlying, legs: [{ kind: 'withdraw', from: token, to: underlying }] });
+  }
+  return exits;
+}
+
+/**
+ * Ways into the bought token: buy it as it is, or deposit its underlying
+ * @param {Object} token - Bought token
+ * @param {Object} registry - Token registry
+ * @returns {Array} [{ token (needed before the entry), legs }]
+ */
+function getEntries(token, registry) {
+  const entries = token.swappability === 'deposit-only' ? [] : [{ token, legs: [] }];
+  const underlying = getAdapterUnderlying(token, registry);
+  if (underlying) {
+    entries.push({ token: underlying, legs: [{ kind: 'deposit', from: underlying, to: token }] });
+  }
+  return entries;
+}
+
+/**
+ * DEX legs between two tokens: none, a direct swap, or a swap through each hub
+ * @param {Object} from - Token held
+ * @param {Object} to - Token needed
+ * @param {Array} hubs - Hub registry entries
+ * @returns {Array} Leg lists
+ */
+function getSwapLegs(from, to, hubs) {
+  if (isSameToken(from, to)) {
+    return [[]];
+  }
+  const options = [[{ kind: 'swap', from, to }]];
+  for (const hub of hubs) {
+    if (!isSameToken(hub, from) && !isSameToken(hub, to)) {
+      options.push([{ kind: 'swap', from, to: hub }, { kind: 'swap', from: hub, to }]);
+    }
+  }
+  return options;
+}
+
+/**
+ * Build every path from one token to another, shortest first
+ * A path leaves the sold token directly or by withdrawing its underlying, swaps
+ * directly or through a hub, and enters the bought token directly or by depositing
+ * its underlying. Withdrawals and deposits need a protocol adapter (adapters.js);
+ * deposit-only tokens are only ever withdrawn from and deposited into.
+ * @param {Object} fromToken - Token sold ({ symbol, address })
+ * @param {Object} toToken - Token bought ({ symbol, address })
+ * @param {Object} options - Options
+ * @param {Object} options.registry - Token registry
+ * @param {string} options.chain - DeFiLlama chain name of the tokens and hubs
+ * @param {Array<string>} options.hubs - Hub token symbols
+ * @param {number} options.maxLegs - Longest path considered
+ * @returns {Array} Paths (arrays of { kind, from, to } legs)
+ */
+export function buildCandidatePaths(fromToken, toToken, {
+  registry = getTokenRegistry(),
+  chain = config.chain,
+  hubs = config.routing.hubs,
+  maxLegs = config.routing.maxLegs,
+} = {}) {
+  const from = findTokenByAddress(fromToken.address, registry, chain) || fromToken;
+  const to = findTokenByAddress(toToken.address, registry, chain) || toToken;
+  const hubTokens = hubs.map(symbol => getTokens({ chain, symbol }, registry)[0]).filter(Boolean);
+
+  const paths = new Map();
+  for (const exit of getExits(from, registry)) {
+    for (const entry of getEntries(to, registry)) {
+      for (const swaps of getSwapLegs(exit.token, entry.token, hubTokens)) {
+        const path = [...exit.legs, ...swaps, ...entry.legs];
+        if (path.length > 0 && path.length <= maxLegs && !paths.has(getPathKey(path))) {
+          paths.set(getPathKey(path), path);
+        }
+      }
+    }
+  }
+
+  return [...paths.values()].sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Preview a path leg by leg, feeding each leg the previous leg's output
+ * @param {Array} path - Legs in execution order
+ * @param {Function} previewLeg - async (leg, index, amountIn) => SDK-shaped preview
+ *   (amountIn is null for the first leg, else the raw amount the previous leg delivers)
+ * @returns {Promise<Object>} { path, key, legs (with sellAmount/buyAmount), sellAmount, buyAmount, error,
+ *   errorKind (one of ERROR_KINDS in errors.js, null without error) }
+ */
+export async function previewPath(path, previewLeg) {
+  const key = getPathKey(path);
+  const legs = [];
+  let amountIn = null;
+
+  for (const [index, leg] of path.entries()) {
+    const fail = (reason, errorKind) => ({ path, key, legs, sellAmount: null, buyAmount: null, error: `${getLegKey(leg)}: ${reason}`, errorKind });
+
+    let preview;
+    try {
+      preview = await previewLeg(leg, index, amountIn);
+    } catch (error) {
+      return fail(error.message, getErrorKind(error));
+    }
+    if (preview.errors?.length > 0) {
+      const reason = preview.errors.map(e => e.message).join(', ');
+      return fail(reason, getErrorKind(reason));
+    }
+    if (!preview.totalBuyAmount || BigInt(preview.totalBuyAmount) <= 0n) {
+      return fail('no output', ERROR_KINDS.NO_ROUTE);
+    }
+
+    legs.push({ ...leg, sellAmount: preview.totalSellAmount, buyAmount: preview.totalBuyAmount, members: preview.members || [] });
+    amountIn = BigInt(preview.totalBuyAmount);
+  }
+
+  return { path, key, legs, sellAmount: legs[0].sellAmount, buyAmount: legs[legs.length - 1].buyAmount, error: null, errorKind: null };
+}
+
+/**
+ * Check whether a failed preview says nothing about its path
+ * Network failures and rate limits may be gone on the next try.
+ * @param {Object} preview - Result of previewPath()
+ * @returns {boolean} True if the preview failed for a transient reason
+ */
+export function isInconclusive(preview) {
+  return isTemporaryKind(preview.errorKind);
+}
+
+/**
+ * Pick the path that delivers the most of the bought token
+ * Ties go to the path with fewer legs.
+ * @param {Array} previews - Results of previewPath()
+ * @returns {Object|null} Best preview, or null if no path worked
+ */
+export function selectBestPath(previews) {
+  const working = previews.filter(preview => !preview.error);
+  working.sort((a, b) => {
+    const difference = BigInt(b.buyAmount) - BigInt(a.buyAmount);
+    return difference !== 0n ? (difference > 0n ? 1 : -1) : a.path.length - b.path.length;
+  });
+  return working[0] || null;
+}
+
+/**
+ * Get the learned-route key of a token pair
+ * @param {string} chainKey - Chain profile key
+ * @param {string} fromAddress - Token sold
+ * @param {string} toAddress - Token bought
+ * @returns {string} Map key
+ */
+function getPairKey(chainKey, fromAddress, toAddress) {
+  return `${chainKey}:${fromAddress.toLowerCase()}:${toAddress.toLowerCase()}`;
+}
+
+/**
+ * Remember which paths of a pair previewed and which failed
+ * Previews that failed for a transient reason are not remembered either way.
+ * @param {string} chainKey - Chain profile key
+ * @param {string} fromAddress - Token sold
+ * @param {string} toAddress - Token bought
+ * @param {Array} previews - Results of previewPath()
+ * @returns {Object} Learned route ({ best, path, working, failing })
+ */
+export function recordRoutePreviews(chainKey, fromAddress, toAddress, previews) {
+  const pairKey = getPairKey(chainKey, fromAddress, toAddress);
+  const learned = learnedRoutes.get(pairKey) || { best: null, path: null, working: new Set(), failing: new Set() };
+
+  for (const preview of previews) {
+    if (isInconclusive(preview)) continue;
+    learned.working.delete(preview.key);
+    learned.failing.delete(preview.key);
+    (preview.error ? learned.failing : learned.working).add(preview.key);
+  }
+  const best = selectBestPath(previews);
+  if (best || !previews.every(isInconclusive)) {
+    learned.best = best?.key ?? null;
+    learned.path = best?.path ?? null;
+  }
+
+  learnedRoutes.set(pairKey, learned);
+  return learned;
+}
+
+/**
+ * Get what was learned about a pair's paths this run
+ * @param {string} chainKey - Chain profile key
+ * @param {string} fromAddress - Token sold
+ * @param {string} toAddress - Token bought
+ * @returns {Object|null} { best (path key or null), path (legs of best), working, failing } or null if never previewed
+ */
+export function getLearnedRoute(chainKey, fromAddress, toAddress) {
+  return learnedRoutes.get(getPairKey(chainKey, fromAddress, toAddress)) || null;
+}
+
+/**
+ * Forget every learned route
+ */
+export function clearLearnedRoutes() {
+  learnedRoutes.clear();
+}
+
+/**
+ * Preview every candidate path and pick the best
+ * Paths are previewed one after another to keep the API request rate down.
+ * @param {Array} paths - Paths from buildCandidatePaths()
+ * @param {Function} previewLeg - See previewPath()
+ * @returns {Promise<Object>} { best (preview or null), previews }
+ */
+export async function findBestPath(paths, previewLeg) {
+  const previews = [];
+  for (const path of paths) {
+    previews.push(await previewPath(path, previewLeg));
+  }
+  return { best: selectBestPath(previews), previews };
+}
+
+export default {
+  getLegKey,
+  getPathKey,
+  getLegRoute,
+  buildCandidatePaths,
+  previewPath,
+  isInconclusive,
+  selectBestPath,
+  recordRoutePreviews,
+  getLearnedRoute,
+  clearLearnedRoutes,
+  findBestPath,
+};
@@ -0,0 +1,250 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { getPoolScore, getPoolAsset, shouldRotate } from './rotator.js';
+import { getTokenRegistry } from './registry.js';
+
+// Amounts below this are treated as zero
+const EPSILON = 1e-9;
+
+/**
+ * Get the USD amount a rotation moves
+ * @param {Object} rotation - Rotation
+ * @returns {number} Amount in USD
+ */
+function getRotationAmount(rotation) {
+  return rotation.amountUsd ?? rotation.fromToken.balanceUsd ?? 0;
+}
+
+/**
+ * Shrink a rotation to part of its amount
+ * @param {Object} rotation - Rotation to resize
+ * @param {number} fraction - Fraction of the rotation to keep (0-1)
+ * @returns {Object} Resized rotation
+ */
+function resizeRotation(rotation, fraction) {
+  const amountUsd = getRotationAmount(rotation) * fraction;
+  return {
+    ...rotation,
+    amountUsd,
+    sellShare: (rotation.sellShare ?? 1) * fraction,
+    estimatedAnnualGainUsd: (amountUsd * rotation.apyImprovement) / 100,
+  };
+}
+
+/**
+ * Point a rotation at another pool, keeping its source
+ * @param {Object} rotation - Rotation to redirect
+ * @param {Object} pool - New target pool
+ * @param {Object} registry - Token registry used to resolve the pool's asset
+ * @returns {Object} Redirected rotation
+ */
+function redirectRotation(rotation, pool, registry) {
+  const targetScore = getPoolScore(pool);
+  const apyImprovement = targetScore - rotation.fromToken.currentScore;
+  return {
+    ...rotation,
+    toToken: {
+      symbol: pool.symbol,
+      address: pool.tokenAddress,
+      project: pool.project,
+      pool: pool.pool,
+      targetApy: pool.apy,
+      targetScore,
+      scoreBreakdown: pool.scoreBreakdown || null,
+      asset: getPoolAsset(pool, registry),
+    },
+    apyImprovement,
+    estimatedAnnualGainUsd: (getRotationAmount(rotation) * apyImprovement) / 100,
+  };
+}
+
+/**
+ * Work out how much more the swarm may put into each pool
+ * Room is maxPoolTvlPct of the pool's TVL minus what members already hold in it.
+ * Pools without a known TVL are not limited.
+ * @param {Array} pools - Candidate pools
+ * @param {Array} members - Members with enriched yieldBearingHoldings
+ * @param {number} maxPoolTvlPct - Max share (%) of a pool's TVL held by the swarm
+ * @returns {Map} Pool id -> remaining room in USD
+ */
+export function getPoolCapacities(pools, members, maxPoolTvlPct = config.sizing.maxPoolTvlPct) {
+  const held = new Map();
+  for (const holding of members.flatMap(member => member.yieldBearingHoldings || [])) {
+    const poolId = holding.pool?.pool;
+    if (poolId) {
+      held.set(poolId, (held.get(poolId) || 0) + (holding.balanceUsd || 0));
+    }
+  }
+
+  return new Map(pools.map(pool => [
+    pool.pool,
+    pool.tvlUsd > 0 ? Math.max((pool.tvlUsd * maxPoolTvlPct) / 100 - (held.get(pool.pool) || 0), 0) : Infinity,
+  ]));
+}
+
+/**
+ * Keep the swarm under maxPoolTvlPct of each target pool's TVL
+ * Rotations are filled in priority order. What a full pool can't take goes to the
+ * next pool of the same asset that has room and still clears the threshold the
+ * rotation was planned with; anything left after that is carried to the next run.
+ * @param {Array} rotations - Rotations in priority order
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} options - Options
+ * @param {Array} options.members - Members with enriched holdings (existing positions count against the limit)
+ * @param {number} options.maxPoolTvlPct - Max share (%) of a pool's TVL held by the swarm
+ * @param {number} options.minBalanceUsd - Smallest leg worth making
+ * @param {Object} options.registry - Token registry used to resolve pool assets
+ * @returns {Object} { rotations, carried: [{ rotation, amountUsd, reason }] }
+ */
+export function applyTvlLimits(rotations, pools, {
+  members = [],
+  maxPoolTvlPct = config.sizing.maxPoolTvlPct,
+  minBalanceUsd = config.minBalanceUsd,
+  registry = getTokenRegistry(),
+} = {}) {
+  const capacities = getPoolCapacities(pools, members, maxPoolTvlPct);
+  const sized = [];
+  const carried = [];
+
+  const room = poolId => capacities.get(poolId) ?? Infinity;
+  const take = (poolId, amountUsd) => capacities.set(poolId, room(poolId) - amountUsd);
+
+  for (const rotation of rotations) {
+    const amountUsd = getRotationAmount(rotation);
+    if (amountUsd <= 0) {
+      sized.push(rotation);
+      continue;
+    }
+
+    let remaining = amountUsd;
+    const threshold = rotation.requiredImprovement
+      ?? (rotation.crossAsset ? config.crossAssetMinApyImprovement : config.minApyImprovement);
+    const alternatives = pools.filter(pool =>
+      pool.pool !== rotation.toToken.pool &&
+      pool.tokenAddress &&
+      getPoolAsset(pool, registry) === rotation.toToken.asset &&
+      (rotation.capEnforced || shouldRotate(rotation.fromToken.currentScore, getPoolScore(pool), threshold))
+    );
+    const targets = [{ pool: null, rotation }, ...alternatives.map(pool => ({ pool, rotation: redirectRotation(rotation, pool, registry) }))];
+
+    for (const target of targets) {
+      const poolId = target.rotation.toToken.pool;
+      const amount = Math.min(remaining, room(poolId));
+      // Partial legs below the minimum are not worth a swap
+      if (amount <= EPSILON || (amount < minBalanceUsd && amount < amountUsd - EPSILON)) {
+        continue;
+      }
+
+      sized.push(amount >= amountUsd - EPSILON ? target.rotation : resizeRotation(target.rotation, amount / amountUsd));
+      take(poolId, amount);
+      remaining -= amount;
+      if (target.pool) {
+        logger.info(`  ${rotation.userAddress}: $${amount.toFixed(2)} redirected from full ${rotation.toToken.symbol} (${rotation.toToken.project}) to ${target.pool.symbol} (${target.pool.project})`);
+      }
+      if (remaining <= EPSILON) break;
+    }
+
+    if (remaining > EPSILON) {
+      const reason = `target pools are at the ${maxPoolTvlPct}% TVL limit`;
+      logger.info(`  ${rotation.userAddress}: $${remaining.toFixed(2)} of ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol} carried to the next run (${reason})`);
+      carried.push({ rotation, amountUsd: remaining, reason });
+    }
+  }
+
+  return { rotations: sized, carried };
+}
+
+/**
+ * Get the worst price impact a preview reports across its members
+ * @param {Object} preview - SDK swap preview
+ * @returns {number|null} Price impact in percent, or null if the preview has none
+ */
+export function getPreviewPriceImpact(preview) {
+  const impacts = (preview.members || [])
+    .map(member => member.estimatedPriceImpact)
+    .filter(impact => impact !== undefined && impact !== null)
+    .map(Number);
+  return impacts.length > 0 ? Math.max(...impacts) : null;
+}
+
+/**
+ * Split rotations whose previewed price impact is too high into smaller chunks
+ * The chunk size is halved until its preview stays within maxPriceImpactPct. Up to
+ * maxChunks chunks are made this run; the rest of the position is carried to the
+ * next run. A rotation with no acceptable chunk above minBalanceUsd is carried whole.
+ * Previews without a price impact are accepted as they are.
+ * @param {Array} rotations - Rotations in priority order
+ * @param {Object} options - Options
+ * @param {Function} options.preview - async (rotation) => SDK swap preview
+ * @param {number} options.maxPriceImpactPct - Highest acceptable price impact (percent)
+ * @param {number} options.maxChunks - Most chunks of one rotation per run
+ * @param {number} options.minBalanceUsd - Smallest chunk worth making
+ * @returns {Promise<Object>} { rotations (chunks carry chunk/chunks), carried: [{ rotation, amountUsd, reason }] }
+ */
+export async function chunkByPriceImpact(rotations, {
+  preview,
+  maxPriceImpactPct = config.sizing.maxPriceImpactPct,
+  maxChunks = config.sizing.maxChunksPerRun,
+  minBalanceUsd = config.minBalanceUsd,
+}) {
+  const chunked = [];
+  const carried = [];
+
+  for (const rotation of rotations) {
+    const amountUsd = getRotationAmount(rotation);
+    let fraction = 1;
+    let accepted = false;
+    let lastImpact = null;
+
+    while (fraction === 1 || amountUsd * fraction >= minBalanceUsd) {
+      const candidate = fraction === 1 ? rotation : resizeRotation(rotation, fraction);
+      try {
+        lastImpact = getPreviewPriceImpact(await preview(candidate));
+      } catch (error) {
+        // Failing previews are reported by the break-even check and at execution
+        logger.debug(`Price impact preview failed for ${rotation.userAddress}: ${error.message}`);
+        lastImpact = null;
+      }
+
+      if (lastImpact === null || lastImpact <= maxPriceImpactPct) {
+        accepted = true;
+        break;
+      }
+      fraction /= 2;
+    }
+
+    if (!accepted) {
+      const reason = `price impact ${lastImpact.toFixed(2)}% above ${maxPriceImpactPct}% even at $${(amountUsd * fraction * 2).toFixed(2)}`;
+      logger.info(`  ${rotation.userAddress}: ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol} carried to the next run (${reason})`);
+      carried.push({ rotation, amountUsd, reason });
+      continue;
+    }
+
+    if (fraction === 1) {
+      chunked.push(rotation);
+      continue;
+    }
+
+    const chunks = Math.min(Math.round(1 / fraction), maxChunks);
+    for (let chunk = 1; chunk <= chunks; chunk++) {
+      chunked.push({ ...resizeRotation(rotation, fraction), chunk, chunks });
+    }
+    logger.info(`  ${rotation.userAddress}: ${rotation.fromToken.symbol} -> ${rotation.toToken.symbol} split into ${chunks} chunks of $${(amountUsd * fraction).toFixed(2)} (price impact ${lastImpact === null ? 'unknown' : `${lastImpact.toFixed(2)}%`})`);
+
+    const leftover = amountUsd * (1 - fraction * chunks);
+    if (leftover > EPSILON) {
+      const reason = `more than ${maxChunks} chunks needed`;
+      logger.info(`  ${rotation.userAddress}: $${leftover.toFixed(2)} carried to the next run (${reason})`);
+      carried.push({ rotation, amountUsd: leftover, reason });
+    }
+  }
+
+  return { rotations: chunked, carried };
+}
+
+export default {
+  getPoolCapacities,
+  applyTvlLimits,
+  getPreviewPriceImpact,
+  chunkByPriceImpact,
+};
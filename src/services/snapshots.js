@@ -0,0 +1,146 @@
+import { readdir, stat, unlink } from 'fs/promises';
+import path from 'path';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/files.js';
+import { buildProtocolTvl } from './risk.js';
+
+const SNAPSHOT_PREFIX = 'pools-';
+
+/**
+ * Build a snapshot file name from its fetch time
+ * ISO timestamps sort lexically, so the newest snapshot is always last.
+ * @param {string} fetchedAt - ISO timestamp
+ * @returns {string} File name (e.g. pools-2026-01-22T10-00-00-000Z.json)
+ */
+function snapshotFileName(fetchedAt) {
+  return `${SNAPSHOT_PREFIX}${fetchedAt.replace(/[:.]/g, '-')}.json`;
+}
+
+/**
+ * List snapshot files in a directory, oldest first
+ * @param {string} dir - Snapshot directory
+ * @returns {Promise<Array<string>>} Snapshot file paths
+ */
+async function listSnapshots(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return entries
+    .filter(name => name.startsWith(SNAPSHOT_PREFIX) && name.endsWith('.json'))
+    .sort()
+    .map(name => path.join(dir, name));
+}
+
+/**
+ * Write a timestamped snapshot of the DeFiLlama /pools payload
+ * The full payload is about 20k pools, so only pools on the profiled chains are
+ * kept and the file is written without indentation. Protocol TVL is summed over
+ * the full payload first and stored alongside, so the risk policy sees the same
+ * TVL on a cache hit as on a fresh fetch. Older snapshots beyond the retention
+ * count are removed.
+ * @param {Array} pools - All pools from DeFiLlama
+ * @param {Object} options - Options
+ * @param {string} options.dir - Snapshot directory
+ * @param {string} options.fetchedAt - ISO timestamp of the fetch
+ * @param {number} options.keep - Number of snapshots to retain
+ * @param {Array<string>} options.chains - DeFiLlama chain names to keep (null keeps every pool)
+ * @returns {Promise<string>} Path of the written snapshot
+ */
+export async function writeSnapshot(pools, {
+  dir = config.cache.dir,
+  fetchedAt = new Date().toISOString(),
+  keep = config.cache.keep,
+  chains = Object.values(config.chains).map(profile => profile.defillamaChain),
+} = {}) {
+  const file = path.join(dir, snapshotFileName(fetchedAt));
+  const kept = chains ? pools.filter(pool => chains.includes(pool.chain)) : pools;
+
+  await writeJsonFile(file, {
+    fetchedAt,
+    source: `${config.defillamaBaseUrl}/pools`,
+    chains,
+    protocolTvl: buildProtocolTvl(pools),
+    count: kept.length,
+    data: kept,
+  }, { indent: 0 });
+  logger.debug(`Wrote DeFiLlama snapshot ${file} (${kept.length} of ${pools.length} pools)`);
+
+  const snapshots = await listSnapshots(dir);
+  for (const old of snapshots.slice(0, Math.max(snapshots.length - keep, 0))) {
+    await unlink(old);
+    logger.debug(`Removed old DeFiLlama snapshot ${old}`);
+  }
+
+  return file;
+}
+
+/**
+ * Read a snapshot file
+ * Also accepts a raw /pools response saved with curl ({ status, data }), in
+ * which case the file's modification time is used as the fetch time. Files
+ * without a stored protocol TVL hold the full payload, so it is summed from them.
+ * @param {string} file - Snapshot path
+ * @returns {Promise<Object>} Snapshot ({ pools, fetchedAt, protocolTvl, file })
+ */
+export async function readSnapshot(file) {
+  const content = await readJsonFile(file);
+  const pools = Array.isArray(content) ? content : content.data;
+
+  if (!Array.isArray(pools)) {
+    throw new Error(`Snapshot ${file} does not contain a pool array`);
+  }
+
+  const fetchedAt = content.fetchedAt || (await stat(file)).mtime.toISOString();
+
+  return { pools, fetchedAt, protocolTvl: content.protocolTvl ?? buildProtocolTvl(pools), file };
+}
+
+/**
+ * Find the most recent snapshot in a directory
+ * @param {string} dir - Snapshot directory
+ * @returns {Promise<string|null>} Snapshot path or null if none exist
+ */
+export async function findLatestSnapshot(dir = config.cache.dir) {
+  const snapshots = await listSnapshots(dir);
+  return snapshots.length > 0 ? snapshots[snapshots.length - 1] : null;
+}
+
+/**
+ * Load the most recent snapshot if it is younger than the TTL
+ * @param {Object} options - Options
+ * @param {string} options.dir - Snapshot directory
+ * @param {number} options.ttlMinutes - Maximum snapshot age in minutes
+ * @param {number} options.now - Current time in ms (for testing)
+ * @returns {Promise<Object|null>} Snapshot or null if none is fresh
+ */
+export async function loadFreshSnapshot({
+  dir = config.cache.dir,
+  ttlMinutes = config.cache.ttlMinutes,
+  now = Date.now(),
+} = {}) {
+  const latest = await findLatestSnapshot(dir);
+  if (!latest) return null;
+
+  const snapshot = await readSnapshot(latest);
+  const ageMinutes = (now - Date.parse(snapshot.fetchedAt)) / 60000;
+
+  if (ageMinutes > ttlMinutes) {
+    logger.debug(`Latest DeFiLlama snapshot is ${ageMinutes.toFixed(0)} minutes old (TTL ${ttlMinutes}) - refetching`);
+    return null;
+  }
+
+  return snapshot;
+}
+
+export default {
+  writeSnapshot,
+  readSnapshot,
+  findLatestSnapshot,
+  loadFreshSnapshot,
+};
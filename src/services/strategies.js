@@ -0,0 +1,261 @@
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { calculateRotations, getPoolScore, getHoldingScore } from './rotator.js';
+import { calculateAllocationRotations, WEIGHTINGS } from './allocator.js';
+
+/**
+ * Rotation strategies
+ * A strategy turns enriched members and candidate pools into rotations:
+ * {
+ *   name, description,
+ *   params: { <key>: { type: 'number'|'string'|'boolean', default, min, max, integer, values, description } },
+ *   calculate(members, pools, { ledger, registry, now, params }) => rotations
+ * }
+ * Params are validated against the declared schema before calculate() is called.
+ */
+const STRATEGIES = new Map();
+
+/**
+ * Lower a pool's score by a penalty for each risk tier above tier 1
+ * @param {Object} pool - Pool with score and riskTier
+ * @param {number} riskPenalty - Score points taken off per tier above 1
+ * @param {number} score - Score to lower (defaults to the pool's yield score)
+ * @returns {number} Risk-adjusted score
+ */
+function getRiskAdjustedScore(pool, riskPenalty, score = getPoolScore(pool)) {
+  return score - riskPenalty * ((pool.riskTier || 1) - 1);
+}
+
+/**
+ * Thresholds for a strategy's minimum improvement
+ * Crossing to another stablecoin never takes less than staying in the same one.
+ * @param {number} minApyImprovement - Improvement needed within the same asset
+ * @returns {Object} { minApyImprovement, crossAssetMinApyImprovement }
+ */
+function getThresholds(minApyImprovement) {
+  return {
+    minApyImprovement,
+    crossAssetMinApyImprovement: Math.max(config.crossAssetMinApyImprovement, minApyImprovement),
+  };
+}
+
+/**
+ * Register a rotation strategy
+ * @param {Object} strategy - Strategy ({ name, description, params, calculate })
+ * @returns {Object} The registered strategy
+ */
+export function registerStrategy(strategy) {
+  if (!strategy?.name || typeof strategy.calculate !== 'function') {
+    throw new Error('A strategy needs a name and a calculate(members, pools, context) function');
+  }
+  if (STRATEGIES.has(strategy.name)) {
+    throw new Error(`Strategy "${strategy.name}" is already registered`);
+  }
+  STRATEGIES.set(strategy.name, { description: '', params: {}, ...strategy });
+  return STRATEGIES.get(strategy.name);
+}
+
+/**
+ * List the registered strategies
+ * @returns {Array} Strategies in registration order
+ */
+export function listStrategies() {
+  return [...STRATEGIES.values()];
+}
+
+/**
+ * Look up a registered strategy by name
+ * @param {string} name - Strategy name
+ * @returns {Object} Strategy
+ */
+export function getStrategy(name) {
+  const strategy = STRATEGIES.get(name);
+  if (!strategy) {
+    throw new Error(`Unknown rotation strategy "${name}" (expected one of ${[...STRATEGIES.keys()].join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * Check params against a strategy's schema and fill in defaults
+ * @param {Object} strategy - Strategy
+ * @param {Object} params - Params supplied by the user
+ * @returns {Object} { valid, errors, params (with defaults) }
+ */
+export function validateStrategyParams(strategy, params = {}) {
+  const errors = [];
+  const schema = strategy.params || {};
+  const resolved = {};
+
+  for (const key of Object.keys(params)) {
+    if (!schema[key]) {
+      errors.push(`Unknown parameter "${key}" for strategy ${strategy.name} (expected one of ${Object.keys(schema).join(', ') || 'none'})`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const value = params[key] ?? (typeof spec.default === 'function' ? spec.default() : spec.default);
+
+    if (typeof value !== spec.type) {
+      errors.push(`Parameter "${key}" must be a ${spec.type}`);
+      continue;
+    }
+    if (spec.type === 'number' && !Number.isFinite(value)) {
+      errors.push(`Parameter "${key}" must be a finite number`);
+      continue;
+    }
+    if (spec.integer && !Number.isInteger(value)) {
+      errors.push(`Parameter "${key}" must be a whole number`);
+      continue;
+    }
+    if (spec.min !== undefined && value < spec.min) {
+      errors.push(`Parameter "${key}" must be at least ${spec.min}`);
+    }
+    if (spec.max !== undefined && value > spec.max) {
+      errors.push(`Parameter "${key}" must be at most ${spec.max}`);
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      errors.push(`Parameter "${key}" must be one of ${spec.values.join(', ')}`);
+    }
+    resolved[key] = value;
+  }
+
+  return { valid: errors.length === 0, errors, params: resolved };
+}
+
+/**
+ * Parse strategy params given as a JSON object (--strategy-params or STRATEGY_PARAMS)
+ * @param {string|null} text - JSON text
+ * @returns {Object} Params
+ */
+export function parseStrategyParams(text) {
+  if (!text) {
+    return {};
+  }
+
+  let params;
+  try {
+    params = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Strategy params are not valid JSON: ${error.message}`);
+  }
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('Strategy params must be a JSON object');
+  }
+  return params;
+}
+
+/**
+ * Resolve a strategy and validate its params
+ * @param {string} name - Strategy name
+ * @param {Object} params - Params supplied by the user
+ * @returns {Object} { strategy, params } ready for calculate()
+ */
+export function resolveStrategy(name = config.strategy.name, params = parseStrategyParams(config.strategy.params)) {
+  const strategy = getStrategy(name);
+  const validation = validateStrategyParams(strategy, params);
+  if (!validation.valid) {
+    throw new Error(`Invalid params for strategy ${strategy.name}: ${validation.errors.join('; ')}`);
+  }
+  return { strategy, params: validation.params };
+}
+
+/**
+ * Run a resolved strategy
+ * @param {Object} resolved - Result of resolveStrategy()
+ * @param {Array} members - Members with enriched yieldBearingHoldings
+ * @param {Array} pools - Candidate pools in preference order
+ * @param {Object} context - { ledger, registry, now }
+ * @returns {Array} Rotations
+ */
+export function runStrategy({ strategy, params }, members, pools, context = {}) {
+  return strategy.calculate(members, pools, { ...context, params });
+}
+
+/**
+ * Describe a resolved strategy for logs
+ * @param {Object} resolved - Result of resolveStrategy()
+ * @returns {string} Name and params
+ */
+export function formatStrategy({ strategy, params }) {
+  const entries = Object.entries(params);
+  return entries.length > 0
+    ? `${strategy.name} (${entries.map(([key, value]) => `${key}=${value}`).join(', ')})`
+    : strategy.name;
+}
+
+registerStrategy({
+  name: 'greedy',
+  description: 'Move each holding to the best-scoring pool once it clears the APY threshold',
+  params: {
+    minApyImprovement: { type: 'number', default: () => config.minApyImprovement, min: 0, description: 'Score improvement (pct points) needed to rotate' },
+  },
+  calculate: (members, pools, { ledger, registry, now, params }) =>
+    calculateRotations(members, pools, { ledger, registry, now, ...getThresholds(params.minApyImprovement) }),
+});
+
+registerStrategy({
+  name: 'risk-adjusted',
+  description: 'Like greedy, but pools and holdings lose score for each risk tier above 1',
+  params: {
+    minApyImprovement: { type: 'number', default: () => config.minApyImprovement, min: 0, description: 'Risk-adjusted improvement (pct points) needed to rotate' },
+    riskPenalty: { type: 'number', default: 1.0, min: 0, description: 'Score points taken off per risk tier above 1' },
+    maxTier: { type: 'number', default: 3, min: 1, max: 3, integer: true, description: 'Highest risk tier to rotate into' },
+  },
+  calculate: (members, pools, { ledger, registry, now, params }) => {
+    // Pools keep the order they were ranked in (by history when it is on), lowered by the same tier penalty
+    const rankOf = pool => getRiskAdjustedScore(pool, params.riskPenalty, pool.adjustedApy ?? getPoolScore(pool));
+    const adjustedPools = pools
+      .filter(pool => (pool.riskTier || 1) <= params.maxTier)
+      .sort((a, b) => rankOf(b) - rankOf(a))
+      .map(pool => ({ ...pool, score: getRiskAdjustedScore(pool, params.riskPenalty) }));
+
+    // Holdings are compared on the same footing as the pools they could move to
+    const adjustedMembers = members.map(member => ({
+      ...member,
+      yieldBearingHoldings: (member.yieldBearingHoldings || []).map(holding => (holding.pool?.riskTier
+        ? { ...holding, currentScore: getHoldingScore(holding) - params.riskPenalty * (holding.pool.riskTier - 1) }
+        : holding)),
+    }));
+
+    logger.debug(`Risk-adjusted pool order: ${adjustedPools.map(pool => `${pool.symbol} (${pool.project}) ${pool.score.toFixed(2)}%`).join(', ')}`);
+    return calculateRotations(adjustedMembers, adjustedPools, { ledger, registry, now, ...getThresholds(params.minApyImprovement) });
+  },
+});
+
+registerStrategy({
+  name: 'diversified',
+  description: 'Spread each member across the top pools under per-protocol and per-pool caps',
+  params: {
+    minApyImprovement: { type: 'number', default: () => config.minApyImprovement, min: 0, description: 'Score improvement (pct points) needed to move a leg' },
+    maxPools: { type: 'number', default: () => config.allocation.maxPools, min: 1, integer: true, description: 'Number of top pools to allocate across' },
+    weighting: { type: 'string', default: () => config.allocation.weighting, values: WEIGHTINGS, description: 'How target shares are weighted' },
+    maxProtocolPct: { type: 'number', default: () => config.allocation.maxProtocolPct, min: 1, max: 100, description: 'Max share of a member in one protocol (%)' },
+    maxPoolPct: { type: 'number', default: () => config.allocation.maxPoolPct, min: 1, max: 100, description: 'Max share of a member in one pool (%)' },
+  },
+  calculate: (members, pools, { ledger, registry, now, params }) => {
+    logger.info(`Allocating across up to ${params.maxPools} pools (${params.weighting} weighting, max ${params.maxProtocolPct}% per protocol, ${params.maxPoolPct}% per pool)`);
+    return calculateAllocationRotations(members, pools, { ...params, ...getThresholds(params.minApyImprovement), ledger, registry, now });
+  },
+});
+
+registerStrategy({
+  name: 'hold-unless-large-gain',
+  description: 'Stay put unless the best pool beats the current position by a wide margin',
+  params: {
+    minGain: { type: 'number', default: 2.0, min: 0, description: 'Score improvement (pct points) needed to rotate' },
+  },
+  calculate: (members, pools, { ledger, registry, now, params }) =>
+    calculateRotations(members, pools, { ledger, registry, now, ...getThresholds(params.minGain) }),
+});
+
+export default {
+  registerStrategy,
+  listStrategies,
+  getStrategy,
+  validateStrategyParams,
+  parseStrategyParams,
+  resolveStrategy,
+  runStrategy,
+  formatStrategy,
+};
@@ -1,22 +1,47 @@
 import { SwarmVaultClient } from '@swarmvault/sdk';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
-
-// Token address mapping for common tokens on Base
-const TOKEN_ADDRESSES = {
-  ETH: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
-  WETH: '0x4200000000000000000000000000000000000006',
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  DAI: '0x50c5725949A6F0c72E6C4a641F24049A917DB0Cb',
-  USDbC: '0xd9aAEc86B65D86f6A7B5B1b0c42FFA531710b6CA',
-};
+import { getChainProfile, getChainRegistry, getChainTokenAddresses } from './chains.js';
+import { getHoldingKey, getSellPercentage, planWaves, groupRotations, splitPreviewByMember } from './batching.js';
+import { findTokenByAddress } from './registry.js';
+import { createProvider, readTokenBalance, readUnderlyingPerToken } from './onchain.js';
+import { resolveProtocolRoute, resolveProtocolContract, buildProtocolTransactions, previewProtocolRoute, toRawAmount } from './adapters.js';
+import { createValueGuard } from './guard.js';
+import { createCircuitBreaker, limitClient, retryCalls, runTasks, withRetry } from './executor.js';
+import { ERROR_KINDS, NoRouteError, TransientError, getErrorKind, isTemporaryKind } from './errors.js';
+import { TRANSACTION_OUTCOMES, getTransactionOutcome, waitForOutcome } from './transactions.js';
+import { hasUnresolvedEntry } from './journal.js';
+import { buildCandidatePaths, findBestPath, getLearnedRoute, getLegKey, getLegRoute, getPathKey, isInconclusive, previewPath, recordRoutePreviews } from './router.js';
 
 // Cache for swap validation results to avoid repeated API calls
 const swapValidationCache = new Map();
 
+// Swarm-wide probe swap used to test and price legs no member is sized for
+const PROBE_SWAP = {
+  sellPercentage: 10, // Small percentage to test
+  slippagePercentage: 5, // Higher slippage for testing
+};
+
+// Client calls that are safe to repeat after a network failure (submissions are not)
+const RETRYABLE_CALLS = ['previewSwap', 'waitForTransaction', 'getTransaction'];
+
 // Lazy-initialized client instance
 let clientInstance = null;
 
+// Provider used instead of each chain's RPC endpoint (see setBackends)
+let providerOverride = null;
+
+/**
+ * Wrap a SwarmVault client in the rate limiter and the retries of safe calls
+ * Calls refused with HTTP 429 are retried after the Retry-After delay, and
+ * previews and polls failing on the network are retried with backoff (see executor.js).
+ * @param {Object} client - SwarmVault client
+ * @returns {Object} Wrapped client
+ */
+function wrapClient(client) {
+  return retryCalls(limitClient(client), RETRYABLE_CALLS);
+}
+
 /**
  * Get or create SwarmVault client instance
  * @returns {SwarmVaultClient}
@@ -26,21 +51,43 @@ function getClient() {
     if (!config.swarmVault.apiKey) {
       throw new Error('SWARM_VAULT_API_KEY environment variable is required');
     }
-    clientInstance = new SwarmVaultClient({
+    clientInstance = wrapClient(new SwarmVaultClient({
       apiKey: config.swarmVault.apiKey,
       baseUrl: config.swarmVault.apiUrl,
-    });
+    }));
   }
   return clientInstance;
 }
 
+/**
+ * Get the RPC provider of a chain
+ * @param {Object} chainProfile - Chain profile (RPC endpoint and chain id)
+ * @returns {Object} ethers provider
+ */
+function getProvider(chainProfile) {
+  return providerOverride ?? createProvider(chainProfile.rpcUrl, chainProfile.chainId);
+}
+
+/**
+ * Execute through another SwarmVault client and RPC provider (e.g. stubs in tests)
+ * The client is wrapped like the default one, so it is rate limited and retried too.
+ * @param {Object} backends - Backends to use; omitted ones go back to the defaults
+ * @param {Object} backends.client - SwarmVault client
+ * @param {Object} backends.provider - ethers provider used for every chain
+ */
+export function setBackends({ client = null, provider = null } = {}) {
+  clientInstance = client ? wrapClient(client) : null;
+  providerOverride = provider;
+}
+
 /**
  * Get token address from symbol or return as-is if already an address
  * @param {string} symbolOrAddress - Token symbol or address
  * @param {string} explicitAddress - Optional explicit address to use
+ * @param {Object} chainProfile - Chain whose registry resolves symbols
  * @returns {string} Token address
  */
-function resolveTokenAddress(symbolOrAddress, explicitAddress = null) {
+function resolveTokenAddress(symbolOrAddress, explicitAddress = null, chainProfile = getChainProfile()) {
   // If explicit address is provided, use it
   if (explicitAddress && explicitAddress.startsWith('0x')) {
     return explicitAddress;
@@ -51,24 +98,229 @@ function resolveTokenAddress(symbolOrAddress, explicitAddress = null) {
   }
   // Otherwise, look up by symbol
   const upperSymbol = symbolOrAddress?.toUpperCase();
-  return TOKEN_ADDRESSES[upperSymbol] || symbolOrAddress;
+  return getChainTokenAddresses(chainProfile)[upperSymbol] || symbolOrAddress;
+}
+
+/**
+ * Build SDK swap parameters for a member's position
+ * Previews and executions use the same parameters so a preview reflects the real trade size.
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {string} membershipId - Member's membership ID for targeted swap
+ * @param {Object} chainProfile - Chain whose registry resolves symbols
+ * @param {number} sellPercentage - Share of the member's current balance to sell
+ * @returns {Object} Swap parameters
+ */
+function buildSwapParams(fromToken, toToken, membershipId, chainProfile, sellPercentage = 100) {
+  const swapParams = {
+    sellToken: resolveTokenAddress(fromToken.symbol, fromToken.address, chainProfile),
+    buyToken: resolveTokenAddress(toToken.symbol, toToken.address, chainProfile),
+    sellPercentage,
+    slippagePercentage: config.maxSlippage,
+  };
+
+  // If we have a membership ID, target only that member
+  if (membershipId) {
+    swapParams.membershipIds = [membershipId];
+  }
+
+  return swapParams;
+}
+
+/**
+ * Find the protocol route of a token pair (deposit-only tokens are not DEX-swappable)
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {Object} chainProfile - Chain whose registry resolves the tokens
+ * @returns {Object|null} Route from resolveProtocolRoute(), or null for a DEX swap
+ * @throws {Error} If a deposit-only token is paired with anything but its underlying
+ */
+function getProtocolRoute(fromToken, toToken, chainProfile) {
+  return resolveProtocolRoute(
+    resolveTokenAddress(fromToken.symbol, fromToken.address, chainProfile),
+    resolveTokenAddress(toToken.symbol, toToken.address, chainProfile),
+    getChainRegistry(chainProfile),
+    chainProfile.defillamaChain
+  );
+}
+
+/**
+ * Create the leg previewer used to compare paths
+ * The first leg is previewed for the member at its real size. Later legs sell
+ * tokens the member doesn't hold yet, so they are priced from a swarm-wide probe
+ * swap scaled to the previous leg's output. Protocol legs are priced from the
+ * token's exchange rate. Without a member every leg is a probe.
+ * @param {Object} chainProfile - Chain profile (swarm id, RPC endpoint and token registry)
+ * @param {Object} member - { membershipId, fromToken, amount, sellPercentage }, or null to probe
+ * @returns {Function} async (leg, index, amountIn) => SDK-shaped preview
+ */
+function createLegPreviewer(chainProfile, member = null) {
+  const client = getClient();
+  const registry = getChainRegistry(chainProfile);
+  const provider = getProvider(chainProfile);
+  const probes = new Map();
+
+  return async (leg, index, amountIn) => {
+    if (leg.kind !== 'swap') {
+      const route = getLegRoute(leg);
+      const firstAmount = member ? toRawAmount(member.fromToken, member.amount, leg.from.decimals) : 10n ** BigInt(leg.from.decimals);
+      const underlyingPerToken = await readUnderlyingPerToken(route.token, { provider, registry });
+      return previewProtocolRoute(route, amountIn ?? firstAmount, underlyingPerToken);
+    }
+
+    if (amountIn === null && member) {
+      return client.previewSwap(chainProfile.swarmId, buildSwapParams(leg.from, leg.to, member.membershipId, chainProfile, member.sellPercentage));
+    }
+
+    const key = getLegKey(leg);
+    if (!probes.has(key)) {
+      probes.set(key, await client.previewSwap(chainProfile.swarmId, { sellToken: leg.from.address, buyToken: leg.to.address, ...PROBE_SWAP }));
+    }
+    const probe = probes.get(key);
+    if (amountIn === null || probe.errors?.length > 0 || !(BigInt(probe.totalSellAmount || 0) > 0n)) {
+      return probe;
+    }
+    return {
+      totalSellAmount: amountIn.toString(),
+      totalBuyAmount: ((amountIn * BigInt(probe.totalBuyAmount || 0)) / BigInt(probe.totalSellAmount)).toString(),
+      members: [],
+      errors: [],
+    };
+  };
+}
+
+/**
+ * Create the value-loss guard for a chain's swaps
+ * @param {Object} chainProfile - Chain profile (RPC endpoint, token registry and DeFiLlama chain)
+ * @returns {Function} Guard from createValueGuard()
+ */
+function createSwapGuard(chainProfile) {
+  return createValueGuard({
+    chain: chainProfile.defillamaChain,
+    registry: getChainRegistry(chainProfile),
+    provider: getProvider(chainProfile),
+  });
+}
+
+/**
+ * Describe a value-loss check for logs
+ * @param {Object} check - Result of a value guard
+ * @returns {string} e.g. "$1000.00 -> $995.00 (50.0 bps)"
+ */
+function formatValueCheck(check) {
+  return `$${check.sellValueUsd.toFixed(2)} -> $${check.buyValueUsd.toFixed(2)} (${check.lossBps.toFixed(1)} bps)`;
+}
+
+/**
+ * Get the paths worth previewing between two tokens
+ * Without routing only the direct path is tried: a DEX swap, or the protocol
+ * deposit or withdrawal of a deposit-only token.
+ * @param {Object} from - Token sold ({ symbol, address })
+ * @param {Object} to - Token bought ({ symbol, address })
+ * @param {Object} chainProfile - Chain profile (token registry and DeFiLlama chain)
+ * @returns {Array} Paths from buildCandidatePaths()
+ * @throws {Error} Without routing, if a deposit-only token is paired with anything but its underlying
+ */
+function getCandidatePaths(from, to, chainProfile) {
+  const registry = getChainRegistry(chainProfile);
+  if (config.routing.enabled) {
+    return buildCandidatePaths(from, to, { registry, chain: chainProfile.defillamaChain });
+  }
+
+  const route = resolveProtocolRoute(from.address, to.address, registry, chainProfile.defillamaChain);
+  if (route?.action === 'deposit') {
+    return [[{ kind: 'deposit', from: route.underlying, to: route.token }]];
+  }
+  if (route?.action === 'withdraw') {
+    return [[{ kind: 'withdraw', from: route.token, to: route.underlying }]];
+  }
+  const chain = chainProfile.defillamaChain;
+  return [[{ kind: 'swap', from: findTokenByAddress(from.address, registry, chain) || from, to: findTokenByAddress(to.address, registry, chain) || to }]];
+}
+
+/**
+ * Resolve the addresses of a rotation's token pair
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {Object} chainProfile - Chain profile
+ * @returns {Object} { from, to } as { symbol, address }
+ */
+function resolvePair(fromToken, toToken, chainProfile) {
+  return {
+    from: { symbol: fromToken.symbol, address: resolveTokenAddress(fromToken.symbol, fromToken.address, chainProfile) },
+    to: { symbol: toToken.symbol, address: resolveTokenAddress(toToken.symbol, toToken.address, chainProfile) },
+  };
+}
+
+/**
+ * Preview every path from one token to another for a member and pick the best
+ * What worked and what failed is remembered for the pair (see router.js).
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {Object} chainProfile - Chain profile
+ * @param {Object} member - { membershipId, fromToken, amount, sellPercentage }
+ * @returns {Promise<Object>} { best (path preview or null), previews }
+ */
+async function findRoute(fromToken, toToken, chainProfile, member) {
+  const { from, to } = resolvePair(fromToken, toToken, chainProfile);
+  const { best, previews } = await findBestPath(getCandidatePaths(from, to, chainProfile), createLegPreviewer(chainProfile, member));
+  recordRoutePreviews(chainProfile.key, from.address, to.address, previews);
+  return { best, previews };
+}
+
+/**
+ * Describe a rotation in the fields every swap result carries
+ * @param {Object} rotation - Rotation
+ * @returns {Object} { userAddress, fromToken, toToken, amount }
+ */
+function describeRotation(rotation) {
+  return {
+    userAddress: rotation.userAddress,
+    fromToken: rotation.fromToken.symbol,
+    toToken: rotation.toToken.symbol,
+    amount: rotation.fromToken.balance * (rotation.sellShare ?? 1),
+  };
+}
+
+/**
+ * Check whether rotations between two tokens can share one swarm-level swap
+ * Only direct DEX swaps batch; pairs whose best previewed path is a protocol
+ * call or has several legs run member by member.
+ * @param {Object} rotation - Rotation of the group
+ * @param {Object} chainProfile - Chain profile
+ * @returns {boolean} True if the pair can be batched
+ */
+function canBatch(rotation, chainProfile) {
+  const { from, to } = resolvePair(rotation.fromToken, rotation.toToken, chainProfile);
+  const learned = getLearnedRoute(chainProfile.key, from.address, to.address);
+  if (learned) {
+    return learned.path?.length === 1 && learned.path[0].kind === 'swap';
+  }
+  try {
+    return !getProtocolRoute(rotation.fromToken, rotation.toToken, chainProfile);
+  } catch {
+    return false;
+  }
 }
 
 /**
  * Check if a token can be swapped into via DEX
- * Uses swap preview to validate - if buyAmount > 0, the token is swappable
+ * Uses swap preview to validate - if buyAmount > 0, the token is swappable.
+ * Without a direct route, the other paths from USDC (hubs, protocol deposits)
+ * are tried and the token counts as swappable if one of them works.
  * @param {string} tokenAddress - Token address to check
  * @param {string} tokenSymbol - Token symbol for logging
+ * @param {Object} chainProfile - Chain profile (swarm id and USDC address)
  * @returns {Promise<boolean>} True if token is swappable
  */
-export async function isTokenSwappable(tokenAddress, tokenSymbol = 'unknown') {
+export async function isTokenSwappable(tokenAddress, tokenSymbol = 'unknown', chainProfile = getChainProfile()) {
   if (!tokenAddress) {
     logger.debug(`Token ${tokenSymbol} has no address - not swappable`);
     return false;
   }
 
-  // Check cache first
-  const cacheKey = tokenAddress.toLowerCase();
+  // Check cache first (addresses can repeat across chains)
+  const cacheKey = `${chainProfile.key}:${tokenAddress.toLowerCase()}`;
   if (swapValidationCache.has(cacheKey)) {
     const cached = swapValidationCache.get(cacheKey);
     logger.debug(`Token ${tokenSymbol} swappability (cached): ${cached}`);
@@ -76,54 +328,72 @@ export async function isTokenSwappable(tokenAddress, tokenSymbol = 'unknown') {
   }
 
   try {
-    const client = getClient();
-    const swarmId = config.swarmVault.swarmId;
+    const swarmId = chainProfile.swarmId;
 
     if (!swarmId) {
-      logger.warn('SWARM_ID not configured - cannot validate swappability');
+      logger.warn(`No swarm id configured for ${chainProfile.name} - cannot validate swappability`);
       return false;
     }
 
-    // Preview a swap from USDC to the target token
-    const previewParams = {
-      sellToken: TOKEN_ADDRESSES.USDC,
-      buyToken: tokenAddress,
-      sellPercentage: 10, // Small percentage to test
-      slippagePercentage: 5, // Higher slippage for testing
-    };
+    const registry = getChainRegistry(chainProfile);
+    const usdcAddress = getChainTokenAddresses(chainProfile).USDC;
+    const usdc = findTokenByAddress(usdcAddress, registry, chainProfile.defillamaChain) || { symbol: 'USDC', address: usdcAddress };
+    const target = findTokenByAddress(tokenAddress, registry, chainProfile.defillamaChain) || { symbol: tokenSymbol, address: tokenAddress };
+    const previewLeg = createLegPreviewer(chainProfile);
 
+    // Preview a swap from USDC to the target token
     logger.debug(`Testing swappability for ${tokenSymbol} (${tokenAddress})...`);
-    const preview = await client.previewSwap(swarmId, previewParams);
+    const previews = [await previewPath([{ kind: 'swap', from: usdc, to: target }], previewLeg)];
+
+    // No direct route: the first other path that works is enough
+    if (previews[0].error && config.routing.enabled) {
+      const direct = previews[0].key;
+      for (const path of buildCandidatePaths(usdc, target, { registry, chain: chainProfile.defillamaChain })) {
+        if (getPathKey(path) === direct) continue;
+        const preview = await previewPath(path, previewLeg);
+        previews.push(preview);
+        if (!preview.error) break;
+      }
+    }
 
-    // Check if we got a valid buy amount
-    const isSwappable = preview.totalBuyAmount &&
-                        BigInt(preview.totalBuyAmount) > 0n &&
-                        (!preview.errors || preview.errors.length === 0);
+    const learned = recordRoutePreviews(chainProfile.key, usdc.address, tokenAddress, previews);
+    const isSwappable = learned.best !== null;
 
-    // Cache the result
+    // Cache the result, unless a path only failed for a transient reason
+    if (!isSwappable && previews.some(isInconclusive)) {
+      logger.warn(`Token ${tokenSymbol} swappability could not be checked (${previews.map(preview => preview.error).join('; ')}); it is checked again next time`);
+      return false;
+    }
     swapValidationCache.set(cacheKey, isSwappable);
 
-    if (isSwappable) {
+    if (!previews[0].error) {
       logger.debug(`✓ Token ${tokenSymbol} is DEX-swappable`);
+    } else if (isSwappable) {
+      logger.debug(`✓ Token ${tokenSymbol} has no direct route but is reachable via ${learned.best}`);
     } else {
-      logger.debug(`✗ Token ${tokenSymbol} is NOT DEX-swappable (buyAmount: ${preview.totalBuyAmount})`);
+      logger.debug(`✗ Token ${tokenSymbol} is NOT DEX-swappable (${previews.map(preview => preview.error).join('; ')})`);
     }
 
     return isSwappable;
 
   } catch (error) {
     logger.debug(`Token ${tokenSymbol} swap preview failed: ${error.message}`);
-    swapValidationCache.set(cacheKey, false);
+    if (!isTemporaryKind(getErrorKind(error))) {
+      swapValidationCache.set(cacheKey, false);
+    }
     return false;
   }
 }
 
 /**
  * Filter pools to only include tokens that can be swapped into via DEX
+ * Deposit-only tokens mapped through a protocol adapter are kept without a
+ * swap preview; they are entered with a deposit from their underlying.
  * @param {Array} pools - Array of pool objects with tokenAddress property
+ * @param {Object} chainProfile - Chain profile the pools belong to
  * @returns {Promise<Array>} Filtered array of swappable pools
  */
-export async function filterSwappablePools(pools) {
+export async function filterSwappablePools(pools, chainProfile = getChainProfile()) {
   if (!pools || pools.length === 0) {
     return [];
   }
@@ -138,7 +408,14 @@ export async function filterSwappablePools(pools) {
       continue;
     }
 
-    const isSwappable = await isTokenSwappable(pool.tokenAddress, `${pool.symbol} (${pool.project})`);
+    const token = findTokenByAddress(pool.tokenAddress, getChainRegistry(chainProfile), chainProfile.defillamaChain);
+    if (token?.swappability === 'deposit-only') {
+      logger.debug(`Pool ${pool.symbol} (${pool.project}) is deposit-only - entered through its protocol adapter`);
+      swappablePools.push(pool);
+      continue;
+    }
+
+    const isSwappable = await isTokenSwappable(pool.tokenAddress, `${pool.symbol} (${pool.project})`, chainProfile);
 
     if (isSwappable) {
       swappablePools.push(pool);
@@ -151,72 +428,218 @@ export async function filterSwappablePools(pools) {
 }
 
 /**
- * Execute a swap for a user via the SwarmVault SDK
- * @param {string} userAddress - User's agent wallet address
- * @param {Object} fromToken - Token to swap from
- * @param {Object} toToken - Token to swap to
- * @param {number} amount - Amount to swap (unused - SDK uses percentage)
- * @param {string} membershipId - Member's membership ID for targeted swap
- * @returns {Promise<Object>} Swap result
+ * Preview a rotation at its real size (its share of the member's position)
+ * Previews are read-only, so they also run in dry-run mode. Every candidate path
+ * is previewed and the best one is returned; the first leg's member preview is
+ * kept so price impact checks still see it.
+ * @param {Object} rotation - Rotation from calculateRotations()
+ * @param {Object} chainProfile - Chain profile (swarm id and token registry)
+ * @returns {Promise<Object>} SDK swap preview (totalSellAmount, totalBuyAmount, members, errors)
+ *   with the route and legCount of the best path
+ * @throws {Error} If no swarm id is configured or the preview request fails
  */
-export async function executeSwap(userAddress, fromToken, toToken, amount, membershipId = null) {
-  logger.info(`Executing swap for ${userAddress}: ${amount} ${fromToken.symbol} -> ${toToken.symbol}`);
+export async function previewRotation(rotation, chainProfile = getChainProfile()) {
+  if (!chainProfile.swarmId) {
+    throw new Error(`No swarm id configured for ${chainProfile.name} (set ${chainProfile.key.toUpperCase()}_SWARM_ID)`);
+  }
 
-  if (config.dryRun) {
-    logger.info('[DRY RUN] Swap would be executed with:', {
-      userAddress,
-      fromToken: fromToken.symbol,
-      toToken: toToken.symbol,
-      amount,
-      maxSlippage: config.maxSlippage,
+  const sellShare = rotation.sellShare ?? 1;
+  const { best, previews } = await findRoute(rotation.fromToken, rotation.toToken, chainProfile, {
+    membershipId: rotation.membershipId,
+    fromToken: rotation.fromToken,
+    amount: rotation.fromToken.balance * sellShare,
+    sellPercentage: sellShare * 100,
+  });
+
+  if (!best) {
+    return { totalSellAmount: '0', totalBuyAmount: '0', members: [], errors: previews.map(preview => ({ message: preview.error })) };
+  }
+  return {
+    totalSellAmount: best.sellAmount,
+    totalBuyAmount: best.buyAmount,
+    members: best.legs[0].members,
+    errors: [],
+    route: best.key,
+    legCount: best.legs.length,
+  };
+}
+
+/**
+ * Wait for a submitted transaction, for at most the confirmation timeout
+ * A transaction whose status can't be read is treated like one that timed out:
+ * it was sent, so it is left pending rather than counted as failed.
+ * @param {string} transactionId - Transaction ID from executeSwap or executeTransaction
+ * @returns {Promise<Object>} { transaction (null if unknown), timedOut, error }
+ */
+async function awaitTransaction(transactionId) {
+  const client = getClient();
+  try {
+    return await waitForOutcome(transactionId, {
+      waitForTransaction: id => client.waitForTransaction(id),
+      getTransaction: id => client.getTransaction(id),
     });
+  } catch (error) {
+    return { transaction: null, timedOut: true, error: error.message };
+  }
+}
 
-    return {
-      success: true,
-      dryRun: true,
-      userAddress,
-      fromToken: fromToken.symbol,
-      toToken: toToken.symbol,
-      amount,
-    };
+/**
+ * Settle one member's part of a submitted transaction
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} wait - Result of awaitTransaction()
+ * @param {Object} member - { membershipId, userAddress } whose target counts, or null for the whole transaction
+ * @returns {Object} { outcome } when confirmed, else the failed or pending
+ *   result fields ({ success: false, outcome, error, errorKind } or { success: false, pending: true, outcome, error })
+ */
+function settleTransaction(transactionId, wait, member = null) {
+  const { outcome, error } = wait.timedOut || !wait.transaction
+    ? { outcome: TRANSACTION_OUTCOMES.PENDING, error: wait.error }
+    : getTransactionOutcome(wait.transaction, member);
+
+  if (outcome === TRANSACTION_OUTCOMES.CONFIRMED) {
+    return { outcome };
+  }
+  if (outcome === TRANSACTION_OUTCOMES.PENDING) {
+    const reason = `Transaction ${transactionId} not confirmed within ${config.execution.confirmationTimeoutSeconds}s${error ? ` (${error})` : ''}`;
+    return { success: false, pending: true, outcome, error: reason };
   }
 
+  const reason = `Transaction ${transactionId} ${outcome}${error ? `: ${error}` : ''}`;
+  const errorKind = {
+    [TRANSACTION_OUTCOMES.REVERTED]: ERROR_KINDS.REVERTED,
+    [TRANSACTION_OUTCOMES.EXPIRED]: ERROR_KINDS.TRANSIENT,  // Never mined, so it can be sent again next run
+  }[outcome] ?? getErrorKind(reason);
+  return { success: false, outcome, error: reason, errorKind };
+}
+
+/**
+ * Enter or leave a deposit-only token through its protocol adapter
+ * Each approve and protocol call is sent with the SwarmVault transaction API for
+ * the one member and confirmed before the next is sent.
+ * @param {Object} route - Route from resolveProtocolRoute()
+ * @param {Object} swap - Swap details
+ * @param {string} swap.userAddress - Member's agent wallet address
+ * @param {Object} swap.fromToken - Token to swap from
+ * @param {Object} swap.toToken - Token to swap to
+ * @param {number} swap.amount - Amount to sell in token units
+ * @param {string} swap.membershipId - Member's membership ID
+ * @param {Object} swap.chainProfile - Chain profile (swarm id, RPC endpoint and token registry)
+ * @param {bigint} swap.rawAmount - Exact raw amount (defaults to amount in the sold token's units)
+ * @param {boolean} swap.full - Whole position (defaults to amount covering fromToken.balance)
+ * @param {Function} swap.track - async (state, details) => void, told each transaction ID (and whether it
+ *   is the route's last) before it is awaited
+ * @returns {Promise<Object>} Swap result in the executeSwap() shape, with every transaction ID
+ */
+async function executeProtocolRoute(route, { userAddress, fromToken, toToken, amount, membershipId, chainProfile, rawAmount, full, track = null }) {
+  const describe = { userAddress, fromToken: fromToken.symbol, toToken: toToken.symbol, amount, route: route.action };
+  const transactionIds = [];
+
   try {
     const client = getClient();
-    const swarmId = config.swarmVault.swarmId;
+    const swarmId = chainProfile.swarmId;
 
     if (!swarmId) {
-      throw new Error('SWARM_ID environment variable is required');
+      throw new Error(`No swarm id configured for ${chainProfile.name} (set ${chainProfile.key.toUpperCase()}_SWARM_ID)`);
+    }
+    // Calldata carries this member's amount and address, so it must not run for the whole swarm
+    if (!membershipId) {
+      throw new Error(`Protocol ${route.action} of ${route.token.symbol} needs a membership ID`);
     }
 
-    // Use explicit addresses if available, otherwise resolve from symbol
-    const sellToken = resolveTokenAddress(fromToken.symbol, fromToken.address);
-    const buyToken = resolveTokenAddress(toToken.symbol, toToken.address);
+    const soldToken = route.action === 'deposit' ? route.underlying : route.token;
+    const contract = await resolveProtocolContract(route.token, {
+      provider: getProvider(chainProfile),
+    });
+    const transactions = buildProtocolTransactions(route, {
+      contract,
+      amount: rawAmount ?? toRawAmount(fromToken, amount, soldToken.decimals),
+      account: userAddress,
+      full: full ?? amount >= fromToken.balance,
+    });
+
+    let wait = null;
+    for (const [index, transaction] of transactions.entries()) {
+      logger.info(`${transaction.description}...`, { contract: transaction.contractAddress, data: transaction.data });
+      const result = await client.executeTransaction(swarmId, {
+        mode: 'abi',
+        contractAddress: transaction.contractAddress,
+        abi: transaction.abi,
+        functionName: transaction.functionName,
+        args: transaction.args,
+        value: transaction.value,
+        membershipIds: [membershipId],
+      });
+
+      if (!result.transactionId) {
+        throw new Error(`No transaction ID returned for: ${transaction.description}`);
+      }
+
+      logger.info(`Transaction submitted, ID: ${result.transactionId}`);
+      await track?.('submitted', { transactionId: result.transactionId, last: index === transactions.length - 1 });
+      transactionIds.push(result.transactionId);
+
+      wait = await awaitTransaction(result.transactionId);
+      const settled = settleTransaction(result.transactionId, wait, { membershipId, userAddress });
+      if (settled.outcome !== TRANSACTION_OUTCOMES.CONFIRMED) {
+        logger.error(`Protocol ${route.action} stopped at ${transaction.description}`, { error: settled.error, completedTransactions: transactionIds.slice(0, -1) });
+        return { ...settled, transactionId: result.transactionId, transactionIds, status: wait.transaction?.status ?? null, ...describe };
+      }
+    }
 
-    logger.info(`Swap tokens: ${sellToken} -> ${buyToken}`);
+    logger.info(`Protocol ${route.action} completed successfully`, { transactionIds, status: wait.transaction.status });
 
-    // Prepare swap parameters
-    const swapParams = {
-      sellToken,
-      buyToken,
-      sellPercentage: 100, // Swap 100% of the token
-      slippagePercentage: config.maxSlippage,
+    return {
+      success: true,
+      outcome: TRANSACTION_OUTCOMES.CONFIRMED,
+      transactionId: transactionIds[transactionIds.length - 1],
+      transactionIds,
+      status: wait.transaction.status,
+      ...describe,
     };
 
-    // If we have a membership ID, target only that member
-    if (membershipId) {
-      swapParams.membershipIds = [membershipId];
+  } catch (error) {
+    logger.error(`Protocol ${route.action} failed`, { error: error.message, completedTransactions: transactionIds });
+    return { success: false, error: error.message, errorKind: getErrorKind(error), transactionIds, ...describe };
+  }
+}
+
+/**
+ * Swap one token for another on a DEX via the SwarmVault SDK
+ * @param {string} userAddress - User's agent wallet address
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {number} amount - Amount to swap (unused - SDK uses percentage)
+ * @param {string} membershipId - Member's membership ID for targeted swap
+ * @param {Object} chainProfile - Chain profile (swarm id and token registry)
+ * @param {number} sellPercentage - Share of the member's current balance to sell
+ * @param {Function} track - async (state, details) => void, told the transaction ID before it is awaited
+ * @returns {Promise<Object>} Swap result
+ */
+async function executeDexSwap(userAddress, fromToken, toToken, amount, membershipId, chainProfile, sellPercentage, track = null) {
+  try {
+    const client = getClient();
+    const swarmId = chainProfile.swarmId;
+
+    if (!swarmId) {
+      throw new Error(`No swarm id configured for ${chainProfile.name} (set ${chainProfile.key.toUpperCase()}_SWARM_ID)`);
     }
 
+    // Use explicit addresses if available, otherwise resolve from symbol
+    const swapParams = buildSwapParams(fromToken, toToken, membershipId, chainProfile, sellPercentage);
+
+    logger.info(`Swap tokens: ${swapParams.sellToken} -> ${swapParams.buyToken}`);
+
     // Preview the swap first
     logger.info('Previewing swap...', swapParams);
     const preview = await client.previewSwap(swarmId, swapParams);
 
     if (preview.errors && preview.errors.length > 0) {
       logger.error('Swap preview failed', { errors: preview.errors });
+      const reason = preview.errors.map(e => e.message).join(', ');
       return {
         success: false,
-        error: `Swap preview failed: ${preview.errors.map(e => e.message).join(', ')}`,
+        error: `Swap preview failed: ${reason}`,
+        errorKind: getErrorKind(reason),
         userAddress,
         fromToken: fromToken.symbol,
         toToken: toToken.symbol,
@@ -239,20 +662,35 @@ export async function executeSwap(userAddress, fromToken, toToken, amount, membe
     }
 
     logger.info(`Swap submitted, transaction ID: ${result.transactionId}`);
+    await track?.('submitted', { transactionId: result.transactionId, last: true });
 
     // Wait for the transaction to complete
     logger.info('Waiting for transaction confirmation...');
-    const txResult = await client.waitForTransaction(result.transactionId);
+    const wait = await awaitTransaction(result.transactionId);
+    const settled = settleTransaction(result.transactionId, wait, membershipId ? { membershipId, userAddress } : null);
+    if (settled.outcome !== TRANSACTION_OUTCOMES.CONFIRMED) {
+      logger.error(`Swap ${settled.pending ? 'unconfirmed' : settled.outcome}`, { transactionId: result.transactionId, error: settled.error });
+      return {
+        ...settled,
+        transactionId: result.transactionId,
+        status: wait.transaction?.status ?? null,
+        userAddress,
+        fromToken: fromToken.symbol,
+        toToken: toToken.symbol,
+        amount,
+      };
+    }
 
     logger.info('Swap completed successfully', {
       transactionId: result.transactionId,
-      status: txResult.status,
+      status: wait.transaction.status,
     });
 
     return {
       success: true,
+      outcome: TRANSACTION_OUTCOMES.CONFIRMED,
       transactionId: result.transactionId,
-      status: txResult.status,
+      status: wait.transaction.status,
       userAddress,
       fromToken: fromToken.symbol,
       toToken: toToken.symbol,
@@ -268,6 +706,7 @@ export async function executeSwap(userAddress, fromToken, toToken, amount, membe
     return {
       success: false,
       error: error.message,
+      errorKind: getErrorKind(error),
       userAddress,
       fromToken: fromToken.symbol,
       toToken: toToken.symbol,
@@ -276,55 +715,582 @@ export async function executeSwap(userAddress, fromToken, toToken, amount, membe
   }
 }
 
+/**
+ * Execute one leg of a path
+ * @param {Object} leg - { kind, from, to } from router.js
+ * @param {Object} swap - Swap details
+ * @param {string} swap.userAddress - Member's agent wallet address
+ * @param {Object} swap.fromToken - Token the leg sells (with balance for first legs)
+ * @param {number} swap.amount - Amount the leg sells in token units
+ * @param {string} swap.membershipId - Member's membership ID
+ * @param {Object} swap.chainProfile - Chain profile
+ * @param {number} swap.sellPercentage - Share of the current balance a DEX leg sells
+ * @param {bigint} swap.rawAmount - Exact raw amount a protocol leg sells (later legs)
+ * @param {boolean} swap.full - Whether a protocol leg takes the whole position
+ * @param {Function} swap.track - Journal callback (see executeSwap), told which leg each transaction belongs to
+ * @returns {Promise<Object>} Swap result
+ */
+async function executeLeg(leg, { userAddress, fromToken, amount, membershipId, chainProfile, sellPercentage, rawAmount, full, track }) {
+  if (leg.kind === 'swap') {
+    return executeDexSwap(userAddress, leg.from, leg.to, amount, membershipId, chainProfile, sellPercentage, track);
+  }
+  return executeProtocolRoute(getLegRoute(leg), { userAddress, fromToken, toToken: leg.to, amount, membershipId, chainProfile, rawAmount, full, track });
+}
+
+/**
+ * Execute a previewed path leg by leg
+ * Each later leg sells what the previous leg delivered: the rise in the member's
+ * on-chain balance of the hop token, so hop tokens the member already held are
+ * left alone. If a leg fails after earlier legs went through, the result says
+ * which legs completed and which token the member's funds are now in; nothing
+ * is swapped back automatically.
+ * @param {Object} best - Path preview from findRoute()
+ * @param {Object} swap - Swap details (as for executeSwap)
+ * @returns {Promise<Object>} Swap result with the route, every transaction ID and, on failure, the stranded token
+ */
+async function executePath(best, { userAddress, fromToken, toToken, amount, membershipId, chainProfile, sellPercentage, track }) {
+  const describe = { userAddress, fromToken: fromToken.symbol, toToken: toToken.symbol, amount, route: best.key };
+  const legs = best.legs;
+  const trackLeg = index => track && ((state, details) => track(state, { ...details, leg: index }));
+
+  if (legs.length === 1) {
+    return executeLeg(legs[0], { userAddress, fromToken, amount, membershipId, chainProfile, sellPercentage, track: trackLeg(0) });
+  }
+
+  // Later legs sell what this member received, so they can't run for the whole swarm
+  if (!membershipId) {
+    throw new Error(`Route ${best.key} has ${legs.length} legs and needs a membership ID`);
+  }
+
+  const provider = getProvider(chainProfile);
+  const balancesBefore = new Map();
+  for (const leg of legs.slice(1)) {
+    balancesBefore.set(leg.from.address, await withRetry(() => readTokenBalance(leg.from, userAddress, { provider }), { label: `${leg.from.symbol} balance read` }));
+  }
+
+  const completed = [];
+  let result = null;
+  for (const [index, leg] of legs.entries()) {
+    const step = `leg ${index + 1} of ${legs.length} (${getLegKey(leg)})`;
+
+    if (index === 0) {
+      result = await executeLeg(leg, { userAddress, fromToken, amount, membershipId, chainProfile, sellPercentage, track: trackLeg(index) });
+    } else {
+      const balance = await withRetry(() => readTokenBalance(leg.from, userAddress, { provider }), { label: `${leg.from.symbol} balance read` });
+      const received = balance - balancesBefore.get(leg.from.address);
+      if (received <= 0n) {
+        result = { success: false, error: `${getLegKey(legs[index - 1])} delivered no ${leg.from.symbol}`, errorKind: ERROR_KINDS.NO_ROUTE };
+      } else {
+        logger.info(`Route ${best.key}: ${step} sells the ${received} ${leg.from.symbol} (raw) received`);
+        result = await executeLeg(leg, {
+          userAddress,
+          fromToken: { symbol: leg.from.symbol, address: leg.from.address },
+          amount: Number(received) / 10 ** (leg.from.decimals ?? 18),
+          membershipId,
+          chainProfile,
+          sellPercentage: Number((received * 1000000n) / balance) / 10000,
+          rawAmount: received,
+          full: false,
+          track: trackLeg(index),
+        });
+      }
+    }
+
+    if (!result.success) {
+      // An unconfirmed leg may still go through, so its transactions are reported too
+      const unsettled = { pending: result.pending, outcome: result.outcome, errorKind: result.errorKind };
+      const failedIds = result.transactionIds ?? (result.transactionId ? [result.transactionId] : []);
+      if (completed.length === 0) {
+        return { ...describe, ...unsettled, success: false, error: result.error, transactionIds: failedIds };
+      }
+      logger.error(`Route ${best.key} stopped at ${step}: ${userAddress} now holds the ${leg.from.symbol} from the completed legs`, {
+        error: result.error,
+        completedLegs: completed.map(entry => entry.leg),
+      });
+      return {
+        ...describe,
+        ...unsettled,
+        success: false,
+        error: `${step} ${result.pending ? 'is unconfirmed' : 'failed'} after ${completed.length} completed: ${result.error}`,
+        completedLegs: completed,
+        failedLeg: getLegKey(leg),
+        strandedToken: leg.from.symbol,
+        transactionIds: [...completed.flatMap(entry => entry.transactionIds), ...failedIds],
+      };
+    }
+
+    completed.push({ leg: getLegKey(leg), transactionIds: result.transactionIds ?? [result.transactionId] });
+  }
+
+  const transactionIds = completed.flatMap(entry => entry.transactionIds);
+  logger.info(`Route ${best.key} completed`, { transactionIds });
+  return {
+    ...describe,
+    success: true,
+    outcome: TRANSACTION_OUTCOMES.CONFIRMED,
+    transactionId: transactionIds[transactionIds.length - 1],
+    transactionIds,
+    status: result.status,
+    legs: completed,
+    preview: {
+      sellAmount: best.sellAmount,
+      buyAmount: best.buyAmount,
+    },
+  };
+}
+
+/**
+ * Execute a swap for a user via the SwarmVault SDK
+ * Every path between the tokens is previewed (direct, through a hub token, or
+ * with protocol withdrawals and deposits, see router.js) and the one that
+ * delivers the most is executed, unless its previewed loss in USD is beyond the
+ * value-loss guard (see guard.js).
+ * @param {string} userAddress - User's agent wallet address
+ * @param {Object} fromToken - Token to swap from
+ * @param {Object} toToken - Token to swap to
+ * @param {number} amount - Amount to swap (DEX swaps use sellPercentage; protocol legs use the amount)
+ * @param {string} membershipId - Member's membership ID for targeted swap
+ * @param {Object} chainProfile - Chain profile (swarm id and token registry)
+ * @param {number} sellPercentage - Share of the member's current balance to sell
+ * @param {Object} expected - What the swap is for, checked by the value-loss guard
+ * @param {number} expected.expectedAnnualGainUsd - Yearly gain of the rotation (null to check the bps limit only)
+ * @param {boolean} expected.capEnforced - Whether the swap brings a position back under an allocation cap
+ * @param {Function} expected.track - async (state, details) => void, told when the swap is previewed and
+ *   each transaction ID before it is awaited (the execution journal)
+ * @returns {Promise<Object>} Swap result (aborted: true when the value-loss guard refused it)
+ */
+export async function executeSwap(userAddress, fromToken, toToken, amount, membershipId = null, chainProfile = getChainProfile(), sellPercentage = 100, {
+  expectedAnnualGainUsd = null,
+  capEnforced = false,
+  track = null,
+} = {}) {
+  logger.info(`Executing swap for ${userAddress}: ${amount} ${fromToken.symbol} -> ${toToken.symbol}`);
+
+  let paths;
+  try {
+    const { from, to } = resolvePair(fromToken, toToken, chainProfile);
+    paths = getCandidatePaths(from, to, chainProfile);
+    if (paths.length === 0) {
+      throw new NoRouteError(`No route from ${fromToken.symbol} to ${toToken.symbol}`);
+    }
+  } catch (error) {
+    logger.error('Swap routing failed', { error: error.message });
+    return { success: false, error: error.message, errorKind: getErrorKind(error), userAddress, fromToken: fromToken.symbol, toToken: toToken.symbol, amount };
+  }
+
+  if (config.dryRun) {
+    logger.info(`[DRY RUN] Swap would be executed (${paths.length} candidate path${paths.length === 1 ? '' : 's'}) with:`, {
+      userAddress,
+      fromToken: fromToken.symbol,
+      toToken: toToken.symbol,
+      amount,
+      sellPercentage,
+      maxSlippage: config.maxSlippage,
+    });
+
+    return {
+      success: true,
+      dryRun: true,
+      userAddress,
+      fromToken: fromToken.symbol,
+      toToken: toToken.symbol,
+      amount,
+    };
+  }
+
+  try {
+    if (!chainProfile.swarmId) {
+      throw new Error(`No swarm id configured for ${chainProfile.name} (set ${chainProfile.key.toUpperCase()}_SWARM_ID)`);
+    }
+
+    const { best, previews } = await findRoute(fromToken, toToken, chainProfile, { membershipId, fromToken, amount, sellPercentage });
+    if (!best) {
+      // Only a route that failed for a lasting reason makes this a missing route
+      const message = `No working route from ${fromToken.symbol} to ${toToken.symbol}: ${previews.map(preview => preview.error).join('; ')}`;
+      throw previews.some(isInconclusive) ? new TransientError(message) : new NoRouteError(message);
+    }
+    if (best.legs.length > 1 || previews.length > 1) {
+      logger.info(`Route ${best.key} delivers the most (${best.buyAmount} raw) of ${previews.length} paths previewed`);
+    }
+
+    if (config.valueGuard.enabled) {
+      const check = await createSwapGuard(chainProfile)({
+        fromAddress: best.legs[0].from.address,
+        toAddress: best.legs[best.legs.length - 1].to.address,
+        sellAmount: best.sellAmount,
+        buyAmount: best.buyAmount,
+        expectedAnnualGainUsd,
+        capEnforced,
+      });
+      if (!check.allowed) {
+        logger.warn(`Value-loss guard aborted ${fromToken.symbol} -> ${toToken.symbol} for ${userAddress}: ${check.reason}`);
+        return { success: false, aborted: true, error: `Aborted: ${check.reason}`, userAddress, fromToken: fromToken.symbol, toToken: toToken.symbol, amount };
+      }
+      logger.info(`Value-loss guard passed: ${formatValueCheck(check)}`);
+    }
+    await track?.('previewed', { route: best.key, legs: best.legs.map(leg => ({ key: getLegKey(leg), to: leg.to.symbol })) });
+
+    return await executePath(best, { userAddress, fromToken, toToken, amount, membershipId, chainProfile, sellPercentage, track });
+
+  } catch (error) {
+    logger.error('Swap execution failed', { error: error.message, stack: error.stack });
+    return {
+      success: false,
+      error: error.message,
+      errorKind: getErrorKind(error),
+      userAddress,
+      fromToken: fromToken.symbol,
+      toToken: toToken.symbol,
+      amount,
+    };
+  }
+}
+
+/**
+ * Execute one swarm-level swap for several members selling the same token pair
+ * The SDK takes one sell percentage for all members, so rotations must come from
+ * groupRotations(). Members whose preview fails, or whose previewed amounts the
+ * value-loss guard refuses, are left out of the swap.
+ * @param {Array} rotations - Rotations of one group (each with a membershipId)
+ * @param {Object} chainProfile - Chain profile (swarm id and token registry)
+ * @param {number} sellPercentage - Share of each member's current balance to sell
+ * @param {Function} track - async (rotation, state, details) => void, told which members were
+ *   previewed and the transaction ID before it is awaited (the execution journal)
+ * @returns {Promise<Map>} Rotation -> swap result in the executeSwap() shape
+ */
+export async function executeSwapBatch(rotations, chainProfile = getChainProfile(), sellPercentage = 100, track = null) {
+  const { fromToken, toToken } = rotations[0];
+  const failAll = (error, errorKind) => new Map(rotations.map(rotation => [rotation, { success: false, error, errorKind, ...describeRotation(rotation) }]));
+
+  logger.info(`Executing batched swap for ${rotations.length} members: ${fromToken.symbol} -> ${toToken.symbol} (${sellPercentage.toFixed(2)}% of each balance)`);
+
+  if (config.dryRun) {
+    logger.info('[DRY RUN] Batched swap would be executed with:', {
+      members: rotations.map(rotation => rotation.membershipId),
+      fromToken: fromToken.symbol,
+      toToken: toToken.symbol,
+      sellPercentage,
+      maxSlippage: config.maxSlippage,
+    });
+    return new Map(rotations.map(rotation => [rotation, { success: true, dryRun: true, batchSize: rotations.length, ...describeRotation(rotation) }]));
+  }
+
+  try {
+    const client = getClient();
+    const swarmId = chainProfile.swarmId;
+
+    if (!swarmId) {
+      throw new Error(`No swarm id configured for ${chainProfile.name} (set ${chainProfile.key.toUpperCase()}_SWARM_ID)`);
+    }
+
+    const swapParams = buildSwapParams(fromToken, toToken, null, chainProfile, sellPercentage);
+    swapParams.membershipIds = rotations.map(rotation => rotation.membershipId);
+
+    logger.info('Previewing batched swap...', { ...swapParams, membershipIds: swapParams.membershipIds.length });
+    const preview = await client.previewSwap(swarmId, swapParams);
+    const previews = splitPreviewByMember(rotations, preview);
+
+    const guard = config.valueGuard.enabled ? createSwapGuard(chainProfile) : null;
+    const results = new Map();
+    const included = [];
+    for (const rotation of rotations) {
+      const { member, error } = previews.get(rotation);
+      if (error) {
+        logger.warn(`Leaving ${rotation.userAddress} out of the batched swap: ${error}`);
+        results.set(rotation, { success: false, error, errorKind: getErrorKind(error), ...describeRotation(rotation) });
+        continue;
+      }
+
+      if (guard) {
+        const check = await guard({
+          fromAddress: swapParams.sellToken,
+          toAddress: swapParams.buyToken,
+          sellAmount: member.sellAmount,
+          buyAmount: member.buyAmount,
+          expectedAnnualGainUsd: rotation.estimatedAnnualGainUsd ?? null,
+          capEnforced: Boolean(rotation.capEnforced),
+        });
+        if (!check.allowed) {
+          logger.warn(`Value-loss guard left ${rotation.userAddress} out of the batched swap: ${check.reason}`);
+          results.set(rotation, { success: false, aborted: true, error: `Aborted: ${check.reason}`, ...describeRotation(rotation) });
+          continue;
+        }
+        logger.debug(`Value-loss guard passed for ${rotation.userAddress}: ${formatValueCheck(check)}`);
+      }
+      included.push({ rotation, member });
+    }
+
+    if (included.length === 0) {
+      return results;
+    }
+
+    const legKey = getLegKey({ kind: 'swap', from: fromToken, to: toToken });
+    for (const { rotation } of included) {
+      await track?.(rotation, 'previewed', { route: legKey, legs: [{ key: legKey, to: toToken.symbol }] });
+    }
+
+    swapParams.membershipIds = included.map(({ rotation }) => rotation.membershipId);
+    logger.info(`Executing batched swap for ${included.length} members...`);
+    const result = await client.executeSwap(swarmId, swapParams);
+
+    if (!result.transactionId) {
+      throw new Error('No transaction ID returned from swap execution');
+    }
+
+    logger.info(`Batched swap submitted, transaction ID: ${result.transactionId}`);
+    for (const { rotation } of included) {
+      await track?.(rotation, 'submitted', { transactionId: result.transactionId, leg: 0, last: true });
+    }
+    const wait = await awaitTransaction(result.transactionId);
+    const status = wait.transaction?.status ?? null;
+
+    logger.info('Batched swap finished', {
+      transactionId: result.transactionId,
+      status,
+      members: included.length,
+    });
+
+    // Each member is settled on their own target in the transaction
+    for (const { rotation, member } of included) {
+      const settled = settleTransaction(result.transactionId, wait, rotation);
+      if (settled.outcome !== TRANSACTION_OUTCOMES.CONFIRMED) {
+        logger.warn(`Batched swap ${settled.pending ? 'unconfirmed' : settled.outcome} for ${rotation.userAddress}: ${settled.error}`);
+        results.set(rotation, { ...settled, transactionId: result.transactionId, status, batchSize: included.length, ...describeRotation(rotation) });
+        continue;
+      }
+      results.set(rotation, {
+        success: true,
+        outcome: TRANSACTION_OUTCOMES.CONFIRMED,
+        transactionId: result.transactionId,
+        status,
+        batchSize: included.length,
+        ...describeRotation(rotation),
+        preview: {
+          sellAmount: member.sellAmount,
+          buyAmount: member.buyAmount,
+          feeAmount: member.feeAmount,
+        },
+      });
+    }
+    return results;
+
+  } catch (error) {
+    logger.error('Batched swap execution failed', { error: error.message, stack: error.stack });
+    return failAll(error.message, getErrorKind(error));
+  }
+}
+
 /**
  * Execute all recommended rotations
+ * Rotations selling and buying the same tokens are batched into one swarm-level
+ * swap per group. A member's legs from the same holding run in separate waves,
+ * in order, so each leg's percentage is taken from what earlier legs left.
+ * Within a wave, up to config.execution.concurrency swaps run at once. They are
+ * started in priority order, and no two swaps of the same member overlap.
+ * With a journal, every rotation is recorded as planned before anything runs,
+ * and each later state is recorded as it is reached (see journal.js).
+ * Once the circuit breaker opens, swaps not yet started are skipped; swaps
+ * already in flight finish. Swaps whose transactions failed, reverted or
+ * expired are failures; swaps not confirmed within the confirmation timeout
+ * are reported as pending, and the member's remaining rotations are skipped
+ * since the pending swap may still land.
  * @param {Array} rotations - Array of rotation objects
- * @returns {Promise<Object>} Execution results summary
+ * @param {Object} chainProfile - Chain profile the rotations run on
+ * @param {Function} journal - async (rotation, state, details) => entry from createJournalRecorder(), or null
+ * @param {Object} breaker - Circuit breaker from createCircuitBreaker()
+ * @returns {Promise<Object>} Execution results summary ({ executed, failed, skipped, pending, halted };
+ *   halted: the breaker's reason, or null)
  */
-export async function executeRotations(rotations) {
+export async function executeRotations(rotations, chainProfile = getChainProfile(), journal = null, breaker = createCircuitBreaker()) {
   const results = {
     executed: [],
     failed: [],
     skipped: [],
+    pending: [],
+    halted: null,
   };
 
+  // Share of each holding not yet sold, so later legs from the same holding
+  // can be converted to a percentage of what is left
+  const remainingShares = new Map();
+
+  // Nothing is swapped unless every rotation could be journaled first
   for (const rotation of rotations) {
+    await journal?.(rotation, 'planned');
+  }
+
+  // Once swaps are under way a failed journal write is logged, not allowed to abandon a swap in flight
+  const track = journal && (async (rotation, state, details) => {
     try {
-      const result = await executeSwap(
+      await journal(rotation, state, details);
+    } catch (error) {
+      logger.error(`Could not record ${rotation.userAddress} as ${state} in the execution journal`, { error: error.message });
+    }
+  });
+
+  // Aborted swaps were refused on purpose, so only real failures count towards the breaker
+  const countFailure = error => {
+    if (breaker.recordFailure(error)) {
+      logger.error(`ALERT: Circuit breaker opened on ${chainProfile.name}: ${breaker.reason}. Halting the run; swaps not yet started are skipped`);
+    }
+  };
+
+  const record = async (rotation, result) => {
+    // An unconfirmed swap may still go through: it stays submitted in the journal,
+    // for the next run to settle, and counts neither way towards the breaker
+    if (result.pending) {
+      results.pending.push({ rotation, result });
+      logger.warn(`Swap pending for ${rotation.userAddress}`, { error: result.error, transactionIds: result.transactionIds ?? [result.transactionId] });
+      return;
+    }
+
+    await track?.(rotation, result.success ? 'confirmed' : 'failed', { error: result.error, strandedToken: result.strandedToken });
+    if (result.success) {
+      breaker.recordSuccess();
+      const holdingKey = getHoldingKey(rotation);
+      remainingShares.set(holdingKey, Math.max((remainingShares.get(holdingKey) ?? 1) - (rotation.sellShare ?? 1), 0));
+      results.executed.push({ rotation, result });
+      logger.swapDecision(
         rotation.userAddress,
-        rotation.fromToken,
-        rotation.toToken,
-        rotation.fromToken.balance,
-        rotation.membershipId // Pass membership ID for targeted swap
+        rotation.fromToken.symbol,
+        rotation.toToken.symbol,
+        rotation.apyImprovement,
+        true
       );
 
-      if (result.success) {
-        results.executed.push({ rotation, result });
-        logger.swapDecision(
-          rotation.userAddress,
-          rotation.fromToken.symbol,
-          rotation.toToken.symbol,
-          rotation.apyImprovement,
-          true
-        );
-
-        // Log transaction details if available
-        if (result.transactionId) {
-          logger.info(`Transaction ID: ${result.transactionId}`);
-        }
-      } else {
-        results.failed.push({ rotation, result });
-        logger.error(`Swap failed for ${rotation.userAddress}`, { error: result.error });
+      // Log transaction details if available
+      if (result.transactionId) {
+        logger.info(`Transaction ID: ${result.transactionId}`);
       }
-    } catch (error) {
-      results.failed.push({ rotation, error: error.message });
+    } else if (result.aborted) {
+      results.skipped.push({ rotation, result, reason: result.error });
+      logger.warn(`Swap skipped for ${rotation.userAddress}`, { reason: result.error });
+    } else {
+      results.failed.push({ rotation, result });
+      logger.error(`Swap failed for ${rotation.userAddress}`, { error: result.error, kind: result.errorKind });
+      countFailure(result.error);
+    }
+  };
+
+  // A swap for members without a membership id runs for the whole swarm, so it runs alone
+  const getKeys = group => (group.every(rotation => rotation.membershipId) ? group.map(rotation => rotation.membershipId) : null);
+
+  const fail = async (group, error) => {
+    for (const rotation of group) {
+      results.failed.push({ rotation, result: { success: false, error: error.message, errorKind: getErrorKind(error), ...describeRotation(rotation) } });
       logger.error(`Swap error for ${rotation.userAddress}`, { error: error.message });
+      await track?.(rotation, 'failed', { error: error.message });
+      countFailure(error.message);
+    }
+  };
+
+  // Skips the members whose earlier swap may still land and returns the others
+  const skipPending = async group => {
+    const ready = [];
+    for (const rotation of group) {
+      if (!hasUnresolvedEntry(results.pending, rotation)) {
+        ready.push(rotation);
+        continue;
+      }
+      const reason = 'An earlier swap for this member is still pending';
+      results.skipped.push({ rotation, reason });
+      logger.warn(`Skipping ${rotation.userAddress}: ${reason}`);
+      await track?.(rotation, 'failed', { error: reason });
+    }
+    return ready;
+  };
+
+  // Skips the group and returns true once the breaker is open
+  const halt = async group => {
+    if (!breaker.isOpen()) return false;
+    for (const rotation of group) {
+      const reason = `Run halted: ${breaker.reason}`;
+      results.skipped.push({ rotation, reason });
+      await track?.(rotation, 'failed', { error: reason });
     }
+    return true;
+  };
+
+  for (const wave of planWaves(rotations)) {
+    const maxMembers = config.batching.enabled ? config.batching.maxMembersPerSwap : 1;
+    const tasks = [];
+
+    for (const { sellPercentage, rotations: group } of groupRotations(wave, remainingShares, maxMembers)) {
+      if (group.length > 1 && canBatch(group[0], chainProfile)) {
+        tasks.push({
+          keys: getKeys(group),
+          run: async () => {
+            if (await halt(group)) return;
+            const ready = await skipPending(group);
+            if (ready.length === 0) return;
+            try {
+              const batch = await executeSwapBatch(ready, chainProfile, sellPercentage, track);
+              for (const rotation of ready) {
+                await record(rotation, batch.get(rotation));
+              }
+            } catch (error) {
+              await fail(ready, error);
+            }
+          },
+        });
+        continue;
+      }
+
+      // Routed and protocol swaps carry each member's amounts, so each member gets a swap of their own
+      for (const rotation of group) {
+        tasks.push({
+          keys: getKeys([rotation]),
+          run: async () => {
+            if (await halt([rotation]) || (await skipPending([rotation])).length === 0) return;
+            try {
+              const result = await executeSwap(
+                rotation.userAddress,
+                rotation.fromToken,
+                rotation.toToken,
+                rotation.fromToken.balance * (rotation.sellShare ?? 1),
+                rotation.membershipId, // Pass membership ID for targeted swap
+                chainProfile,
+                sellPercentage,
+                {
+                  expectedAnnualGainUsd: rotation.estimatedAnnualGainUsd ?? null,
+                  capEnforced: Boolean(rotation.capEnforced),
+                  track: track && ((state, details) => track(rotation, state, details)),
+                }
+              );
+              await record(rotation, result);
+            } catch (error) {
+              await fail([rotation], error);
+            }
+          },
+        });
+      }
+    }
+
+    if (tasks.length > 1 && config.execution.concurrency > 1) {
+      logger.info(`Executing ${tasks.length} swaps, up to ${config.execution.concurrency} at a time`);
+    }
+    await runTasks(tasks, { concurrency: config.execution.concurrency });
   }
 
+  results.halted = breaker.reason;
   return results;
 }
 
+/**
+ * Poll a SwarmVault transaction until it has finished, for at most the confirmation timeout
+ * Used to settle swaps an earlier run submitted but never saw finish.
+ * @param {string} transactionId - Transaction ID from executeSwap or executeTransaction
+ * @returns {Promise<Object>} SDK transaction ({ status, targets }), still running if the wait timed out
+ * @throws {Error} If the transaction's status can't be read
+ */
+export async function pollTransaction(transactionId) {
+  const { transaction, error } = await awaitTransaction(transactionId);
+  if (!transaction) {
+    throw new Error(`Could not read transaction ${transactionId}${error ? `: ${error}` : ''}`);
+  }
+  return transaction;
+}
+
 /**
  * Validate swap parameters before execution
  * @param {Object} rotation - Rotation to validate
@@ -349,20 +1315,32 @@ export function validateSwap(rotation) {
     errors.push('Invalid swap amount');
   }
 
-  if (rotation.fromToken?.balanceUsd < config.minBalanceUsd) {
+  // Partial swaps are checked on the amount they move
+  if ((rotation.amountUsd ?? rotation.fromToken?.balanceUsd) < config.minBalanceUsd) {
     errors.push(`Balance below minimum ($${config.minBalanceUsd})`);
   }
 
+  if (rotation.sellShare !== undefined && !(rotation.sellShare > 0 && rotation.sellShare <= 1)) {
+    errors.push('Sell share must be between 0 and 1');
+  }
+
   return {
     valid: errors.length === 0,
     errors,
   };
 }
 
+export { getSellPercentage };
+
 export default {
+  previewRotation,
+  getSellPercentage,
   executeSwap,
+  executeSwapBatch,
   executeRotations,
+  pollTransaction,
   validateSwap,
+  setBackends,
   isTokenSwappable,
   filterSwappablePools,
 };
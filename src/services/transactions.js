@@ -0,0 +1,111 @@
+import { config } from '../config.js';
+
+// Outcomes of a SwarmVault transaction, for the whole transaction or one member
+export const TRANSACTION_OUTCOMES = {
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REVERTED: 'reverted',
+  EXPIRED: 'expired',
+  PENDING: 'pending',
+};
+
+// Final SDK statuses, by outcome; any other status means the transaction is still running
+const CONFIRMED_STATUSES = new Set(['CONFIRMED', 'COMPLETED', 'SUCCESS']);
+const FAILED_STATUSES = new Set(['FAILED']);
+const REVERTED_STATUSES = new Set(['REVERTED']);
+const EXPIRED_STATUSES = new Set(['EXPIRED', 'DROPPED', 'CANCELLED', 'CANCELED']);
+
+// Marks a wait that ran out of time
+const TIMED_OUT = Symbol('timed out');
+
+/**
+ * Find a member's target in a SwarmVault transaction
+ * @param {Object} transaction - SDK transaction ({ status, targets })
+ * @param {Object} member - { membershipId, userAddress }
+ * @returns {Object|null} Target ({ status, error })
+ */
+function findTarget(transaction, member) {
+  return (transaction?.targets || []).find(target =>
+    (target.membershipId && target.membershipId === member.membershipId) ||
+    (target.agentWalletAddress && target.agentWalletAddress.toLowerCase() === member.userAddress?.toLowerCase())
+  ) || null;
+}
+
+/**
+ * Work out the outcome of a SwarmVault transaction, for everyone or for one member
+ * A member's own target decides their outcome when the transaction lists it, so
+ * one member's failure in a batched swap doesn't fail the others. FAILED targets
+ * whose error mentions a revert are reported as reverted.
+ * @param {Object} transaction - SDK transaction ({ status, error, targets[{ status, error }] })
+ * @param {Object} member - { membershipId, userAddress }, or null for the whole transaction
+ * @returns {Object} { outcome (one of TRANSACTION_OUTCOMES), error (the SDK's error message, or null) }
+ */
+export function getTransactionOutcome(transaction, member = null) {
+  const target = member ? findTarget(transaction, member) : null;
+  const status = String(target?.status ?? transaction?.status ?? '').toUpperCase();
+  const error = target?.error ?? transaction?.error ?? null;
+
+  if (CONFIRMED_STATUSES.has(status)) {
+    return { outcome: TRANSACTION_OUTCOMES.CONFIRMED, error: null };
+  }
+  if (REVERTED_STATUSES.has(status) || (FAILED_STATUSES.has(status) && /revert/i.test(error || ''))) {
+    return { outcome: TRANSACTION_OUTCOMES.REVERTED, error };
+  }
+  if (FAILED_STATUSES.has(status)) {
+    return { outcome: TRANSACTION_OUTCOMES.FAILED, error };
+  }
+  if (EXPIRED_STATUSES.has(status)) {
+    return { outcome: TRANSACTION_OUTCOMES.EXPIRED, error };
+  }
+  return { outcome: TRANSACTION_OUTCOMES.PENDING, error: null };
+}
+
+/**
+ * Wait for a transaction to finish, for at most the confirmation timeout
+ * When the wait runs out of time, or throws, the transaction's status is read
+ * once more. A transaction still running then is reported as timed out; it may
+ * yet confirm, so it must be settled later rather than counted as failed.
+ * @param {string} transactionId - Transaction ID
+ * @param {Object} options - Options
+ * @param {Function} options.waitForTransaction - async (transactionId) => SDK transaction once finished
+ * @param {Function} options.getTransaction - async (transactionId) => SDK transaction now, or null
+ * @param {number} options.timeoutMs - Longest wait in ms
+ * @returns {Promise<Object>} { transaction, timedOut }
+ * @throws {Error} If the wait fails and the status can't be read either
+ */
+export async function waitForOutcome(transactionId, {
+  waitForTransaction,
+  getTransaction = null,
+  timeoutMs = config.execution.confirmationTimeoutSeconds * 1000,
+}) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(TIMED_OUT), timeoutMs);
+  });
+
+  let transaction;
+  try {
+    transaction = await Promise.race([waitForTransaction(transactionId), timeout]);
+  } catch (error) {
+    if (!getTransaction) throw error;
+    transaction = await getTransaction(transactionId);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (transaction !== TIMED_OUT) {
+    return { transaction, timedOut: false };
+  }
+
+  const latest = getTransaction ? await getTransaction(transactionId).catch(() => null) : null;
+  return {
+    transaction: latest,
+    timedOut: !latest || getTransactionOutcome(latest).outcome === TRANSACTION_OUTCOMES.PENDING,
+  };
+}
+
+export default {
+  TRANSACTION_OUTCOMES,
+  getTransactionOutcome,
+  waitForOutcome,
+};
@@ -0,0 +1,35 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import path from 'path';
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Path to the file
+ * @returns {Promise<*>} Parsed JSON content
+ */
+export async function readJsonFile(file) {
+  const content = await readFile(file, 'utf-8');
+  return JSON.parse(content);
+}
+
+/**
+ * Write JSON to a file atomically, creating parent directories as needed
+ * Writes to a temporary file first and renames it so a crash never leaves a
+ * half-written file behind.
+ * @param {string} file - Path to the file
+ * @param {*} data - JSON-serializable data
+ * @param {Object} options - Options
+ * @param {number} options.indent - Indentation (0 writes compact JSON)
+ * @returns {Promise<string>} The written file path
+ */
+export async function writeJsonFile(file, data, { indent = 2 } = {}) {
+  await mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.${process.pid}.tmp`;
+  await writeFile(tmpFile, JSON.stringify(data, null, indent));
+  await rename(tmpFile, file);
+  return file;
+}
+
+export default {
+  readJsonFile,
+  writeJsonFile,
+};
@@ -54,7 +54,22 @@ export const logger = {
     this.info(`Users checked: ${stats.usersChecked}`);
     this.info(`Swaps executed: ${stats.swapsExecuted}`);
     this.info(`Swaps skipped: ${stats.swapsSkipped}`);
+    if (stats.swapsPending > 0) {
+      this.warn(`Swaps pending: ${stats.swapsPending} (not confirmed in time; settled on the next run)`);
+    }
     this.info(`Errors: ${stats.errors}`);
+    if (stats.halted) {
+      this.error(`Run halted: ${stats.halted}`);
+    }
+    if (stats.carriedOverUsd > 0) {
+      this.info(`Carried to next run: $${stats.carriedOverUsd.toFixed(2)}`);
+    }
+    if (stats.quarantinedPools?.length > 0) {
+      this.info(`Quarantined pools: ${stats.quarantinedPools.length}`);
+      stats.quarantinedPools.forEach(entry => {
+        this.info(`  - ${entry.symbol} (${entry.project}): ${entry.reasons.join('; ')} [${entry.remainingRuns} runs left]`);
+      });
+    }
   },
 };
 